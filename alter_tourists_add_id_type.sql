@@ -0,0 +1,8 @@
+-- SQL script for identity-type-aware KYC validation
+-- Run this in Supabase SQL Editor
+
+-- Which ID the tourist registered with. Earlier records did not say.
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS id_type TEXT;
+ALTER TABLE public.tourists DROP CONSTRAINT IF EXISTS tourists_id_type_check;
+ALTER TABLE public.tourists ADD CONSTRAINT tourists_id_type_check
+  CHECK (id_type IS NULL OR id_type IN ('aadhaar', 'passport'));
@@ -0,0 +1,39 @@
+-- SQL script for field-level encryption of tourist PII
+-- Run this in Supabase SQL Editor, then `npm run pii:rotate` to encrypt existing rows
+
+-- Ciphertext of each PII column, under the row's data key (see src/services/piiService.cjs).
+-- The plaintext columns stay for rows written before encryption and are NULL afterwards.
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS id_number_encrypted TEXT;
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS date_of_birth_encrypted TEXT;
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS contact_number_encrypted TEXT;
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS email_encrypted TEXT;
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS emergency_contact_1_encrypted TEXT;
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS emergency_contact_2_encrypted TEXT;
+
+ALTER TABLE public.tourists ALTER COLUMN date_of_birth DROP NOT NULL;
+ALTER TABLE public.tourists ALTER COLUMN contact_number DROP NOT NULL;
+ALTER TABLE public.tourists ALTER COLUMN email DROP NOT NULL;
+ALTER TABLE public.tourists ALTER COLUMN emergency_contact_1 DROP NOT NULL;
+ALTER TABLE public.tourists ALTER COLUMN emergency_contact_2 DROP NOT NULL;
+
+-- Row data key wrapped by a master key ("v<version>.<iv>.<tag>.<ciphertext>")
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS pii_data_key TEXT;
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS pii_key_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_tourists_pii_key_version ON public.tourists(pii_key_version);
+
+-- Blind indexes (HMAC-SHA256) for login and duplicate lookups
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS id_number_bidx TEXT;
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS date_of_birth_bidx TEXT;
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS contact_number_bidx TEXT;
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS email_bidx TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_tourists_id_number_bidx ON public.tourists(id_number_bidx);
+CREATE INDEX IF NOT EXISTS idx_tourists_date_of_birth_bidx ON public.tourists(date_of_birth_bidx);
+CREATE INDEX IF NOT EXISTS idx_tourists_contact_number_bidx ON public.tourists(contact_number_bidx);
+CREATE INDEX IF NOT EXISTS idx_tourists_email_bidx ON public.tourists(email_bidx);
+
+-- Plaintext lookups are replaced by the blind indexes
+DROP INDEX IF EXISTS public.idx_tourists_id_number;
+DROP INDEX IF EXISTS public.idx_tourists_contact_number;
+DROP INDEX IF EXISTS public.idx_tourists_date_of_birth;
@@ -17,9 +17,14 @@ contract TouristIDRegistry {
     mapping(bytes32 => bool) public dtidRegistered;
     bytes32[] public dtidList;
 
+    // DTIDs withdrawn after the tourist's data was erased. They stay in
+    // dtidList (the chain cannot forget them) but no longer verify.
+    mapping(bytes32 => bool) public dtidRevoked;
+
     event TouristRegistered(address indexed user, bytes32 idHash, Role role);
     event RoleUpdated(address indexed user, Role newRole);
     event DTIDRegistered(address indexed registrar, bytes32 indexed dtid);
+    event DTIDRevoked(address indexed registrar, bytes32 indexed dtid);
 
     modifier onlyOwner() {
         require(msg.sender == owner, "Only owner can call this");
@@ -64,9 +69,17 @@ contract TouristIDRegistry {
         emit DTIDRegistered(msg.sender, _dtid);
     }
 
-    // Verify if a DTID hash exists
+    // Revoke a registered DTID; it can never be registered again
+    function revokeDTID(bytes32 _dtid) public onlyOwner {
+        require(dtidRegistered[_dtid], "DTID not registered");
+        require(!dtidRevoked[_dtid], "DTID already revoked");
+        dtidRevoked[_dtid] = true;
+        emit DTIDRevoked(msg.sender, _dtid);
+    }
+
+    // Verify if a DTID hash exists and has not been revoked
     function verifyDTID(bytes32 _dtid) public view returns (bool) {
-        return dtidRegistered[_dtid];
+        return dtidRegistered[_dtid] && !dtidRevoked[_dtid];
     }
 
     function totalDTIDs() public view returns (uint) {
@@ -0,0 +1,27 @@
+-- SQL script to create admins table
+-- Run this in Supabase SQL Editor
+
+-- Dashboard admin accounts (passwords stored as bcrypt hashes only)
+CREATE TABLE IF NOT EXISTS public.admins (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  username TEXT UNIQUE NOT NULL,
+  full_name TEXT,
+  role TEXT NOT NULL CHECK (role IN ('operator', 'police', 'tourism-dept', 'superadmin')),
+  password_hash TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES public.admins(id),
+  last_login_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create index on role for filtered listings
+CREATE INDEX IF NOT EXISTS idx_admins_role ON public.admins(role);
+
+-- Add helpful comment
+COMMENT ON TABLE public.admins IS 'Stores dashboard admin accounts and their roles';
+
+-- Only the backend (service role) should read or write admin accounts
+ALTER TABLE public.admins ENABLE ROW LEVEL SECURITY;
+
+-- Create the first superadmin with: npm run admin:bootstrap -- <username> [full name]
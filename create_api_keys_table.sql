@@ -0,0 +1,30 @@
+-- SQL script to create api_keys table
+-- Run this in Supabase SQL Editor
+
+-- Partner API keys (hotels, guides, police scanners). Only a SHA-256 hash of
+-- each key is stored; key_prefix is used for lookup and display.
+CREATE TABLE IF NOT EXISTS public.api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  partner_type TEXT NOT NULL DEFAULT 'other' CHECK (partner_type IN ('hotel', 'guide', 'police_scanner', 'other')),
+  key_prefix TEXT UNIQUE NOT NULL,
+  key_hash TEXT NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  rate_limit_per_minute INTEGER NOT NULL DEFAULT 60 CHECK (rate_limit_per_minute BETWEEN 1 AND 10000),
+  expires_at TIMESTAMP WITH TIME ZONE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  last_used_ip TEXT,
+  created_by UUID REFERENCES public.admins(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create index on partner_type for filtered listings
+CREATE INDEX IF NOT EXISTS idx_api_keys_partner_type ON public.api_keys(partner_type);
+
+-- Add helpful comment
+COMMENT ON TABLE public.api_keys IS 'Stores hashed partner API keys with scopes, rate limits and expiry';
+
+-- Only the backend (service role) should read or write API keys
+ALTER TABLE public.api_keys ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,43 @@
+-- SQL script to create auth_events and auth_lockouts tables
+-- Run this in Supabase SQL Editor
+
+-- Authentication audit log
+CREATE TABLE IF NOT EXISTS public.auth_events (
+  id BIGSERIAL PRIMARY KEY,
+  event_type TEXT NOT NULL CHECK (event_type IN (
+    'registration', 'otp_sent', 'otp_failed', 'otp_verified', 'lockout',
+    'admin_login', 'admin_login_failed', 'refresh', 'refresh_failed', 'logout'
+  )),
+  identifier TEXT,
+  subject_type TEXT,
+  subject_id TEXT,
+  ip_address TEXT,
+  user_agent TEXT,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for admin queries
+CREATE INDEX IF NOT EXISTS idx_auth_events_created_at ON public.auth_events(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auth_events_identifier ON public.auth_events(identifier);
+CREATE INDEX IF NOT EXISTS idx_auth_events_ip ON public.auth_events(ip_address);
+CREATE INDEX IF NOT EXISTS idx_auth_events_type ON public.auth_events(event_type);
+
+-- Progressive lockout state, keyed by "identifier:<value>" or "ip:<address>"
+CREATE TABLE IF NOT EXISTS public.auth_lockouts (
+  key TEXT PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  window_started_at TIMESTAMP WITH TIME ZONE,
+  lockout_count INTEGER NOT NULL DEFAULT 0,
+  last_lockout_at TIMESTAMP WITH TIME ZONE,
+  locked_until TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add helpful comments
+COMMENT ON TABLE public.auth_events IS 'Audit log of registration, OTP, lockout, admin login and token refresh events';
+COMMENT ON TABLE public.auth_lockouts IS 'Brute-force lockout counters per identifier and per IP';
+
+-- Only the backend (service role) should read or write these tables
+ALTER TABLE public.auth_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.auth_lockouts ENABLE ROW LEVEL SECURITY;
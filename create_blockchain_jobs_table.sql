@@ -0,0 +1,41 @@
+-- SQL script for the on-chain registration queue (see src/services/chainQueueService.cjs)
+-- Run this in Supabase SQL Editor
+
+-- One registration job per DTID, queued when its KYC is verified (or a
+-- successor DTID is issued) and worked off in the background:
+--   pending → submitted → confirmed, back to pending with backoff when an
+--   attempt fails, and failed once max_attempts is used up
+CREATE TABLE IF NOT EXISTS public.blockchain_jobs (
+  id BIGSERIAL PRIMARY KEY,
+  dtid TEXT UNIQUE NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'submitted', 'confirmed', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL,
+  -- Due time of the next step; pushed ahead while a worker holds the job
+  next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  transaction_hash TEXT,
+  block_number BIGINT,
+  qr_path TEXT,
+  last_error TEXT,
+  submitted_at TIMESTAMP WITH TIME ZONE,
+  confirmed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_blockchain_jobs_due ON public.blockchain_jobs(status, next_attempt_at);
+
+-- Every attempt is a blockchain_transactions row: submitted when sent, then
+-- confirmed or failed (with the error). Revocations stay single rows.
+ALTER TABLE public.blockchain_transactions ADD COLUMN IF NOT EXISTS job_id BIGINT REFERENCES public.blockchain_jobs(id) ON DELETE SET NULL;
+ALTER TABLE public.blockchain_transactions ADD COLUMN IF NOT EXISTS attempt INTEGER;
+ALTER TABLE public.blockchain_transactions ADD COLUMN IF NOT EXISTS error TEXT;
+ALTER TABLE public.blockchain_transactions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_blockchain_transactions_job_id ON public.blockchain_transactions(job_id);
+
+-- Add helpful comments
+COMMENT ON TABLE public.blockchain_jobs IS 'Queue of on-chain DTID registrations with their retry state';
+
+-- Only the backend (service role) should read or write this table
+ALTER TABLE public.blockchain_jobs ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,35 @@
+-- SQL script to create the itinerary_stops table
+-- Run this in Supabase SQL Editor
+
+-- Planned stops of a tourist's trip, in visiting order
+CREATE TABLE IF NOT EXISTS public.itinerary_stops (
+  id BIGSERIAL PRIMARY KEY,
+  dtid TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  place_name TEXT NOT NULL,
+  latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+  arrival_date DATE,
+  -- Defaults to arrival_date for single-day stops so date lookups need one range check
+  departure_date DATE,
+  accommodation TEXT,
+  contact_number TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (departure_date IS NULL OR arrival_date IS NULL OR departure_date >= arrival_date),
+  CHECK ((latitude IS NULL) = (longitude IS NULL))
+);
+
+-- A tourist's stops in order
+CREATE INDEX IF NOT EXISTS idx_itinerary_stops_dtid ON public.itinerary_stops(dtid, position);
+
+-- "Who is expected at <place> on <day>" lookups
+CREATE INDEX IF NOT EXISTS idx_itinerary_stops_place ON public.itinerary_stops(lower(place_name));
+CREATE INDEX IF NOT EXISTS idx_itinerary_stops_dates ON public.itinerary_stops(arrival_date, departure_date);
+CREATE INDEX IF NOT EXISTS idx_itinerary_stops_coordinates ON public.itinerary_stops(latitude, longitude);
+
+-- Add helpful comment
+COMMENT ON TABLE public.itinerary_stops IS 'Planned itinerary stops (place, coordinates, dates, accommodation, contact) per tourist DTID';
+
+-- Only the backend (service role) should read or write itineraries
+ALTER TABLE public.itinerary_stops ENABLE ROW LEVEL SECURITY;
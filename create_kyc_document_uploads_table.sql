@@ -0,0 +1,22 @@
+-- SQL script to create kyc_document_uploads table
+-- Run this in Supabase SQL Editor
+
+-- Every ID scan uploaded through POST /api/kyc/documents. attached_at is set
+-- when /verify or /resubmit uses the upload's reference, so each reference
+-- works once; uploads never attached are deleted by the retention job.
+CREATE TABLE IF NOT EXISTS public.kyc_document_uploads (
+  storage_key TEXT PRIMARY KEY,
+  document_type TEXT NOT NULL CHECK (document_type IN ('aadhaar', 'passport', 'visa')),
+  attached_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Unattached uploads, oldest first, for the retention job
+CREATE INDEX IF NOT EXISTS idx_kyc_document_uploads_unattached
+  ON public.kyc_document_uploads(created_at) WHERE attached_at IS NULL;
+
+-- Add helpful comment
+COMMENT ON TABLE public.kyc_document_uploads IS 'Uploaded KYC ID scans and whether a submission has used them';
+
+-- Only the backend (service role) should read or write uploads
+ALTER TABLE public.kyc_document_uploads ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,42 @@
+-- SQL script for duplicate tourist detection at KYC submission
+-- Run this in Supabase SQL Editor
+
+-- Set when a submission resembles another active registration (same date of
+-- birth and a similar name, but a different ID); cleared once every match is resolved
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS possible_duplicate BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Lookups used by the duplicate check
+CREATE INDEX IF NOT EXISTS idx_tourists_id_number ON public.tourists(id_number);
+CREATE INDEX IF NOT EXISTS idx_tourists_contact_number ON public.tourists(contact_number);
+CREATE INDEX IF NOT EXISTS idx_tourists_date_of_birth ON public.tourists(date_of_birth);
+
+-- One active registration per ID document. Backs up the duplicate check against
+-- concurrent submissions; trips that ended without a checkout are closed
+-- (checked_out_at) when the same person registers again. Resolve existing
+-- duplicates first or the index cannot be created.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tourists_active_id_number
+  ON public.tourists(id_type, id_number_bidx)
+  WHERE id_number_bidx IS NOT NULL AND successor_dtid IS NULL AND checked_out_at IS NULL AND kyc_status <> 'rejected';
+
+-- Partial matches waiting for an admin to decide
+CREATE TABLE IF NOT EXISTS public.kyc_duplicate_matches (
+  id BIGSERIAL PRIMARY KEY,
+  dtid TEXT NOT NULL,
+  matched_dtid TEXT NOT NULL,
+  score NUMERIC(4, 3) NOT NULL,
+  matched_on TEXT[] NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'not_duplicate', 'duplicate')),
+  resolution_comment TEXT,
+  resolved_by UUID REFERENCES public.admins(id),
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_kyc_duplicate_matches_dtid ON public.kyc_duplicate_matches(dtid);
+CREATE INDEX IF NOT EXISTS idx_kyc_duplicate_matches_status ON public.kyc_duplicate_matches(status, created_at);
+
+-- Add helpful comment
+COMMENT ON TABLE public.kyc_duplicate_matches IS 'Possible duplicate tourist registrations flagged for admin review';
+
+-- Only the backend (service role) should read or write duplicate matches
+ALTER TABLE public.kyc_duplicate_matches ENABLE ROW LEVEL SECURITY;
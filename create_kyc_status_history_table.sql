@@ -0,0 +1,40 @@
+-- SQL script for the KYC review state machine
+-- Run this in Supabase SQL Editor
+
+-- Current KYC status on each tourist. Records created before the review flow
+-- were auto-verified and registered on-chain, so they start as 'verified'.
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS kyc_status TEXT;
+UPDATE public.tourists SET kyc_status = 'verified' WHERE kyc_status IS NULL;
+ALTER TABLE public.tourists ALTER COLUMN kyc_status SET DEFAULT 'submitted';
+ALTER TABLE public.tourists ALTER COLUMN kyc_status SET NOT NULL;
+ALTER TABLE public.tourists DROP CONSTRAINT IF EXISTS tourists_kyc_status_check;
+ALTER TABLE public.tourists ADD CONSTRAINT tourists_kyc_status_check
+  CHECK (kyc_status IN ('submitted', 'under_review', 'verified', 'rejected', 'needs_more_info'));
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS kyc_status_updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_tourists_kyc_status ON public.tourists(kyc_status);
+
+-- Every status change with reason and who made it
+CREATE TABLE IF NOT EXISTS public.kyc_status_history (
+  id BIGSERIAL PRIMARY KEY,
+  dtid TEXT NOT NULL,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  reason TEXT,
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('tourist', 'admin', 'system')),
+  actor_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create index on dtid for history lookups
+CREATE INDEX IF NOT EXISTS idx_kyc_status_history_dtid ON public.kyc_status_history(dtid, created_at);
+
+-- Add helpful comment
+COMMENT ON TABLE public.kyc_status_history IS 'Audit trail of KYC status changes with reasons and reviewer identity';
+
+-- Only the backend (service role) should read or write KYC history
+ALTER TABLE public.kyc_status_history ENABLE ROW LEVEL SECURITY;
+
+-- Tourists are recorded by DTID; replace mobile numbers and emails written before
+UPDATE public.kyc_status_history SET actor_id = dtid WHERE actor_type = 'tourist' AND actor_id IS DISTINCT FROM dtid;
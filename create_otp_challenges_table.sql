@@ -0,0 +1,29 @@
+-- SQL script to create otp_challenges table
+-- Run this in Supabase SQL Editor
+
+-- Pending OTP challenges for the mobile login flow (one per identifier)
+CREATE TABLE IF NOT EXISTS public.otp_challenges (
+  identifier TEXT PRIMARY KEY,
+  otp_hash TEXT NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  dtid TEXT,
+  full_name TEXT,
+  qr_code JSONB,
+  -- Set when the code is redeemed, so it can only be redeemed once
+  consumed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tables created before consumed_at existed
+ALTER TABLE public.otp_challenges ADD COLUMN IF NOT EXISTS consumed_at TIMESTAMP WITH TIME ZONE;
+
+-- Create index on expiry for cleanup of stale challenges
+CREATE INDEX IF NOT EXISTS idx_otp_challenges_expires_at ON public.otp_challenges(expires_at);
+
+-- Add helpful comment
+COMMENT ON TABLE public.otp_challenges IS 'Stores hashed OTP codes, expiry and attempt counts for pending logins';
+
+-- Only the backend (service role) should read or write challenges
+ALTER TABLE public.otp_challenges ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,51 @@
+-- SQL script for consent records and data subject requests (export, erasure)
+-- Run this in Supabase SQL Editor
+
+-- Set once a tourist's data was erased; the row stays as a tombstone so the
+-- DTID keeps resolving (as revoked) for scanners and the on-chain record
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS erased_at TIMESTAMP WITH TIME ZONE;
+
+-- Every consent decision, append-only. The latest row per DTID and purpose is
+-- the current decision; policy_version is the privacy notice it was given to.
+CREATE TABLE IF NOT EXISTS public.consent_records (
+  id BIGSERIAL PRIMARY KEY,
+  dtid TEXT NOT NULL,
+  purpose TEXT NOT NULL CHECK (purpose IN ('tracking', 'police_sharing', 'marketing')),
+  granted BOOLEAN NOT NULL,
+  policy_version TEXT NOT NULL,
+  source TEXT NOT NULL CHECK (source IN ('kyc', 'tourist', 'successor')),
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_consent_records_dtid ON public.consent_records(dtid, purpose, created_at);
+
+-- Exports and erasures requested by tourists
+CREATE TABLE IF NOT EXISTS public.data_subject_requests (
+  id BIGSERIAL PRIMARY KEY,
+  request_type TEXT NOT NULL CHECK (request_type IN ('export', 'deletion')),
+  dtid TEXT NOT NULL,
+  dtids TEXT[] NOT NULL, -- the DTID and its predecessors
+  status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed', 'failed')),
+  reason TEXT,
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('tourist', 'admin', 'system')),
+  actor_id TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  result JSONB,
+  error TEXT,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_dtid ON public.data_subject_requests(dtid);
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_status ON public.data_subject_requests(request_type, status, created_at);
+
+-- Add helpful comments
+COMMENT ON TABLE public.consent_records IS 'Versioned tourist consent to tracking, sharing with police and marketing';
+COMMENT ON TABLE public.data_subject_requests IS 'Tourist data exports and erasures, with the outcome of each erasure step';
+
+-- Only the backend (service role) should read or write these tables
+ALTER TABLE public.consent_records ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.data_subject_requests ENABLE ROW LEVEL SECURITY;
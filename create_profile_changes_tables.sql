@@ -0,0 +1,53 @@
+-- SQL script for tourist self-service profile updates
+-- Run this in Supabase SQL Editor
+
+-- Profile fields a tourist can change. id_number was not stored before;
+-- existing records keep NULL until the tourist's next ID change.
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS accommodation TEXT;
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS id_number TEXT;
+
+-- Identity changes (name, date of birth, ID) wait here for an admin to re-verify them
+CREATE TABLE IF NOT EXISTS public.profile_change_requests (
+  id BIGSERIAL PRIMARY KEY,
+  dtid TEXT NOT NULL,
+  changes JSONB NOT NULL,
+  previous JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  requested_by TEXT,
+  review_comment TEXT,
+  reviewed_by UUID REFERENCES public.admins(id),
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- At most one open change request per tourist
+CREATE UNIQUE INDEX IF NOT EXISTS idx_profile_change_requests_pending
+  ON public.profile_change_requests(dtid) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_profile_change_requests_status ON public.profile_change_requests(status, created_at);
+
+-- Every applied profile change, one row per field
+CREATE TABLE IF NOT EXISTS public.profile_change_history (
+  id BIGSERIAL PRIMARY KEY,
+  dtid TEXT NOT NULL,
+  field TEXT NOT NULL,
+  old_value TEXT,
+  new_value TEXT,
+  change_request_id BIGINT REFERENCES public.profile_change_requests(id),
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('tourist', 'admin', 'system')),
+  actor_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_profile_change_history_dtid ON public.profile_change_history(dtid, created_at);
+
+-- Add helpful comments
+COMMENT ON TABLE public.profile_change_requests IS 'Tourist identity changes awaiting admin re-verification';
+COMMENT ON TABLE public.profile_change_history IS 'Audit trail of applied tourist profile changes';
+
+-- Only the backend (service role) should read or write profile changes
+ALTER TABLE public.profile_change_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.profile_change_history ENABLE ROW LEVEL SECURITY;
+
+-- Tourists are recorded by DTID; replace mobile numbers and emails written before
+UPDATE public.profile_change_requests SET requested_by = dtid WHERE requested_by IS NOT NULL AND requested_by <> dtid;
+UPDATE public.profile_change_history SET actor_id = dtid WHERE actor_type = 'tourist' AND actor_id IS DISTINCT FROM dtid;
@@ -0,0 +1,30 @@
+-- SQL script to create refresh_tokens table
+-- Run this in Supabase SQL Editor
+
+-- Opaque refresh tokens (stored as SHA-256 hashes), grouped into session families
+CREATE TABLE IF NOT EXISTS public.refresh_tokens (
+  id UUID PRIMARY KEY,
+  family_id UUID NOT NULL,
+  subject_type TEXT NOT NULL CHECK (subject_type IN ('tourist', 'admin')),
+  subject_id TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  claims JSONB NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  replaced_by UUID,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_reason TEXT,
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for session and subject-wide revocation
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON public.refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_subject ON public.refresh_tokens(subject_type, subject_id);
+
+-- Add helpful comment
+COMMENT ON TABLE public.refresh_tokens IS 'Stores hashed refresh tokens for tourist and admin sessions';
+
+-- Only the backend (service role) should read or write refresh tokens
+ALTER TABLE public.refresh_tokens ENABLE ROW LEVEL SECURITY;
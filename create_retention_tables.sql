@@ -0,0 +1,42 @@
+-- SQL script for the data retention job (see src/services/retentionService.cjs)
+-- Run this in Supabase SQL Editor, after create_privacy_tables.sql
+
+-- One row per run of the retention job, dry runs included
+CREATE TABLE IF NOT EXISTS public.retention_runs (
+  id BIGSERIAL PRIMARY KEY,
+  dry_run BOOLEAN NOT NULL,
+  trigger TEXT NOT NULL CHECK (trigger IN ('scheduler', 'admin', 'script')),
+  actor_id TEXT,
+  policy JSONB NOT NULL, -- retention in days per rule, null when the rule is off
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  summary JSONB,
+  error TEXT,
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_runs_started_at ON public.retention_runs(started_at);
+
+-- Everything a run purged (or, in a dry run, would purge). dtid is null for
+-- QR images no registration refers to any more.
+CREATE TABLE IF NOT EXISTS public.retention_purges (
+  id BIGSERIAL PRIMARY KEY,
+  run_id BIGINT NOT NULL REFERENCES public.retention_runs(id) ON DELETE CASCADE,
+  rule TEXT NOT NULL CHECK (rule IN ('id_document', 'qr_code', 'profile')),
+  dtid TEXT,
+  targets TEXT[] NOT NULL, -- storage keys, bucket objects, files or DTIDs
+  outcome TEXT NOT NULL CHECK (outcome IN ('planned', 'purged', 'failed')),
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_purges_run_id ON public.retention_purges(run_id);
+CREATE INDEX IF NOT EXISTS idx_retention_purges_dtid ON public.retention_purges(dtid);
+
+-- Add helpful comments
+COMMENT ON TABLE public.retention_runs IS 'Runs of the data retention job with the policy applied and a summary';
+COMMENT ON TABLE public.retention_purges IS 'Audit record of every ID scan, QR code and profile purged by the retention job';
+
+-- Only the backend (service role) should read or write these tables
+ALTER TABLE public.retention_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.retention_purges ENABLE ROW LEVEL SECURITY;
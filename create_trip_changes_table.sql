@@ -0,0 +1,40 @@
+-- SQL script for trip extensions and early checkouts
+-- Run this in Supabase SQL Editor
+
+-- A DTID is hashed from id | trip_start | trip_end. Extending a trip whose DTID
+-- is already on-chain issues a successor DTID (new row, new registration and
+-- QR); the predecessor row is kept and points at its successor.
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS predecessor_dtid TEXT;
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS successor_dtid TEXT;
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.tourists ADD COLUMN IF NOT EXISTS checked_out_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_tourists_predecessor_dtid ON public.tourists(predecessor_dtid);
+
+-- Every change to a trip's dates
+CREATE TABLE IF NOT EXISTS public.trip_changes (
+  id BIGSERIAL PRIMARY KEY,
+  dtid TEXT NOT NULL,
+  change_type TEXT NOT NULL CHECK (change_type IN ('extend', 'checkout')),
+  old_trip_start DATE,
+  old_trip_end DATE,
+  new_trip_start DATE,
+  new_trip_end DATE,
+  successor_dtid TEXT,
+  reason TEXT,
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('tourist', 'admin', 'system')),
+  actor_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_changes_dtid ON public.trip_changes(dtid, created_at);
+CREATE INDEX IF NOT EXISTS idx_trip_changes_successor_dtid ON public.trip_changes(successor_dtid);
+
+-- Add helpful comment
+COMMENT ON TABLE public.trip_changes IS 'Audit trail of trip extensions and early checkouts, with successor DTIDs';
+
+-- Only the backend (service role) should read or write trip changes
+ALTER TABLE public.trip_changes ENABLE ROW LEVEL SECURITY;
+
+-- Tourists are recorded by DTID; replace mobile numbers and emails written before
+UPDATE public.trip_changes SET actor_id = dtid WHERE actor_type = 'tourist' AND actor_id IS DISTINCT FROM dtid;
@@ -0,0 +1,55 @@
+// scripts/bootstrap-admin.cjs
+// Create the first superadmin account in the admins table.
+//
+// Usage: node scripts/bootstrap-admin.cjs <username> [full name] [--force]
+// Password: ADMIN_BOOTSTRAP_PASSWORD env var, otherwise a random one is generated and printed once.
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { createAdmin, countActiveSuperadmins } = require('../src/services/adminService.cjs');
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const force = args.includes('--force');
+  const [username, ...nameParts] = args.filter(arg => arg !== '--force');
+
+  if (!username) {
+    console.error('Usage: node scripts/bootstrap-admin.cjs <username> [full name] [--force]');
+    process.exit(1);
+  }
+
+  return { username, fullName: nameParts.join(' ') || null, force };
+}
+
+async function main() {
+  const { username, fullName, force } = parseArgs(process.argv);
+
+  const existing = await countActiveSuperadmins();
+  if (existing > 0 && !force) {
+    throw new Error(`${existing} active superadmin(s) already exist. Use the admin API, or pass --force.`);
+  }
+
+  const generated = !process.env.ADMIN_BOOTSTRAP_PASSWORD;
+  const password = process.env.ADMIN_BOOTSTRAP_PASSWORD || crypto.randomBytes(18).toString('base64url');
+
+  const result = await createAdmin({
+    username,
+    password,
+    role: 'superadmin',
+    full_name: fullName
+  });
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  console.log('✅ Superadmin created:', result.data.username, `(id: ${result.data.id})`);
+  if (generated) {
+    console.log('🔑 Generated password (shown once, store it securely):', password);
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Bootstrap failed:', error.message);
+  process.exitCode = 1;
+});
@@ -1,35 +1,40 @@
 import { writeFileSync, mkdirSync, readFileSync } from "fs";
+import { createRequire } from "module";
 import path from "path";
 import { ethers } from "ethers";
 
+// Network and artifact paths shared with the API (CHAIN_NETWORK, CHAIN_RPC_URL, ...)
+const require = createRequire(import.meta.url);
+const { resolveNetwork, artifactPath, addressesPath, CONTRACT_NAME } = require("../src/config/chain.cjs");
+
 async function main() {
-  const rpcUrlRaw = (process.env.SEPOLIA_RPC_URL || "").trim();
+  const { network, rpcUrl: rpcUrlRaw, chainId, problems } = resolveNetwork();
   const pkRaw = (process.env.PRIVATE_KEY || "").trim();
 
   const mask = (s: string) => (s ? `${s.slice(0, 6)}...${s.slice(-4)} (len=${s.length})` : "<empty>");
-  const missing: string[] = [];
-  if (!rpcUrlRaw) missing.push("SEPOLIA_RPC_URL");
-  if (!pkRaw) missing.push("PRIVATE_KEY");
+  const missing: string[] = [...problems];
+  if (!pkRaw) missing.push("PRIVATE_KEY is not set");
   if (missing.length) {
-    console.error("Env check failed. Missing:", missing.join(", "));
-    console.error("SEPOLIA_RPC_URL=", mask(rpcUrlRaw));
+    console.error(`Env check failed for network "${network}":`, missing.join("; "));
+    console.error("RPC URL=", mask(rpcUrlRaw || ""));
     console.error("PRIVATE_KEY=", mask(pkRaw));
-    throw new Error("Missing SEPOLIA_RPC_URL or PRIVATE_KEY in environment variables");
+    throw new Error(`Missing chain configuration for ${network}`);
   }
 
   const provider = new ethers.JsonRpcProvider(rpcUrlRaw);
+  const { chainId: actualChainId } = await provider.getNetwork();
+  if (actualChainId !== BigInt(chainId)) {
+    throw new Error(`RPC URL is on chain ${actualChainId}, expected ${chainId} for ${network}`);
+  }
   const deployer = new ethers.Wallet(pkRaw, provider);
   const balance = await provider.getBalance(deployer.address);
   console.log("Deploying contracts with:", deployer.address);
   console.log("Deployer balance:", ethers.formatEther(balance), "ETH");
   if (balance === 0n) {
-    throw new Error("Deployer has 0 balance on Sepolia");
+    throw new Error(`Deployer has 0 balance on ${network}`);
   }
 
-  const artifactPath = path.resolve(
-    "artifacts/contracts/TouristIDRegistry.sol/TouristIDRegistry.json"
-  );
-  const artifact = JSON.parse(readFileSync(artifactPath, "utf-8"));
+  const artifact = JSON.parse(readFileSync(artifactPath(), "utf-8"));
   const abi = artifact.abi;
   const bytecode = artifact.bytecode || artifact?.evm?.bytecode?.object;
   if (!bytecode) {
@@ -42,12 +47,12 @@ async function main() {
 
   await registry.waitForDeployment();
   const address = await registry.getAddress();
-  console.log("TouristIDRegistry deployed to:", address);
+  console.log(`${CONTRACT_NAME} deployed to:`, address);
 
-  const outDir = path.resolve("artifacts");
-  try { mkdirSync(outDir, { recursive: true }); } catch {}
-  const outPath = path.join(outDir, "addresses.sepolia.json");
-  writeFileSync(outPath, JSON.stringify({ TouristIDRegistry: address }, null, 2));
+  // Read by src/config/chain.cjs for this network
+  const outPath = addressesPath(network);
+  try { mkdirSync(path.dirname(outPath), { recursive: true }); } catch {}
+  writeFileSync(outPath, JSON.stringify({ [CONTRACT_NAME]: address, chainId }, null, 2));
   console.log("Saved address to:", outPath);
 }
 
@@ -1,17 +1,15 @@
-import { readFileSync } from "fs";
 import { ethers } from "ethers";
+import chainConfig from "../src/config/chain.cjs";
 
-const rpcUrl = (process.env.SEPOLIA_RPC_URL || "").trim();
-if (!rpcUrl) {
-  console.error("Missing SEPOLIA_RPC_URL env var");
+// Reading needs no PRIVATE_KEY
+const { network, rpcUrl, chainId, contractAddress, abi, problems } = chainConfig.getChainConfig();
+if (!rpcUrl || !contractAddress || !abi) {
+  console.error(`Blockchain is not configured for ${network}:`, problems.join("; "));
   process.exit(1);
 }
 
-const { TouristIDRegistry } = JSON.parse(readFileSync(new URL("../artifacts/addresses.sepolia.json", import.meta.url)));
-const artifact = JSON.parse(readFileSync(new URL("../artifacts/contracts/TouristIDRegistry.sol/TouristIDRegistry.json", import.meta.url)));
-
-const provider = new ethers.JsonRpcProvider(rpcUrl);
-const contract = new ethers.Contract(TouristIDRegistry, artifact.abi, provider);
+const provider = new ethers.JsonRpcProvider(rpcUrl, chainId ?? undefined);
+const contract = new ethers.Contract(contractAddress, abi, provider);
 
 const total = await contract.totalDTIDs();
 console.log("total:", total.toString());
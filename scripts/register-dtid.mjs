@@ -1,9 +1,9 @@
 import { ethers } from "ethers";
-import { readFileSync } from "fs";
 import path from "path";
 import QRCode from "qrcode";
 import * as dotenv from "dotenv";
 import { generateUserHash } from "../src/services/hashService.js";
+import chainConfig from "../src/config/chain.cjs";
 
 dotenv.config();
 
@@ -24,9 +24,8 @@ function parseArgs(argv) {
 }
 
 async function main() {
-  const rpcUrl = (process.env.SEPOLIA_RPC_URL || "").trim();
-  const privateKey = (process.env.PRIVATE_KEY || "").trim();
-  if (!rpcUrl || !privateKey) throw new Error("Missing SEPOLIA_RPC_URL or PRIVATE_KEY");
+  const chain = chainConfig.getChainConfig();
+  if (!chain.configured) throw new Error(chain.problems.join("; "));
 
   const input = parseArgs(process.argv);
 
@@ -44,16 +43,12 @@ async function main() {
   const dtid = `0x${sha256Hex.toLowerCase()}`;
   console.log("DTID (bytes32):", dtid);
 
-  const provider = new ethers.JsonRpcProvider(rpcUrl);
-  const wallet = new ethers.Wallet(privateKey, provider);
+  const provider = new ethers.JsonRpcProvider(chain.rpcUrl, chain.chainId);
+  const wallet = new ethers.Wallet(chain.privateKey, provider);
   console.log("Using deployer address:", wallet.address);
 
-  const addresses = JSON.parse(readFileSync(path.resolve("artifacts/addresses.sepolia.json"), "utf-8"));
-  const registryAddress = addresses.TouristIDRegistry;
-  const artifact = JSON.parse(
-    readFileSync(path.resolve("artifacts/contracts/TouristIDRegistry.sol/TouristIDRegistry.json"), "utf-8")
-  );
-  const contract = new ethers.Contract(registryAddress, artifact.abi, wallet);
+  const registryAddress = chain.contractAddress;
+  const contract = new ethers.Contract(registryAddress, chain.abi, wallet);
 
   const tx = await contract.registerDTID(dtid);
   console.log("Tx sent:", tx.hash);
@@ -1,5 +1,5 @@
 import { ethers } from "ethers";
-import { readFileSync } from "fs";
+import { createRequire } from "module";
 import path from "path";
 import QRCode from "qrcode";
 import * as dotenv from "dotenv";
@@ -10,6 +10,10 @@ import { generateUserHash } from "../src/src/services/services/hashService.js";
 
 dotenv.config();
 
+// Network, ABI and address shared with the API (see src/config/chain.cjs)
+const require = createRequire(import.meta.url);
+const { getChainConfig } = require("../src/config/chain.cjs");
+
 type UserInput = {
   idNumber: string;
   tripStart: string;
@@ -37,10 +41,9 @@ function parseArgs(argv: string[]): UserInput {
 }
 
 async function main() {
-  const rpcUrl = process.env.SEPOLIA_RPC_URL?.trim() || "";
-  const privateKey = process.env.PRIVATE_KEY?.trim() || "";
-  if (!rpcUrl || !privateKey) {
-    throw new Error("Missing SEPOLIA_RPC_URL or PRIVATE_KEY in environment variables");
+  const chain = getChainConfig();
+  if (!chain.configured) {
+    throw new Error(`Blockchain is not configured: ${chain.problems.join("; ")}`);
   }
 
   const input = parseArgs(process.argv);
@@ -64,18 +67,14 @@ async function main() {
   const dtid: `0x${string}` = `0x${sha256Hex.toLowerCase()}`;
   console.log("DTID (bytes32):", dtid);
 
-  // 3) Connect to Sepolia with ethers v6
-  const provider = new ethers.JsonRpcProvider(rpcUrl);
-  const wallet = new ethers.Wallet(privateKey, provider);
+  // 3) Connect to the configured network with ethers v6
+  const provider = new ethers.JsonRpcProvider(chain.rpcUrl, chain.chainId);
+  const wallet = new ethers.Wallet(chain.privateKey, provider);
   console.log("Using deployer address:", wallet.address);
 
   // 4) Load deployed contract
-  const addresses = JSON.parse(readFileSync(path.resolve("artifacts/addresses.sepolia.json"), "utf-8"));
-  const registryAddress: string = addresses.TouristIDRegistry;
-  const artifact = JSON.parse(
-    readFileSync(path.resolve("artifacts/contracts/TouristIDRegistry.sol/TouristIDRegistry.json"), "utf-8")
-  );
-  const contract = new ethers.Contract(registryAddress, artifact.abi, wallet);
+  const registryAddress: string = chain.contractAddress;
+  const contract = new ethers.Contract(registryAddress, chain.abi, wallet);
 
   // 5) Call registerDTID (requires owner)
   const tx = await contract.registerDTID(dtid);
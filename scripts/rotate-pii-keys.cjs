@@ -0,0 +1,84 @@
+// scripts/rotate-pii-keys.cjs
+// Encrypt, re-wrap and re-index tourist PII (see src/services/piiService.cjs).
+//
+// Usage: node scripts/rotate-pii-keys.cjs [--reindex]
+//  - rows written before encryption are encrypted under a new data key
+//  - data keys wrapped with an older master key are re-wrapped with PII_MASTER_KEY_VERSION
+//  - --reindex recomputes every blind index (after changing PII_BLIND_INDEX_KEY)
+// Safe to run again; rows already up to date are left alone.
+
+require('dotenv').config();
+const supabase = require('../src/config/database.cjs');
+const {
+  PII_FIELDS,
+  BLIND_INDEX_FIELDS,
+  currentKeyVersion,
+  rewrapDataKey,
+  blindIndex,
+  encryptTouristRow,
+  decryptTouristRow
+} = require('../src/services/piiService.cjs');
+
+const BATCH_SIZE = 200;
+
+function changesFor(row, reindex) {
+  if (!row.pii_data_key) {
+    const legacy = Object.fromEntries(PII_FIELDS.map(field => [field, row[field] ?? null]));
+    return { kind: 'encrypted', update: encryptTouristRow(legacy) };
+  }
+
+  let update = {};
+  if (row.pii_key_version !== currentKeyVersion()) {
+    update = rewrapDataKey(row.pii_data_key);
+  }
+  if (reindex) {
+    const decrypted = decryptTouristRow(row);
+    for (const field of BLIND_INDEX_FIELDS) {
+      update[`${field}_bidx`] = blindIndex(field, decrypted[field]);
+    }
+  }
+  if (Object.keys(update).length === 0) return null;
+  return { kind: update.pii_data_key ? 'rewrapped' : 'reindexed', update };
+}
+
+async function main() {
+  const reindex = process.argv.includes('--reindex');
+  const counts = { encrypted: 0, rewrapped: 0, reindexed: 0, unchanged: 0 };
+
+  console.log(`🔐 Master key version ${currentKeyVersion()}${reindex ? ', recomputing blind indexes' : ''}`);
+
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const { data: rows, error } = await supabase
+      .from('tourists')
+      .select('*')
+      .order('dtid', { ascending: true })
+      .range(offset, offset + BATCH_SIZE - 1);
+
+    if (error) throw new Error(error.message);
+
+    for (const row of rows) {
+      const changes = changesFor(row, reindex);
+      if (!changes) {
+        counts.unchanged++;
+        continue;
+      }
+
+      const { error: updateError } = await supabase
+        .from('tourists')
+        .update(changes.update)
+        .eq('dtid', row.dtid);
+
+      if (updateError) throw new Error(`${row.dtid}: ${updateError.message}`);
+      counts[changes.kind]++;
+    }
+
+    if (rows.length < BATCH_SIZE) break;
+  }
+
+  console.log('✅ PII rotation complete:', counts);
+}
+
+main().catch((error) => {
+  console.error('❌ PII rotation failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,31 @@
+// scripts/run-retention.cjs
+// Run the data retention job once (see src/services/retentionService.cjs).
+//
+// Usage: node scripts/run-retention.cjs [--dry-run]
+//  - purges ID scans, QR codes and profiles past the retention policy
+//  - --dry-run lists what would be purged without deleting anything
+// The run and everything it purged are recorded in retention_runs and retention_purges.
+
+require('dotenv').config();
+const { runRetention } = require('../src/services/retentionService.cjs');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const result = await runRetention({ dryRun, trigger: 'script' });
+
+  if (!result.success) throw new Error(result.error);
+
+  const { id, status, policy, summary, purges, error } = result.data;
+  console.log(`🗑️  Retention run ${id}${dryRun ? ' (dry run)' : ''}, policy in days:`, policy);
+  for (const purge of purges) {
+    console.log(`  ${purge.outcome.padEnd(7)} ${purge.rule.padEnd(11)} ${purge.dtid || '(unreferenced)'}: ${purge.targets.join(', ')}${purge.error ? ` (${purge.error})` : ''}`);
+  }
+
+  if (status !== 'completed') throw new Error(error);
+  console.log('✅ Retention run complete:', summary);
+}
+
+main().catch((error) => {
+  console.error('❌ Retention run failed:', error.message);
+  process.exitCode = 1;
+});
@@ -1,28 +1,23 @@
 import { ethers } from "ethers";
-import { readFileSync } from "fs";
+import { createRequire } from "module";
 import path from "path";
 import QRCode from "qrcode";
 import * as dotenv from "dotenv";
 dotenv.config();
 
+// Network, ABI and address shared with the API (see src/config/chain.cjs)
+const require = createRequire(import.meta.url);
+const { getChainConfig } = require("../src/config/chain.cjs");
+
 async function main() {
-  const rpcUrl = process.env.SEPOLIA_RPC_URL?.trim() || "";
-  const privateKey = process.env.PRIVATE_KEY?.trim() || "";
-  if (!rpcUrl || !privateKey) throw new Error("Missing SEPOLIA_RPC_URL or PRIVATE_KEY");
-
-  const provider = new ethers.JsonRpcProvider(rpcUrl);
-  const wallet = new ethers.Wallet(privateKey, provider);
-
-  const addresses = JSON.parse(readFileSync("artifacts/addresses.sepolia.json", "utf-8"));
-  const registryAddress = addresses.TouristIDRegistry;
-
-  const artifact = JSON.parse(
-    readFileSync(
-      path.resolve("artifacts/contracts/TouristIDRegistry.sol/TouristIDRegistry.json"),
-      "utf-8"
-    )
-  );
-  const contract = new ethers.Contract(registryAddress, artifact.abi, wallet);
+  const chain = getChainConfig();
+  if (!chain.configured) throw new Error(chain.problems.join("; "));
+
+  const provider = new ethers.JsonRpcProvider(chain.rpcUrl, chain.chainId);
+  const wallet = new ethers.Wallet(chain.privateKey, provider);
+
+  const registryAddress: string = chain.contractAddress;
+  const contract = new ethers.Contract(registryAddress, chain.abi, wallet);
 
   const touristID = process.argv[2] || "TOURIST123";
   const startDate = process.argv[3] || "2025-09-22";
@@ -2,10 +2,10 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 const path = require('path');
-
+const { describeChain } = require('./src/config/chain.cjs');
+const { ipLimiter } = require('./src/middleware/auth.cjs');
 
 const app = express();
 
@@ -16,30 +16,31 @@ app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    message: 'Too many requests from this IP, please try again later.'
-  }
-});
-app.use(limiter);
+// KYC routes open to partner API keys apply the per-IP limit themselves,
+// after telling valid keys (limited per key) apart; see middleware/auth.cjs
+app.use('/api/kyc', require('./src/routes/kyc.cjs'));
+
+// Rate limiting: 100 requests per IP per 15 minutes
+app.use(ipLimiter);
 
 // Serve static files (for QR codes)
 app.use('/qr-codes', express.static(path.join(__dirname, 'public/qr-codes')));
 
 // Routes
 app.use('/api/auth', require('./src/routes/auth.cjs'));
-app.use('/api/kyc', require('./src/routes/kyc.cjs'));
+app.use('/api/admin', require('./src/routes/admin.cjs'));
+app.use('/api/itinerary', require('./src/routes/itinerary.cjs'));
+app.use('/api/trip', require('./src/routes/trip.cjs'));
+app.use('/api/privacy', require('./src/routes/privacy.cjs'));
+app.use('/api/schemas', require('./src/routes/schemas.cjs'));
 
-// Health check endpoint
+// Health check endpoint, with the network and contract the API is bound to
 app.get('/health', (req, res) => {
   res.json({
     success: true,
     message: 'Server is healthy',
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    chain: describeChain()
   });
 });
 
@@ -51,20 +52,86 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       authentication: {
+        'POST /api/auth/register': 'Request OTP by mobile_number (SMS) or email',
+        'POST /api/auth/verify-otp': 'OTP verification',
+        'POST /api/auth/resend-otp': 'Resend OTP',
         'POST /api/auth/admin/login': 'Admin login',
-        'POST /api/auth/refresh': 'Tourist token refresh'
+        'POST /api/auth/refresh': 'Rotate refresh token (tourist or admin)',
+        'POST /api/auth/logout': 'Revoke current session'
+      },
+      admin: {
+        'GET /api/admin/admins': 'List admin accounts (superadmin)',
+        'POST /api/admin/admins': 'Create admin account (superadmin)',
+        'POST /api/admin/admins/:id/disable': 'Disable admin account (superadmin)',
+        'POST /api/admin/admins/:id/enable': 'Re-enable admin account (superadmin)',
+        'POST /api/admin/admins/:id/reset-password': 'Reset admin password (superadmin)',
+        'POST /api/admin/sessions/revoke': 'Revoke all sessions for a DTID or admin',
+        'GET /api/admin/auth-events': 'Query authentication audit log (superadmin)',
+        'GET /api/admin/api-keys': 'List partner API keys (tourism-dept)',
+        'POST /api/admin/api-keys': 'Create partner API key (tourism-dept)',
+        'POST /api/admin/api-keys/:id/revoke': 'Revoke partner API key (tourism-dept)',
+        'GET /api/admin/kyc': 'KYC review queue (operator, tourism-dept)',
+        'GET /api/admin/kyc/:dtid': 'KYC submission with signed document URL (operator, tourism-dept)',
+        'POST /api/admin/kyc/:dtid/approve': 'Approve KYC and notify tourist (operator, tourism-dept)',
+        'POST /api/admin/kyc/:dtid/reject': 'Reject KYC with comment and notify tourist (operator, tourism-dept)',
+        'POST /api/admin/kyc/:dtid/status': 'Move KYC to under_review, verified, rejected or needs_more_info (operator, tourism-dept)',
+        'GET /api/admin/kyc/:dtid/history': 'KYC status history (operator, tourism-dept)',
+        'GET /api/admin/kyc/duplicates': 'Possible duplicate registrations (operator, tourism-dept)',
+        'POST /api/admin/kyc/duplicates/:id/resolve': 'Mark a match duplicate (rejects the KYC) or not_duplicate (operator, tourism-dept)',
+        'GET /api/admin/chain/jobs': 'On-chain registration jobs (operator, tourism-dept)',
+        'POST /api/admin/chain/jobs/:id/retry': 'Retry a failed on-chain registration (operator, tourism-dept)',
+        'GET /api/admin/chain/registrar': 'Registrar wallet balance, nonces and pending transactions (operator, tourism-dept)',
+        'GET /api/admin/itinerary/expected': 'Tourists expected at a place on a date (operator, police, tourism-dept)',
+        'GET /api/admin/profile-changes': 'Identity change requests (operator, tourism-dept)',
+        'POST /api/admin/profile-changes/:id/approve': 'Apply an identity change (operator, tourism-dept)',
+        'POST /api/admin/profile-changes/:id/reject': 'Reject an identity change with comment (operator, tourism-dept)',
+        'POST /api/admin/trip/:dtid/extend': 'Extend a tourist\'s trip (operator, tourism-dept)',
+        'POST /api/admin/trip/:dtid/checkout': 'Check a tourist out early (operator, tourism-dept)',
+        'GET /api/admin/privacy/requests': 'Data exports and erasures (tourism-dept)',
+        'POST /api/admin/privacy/requests/:id/retry': 'Retry a failed erasure (tourism-dept)',
+        'GET /api/admin/retention/runs': 'Data retention runs (tourism-dept)',
+        'GET /api/admin/retention/runs/:id': 'A retention run and everything it purged (tourism-dept)',
+        'POST /api/admin/retention/runs': 'Run the retention job now, as a dry run by default (tourism-dept)'
+      },
+      itinerary: {
+        'GET /api/itinerary/:dtid': 'Itinerary stops in order (own DTID, or admin)',
+        'POST /api/itinerary/:dtid/stops': 'Add a stop (tourist)',
+        'PATCH /api/itinerary/:dtid/stops/:stopId': 'Edit a stop (tourist)',
+        'DELETE /api/itinerary/:dtid/stops/:stopId': 'Remove a stop (tourist)',
+        'PUT /api/itinerary/:dtid/order': 'Reorder stops (tourist)'
+      },
+      trip: {
+        'POST /api/trip/:dtid/extend': 'Extend the trip; a verified DTID gets a successor DTID and QR (tourist)',
+        'POST /api/trip/:dtid/checkout': 'End the trip early, DTID stays valid (tourist)',
+        'GET /api/trip/:dtid/history': 'Trip changes across predecessor DTIDs (own DTID, or admin)'
+      },
+      privacy: {
+        'GET /api/privacy/:dtid/consents': 'Current consent and its history (own DTID, or admin)',
+        'POST /api/privacy/:dtid/consents': 'Give or withdraw consent (tourist)',
+        'GET /api/privacy/:dtid/export': 'Export all stored data as JSON (tourist)',
+        'POST /api/privacy/:dtid/deletion': 'Erase stored data and revoke the DTID on-chain (tourist)'
       },
       kyc: {
-        'POST /api/kyc/verify': 'KYC verification and DTID generation',
-        'GET /api/kyc/:dtid': 'Get tourist profile'
+        'POST /api/kyc/documents': 'Upload ID document (multipart), returns a single-use id_document_ref',
+        'GET /api/kyc/documents/:reference': 'View ID document via signed link (from admin KYC view)',
+        'POST /api/kyc/verify': 'Submit KYC for review (DTID is registered on-chain once verified)',
+        'GET /api/kyc/:dtid/status': 'KYC status and history (own DTID, or admin)',
+        'POST /api/kyc/:dtid/resubmit': 'Resubmit KYC after needs_more_info (tourist)',
+        'GET /api/kyc/verify/:dtid': 'Verify a scanned DTID (JWT, or API key with dtid:verify)',
+        'GET /api/kyc/:dtid/chain-status': 'On-chain registration status, attempts and the network and contract (own DTID, admin, or API key with dtid:verify)',
+        'GET /api/kyc/:dtid': 'Get tourist profile, redacted by role (own DTID, admin, or API key with profile:read)',
+        'PATCH /api/kyc/:dtid': 'Update own profile; identity fields go to admin review (tourist)',
+        'GET /api/kyc/:dtid/changes': 'Profile change history and change requests (own DTID, or admin)',
+        'GET /api/kyc/test/database': 'Database connection test (admin)',
+        'GET /api/kyc/test/qr-codes': 'QR code storage test (admin)'
+      },
+      schemas: {
+        'GET /api/schemas': 'List request schema names',
+        'GET /api/schemas/:name': 'JSON Schema for a request payload (e.g. kyc.verify)'
       }
     },
     authentication: {
-        header: 'Authorization: Bearer <token>',
-        admin_credentials: {
-          username: 'admin',
-          password: 'admin123'
-        }
+        header: 'Authorization: Bearer <token>'
       }
     });
 });
@@ -89,12 +156,19 @@ app.use('*', (req, res) => {
 
   const PORT = process.env.PORT || 3000;
 
+// Refuse to start in production without real SMS and email providers
+require('./src/services/notificationService.cjs').assertNotificationProviders();
+
 app.listen(PORT, () => {
   console.log(`🚀 Smart Tourist Safety Monitoring API Server is running on port ${PORT}`);
   console.log(`📍 API Documentation: http://localhost:${PORT}`);
   console.log(`🏥 Health Check: http://localhost:${PORT}/health`);
-  console.log(`🔐 Admin Login: POST http://localhost:${PORT}/auth/admin/login`);
+  console.log(`🔐 Admin Login: POST http://localhost:${PORT}/api/auth/admin/login`);
   console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  require('./src/services/chainQueueService.cjs').startChainWorker();
+  require('./src/services/registrarSigner.cjs').startRegistrarMonitor();
+  require('./src/services/retentionService.cjs').startRetentionScheduler();
 });
 
 module.exports = app;
@@ -1,94 +1,6 @@
-require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
-const morgan = require('morgan');
-const path = require('path');
+// server.js
+// ESM entry point (`node server.js`). The app, routes and listener live in
+// server.cjs, so both entry points load the same modules and behave identically.
+import app from './server.cjs';
 
-
-const app = express();
-
-// Middleware
-app.use(helmet());
-app.use(cors());
-app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    message: 'Too many requests from this IP, please try again later.'
-  }
-});
-app.use(limiter);
-
-// Serve static files (for QR codes)
-app.use('/qr-codes', express.static(path.join(__dirname, 'public/qr-codes')));
-
-// Routes
-app.use('/api/auth', require('./src/routes/auth'));
-app.use('/kyc', require('./src/routes/kyc'));
-
-// API documentation endpoint
-app.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Smart Tourist Safety Monitoring & Incident Response System API',
-    version: '1.0.0',
-    endpoints: {
-      authentication: {
-        'POST /api/auth/register': 'Mobile number registration',
-        'POST /api/auth/verify-otp': 'OTP verification',
-        'POST /api/auth/resend-otp': 'Resend OTP',
-        'POST /api/auth/admin/login': 'Admin login',
-        'POST /api/auth/refresh': 'Tourist token refresh'
-      },
-      kyc: {
-        'POST /kyc/verify': 'KYC verification and DTID generation',
-        'GET /kyc/:dtid': 'Get tourist profile'
-      }
-    },
-    authentication: {
-        header: 'Authorization: Bearer <token>',
-        admin_credentials: {
-          username: 'admin',
-          password: 'admin123'
-        }
-      }
-    });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Error:', err);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? err.message : undefined
-    });
-  });
-
-  // 404 handler
-app.use('*', (req, res) => {
-    res.status(404).json({
-      success: false,
-      message: 'Endpoint not found'
-    });
-  });
-
-  const PORT = process.env.PORT || 3000;
-
-app.listen(PORT, () => {
-  console.log(`🚀 Smart Tourist Safety Monitoring API Server is running on port ${PORT}`);
-  console.log(`📍 API Documentation: http://localhost:${PORT}`);
-  console.log(`🏥 Health Check: http://localhost:${PORT}/health`);
-  console.log(`🔐 Admin Login: POST http://localhost:${PORT}/auth/admin/login`);
-  console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
-
-module.exports = app;
\ No newline at end of file
+export default app;
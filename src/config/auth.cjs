@@ -3,10 +3,13 @@ const jwt = require('jsonwebtoken');
 const JWT_SECRET = process.env.JWT_SECRET || 'devsecret';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
 
-function generateToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+function generateToken(payload, options = {}) {
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN, ...options });
 }
 
-module.exports = { generateToken };
-
+// Throws (JsonWebTokenError / TokenExpiredError) if the token is invalid
+function verifyToken(token) {
+  return jwt.verify(token, JWT_SECRET);
+}
 
+module.exports = { generateToken, verifyToken };
@@ -0,0 +1,173 @@
+// src/config/chain.cjs
+// Network and TouristIDRegistry contract the API and scripts/ are bound to
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * CHAIN_NETWORK (default sepolia) picks the network:
+ *  - hardhat / localhost: a local `npx hardhat node` at http://127.0.0.1:8545
+ *  - sepolia: SEPOLIA_RPC_URL
+ *  - any other EVM network: CHAIN_RPC_URL and CHAIN_ID
+ * CHAIN_RPC_URL and CHAIN_ID also override the defaults of the known ones.
+ *
+ * The ABI comes from the Hardhat artifact (`npx hardhat compile`) and the
+ * address from artifacts/addresses.<network>.json, written by scripts/deploy.ts.
+ * CHAIN_CONTRACT_ADDRESS overrides the address; CHAIN_ARTIFACTS_DIR moves the
+ * artifacts. Transactions are signed with PRIVATE_KEY.
+ */
+
+const KNOWN_NETWORKS = {
+  hardhat: { rpcUrl: 'http://127.0.0.1:8545', chainId: 31337 },
+  localhost: { rpcUrl: 'http://127.0.0.1:8545', chainId: 31337 },
+  sepolia: { rpcUrlEnv: 'SEPOLIA_RPC_URL', chainId: 11155111 }
+};
+
+const CONTRACT_NAME = 'TouristIDRegistry';
+
+// Called by the API; an artifact compiled before they existed must be rebuilt
+const REQUIRED_FUNCTIONS = ['registerDTID', 'verifyDTID', 'revokeDTID', 'dtidRevoked'];
+
+let config = null;
+
+function artifactsDir() {
+  return path.resolve(__dirname, '..', '..', process.env.CHAIN_ARTIFACTS_DIR || 'artifacts');
+}
+
+/**
+ * Compiled contract written by Hardhat
+ * @returns {string} - Absolute path
+ */
+function artifactPath() {
+  return path.join(artifactsDir(), 'contracts', `${CONTRACT_NAME}.sol`, `${CONTRACT_NAME}.json`);
+}
+
+/**
+ * Deployed addresses of a network, as written by scripts/deploy.ts
+ * @param {string} network - Network name
+ * @returns {string} - Absolute path
+ */
+function addressesPath(network) {
+  return path.join(artifactsDir(), `addresses.${network}.json`);
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Network name, RPC URL and expected chain id from env
+ * @returns {Object} - { network, rpcUrl, chainId, problems }
+ */
+function resolveNetwork() {
+  const network = (process.env.CHAIN_NETWORK || 'sepolia').trim();
+  const known = KNOWN_NETWORKS[network] || {};
+  const problems = [];
+
+  const rpcUrl = (process.env.CHAIN_RPC_URL || (known.rpcUrlEnv ? process.env[known.rpcUrlEnv] : known.rpcUrl) || '').trim() || null;
+  if (!rpcUrl) problems.push(`${known.rpcUrlEnv || 'CHAIN_RPC_URL'} is not set`);
+
+  let chainId = known.chainId || null;
+  if (process.env.CHAIN_ID) {
+    chainId = Number(process.env.CHAIN_ID);
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+      problems.push('CHAIN_ID must be a positive integer');
+      chainId = null;
+    }
+  } else if (!chainId) {
+    problems.push(`CHAIN_ID is not set for network "${network}"`);
+  }
+
+  return { network, rpcUrl, chainId, problems };
+}
+
+function loadChainConfig() {
+  const { network, rpcUrl, chainId, problems } = resolveNetwork();
+
+  const privateKey = (process.env.PRIVATE_KEY || '').trim() || null;
+  if (!privateKey) problems.push('PRIVATE_KEY is not set');
+
+  let abi = null;
+  const artifact = readJson(artifactPath());
+  if (!artifact || !Array.isArray(artifact.abi)) {
+    problems.push(`${CONTRACT_NAME} artifact not found, run npx hardhat compile`);
+  } else {
+    const missing = REQUIRED_FUNCTIONS.filter(name => !artifact.abi.some(item => item.type === 'function' && item.name === name));
+    if (missing.length) {
+      problems.push(`${CONTRACT_NAME} artifact lacks ${missing.join(', ')}, recompile the contract`);
+    } else {
+      abi = artifact.abi;
+    }
+  }
+
+  let contractAddress = (process.env.CHAIN_CONTRACT_ADDRESS || '').trim() || null;
+  if (!contractAddress) {
+    const addresses = readJson(addressesPath(network));
+    contractAddress = (addresses && addresses[CONTRACT_NAME]) || null;
+    if (!contractAddress) {
+      problems.push(`No ${CONTRACT_NAME} address for ${network}: deploy it with scripts/deploy.ts or set CHAIN_CONTRACT_ADDRESS`);
+    }
+  }
+  if (contractAddress && !/^0x[0-9a-fA-F]{40}$/.test(contractAddress)) {
+    problems.push(`${CONTRACT_NAME} address ${contractAddress} is not a valid address`);
+    contractAddress = null;
+  }
+
+  return {
+    network,
+    chainId,
+    rpcUrl,
+    privateKey,
+    contractName: CONTRACT_NAME,
+    contractAddress,
+    abi,
+    configured: problems.length === 0,
+    problems
+  };
+}
+
+/**
+ * The chain configuration, loaded once per process
+ * @returns {Object} - { network, chainId, rpcUrl, privateKey, contractName, contractAddress, abi, configured, problems }
+ */
+function getChainConfig() {
+  if (!config) {
+    config = loadChainConfig();
+    if (config.configured) {
+      console.log(`[CHAIN] Bound to ${config.contractName} at ${config.contractAddress} on ${config.network} (chain id ${config.chainId})`);
+    } else {
+      console.log(`[CHAIN] ⚠️ Blockchain is not configured for ${config.network}:`, config.problems.join('; '));
+    }
+  }
+  return config;
+}
+
+/**
+ * What the API reports about its chain (no secrets)
+ * @returns {Object} - { network, chain_id, contract, contract_address, configured }
+ */
+function describeChain() {
+  const { network, chainId, contractName, contractAddress, configured } = getChainConfig();
+  return {
+    network,
+    chain_id: chainId,
+    contract: contractName,
+    contract_address: contractAddress,
+    configured
+  };
+}
+
+module.exports = {
+  KNOWN_NETWORKS,
+  CONTRACT_NAME,
+  artifactPath,
+  addressesPath,
+  resolveNetwork,
+  getChainConfig,
+  describeChain
+};
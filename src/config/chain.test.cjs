@@ -0,0 +1,136 @@
+// src/config/chain.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ENV_KEYS = [
+  'CHAIN_NETWORK', 'CHAIN_RPC_URL', 'CHAIN_ID', 'SEPOLIA_RPC_URL',
+  'CHAIN_CONTRACT_ADDRESS', 'CHAIN_ARTIFACTS_DIR', 'PRIVATE_KEY'
+];
+
+const ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const PRIVATE_KEY = `0x${'11'.repeat(32)}`;
+const ABI = ['registerDTID', 'verifyDTID', 'revokeDTID', 'dtidRevoked'].map(name => ({ type: 'function', name }));
+
+// The configuration is cached per module, so each case loads it fresh under its env
+function loadWithEnv(t, env) {
+  const saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  t.after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+  for (const key of ENV_KEYS) delete process.env[key];
+  Object.assign(process.env, env);
+  t.mock.method(console, 'log', () => {});
+
+  delete require.cache[require.resolve('./chain.cjs')];
+  return require('./chain.cjs');
+}
+
+// Artifacts as `npx hardhat compile` and scripts/deploy.ts leave them
+function artifacts(t, { abi = ABI, addresses = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-artifacts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const contractDir = path.join(dir, 'contracts', 'TouristIDRegistry.sol');
+  fs.mkdirSync(contractDir, { recursive: true });
+  fs.writeFileSync(path.join(contractDir, 'TouristIDRegistry.json'), JSON.stringify({ abi }));
+  for (const [network, address] of Object.entries(addresses)) {
+    fs.writeFileSync(path.join(dir, `addresses.${network}.json`), JSON.stringify({ TouristIDRegistry: address }));
+  }
+  return dir;
+}
+
+test('sepolia is the default network and needs SEPOLIA_RPC_URL', (t) => {
+  const chain = loadWithEnv(t, {});
+  assert.deepEqual(chain.resolveNetwork(), {
+    network: 'sepolia',
+    rpcUrl: null,
+    chainId: 11155111,
+    problems: ['SEPOLIA_RPC_URL is not set']
+  });
+
+  const configured = loadWithEnv(t, { SEPOLIA_RPC_URL: 'https://sepolia.example.org' });
+  assert.equal(configured.resolveNetwork().rpcUrl, 'https://sepolia.example.org');
+  assert.deepEqual(configured.resolveNetwork().problems, []);
+});
+
+test('a local hardhat node needs no settings', (t) => {
+  const chain = loadWithEnv(t, { CHAIN_NETWORK: 'localhost' });
+  assert.deepEqual(chain.resolveNetwork(), {
+    network: 'localhost',
+    rpcUrl: 'http://127.0.0.1:8545',
+    chainId: 31337,
+    problems: []
+  });
+});
+
+test('other networks need CHAIN_RPC_URL and a valid CHAIN_ID', (t) => {
+  const missing = loadWithEnv(t, { CHAIN_NETWORK: 'polygon' });
+  assert.deepEqual(missing.resolveNetwork().problems, ['CHAIN_RPC_URL is not set', 'CHAIN_ID is not set for network "polygon"']);
+
+  const invalid = loadWithEnv(t, { CHAIN_NETWORK: 'polygon', CHAIN_RPC_URL: 'https://polygon.example.org', CHAIN_ID: '-1' });
+  assert.deepEqual(invalid.resolveNetwork().problems, ['CHAIN_ID must be a positive integer']);
+
+  const valid = loadWithEnv(t, { CHAIN_NETWORK: 'polygon', CHAIN_RPC_URL: 'https://polygon.example.org', CHAIN_ID: '137' });
+  assert.equal(valid.resolveNetwork().chainId, 137);
+  assert.deepEqual(valid.resolveNetwork().problems, []);
+});
+
+test('CHAIN_RPC_URL and CHAIN_ID override a known network', (t) => {
+  const chain = loadWithEnv(t, { CHAIN_NETWORK: 'hardhat', CHAIN_RPC_URL: 'http://10.0.0.5:8545', CHAIN_ID: '1337' });
+  const { rpcUrl, chainId } = chain.resolveNetwork();
+  assert.equal(rpcUrl, 'http://10.0.0.5:8545');
+  assert.equal(chainId, 1337);
+});
+
+test('the address is read from the deployment of the selected network', (t) => {
+  const dir = artifacts(t, { addresses: { localhost: ADDRESS } });
+  const chain = loadWithEnv(t, { CHAIN_NETWORK: 'localhost', CHAIN_ARTIFACTS_DIR: dir, PRIVATE_KEY });
+
+  const config = chain.getChainConfig();
+  assert.equal(config.configured, true);
+  assert.equal(config.contractAddress, ADDRESS);
+  assert.deepEqual(config.abi, ABI);
+  assert.deepEqual(chain.describeChain(), {
+    network: 'localhost',
+    chain_id: 31337,
+    contract: 'TouristIDRegistry',
+    contract_address: ADDRESS,
+    configured: true
+  });
+
+  const other = loadWithEnv(t, { CHAIN_NETWORK: 'hardhat', CHAIN_ARTIFACTS_DIR: dir, PRIVATE_KEY });
+  assert.equal(other.getChainConfig().contractAddress, null);
+  assert.match(other.getChainConfig().problems.join(), /No TouristIDRegistry address for hardhat/);
+});
+
+test('CHAIN_CONTRACT_ADDRESS overrides the deployment and must be an address', (t) => {
+  const dir = artifacts(t, { addresses: { localhost: ADDRESS } });
+  const override = `0x${'ab'.repeat(20)}`;
+  const chain = loadWithEnv(t, { CHAIN_NETWORK: 'localhost', CHAIN_ARTIFACTS_DIR: dir, PRIVATE_KEY, CHAIN_CONTRACT_ADDRESS: override });
+  assert.equal(chain.getChainConfig().contractAddress, override);
+
+  const invalid = loadWithEnv(t, { CHAIN_NETWORK: 'localhost', CHAIN_ARTIFACTS_DIR: dir, PRIVATE_KEY, CHAIN_CONTRACT_ADDRESS: '0x1234' });
+  assert.equal(invalid.getChainConfig().configured, false);
+  assert.deepEqual(invalid.getChainConfig().problems, ['TouristIDRegistry address 0x1234 is not a valid address']);
+});
+
+test('a missing key, artifact or revocation functions leave the chain unconfigured', (t) => {
+  const dir = artifacts(t, { abi: ABI.filter(item => item.name !== 'revokeDTID'), addresses: { localhost: ADDRESS } });
+  const outdated = loadWithEnv(t, { CHAIN_NETWORK: 'localhost', CHAIN_ARTIFACTS_DIR: dir });
+  assert.deepEqual(outdated.getChainConfig().problems, [
+    'PRIVATE_KEY is not set',
+    'TouristIDRegistry artifact lacks revokeDTID, recompile the contract'
+  ]);
+  assert.equal(outdated.getChainConfig().abi, null);
+
+  const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-artifacts-'));
+  t.after(() => fs.rmSync(empty, { recursive: true, force: true }));
+  const uncompiled = loadWithEnv(t, { CHAIN_NETWORK: 'localhost', CHAIN_ARTIFACTS_DIR: empty, PRIVATE_KEY });
+  assert.match(uncompiled.getChainConfig().problems.join(), /artifact not found, run npx hardhat compile/);
+});
@@ -0,0 +1,60 @@
+// src/config/constants.cjs
+
+/**
+ * Enumerations shared by the services and the request schemas. This module
+ * requires nothing, so the schemas (and frontends importing them) load
+ * without database, chain or mail configuration.
+ */
+
+// KYC
+const ID_TYPES = ['aadhaar', 'passport'];
+const DOCUMENT_TYPES = ['aadhaar', 'passport', 'visa'];
+const KYC_STATUSES = ['submitted', 'under_review', 'verified', 'rejected', 'needs_more_info'];
+const CHANGE_REQUEST_STATUSES = ['pending', 'approved', 'rejected'];
+const DUPLICATE_RESOLUTIONS = ['not_duplicate', 'duplicate'];
+const JOB_STATUSES = ['pending', 'submitted', 'confirmed', 'failed'];
+
+// Privacy and retention
+const CONSENT_PURPOSES = ['tracking', 'police_sharing', 'marketing'];
+// Read when first loaded; entry points load .env before anything else
+const CONSENT_POLICY_VERSION = process.env.CONSENT_POLICY_VERSION || '1';
+const REQUEST_TYPES = ['export', 'deletion'];
+const REQUEST_STATUSES = ['processing', 'completed', 'failed'];
+const RUN_STATUSES = ['running', 'completed', 'failed'];
+
+// Admin accounts, partner keys and auth events
+const ADMIN_ROLES = ['operator', 'police', 'tourism-dept', 'superadmin'];
+const MIN_PASSWORD_LENGTH = 10;
+const API_KEY_SCOPES = ['dtid:verify', 'profile:read'];
+const PARTNER_TYPES = ['hotel', 'guide', 'police_scanner', 'other'];
+const AUTH_EVENT_TYPES = [
+  'registration',
+  'otp_sent',
+  'otp_failed',
+  'otp_verified',
+  'lockout',
+  'admin_login',
+  'admin_login_failed',
+  'refresh',
+  'refresh_failed',
+  'logout'
+];
+
+module.exports = {
+  ID_TYPES,
+  DOCUMENT_TYPES,
+  KYC_STATUSES,
+  CHANGE_REQUEST_STATUSES,
+  DUPLICATE_RESOLUTIONS,
+  JOB_STATUSES,
+  CONSENT_PURPOSES,
+  CONSENT_POLICY_VERSION,
+  REQUEST_TYPES,
+  REQUEST_STATUSES,
+  RUN_STATUSES,
+  ADMIN_ROLES,
+  MIN_PASSWORD_LENGTH,
+  API_KEY_SCOPES,
+  PARTNER_TYPES,
+  AUTH_EVENT_TYPES
+};
@@ -1,3 +1,6 @@
+// src/config/database.cjs
+// Shared Supabase client for every service and route
+require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
 
 const url = (process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL || '').trim();
@@ -15,5 +18,3 @@ if (!url || !key) {
 const supabase = createClient(url, key);
 
 module.exports = supabase;
-
-
@@ -1,42 +0,0 @@
-// src/config/supabaseClient.cjs
-const { createClient } = require('@supabase/supabase-js');
-require('dotenv').config();
-
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
-
-if (!supabaseUrl || !supabaseKey) {
-  throw new Error('Missing Supabase URL or Key in environment variables');
-}
-
-console.log('[SUPABASE] Connecting with URL:', supabaseUrl);
-console.log('[SUPABASE] Using anon key (first 20 chars):', supabaseKey.substring(0, 20) + '...');
-
-const supabase = createClient(supabaseUrl, supabaseKey, {
-  auth: {
-    autoRefreshToken: false,
-    persistSession: false
-  }
-});
-
-// Test connection
-async function testConnection() {
-  try {
-    const { data, error } = await supabase
-      .from('tourists')
-      .select('count', { count: 'exact', head: true });
-    
-    if (error) {
-      console.error('❌ Supabase connection failed:', error);
-      return false;
-    }
-    
-    console.log('✅ Supabase connected successfully');
-    return true;
-  } catch (error) {
-    console.error('❌ Supabase connection error:', error);
-    return false;
-  }
-}
-
-module.exports = { supabase, testConnection };
\ No newline at end of file
@@ -1,124 +1,34 @@
 // controllers/kycController.cjs
-const crypto = require('crypto');
-const { generateTouristQRCode } = require('../services/qrCodeService.cjs');
-const { storeTouristData, storeBlockchainTransaction } = require('../services/databaseService.cjs');
-const { ethers } = require('ethers');
+const { storeTouristData } = require('../services/databaseService.cjs');
+const { storeDocument, resolveDocumentReference, claimDocumentReference, releaseDocument } = require('../services/documentService.cjs');
+const { generateDTIDFromInput, recordKYCStatusChange } = require('../services/kycService.cjs');
+const { storeItinerary } = require('../services/itineraryService.cjs');
+const { findDuplicateTourists, closeEndedRegistrations, recordDuplicateMatches } = require('../services/duplicateService.cjs');
+const { recordConsents } = require('../services/privacyService.cjs');
+const { sendValidationError } = require('../middleware/validate.cjs');
 const dotenv = require('dotenv');
 
 dotenv.config();
 
-// Generate SHA-256 from actual frontend input (id, trip_start, trip_end)
-function generateDTIDFromInput({ id, trip_start, trip_end }, salt = '') {
-  const idPart = id ?? '';
-  const startPart = trip_start ?? '';
-  const endPart = trip_end ?? '';
-  const payload = `${idPart}|${startPart}|${endPart}|${salt}`;
-  return crypto.createHash('sha256').update(payload).digest('hex');
-}
-
-// Real blockchain service using actual Sepolia network
-async function storeDTIDAndGenerateQR(dtidBytes32, touristData, options = {}) {
-  console.log('[BLOCKCHAIN] Starting real blockchain transaction for DTID:', dtidBytes32);
-  
-  const SEPOLIA_RPC_URL = process.env.SEPOLIA_RPC_URL;
-  const PRIVATE_KEY = process.env.PRIVATE_KEY;
-  const CONTRACT_ADDRESS = "0x89AF6d79b35d0f43b95e90618d7C036C2045e943"; // From artifacts
-  
-  let blockchainResult = null;
-  
-  // Try real blockchain transaction if configured
-  if (SEPOLIA_RPC_URL && PRIVATE_KEY && CONTRACT_ADDRESS) {
-    try {
-      console.log('[BLOCKCHAIN] Connecting to Sepolia network...');
-      const provider = new ethers.JsonRpcProvider(SEPOLIA_RPC_URL);
-      const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-      
-      // Basic contract ABI for registerDTID function
-      const contractABI = [
-        "function registerDTID(bytes32 dtid) external",
-        "function verifyDTID(bytes32 dtid) external view returns (bool)",
-        "function totalDTIDs() external view returns (uint256)",
-        "event DTIDRegistered(address indexed registrar, bytes32 indexed dtid)"
-      ];
-      
-      const contract = new ethers.Contract(CONTRACT_ADDRESS, contractABI, wallet);
-      
-      // First check if DTID already exists
-      console.log('[BLOCKCHAIN] Checking if DTID already exists...');
-      const exists = await contract.verifyDTID(dtidBytes32);
-      
-      if (exists) {
-        console.log('[BLOCKCHAIN] DTID already exists on blockchain, skipping registration');
-        blockchainResult = {
-          success: true,
-          transactionHash: 'ALREADY_REGISTERED',
-          contractAddress: CONTRACT_ADDRESS,
-          network: 'sepolia',
-          real: true,
-          alreadyExists: true,
-          message: 'DTID already registered on blockchain'
-        };
-      } else {
-        console.log('[BLOCKCHAIN] DTID not found, proceeding with registration...');
-        const tx = await contract.registerDTID(dtidBytes32);
-        console.log('[BLOCKCHAIN] Transaction sent, hash:', tx.hash);
-        
-        console.log('[BLOCKCHAIN] Waiting for confirmation...');
-        const receipt = await tx.wait();
-        console.log('[BLOCKCHAIN] Transaction confirmed in block:', receipt.blockNumber);
-        
-        blockchainResult = {
-          success: true,
-          transactionHash: tx.hash,
-          blockNumber: receipt.blockNumber,
-          gasUsed: receipt.gasUsed.toString(),
-          contractAddress: CONTRACT_ADDRESS,
-          confirmations: receipt.confirmations,
-          network: 'sepolia',
-          real: true,
-          newRegistration: true
-        };
-      }
-      
-    } catch (error) {
-      console.error('[BLOCKCHAIN] Real blockchain transaction failed:', error.message);
-      blockchainResult = {
-        success: false,
-        error: error.message,
-        fallback: true
-      };
-    }
-  } else {
-    console.log('[BLOCKCHAIN] Missing blockchain configuration, using simulation');
-    blockchainResult = {
-      success: false,
-      error: 'Missing blockchain configuration',
-      simulated: true
-    };
-  }
-  
-  // Generate QR code using the dedicated service
-  let qrResult = null;
-  try {
-    qrResult = await generateTouristQRCode(dtidBytes32, touristData);
-    console.log('[BLOCKCHAIN] QR code generated via QR Service:', qrResult.filePath);
-  } catch (error) {
-    console.error('[BLOCKCHAIN] QR generation failed:', error);
-    qrResult = { success: false, error: error.message };
+// Refuse a second active registration of the same person
+function alreadyRegistered(res, existing) {
+  if (existing) {
+    console.log('[KYC] Already registered as', existing.dtid, 'matched on', existing.matched_on.join(', '));
   }
-  
-  return {
-    blockchain: blockchainResult,
-    qrResult,
-    qrPath: qrResult.success ? qrResult.filePath : null,
-    qrGenerated: qrResult.success
-  };
+  return res.status(409).json({
+    success: false,
+    message: 'Tourist is already registered',
+    data: existing || null
+  });
 }
 
 const verifyKYC = async (req, res) => {
     try {
+      // Validated and normalized by schemas.verify (src/schemas/kyc.cjs):
+      // phone numbers are E.164 and id is the normalized Aadhaar/passport number
       const {
-        id, // Aadhaar or Passport
+        id_type, // aadhaar | passport
+        id,
         full_name,
         date_of_birth,
         contact_number,
@@ -130,66 +40,51 @@ const verifyKYC = async (req, res) => {
         trip_start,
         trip_end,
         salt,
-        id_file_path
+        id_document_ref, // Signed reference from POST /api/kyc/documents
+        consent // { tracking, police_sharing, marketing, policy_version }
       } = req.body;
   
-      // Validation
-      if (!full_name || !date_of_birth || !contact_number || !emergency_contact_1) {
-        return res.status(400).json({
+      // Only accept documents uploaded through POST /api/kyc/documents
+      let idDocument = null;
+      if (id_document_ref) {
+        idDocument = await resolveDocumentReference(id_document_ref);
+        if (!idDocument.valid) {
+          return sendValidationError(res, [{ field: 'id_document_ref', location: 'body', message: idDocument.error }]);
+        }
+      }
+
+      // 1) Refuse a second active registration of the same person
+      const duplicates = await findDuplicateTourists({ id_type, id, contact_number, full_name, date_of_birth });
+      if (!duplicates.success) {
+        return res.status(500).json({
           success: false,
-          message: 'Required fields: full_name, date_of_birth, contact_number, emergency_contact_1'
+          message: 'Failed to check for an existing registration'
         });
       }
-  
-      if (!id) {
-        return res.status(400).json({
+      if (duplicates.data.exact.length > 0) {
+        return alreadyRegistered(res, duplicates.data.exact[0]);
+      }
+
+      const closed = await closeEndedRegistrations({ id_type, id });
+      if (!closed.success) {
+        return res.status(500).json({
           success: false,
-          message: 'An ID (Aadhaar or Passport) is required'
+          message: 'Failed to check for an existing registration'
         });
       }
 
-      // 1) Generate DTID from actual input with timestamp for uniqueness
+      // 2) Generate DTID from actual input with timestamp (in the salt) for uniqueness
       const timestamp = Date.now();
-      const sha256Hex = generateDTIDFromInput({ id, trip_start, trip_end, timestamp }, salt);
+      const sha256Hex = generateDTIDFromInput({ id, trip_start, trip_end }, `${salt || ''}${timestamp}`);
       const dtidBytes32 = `0x${sha256Hex}`;
       console.log('[KYC] Generated DTID hex:', sha256Hex);
-      console.log('[KYC] DTID bytes32:', dtidBytes32, 'for id:', id, 'trip:', trip_start, '->', trip_end, 'timestamp:', timestamp);
+      console.log('[KYC] DTID bytes32:', dtidBytes32, 'trip:', trip_start, '->', trip_end, 'timestamp:', timestamp);
 
-      // 2) Store on Sepolia and generate QR using real blockchain
-      let onchain = null;
-      const touristData = { id, full_name, trip_start, trip_end };
-      
-      try {
-        onchain = await storeDTIDAndGenerateQR(dtidBytes32, touristData);
-        
-        if (onchain.blockchain.success) {
-          console.log('[KYC] ✅ Real blockchain transaction successful!');
-          console.log('[KYC] Transaction hash:', onchain.blockchain.transactionHash);
-          console.log('[KYC] Block number:', onchain.blockchain.blockNumber);
-          console.log('[KYC] Contract address:', onchain.blockchain.contractAddress);
-          console.log('[KYC] Gas used:', onchain.blockchain.gasUsed);
-        } else {
-          console.log('[KYC] ⚠️ Blockchain transaction failed:', onchain.blockchain.error);
-        }
-        
-        if (onchain.qrGenerated) {
-          console.log('[KYC] QR code generated successfully:', onchain.qrPath);
-        }
-      } catch (e) {
-        // If blockchain fails completely, continue with KYC success but report the error
-        onchain = { 
-          blockchain: { success: false, error: e.message },
-          qrResult: { success: false, error: e.message }
-        };
-        console.warn('[KYC] Complete failure:', e.message);
-      }
-  
-      // Mock KYC verification
-      const kycStatus = 'verified';
-
-      // Prepare response data in ordered format
+      // Prepare response data in ordered format. The record starts as `submitted`;
+      // on-chain registration and QR issuance wait until a reviewer verifies it.
       const responseData = {
         full_name,
+        id_type,
         id,
         date_of_birth,
         contact_number,
@@ -200,48 +95,74 @@ const verifyKYC = async (req, res) => {
         trip_start: trip_start || null,
         trip_end: trip_end || null,
         itinerary: itinerary || [],
-        status: kycStatus,
+        consent,
+        status: 'submitted',
         dtid: dtidBytes32,
-        onchain,
-        id_file_path: id_file_path || null
+        id_file_path: idDocument ? idDocument.key : null,
+        id_document_type: idDocument ? idDocument.document_type : null
       };
 
-      // Store tourist data in Supabase
-      let databaseResult = null;
-      try {
-        console.log('[KYC] Storing tourist data in Supabase...');
-        databaseResult = await storeTouristData(responseData);
-        
-        if (databaseResult) {
-          console.log('[KYC] ✅ Tourist data stored in Supabase:', databaseResult.id);
-          
-          // Store blockchain transaction data if available
-          if (onchain.blockchain && onchain.blockchain.success) {
-            await storeBlockchainTransaction(dtidBytes32, {
-              transactionHash: onchain.blockchain.transactionHash,
-              contractAddress: onchain.blockchain.contractAddress,
-              blockNumber: onchain.blockchain.blockNumber,
-              gasUsed: onchain.blockchain.gasUsed,
-              qrPath: onchain.qrPath,
-              status: 'confirmed'
-            });
-            console.log('[KYC] ✅ Blockchain transaction data stored in Supabase');
-          }
-        } else {
-          console.log('[KYC] ⚠️ Failed to store tourist data in Supabase');
+      // 3) Store the submission in Supabase. The uploaded document is claimed
+      // first, so its reference cannot be attached to a second submission.
+      if (idDocument) {
+        const claimed = await claimDocumentReference(id_document_ref);
+        if (!claimed.valid) {
+          return sendValidationError(res, [{ field: 'id_document_ref', location: 'body', message: claimed.error }]);
         }
-      } catch (dbError) {
-        console.error('[KYC] Database storage error:', dbError);
-        // Continue with response even if database fails
       }
 
-      // Add database result to response
-      responseData.database = {
-        stored: !!databaseResult,
-        id: databaseResult?.id || null
-      };      res.status(201).json({
+      console.log('[KYC] Storing tourist data in Supabase...');
+      const databaseResult = await storeTouristData(responseData);
+
+      if (!databaseResult.success && idDocument) {
+        await releaseDocument(idDocument.key);
+      }
+      if (databaseResult.code === '23505') {
+        // A concurrent submission with the same ID won the unique index
+        const again = await findDuplicateTourists({ id_type, id, contact_number, full_name, date_of_birth });
+        return alreadyRegistered(res, again.success ? again.data.exact[0] : undefined);
+      }
+      if (!databaseResult.success) {
+        console.log('[KYC] ⚠️ Failed to store tourist data in Supabase:', databaseResult.error);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to store KYC submission'
+        });
+      }
+
+      console.log('[KYC] ✅ KYC submission stored in Supabase:', dtidBytes32);
+      await recordKYCStatusChange(dtidBytes32, null, 'submitted', {
+        actor_type: 'tourist',
+        actor_id: dtidBytes32
+      });
+
+      // Consent is kept apart from the profile so every later change stays on record
+      const consentResult = await recordConsents(dtidBytes32, consent, {
+        source: 'kyc',
+        ip: req.ip,
+        user_agent: req.get('user-agent')
+      });
+      if (!consentResult.success) {
+        console.log('[KYC] ⚠️ Failed to record consent:', consentResult.error);
+      }
+
+      // 4) Same birthday and a similar name: store, but let an admin decide
+      responseData.possible_duplicate = duplicates.data.partial.length > 0;
+      if (responseData.possible_duplicate) {
+        await recordDuplicateMatches(dtidBytes32, duplicates.data.partial);
+      }
+
+      // 5) Store the planned stops; the tourist can still edit them via /api/itinerary
+      const itineraryResult = await storeItinerary(dtidBytes32, itinerary);
+      if (itineraryResult.success) {
+        responseData.itinerary = itineraryResult.data;
+      } else {
+        console.log('[KYC] ⚠️ Failed to store itinerary:', itineraryResult.error);
+      }
+
+      res.status(201).json({
         success: true,
-        message: 'KYC verification completed successfully',
+        message: 'KYC submitted for review',
         data: responseData
       });
   
@@ -249,13 +170,45 @@ const verifyKYC = async (req, res) => {
       console.error('KYC verification error:', error);
       res.status(500).json({
         success: false,
-        message: 'KYC verification failed',
+        message: 'KYC submission failed',
         error: error.message
       });
     }
   };
   
+// Upload an ID scan (multipart field "document") and return a signed reference for verifyKYC
+const uploadKYCDocument = async (req, res) => {
+  if (!req.file) {
+    return sendValidationError(res, [{ field: 'document', location: 'body', message: 'A file is required in the "document" field' }]);
+  }
+
+  const result = await storeDocument(req.file, req.body.document_type);
+
+  if (result.code === 'VALIDATION') {
+    return sendValidationError(res, [{ field: 'document', location: 'body', message: result.error }]);
+  }
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Document uploaded. Pass id_document_ref to /api/kyc/verify before it expires.',
+    data: {
+      id_document_ref: result.data.reference,
+      expires_at: result.data.expires_at,
+      document_type: result.data.document_type,
+      mimetype: result.data.mimetype,
+      size: result.data.size
+    }
+  });
+};
+
   module.exports = {
-    verifyKYC
+    verifyKYC,
+    uploadKYCDocument
   };
   
\ No newline at end of file
@@ -0,0 +1,269 @@
+// src/middleware/auth.cjs
+const { verifyToken } = require('../config/auth.cjs');
+const { getAdminById } = require('../services/adminService.cjs');
+const { getSessionStore } = require('../services/sessionStore.cjs');
+const { verifyApiKey } = require('../services/apiKeyService.cjs');
+const { checkLockout, recordFailure } = require('../services/lockoutStore.cjs');
+const rateLimit = require('express-rate-limit');
+
+/**
+ * Authentication & authorization middleware.
+ *
+ * Token roles:
+ *  - tourist: issued by /api/auth/verify-otp and /api/auth/refresh (carries dtid, mobile_number)
+ *  - admin:   issued by /api/auth/admin/login (carries sub, username, admin_role)
+ *  - partner: set from an X-API-Key header (carries api_key_id, partner_type, scopes)
+ */
+
+function extractBearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+/**
+ * Require a valid JWT and attach its claims as req.user.
+ * Tokens bound to a session (`sid`) are rejected once that session is revoked.
+ */
+async function authenticateToken(req, res, next) {
+  const token = extractBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access token required'
+    });
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token'
+    });
+  }
+
+  try {
+    if (payload.sid && !(await getSessionStore().isFamilyActive(payload.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked'
+      });
+    }
+  } catch (error) {
+    console.error('Session check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication failed'
+    });
+  }
+
+  // Tokens from /verify-otp predate the role claim
+  req.user = { ...payload, role: payload.role || 'tourist' };
+  next();
+}
+
+// Per-IP rate limit for every request except those with a valid partner API
+// key, which get their key's own limit instead. server.cjs applies it to all
+// routes except the ones accepting API keys; those apply it after
+// authentication (authenticateTokenOrApiKey).
+const ipLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // limit each IP to 100 requests per windowMs
+  // Unmatched /api/kyc paths pass it in the KYC router and again globally
+  skip: (req) => req.rateLimit !== undefined,
+  message: {
+    success: false,
+    message: 'Too many requests from this IP, please try again later.'
+  }
+});
+
+// Per-key rate limit, using each key's own rate_limit_per_minute
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: (req) => req.apiKey.rate_limit_per_minute,
+  keyGenerator: (req) => `api-key:${req.apiKey.id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded, please try again later.'
+  }
+});
+
+const API_KEY_ERRORS = {
+  invalid: 'Invalid API key',
+  expired: 'API key has expired',
+  revoked: 'API key has been revoked'
+};
+
+/**
+ * Require a valid partner API key (X-API-Key header) carrying `scope`.
+ * Attaches the key as req.apiKey and a partner identity as req.user.
+ * Invalid keys count as failures against the client IP's lockout.
+ * @param {string} scope - Required scope (e.g. 'dtid:verify')
+ */
+function authenticateApiKey(scope) {
+  return async (req, res, next) => {
+    let result;
+    try {
+      const lock = await checkLockout({ ip: req.ip });
+      if (lock.locked) {
+        res.set('Retry-After', String(lock.retry_after_seconds));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many failed attempts. Please try again later.',
+          retry_after_seconds: lock.retry_after_seconds
+        });
+      }
+
+      result = await verifyApiKey(req.get('x-api-key'), req.ip);
+      if (result.status === 'invalid') {
+        await recordFailure({ ip: req.ip });
+      }
+    } catch (error) {
+      console.error('API key check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Authentication failed'
+      });
+    }
+
+    // Only a valid key is exempt from the per-IP limit
+    if (result.status !== 'valid') {
+      return ipLimiter(req, res, () => res.status(401).json({
+        success: false,
+        message: API_KEY_ERRORS[result.status]
+      }));
+    }
+
+    if (!result.key.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing the ${scope} scope`
+      });
+    }
+
+    req.apiKey = result.key;
+    req.user = {
+      role: 'partner',
+      api_key_id: result.key.id,
+      partner_type: result.key.partner_type,
+      scopes: result.key.scopes
+    };
+    apiKeyLimiter(req, res, next);
+  };
+}
+
+/**
+ * Accept either a partner API key with `scope` (X-API-Key header) or a JWT.
+ * Applies the per-IP limit to everything but valid keys, so routes using it
+ * are mounted ahead of the global ipLimiter.
+ * @param {string} scope - Scope required when an API key is presented
+ */
+function authenticateTokenOrApiKey(scope) {
+  const apiKeyAuth = authenticateApiKey(scope);
+  return (req, res, next) => (req.get('x-api-key')
+    ? apiKeyAuth(req, res, next)
+    : ipLimiter(req, res, () => authenticateToken(req, res, next)));
+}
+
+/**
+ * Allow only the given token roles ('tourist', 'admin')
+ * @param {...string} roles - Allowed roles
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Allow only admins with one of the given admin roles. Superadmins always pass.
+ * @param {...string} adminRoles - Allowed roles (operator, police, tourism-dept, superadmin)
+ */
+function requireAdminRole(...adminRoles) {
+  return (req, res, next) => {
+    const user = req.user;
+    const allowed = user && user.role === 'admin' &&
+      (user.admin_role === 'superadmin' || adminRoles.includes(user.admin_role));
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Re-check the admin account so disabling or demoting takes effect before the
+ * token expires. Attaches the current account as req.admin.
+ */
+async function requireActiveAdmin(req, res, next) {
+  try {
+    const admin = req.user && req.user.role === 'admin' ? await getAdminById(req.user.sub) : null;
+
+    if (!admin || !admin.is_active) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin account is disabled or no longer exists'
+      });
+    }
+
+    req.admin = admin;
+    req.user = { ...req.user, admin_role: admin.role };
+    next();
+  } catch (error) {
+    console.error('Admin authorization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authorization failed'
+    });
+  }
+}
+
+/**
+ * Tourists may only access their own DTID; admins and partners (scope already
+ * checked by authenticateApiKey) may access any.
+ * @param {string} param - Route parameter holding the DTID
+ */
+function requireOwnDTID(param = 'dtid') {
+  return (req, res, next) => {
+    const user = req.user;
+    const requested = String(req.params[param] || '').toLowerCase();
+
+    if (user && (user.role === 'admin' || user.role === 'partner')) {
+      return next();
+    }
+
+    if (user && user.role === 'tourist' && user.dtid && user.dtid.toLowerCase() === requested) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: 'You can only access your own tourist profile'
+    });
+  };
+}
+
+module.exports = {
+  authenticateToken,
+  authenticateApiKey,
+  authenticateTokenOrApiKey,
+  requireRole,
+  requireAdminRole,
+  requireActiveAdmin,
+  requireOwnDTID,
+  ipLimiter
+};
@@ -0,0 +1,69 @@
+// src/middleware/validate.cjs
+
+/**
+ * Request validation against the schemas in src/schemas.
+ *
+ * Every failure is answered with the same 400 shape, listing each failing field:
+ *   { success: false, message: 'Validation failed', errors: [{ field, location, message }] }
+ * On success the parsed (trimmed, normalized) values replace req.body, req.params and req.query.
+ */
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// "<field> is required" instead of zod's "expected string, received undefined"
+function requiredFieldMessage(issue) {
+  if ((issue.code === 'invalid_type' || issue.code === 'invalid_value') && issue.input === undefined) {
+    return `${issue.path.join('.') || 'value'} is required`;
+  }
+  return undefined;
+}
+
+/**
+ * Send the uniform validation error response
+ * @param {Object} res - Express response
+ * @param {Array} errors - [{ field, location, message }]
+ */
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors
+  });
+}
+
+/**
+ * Validate request parts against schemas
+ * @param {Object} schemas - { params, query, body } zod schemas (any subset)
+ * @returns {Function} - Express middleware
+ */
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    const parsed = {};
+
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+
+      const result = schemas[location].safeParse(req[location] || {}, { error: requiredFieldMessage });
+      if (result.success) {
+        parsed[location] = result.data;
+      } else {
+        for (const issue of result.error.issues) {
+          errors.push({ field: issue.path.join('.') || location, location, message: issue.message });
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    Object.assign(req, parsed);
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  sendValidationError
+};
@@ -0,0 +1,814 @@
+const express = require('express');
+const {
+  authenticateToken,
+  requireRole,
+  requireActiveAdmin,
+  requireAdminRole
+} = require('../middleware/auth.cjs');
+const {
+  createAdmin,
+  listAdmins,
+  getAdminById,
+  setAdminActive,
+  resetAdminPassword,
+  countActiveSuperadmins
+} = require('../services/adminService.cjs');
+const { getSessionStore, revokeSubjectSessions } = require('../services/sessionStore.cjs');
+const { queryAuthEvents } = require('../services/authAuditLog.cjs');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../services/apiKeyService.cjs');
+const {
+  transitionKYCStatus,
+  reviewKYC,
+  listKYCQueue,
+  getKYCStatusHistory
+} = require('../services/kycService.cjs');
+const { getTouristByDTID } = require('../services/databaseService.cjs');
+const { createDocumentViewUrl, documentTypeFromKey } = require('../services/documentService.cjs');
+const { findExpectedTourists } = require('../services/itineraryService.cjs');
+const { listProfileChangeRequests, reviewProfileChangeRequest } = require('../services/profileService.cjs');
+const { extendTrip, checkoutTrip } = require('../services/tripService.cjs');
+const { listDuplicateMatches, resolveDuplicateMatch } = require('../services/duplicateService.cjs');
+const { redactTourist } = require('../services/piiService.cjs');
+const { listPrivacyRequests, retryDeletionRequest } = require('../services/privacyService.cjs');
+const { runRetention, listRetentionRuns, getRetentionRun } = require('../services/retentionService.cjs');
+const { listChainJobs, retryChainJob } = require('../services/chainQueueService.cjs');
+const { getChainConfig } = require('../config/chain.cjs');
+const { getRegistrarStatus } = require('../services/registrarSigner.cjs');
+const { validate } = require('../middleware/validate.cjs');
+const kycSchemas = require('../schemas/kyc.cjs');
+const itinerarySchemas = require('../schemas/itinerary.cjs');
+const tripSchemas = require('../schemas/trip.cjs');
+const privacySchemas = require('../schemas/privacy.cjs');
+const adminSchemas = require('../schemas/admin.cjs');
+
+const router = express.Router();
+
+// Map service error codes to HTTP status codes
+function statusForError(result) {
+  switch (result.code) {
+    case 'VALIDATION': return 400;
+    case 'NOT_FOUND': return 404;
+    case 'CONFLICT': return 409;
+    default: return 500;
+  }
+}
+
+// Only active superadmins may manage admin accounts
+router.use('/admins', authenticateToken, requireRole('admin'), requireActiveAdmin, requireAdminRole('superadmin'));
+
+// Partner API keys are managed by superadmins and the tourism department
+router.use('/api-keys', authenticateToken, requireRole('admin'), requireActiveAdmin, requireAdminRole('tourism-dept'));
+
+// KYC review is done by operators and the tourism department
+router.use('/kyc', authenticateToken, requireRole('admin'), requireActiveAdmin, requireAdminRole('operator', 'tourism-dept'));
+
+// Itinerary lookups are for operators, police and the tourism department
+router.use('/itinerary', authenticateToken, requireRole('admin'), requireActiveAdmin, requireAdminRole('operator', 'police', 'tourism-dept'));
+
+// Identity changes made by tourists are re-verified like KYC submissions
+router.use('/profile-changes', authenticateToken, requireRole('admin'), requireActiveAdmin, requireAdminRole('operator', 'tourism-dept'));
+
+// Trip extensions and checkouts on a tourist's behalf
+router.use('/trip', authenticateToken, requireRole('admin'), requireActiveAdmin, requireAdminRole('operator', 'tourism-dept'));
+
+// The on-chain registration queue follows KYC review
+router.use('/chain', authenticateToken, requireRole('admin'), requireActiveAdmin, requireAdminRole('operator', 'tourism-dept'));
+
+// Data exports and erasures are overseen by the tourism department
+router.use('/privacy', authenticateToken, requireRole('admin'), requireActiveAdmin, requireAdminRole('tourism-dept'));
+
+// So is the data retention job
+router.use('/retention', authenticateToken, requireRole('admin'), requireActiveAdmin, requireAdminRole('tourism-dept'));
+
+// List admin accounts
+router.get('/admins', validate({ query: adminSchemas.adminQuery }), async (req, res) => {
+  const { role, is_active } = req.query;
+
+  const result = await listAdmins({ role, is_active });
+
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list admin accounts'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Admin accounts retrieved successfully',
+    data: result.data
+  });
+});
+
+// Create admin account
+router.post('/admins', validate({ body: adminSchemas.adminCreate }), async (req, res) => {
+  const { username, password, role, full_name } = req.body;
+
+  const result = await createAdmin({
+    username,
+    password,
+    role,
+    full_name,
+    created_by: req.admin.id
+  });
+
+  if (!result.success) {
+    return res.status(statusForError(result)).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to create admin account'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Admin account created successfully',
+    data: result.data
+  });
+});
+
+// Disable admin account
+router.post('/admins/:id/disable', validate({ params: adminSchemas.adminParams }), async (req, res) => {
+  const { id } = req.params;
+
+  if (id === req.admin.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot disable your own account'
+    });
+  }
+
+  try {
+    const target = await getAdminById(id);
+    if (target && target.role === 'superadmin' && target.is_active && await countActiveSuperadmins() <= 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot disable the last active superadmin'
+      });
+    }
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to disable admin account'
+    });
+  }
+
+  const result = await setAdminActive(id, false);
+
+  if (!result.success) {
+    return res.status(statusForError(result)).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to disable admin account'
+    });
+  }
+
+  try {
+    await revokeSubjectSessions(getSessionStore(), 'admin', id, 'admin_disabled');
+  } catch (error) {
+    console.error('Session revocation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Admin account disabled, but revoking its sessions failed; revoke them via /sessions/revoke',
+      data: result.data
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Admin account disabled',
+    data: result.data
+  });
+});
+
+// Re-enable admin account
+router.post('/admins/:id/enable', validate({ params: adminSchemas.adminParams }), async (req, res) => {
+  const result = await setAdminActive(req.params.id, true);
+
+  if (!result.success) {
+    return res.status(statusForError(result)).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to enable admin account'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Admin account enabled',
+    data: result.data
+  });
+});
+
+// Reset admin password
+router.post('/admins/:id/reset-password', validate({ params: adminSchemas.adminParams, body: adminSchemas.passwordReset }), async (req, res) => {
+  const { password } = req.body;
+
+  const result = await resetAdminPassword(req.params.id, password);
+
+  if (!result.success) {
+    return res.status(statusForError(result)).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to reset password'
+    });
+  }
+
+  try {
+    await revokeSubjectSessions(getSessionStore(), 'admin', req.params.id, 'password_reset');
+  } catch (error) {
+    console.error('Session revocation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Password reset, but revoking the existing sessions failed; revoke them via /sessions/revoke',
+      data: result.data
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Password reset successfully',
+    data: result.data
+  });
+});
+
+// List partner API keys
+router.get('/api-keys', validate({ query: adminSchemas.apiKeyQuery }), async (req, res) => {
+  const { partner_type, is_active } = req.query;
+
+  const result = await listApiKeys({ partner_type, is_active });
+
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list API keys'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'API keys retrieved successfully',
+    data: result.data
+  });
+});
+
+// Create a partner API key. The plaintext key is only returned here.
+router.post('/api-keys', validate({ body: adminSchemas.apiKeyCreate }), async (req, res) => {
+  const { name, partner_type, scopes, rate_limit_per_minute, expires_at } = req.body;
+
+  const result = await createApiKey({
+    name,
+    partner_type,
+    scopes,
+    rate_limit_per_minute,
+    expires_at,
+    created_by: req.admin.id
+  });
+
+  if (!result.success) {
+    return res.status(statusForError(result)).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to create API key'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Store it now: it cannot be shown again.',
+    api_key: result.apiKey,
+    data: result.data
+  });
+});
+
+// Revoke a partner API key
+router.post('/api-keys/:id/revoke', validate({ params: adminSchemas.apiKeyParams }), async (req, res) => {
+  const result = await revokeApiKey(req.params.id);
+
+  if (!result.success) {
+    return res.status(statusForError(result)).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to revoke API key'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'API key revoked',
+    data: result.data
+  });
+});
+
+// KYC review queue, oldest first. Defaults to submitted + under_review.
+router.get('/kyc', validate({ query: kycSchemas.reviewQueueQuery }), async (req, res) => {
+  const { status, nationality, trip_from, trip_to, min_age_hours, max_age_hours, limit, offset } = req.query;
+
+  const result = await listKYCQueue({ status, nationality, trip_from, trip_to, min_age_hours, max_age_hours, limit, offset });
+
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list KYC submissions'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'KYC submissions retrieved successfully',
+    count: result.count,
+    data: result.data
+  });
+});
+
+// Possible duplicate registrations (same birthday, similar name), oldest first
+router.get('/kyc/duplicates', validate({ query: kycSchemas.duplicateQuery }), async (req, res) => {
+  const { status, dtid, limit, offset } = req.query;
+
+  const result = await listDuplicateMatches({ status, dtid, limit, offset });
+
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list duplicate matches'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Duplicate matches retrieved successfully',
+    count: result.count,
+    data: result.data
+  });
+});
+
+// Decide a duplicate match; confirming it rejects the newer submission
+router.post('/kyc/duplicates/:id/resolve', validate({ params: kycSchemas.recordIdParams, body: kycSchemas.duplicateResolution }), async (req, res) => {
+  const { resolution, comment } = req.body;
+
+  const result = await resolveDuplicateMatch(req.params.id, resolution, {
+    actor_id: req.admin.id,
+    reason: comment
+  });
+
+  if (!result.success) {
+    return res.status(statusForError(result)).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to resolve duplicate match'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: resolution === 'duplicate' ? 'Marked as duplicate' : 'Marked as not a duplicate',
+    data: result.data
+  });
+});
+
+// One KYC submission with its history and a short-lived URL for the ID document
+router.get('/kyc/:dtid', validate({ params: kycSchemas.dtidParams }), async (req, res) => {
+  try {
+    const tourist = await getTouristByDTID(req.params.dtid);
+
+    if (!tourist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tourist not found for the given DTID'
+      });
+    }
+
+    const history = await getKYCStatusHistory(tourist.dtid);
+    const duplicates = await listDuplicateMatches({ dtid: tourist.dtid });
+    const { id_file_path } = tourist;
+    const document = id_file_path
+      ? { document_type: documentTypeFromKey(id_file_path), ...(await createDocumentViewUrl(id_file_path, `${req.protocol}://${req.get('host')}`)) }
+      : null;
+
+    res.json({
+      success: true,
+      message: 'KYC submission retrieved successfully',
+      data: {
+        ...redactTourist(tourist, req.user),
+        document,
+        history: history.data,
+        duplicates: duplicates.data
+      }
+    });
+  } catch (error) {
+    console.error('Error getting KYC submission:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve KYC submission'
+    });
+  }
+});
+
+// Approve (verify) or reject a KYC submission; the tourist is notified by SMS
+router.post('/kyc/:dtid/:decision(approve|reject)', validate({ params: kycSchemas.reviewDecisionParams, body: kycSchemas.reviewDecision }), async (req, res) => {
+  const { decision } = req.params;
+
+  const result = await reviewKYC(req.params.dtid, decision, {
+    actor_type: 'admin',
+    actor_id: req.admin.id,
+    reason: req.body.comment
+  });
+
+  if (!result.success) {
+    return res.status(statusForError(result)).json({
+      success: false,
+      message: result.code ? result.error : `Failed to ${decision} KYC`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: decision === 'approve' ? 'KYC approved' : 'KYC rejected',
+    data: result.data
+  });
+});
+
+// Move a KYC record to a new status (under_review, verified, rejected, needs_more_info).
+// Verifying issues the QR code and queues the DTID's on-chain registration.
+router.post('/kyc/:dtid/status', validate({ params: kycSchemas.dtidParams, body: kycSchemas.statusChange }), async (req, res) => {
+  const { status, reason } = req.body;
+
+  const result = await transitionKYCStatus(req.params.dtid, status, {
+    actor_type: 'admin',
+    actor_id: req.admin.id,
+    reason
+  });
+
+  if (!result.success) {
+    return res.status(statusForError(result)).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to update KYC status'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `KYC moved to ${result.data.kyc_status}`,
+    data: result.data
+  });
+});
+
+// KYC status history with reviewer identity and reasons
+router.get('/kyc/:dtid/history', validate({ params: kycSchemas.dtidParams }), async (req, res) => {
+  const result = await getKYCStatusHistory(req.params.dtid);
+
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve KYC history'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'KYC history retrieved successfully',
+    data: result.data
+  });
+});
+
+// Tourists expected at a place (name and/or lat, lng, radius_km) on a given date
+router.get('/itinerary/expected', validate({ query: itinerarySchemas.expectedQuery }), async (req, res) => {
+  const { date, place, lat, lng, radius_km, limit, offset } = req.query;
+
+  const result = await findExpectedTourists({
+    date,
+    place,
+    latitude: lat,
+    longitude: lng,
+    radius_km,
+    limit,
+    offset
+  });
+
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to query expected tourists'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Expected tourists retrieved successfully',
+    count: result.data.length,
+    data: result.data
+  });
+});
+
+// Revoke all sessions for a tourist (lost phone, stolen QR code) or an admin
+router.post('/sessions/revoke', authenticateToken, requireRole('admin'), requireActiveAdmin, requireAdminRole('operator', 'police'), validate({ body: adminSchemas.sessionRevoke }), async (req, res) => {
+  const { dtid, admin_id, reason } = req.body;
+
+  if (admin_id && req.user.admin_role !== 'superadmin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Superadmin access required to revoke admin sessions'
+    });
+  }
+
+  try {
+    const subjectType = dtid ? 'tourist' : 'admin';
+    const subjectId = dtid || admin_id;
+    const revoked = await revokeSubjectSessions(getSessionStore(), subjectType, subjectId, reason || `revoked_by:${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: `Revoked ${revoked} session(s)`,
+      data: { subject_type: subjectType, subject_id: subjectId, revoked_sessions: revoked }
+    });
+  } catch (error) {
+    console.error('Session revocation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions'
+    });
+  }
+});
+
+// Identity change requests waiting for re-verification, oldest first
+router.get('/profile-changes', validate({ query: kycSchemas.changeRequestQuery }), async (req, res) => {
+  const { status, dtid, limit, offset } = req.query;
+
+  const result = await listProfileChangeRequests({ status, dtid, limit, offset });
+
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list profile change requests'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Profile change requests retrieved successfully',
+    count: result.count,
+    data: result.data
+  });
+});
+
+// Approve (apply) or reject an identity change; rejecting needs a comment
+router.post('/profile-changes/:id/:decision(approve|reject)', validate({ params: kycSchemas.changeRequestDecisionParams, body: kycSchemas.reviewDecision }), async (req, res) => {
+  const { id, decision } = req.params;
+
+  const result = await reviewProfileChangeRequest(id, decision, {
+    actor_id: req.admin.id,
+    reason: req.body.comment
+  });
+
+  if (!result.success) {
+    return res.status(statusForError(result)).json({
+      success: false,
+      message: result.code ? result.error : `Failed to ${decision} profile change`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: decision === 'approve' ? 'Profile change approved' : 'Profile change rejected',
+    data: result.data
+  });
+});
+
+// Extend a tourist's trip. A verified DTID is replaced by a successor DTID and
+// the tourist's sessions on the old DTID are revoked.
+router.post('/trip/:dtid/extend', validate({ params: tripSchemas.tripParams, body: tripSchemas.extend }), async (req, res) => {
+  const result = await extendTrip(req.params.dtid, req.body.trip_end, {
+    actor_type: 'admin',
+    actor_id: req.admin.id,
+    reason: req.body.reason
+  });
+
+  if (!result.success) {
+    return res.status(statusForError(result)).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to extend trip'
+    });
+  }
+
+  // The extension is done either way; a failed revocation is reported so the
+  // old DTID's sessions can be revoked through /sessions/revoke
+  let sessionsRevoked = null;
+  if (result.data.dtid_changed) {
+    try {
+      await revokeSubjectSessions(getSessionStore(), 'tourist', req.params.dtid, 'dtid_superseded');
+      sessionsRevoked = true;
+    } catch (error) {
+      console.error('Session revocation error:', error);
+      sessionsRevoked = false;
+    }
+  }
+
+  let message = result.data.dtid_changed ? 'Trip extended; a new DTID and QR code were issued' : 'Trip extended';
+  if (sessionsRevoked === false) message += ', but revoking the sessions of the old DTID failed';
+
+  res.json({
+    success: true,
+    message,
+    data: { ...result.data, old_sessions_revoked: sessionsRevoked }
+  });
+});
+
+// Check a tourist out early (checkout_date defaults to today)
+router.post('/trip/:dtid/checkout', validate({ params: tripSchemas.tripParams, body: tripSchemas.checkout }), async (req, res) => {
+  const result = await checkoutTrip(req.params.dtid, req.body.checkout_date, {
+    actor_type: 'admin',
+    actor_id: req.admin.id,
+    reason: req.body.reason
+  });
+
+  if (!result.success) {
+    return res.status(statusForError(result)).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to check out'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Checked out',
+    data: result.data
+  });
+});
+
+// On-chain registration jobs, oldest first
+router.get('/chain/jobs', validate({ query: kycSchemas.chainJobQuery }), async (req, res) => {
+  const result = await listChainJobs(req.query);
+
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list registration jobs'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Registration jobs retrieved successfully',
+    count: result.count,
+    data: result.data
+  });
+});
+
+// Queue a failed registration again (e.g. after topping up the registrar wallet)
+router.post('/chain/jobs/:id/retry', validate({ params: kycSchemas.recordIdParams }), async (req, res) => {
+  const result = await retryChainJob(req.params.id);
+
+  if (!result.success) {
+    return res.status(statusForError(result)).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to retry registration'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Registration queued again',
+    data: result.data
+  });
+});
+
+// Balance, nonces and pending transactions of the wallet that registers DTIDs
+router.get('/chain/registrar', async (req, res) => {
+  const chain = getChainConfig();
+  if (!chain.configured) {
+    return res.status(503).json({
+      success: false,
+      message: 'Blockchain is not configured',
+      problems: chain.problems
+    });
+  }
+
+  const result = await getRegistrarStatus();
+
+  if (!result.success) {
+    return res.status(502).json({
+      success: false,
+      message: 'Failed to read the registrar wallet'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: result.data.low_balance ? 'Registrar wallet is low on funds' : 'Registrar wallet retrieved successfully',
+    data: result.data
+  });
+});
+
+// Data subject requests, newest first
+router.get('/privacy/requests', validate({ query: privacySchemas.requestQuery }), async (req, res) => {
+  const result = await listPrivacyRequests(req.query);
+
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list privacy requests'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Privacy requests retrieved successfully',
+    count: result.count,
+    data: result.data
+  });
+});
+
+// Re-run the steps of a failed erasure (e.g. after the chain was unreachable)
+router.post('/privacy/requests/:id/retry', validate({ params: kycSchemas.recordIdParams }), async (req, res) => {
+  const result = await retryDeletionRequest(req.params.id);
+
+  if (!result.success) {
+    return res.status(statusForError(result)).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to retry erasure'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: result.data.status === 'completed' ? 'Erasure completed' : 'Erasure is still incomplete',
+    data: result.data
+  });
+});
+
+// Retention runs, newest first
+router.get('/retention/runs', validate({ query: privacySchemas.retentionRunQuery }), async (req, res) => {
+  const result = await listRetentionRuns(req.query);
+
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list retention runs'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Retention runs retrieved successfully',
+    count: result.count,
+    data: result.data
+  });
+});
+
+// A retention run with everything it purged or planned to purge
+router.get('/retention/runs/:id', validate({ params: kycSchemas.recordIdParams }), async (req, res) => {
+  const result = await getRetentionRun(req.params.id);
+
+  if (!result.success) {
+    return res.status(statusForError(result)).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to retrieve retention run'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Retention run retrieved successfully',
+    data: result.data
+  });
+});
+
+// Run the retention job now; a dry run (the default) only reports what is due
+router.post('/retention/runs', validate({ body: privacySchemas.retentionRun }), async (req, res) => {
+  const result = await runRetention({
+    dryRun: req.body.dry_run,
+    trigger: 'admin',
+    actor_id: req.admin.id
+  });
+
+  if (!result.success) {
+    return res.status(statusForError(result)).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to run retention'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: result.data.status === 'completed'
+      ? (result.data.dry_run ? 'Retention dry run completed' : 'Retention run completed')
+      : 'Retention run finished with failures',
+    data: result.data
+  });
+});
+
+// Query the authentication audit log (superadmin only)
+router.get('/auth-events', authenticateToken, requireRole('admin'), requireActiveAdmin, requireAdminRole('superadmin'), validate({ query: adminSchemas.authEventQuery }), async (req, res) => {
+  const { event_type, identifier, ip, since, until, limit, offset } = req.query;
+
+  const result = await queryAuthEvents({ event_type, identifier, ip_address: ip, since, until, limit, offset });
+
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to query auth events'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Auth events retrieved successfully',
+    count: result.count,
+    data: result.data
+  });
+});
+
+module.exports = router;
@@ -1,54 +1,64 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const twilio = require('twilio');
-const { generateToken } = require('../config/auth.cjs');
+const crypto = require('crypto');
 const supabase = require('../config/database.cjs');
+const { getOtpStore, issueChallenge, verifyChallenge, isOtpDevMode, OTP_TTL_MS } = require('../services/otpStore.cjs');
+const { sendTemplatedMessage, normalizeEmailAddress, maskRecipient } = require('../services/notificationService.cjs');
+const { normalizePhoneNumber } = require('../services/phoneService.cjs');
+const { authenticateAdmin, getAdminById } = require('../services/adminService.cjs');
+const {
+  getSessionStore,
+  issueSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionById
+} = require('../services/sessionStore.cjs');
+const { recordAuthEvent } = require('../services/authAuditLog.cjs');
+const { blindIndex } = require('../services/piiService.cjs');
+const { checkLockout, recordFailure, recordSuccess } = require('../services/lockoutStore.cjs');
+const { validate, sendValidationError } = require('../middleware/validate.cjs');
+const schemas = require('../schemas/auth.cjs');
 
 const router = express.Router();
 
-// Initialize Twilio client
-const twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+// Pending OTP challenges (memory or otp_challenges table, see OTP_STORE)
+const otpStore = getOtpStore();
 
-// In-memory storage for OTPs (for demo purposes - use database in production)
-const otpStorage = new Map();
+// Refresh token sessions (memory or refresh_tokens table, see SESSION_STORE)
+const sessionStore = getSessionStore();
 
-// Register user with mobile number
-router.post('/register', async (req, res) => {
+// Register user with mobile number or email
+router.post('/register', validate({ body: schemas.register }), async (req, res) => {
   try {
-    const { mobile_number } = req.body;
-
-    // Validate input
-    if (!mobile_number) {
-      return res.status(400).json({
-        success: false,
-        message: 'Mobile number is required'
-      });
+    // Resolve OTP destination: SMS for mobile_number, email for email
+    const target = resolveOtpTarget(req.body, { mobileOnly: true });
+    if (target.error) {
+      return sendValidationError(res, [target.error]);
     }
 
-    // Validate mobile number format
-    const mobileRegex = /^\+91[6-9]\d{9}$/;
-    if (!mobileRegex.test(mobile_number)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid mobile number format. Please use +91XXXXXXXXXX format'
-      });
+    // Lockouts survive new OTP requests
+    const lock = await checkLockout({ identifier: target.identifier, ip: req.ip });
+    if (lock.locked) {
+      return lockoutResponse(res, lock);
     }
 
-    // Store mobile number in variable
-    const userMobileNumber = mobile_number;
-
-    // Search for the mobile number in tourists table to get DTID and user details
+    // Search for the mobile number / email in tourists table to get DTID and user details
     let userDTID = null;
     let userName = null;
     let qrCodeData = null;
     
     try {
-      const { data: tourist, error: searchError } = await supabase
+      // Superseded DTIDs (trip extensions) keep their row; sign in to the latest one
+      let touristQuery = supabase
         .from('tourists')
-        .select('dtid, full_name, contact_number')
-        .eq('contact_number', userMobileNumber)
-        .single();
+        .select('dtid, full_name')
+        .is('successor_dtid', null);
+
+      // Contact details are encrypted; match on their blind indexes (see piiService.cjs)
+      touristQuery = target.channel === 'email'
+        ? touristQuery.eq('email_bidx', blindIndex('email', target.identifier))
+        : touristQuery.eq('contact_number_bidx', blindIndex('contact_number', target.identifier));
+
+      const { data: tourist, error: searchError } = await touristQuery.single();
 
       if (searchError) {
         if (searchError.code !== 'PGRST116') { // PGRST116 means no rows found
@@ -86,57 +96,49 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    await recordAuthEvent('registration', {
+      identifier: target.identifier,
+      subject_type: 'tourist',
+      subject_id: userDTID,
+      metadata: { channel: target.channel, has_dtid: !!userDTID }
+    }, req);
+
     // Generate 6-digit OTP
     const otp = generateOTP();
-    const otpExpiry = Date.now() + 10 * 60 * 1000; // 10 minutes from now
 
-    // Store OTP in memory with expiry (include user data if found)
-    otpStorage.set(userMobileNumber, {
-      otp: otp,
-      expiry: otpExpiry,
-      attempts: 0,
+    // Store hashed OTP with expiry (include user data if found)
+    await issueChallenge(otpStore, target.identifier, otp, {
       dtid: userDTID,
       full_name: userName,
       qr_code: qrCodeData
     });
 
-    console.log(`Generated OTP for ${userMobileNumber}: ${otp}`);
-
-    // Send OTP via Twilio SMS
+    // Send OTP via the configured notification provider
     try {
-      await sendOTPSMS(userMobileNumber, otp);
-      console.log(`OTP sent successfully to ${userMobileNumber}`);
-
-      res.status(200).json({
-        success: true,
-        message: 'OTP sent to your mobile number successfully!',
-        mobile_number: userMobileNumber,
-        dtid: userDTID,
-        full_name: userName,
-        has_dtid: userDTID ? true : false,
-        qr_code: qrCodeData,
-        timestamp: new Date().toISOString()
-      });
-
-    } catch (smsError) {
-      console.error('SMS sending error:', smsError);
-      
-      // Still return success but log SMS failure
-      console.log(`OTP for ${userMobileNumber} (SMS failed, check console): ${otp}`);
-      
-      res.status(200).json({
-        success: true,
-        message: 'OTP generated successfully! (Check server console for OTP - SMS service may be unavailable)',
-        mobile_number: userMobileNumber,
-        dtid: userDTID,
-        full_name: userName,
-        has_dtid: userDTID ? true : false,
-        qr_code: qrCodeData,
-        otp_for_testing: otp, // Include OTP in response for testing if SMS fails
-        timestamp: new Date().toISOString()
+      await sendOTP(target, otp);
+      await recordAuthEvent('otp_sent', { identifier: target.identifier, metadata: { channel: target.channel } }, req);
+    } catch (sendError) {
+      console.error('OTP delivery error:', sendError.message);
+      return res.status(503).json({
+        success: false,
+        message: 'Unable to send OTP right now. Please try again shortly.',
+        ...devOtpField(otp)
       });
     }
 
+    res.status(200).json({
+      success: true,
+      message: `OTP sent to your ${target.label} successfully!`,
+      [target.field]: target.identifier,
+      channel: target.channel,
+      dtid: userDTID,
+      full_name: userName,
+      has_dtid: userDTID ? true : false,
+      qr_code: qrCodeData,
+      ...devOtpField(otp),
+      timestamp: new Date().toISOString()
+    });
+
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).json({
@@ -147,82 +149,98 @@ router.post('/register', async (req, res) => {
 });
 
 // Verify OTP
-router.post('/verify-otp', async (req, res) => {
+router.post('/verify-otp', validate({ body: schemas.verifyOtp }), async (req, res) => {
   try {
-    const { mobile_number, otp } = req.body;
+    const { otp } = req.body;
+
+    const target = resolveOtpTarget(req.body);
+    if (target.error) {
+      return sendValidationError(res, [target.error]);
+    }
+
+    const lock = await checkLockout({ identifier: target.identifier, ip: req.ip });
+    if (lock.locked) {
+      return lockoutResponse(res, lock);
+    }
+
+    // Check OTP against the pending challenge
+    const result = await verifyChallenge(otpStore, target.identifier, otp);
+
+    if (['missing', 'invalid', 'locked'].includes(result.status)) {
+      const lockouts = await registerFailure(req, target.identifier, 'otp_failed', { reason: result.status, channel: target.channel });
+      if (lockouts.length) {
+        return lockoutResponse(res, await checkLockout({ identifier: target.identifier, ip: req.ip }));
+      }
+    }
 
-    // Validate input
-    if (!mobile_number || !otp) {
+    if (result.status === 'missing') {
       return res.status(400).json({
         success: false,
-        message: 'Mobile number and OTP are required'
+        message: `No OTP found for this ${target.label}. Please request a new OTP.`
       });
     }
 
-    // Check if OTP exists for this mobile number
-    const storedOtpData = otpStorage.get(mobile_number);
-    
-    if (!storedOtpData) {
+    if (result.status === 'expired') {
       return res.status(400).json({
         success: false,
-        message: 'No OTP found for this mobile number. Please request a new OTP.'
+        message: 'OTP has expired. Please request a new one.'
       });
     }
 
-    // Check if OTP is expired
-    if (Date.now() > storedOtpData.expiry) {
-      otpStorage.delete(mobile_number); // Clean up expired OTP
+    if (result.status === 'locked') {
       return res.status(400).json({
         success: false,
-        message: 'OTP has expired. Please request a new one.'
+        message: 'Too many failed attempts. Please request a new OTP.'
       });
     }
 
-    // Check if OTP matches
-    if (storedOtpData.otp !== otp) {
-      storedOtpData.attempts += 1;
-      
-      // Allow up to 3 attempts
-      if (storedOtpData.attempts >= 3) {
-        otpStorage.delete(mobile_number); // Clean up after max attempts
-        return res.status(400).json({
-          success: false,
-          message: 'Too many failed attempts. Please request a new OTP.'
-        });
-      }
-
+    if (result.status === 'invalid') {
       return res.status(400).json({
         success: false,
-        message: `Invalid OTP. ${3 - storedOtpData.attempts} attempts remaining.`
+        message: `Invalid OTP. ${result.attemptsRemaining} attempts remaining.`
       });
     }
 
-    // OTP is valid - get user data and clean up
-    const userDTID = storedOtpData.dtid;
-    const userName = storedOtpData.full_name;
-    const qrCodeData = storedOtpData.qr_code;
-    otpStorage.delete(mobile_number);
-    console.log(`OTP verified successfully for ${mobile_number}, User: ${userName || 'Not found'}, DTID: ${userDTID || 'Not found'}`);
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        mobile_number: mobile_number,
+    // OTP is valid - challenge has been consumed
+    const userDTID = result.challenge.dtid;
+    const userName = result.challenge.full_name;
+    const qrCodeData = result.challenge.qr_code;
+    const mobileNumber = target.channel === 'sms' ? target.identifier : null;
+    const email = target.channel === 'email' ? target.identifier : null;
+    console.log(`OTP verified successfully for ${userDTID ? `DTID ${userDTID}` : `${maskRecipient(target.identifier)} (no DTID yet)`}`);
+
+    await recordSuccess(target.identifier);
+    await recordAuthEvent('otp_verified', {
+      identifier: target.identifier,
+      subject_type: 'tourist',
+      subject_id: userDTID,
+      metadata: { channel: target.channel }
+    }, req);
+
+    // Start a session: short-lived access token + rotating refresh token
+    const tokens = await issueSession(sessionStore, {
+      subjectType: 'tourist',
+      subjectId: userDTID || target.identifier,
+      claims: {
+        mobile_number: mobileNumber,
+        email: email,
         dtid: userDTID,
         full_name: userName,
+        role: 'tourist',
         is_verified: true,
         verified_at: new Date().toISOString()
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
+      }
+    }, requestMeta(req));
 
     res.status(200).json({
       success: true,
       message: 'OTP verified successfully!',
-      token: token,
+      token: tokens.access_token,
+      refresh_token: tokens.refresh_token,
+      expires_in: tokens.expires_in,
       user: {
-        mobile_number: mobile_number,
+        mobile_number: mobileNumber,
+        email: email,
         dtid: userDTID,
         full_name: userName,
         has_dtid: userDTID ? true : false,
@@ -242,60 +260,44 @@ router.post('/verify-otp', async (req, res) => {
 });
 
 // Resend OTP
-router.post('/resend-otp', async (req, res) => {
+router.post('/resend-otp', validate({ body: schemas.resendOtp }), async (req, res) => {
   try {
-    const { mobile_number } = req.body;
-
-    if (!mobile_number) {
-      return res.status(400).json({
-        success: false,
-        message: 'Mobile number is required'
-      });
+    const target = resolveOtpTarget(req.body, { mobileOnly: true });
+    if (target.error) {
+      return sendValidationError(res, [target.error]);
     }
 
-    // Validate mobile number format
-    const mobileRegex = /^\+91[6-9]\d{9}$/;
-    if (!mobileRegex.test(mobile_number)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid mobile number format'
-      });
+    // Resending must not bypass an active lockout
+    const lock = await checkLockout({ identifier: target.identifier, ip: req.ip });
+    if (lock.locked) {
+      return lockoutResponse(res, lock);
     }
 
-    // Generate new OTP
+    // Generate new OTP, keeping the user data resolved at registration
     const otp = generateOTP();
-    const otpExpiry = Date.now() + 10 * 60 * 1000; // 10 minutes from now
-
-    // Store new OTP
-    otpStorage.set(mobile_number, {
-      otp: otp,
-      expiry: otpExpiry,
-      attempts: 0
-    });
+    const previous = await otpStore.get(target.identifier);
 
-    console.log(`New OTP generated for ${mobile_number}: ${otp}`);
+    await issueChallenge(otpStore, target.identifier, otp, previous || {});
 
-    // Send OTP via SMS
+    // Send OTP via the configured notification provider
     try {
-      await sendOTPSMS(mobile_number, otp);
-      console.log(`New OTP sent successfully to ${mobile_number}`);
-
-      res.status(200).json({
-        success: true,
-        message: 'New OTP sent to your mobile number!'
-      });
-
-    } catch (smsError) {
-      console.error('SMS sending error:', smsError);
-      console.log(`New OTP for ${mobile_number} (SMS failed): ${otp}`);
-      
-      res.status(200).json({
-        success: true,
-        message: 'New OTP generated! (Check server console - SMS service may be unavailable)',
-        otp_for_testing: otp
+      await sendOTP(target, otp);
+      await recordAuthEvent('otp_sent', { identifier: target.identifier, metadata: { channel: target.channel } }, req);
+    } catch (sendError) {
+      console.error('OTP delivery error:', sendError.message);
+      return res.status(503).json({
+        success: false,
+        message: 'Unable to send OTP right now. Please try again shortly.',
+        ...devOtpField(otp)
       });
     }
 
+    res.status(200).json({
+      success: true,
+      message: `New OTP sent to your ${target.label}!`,
+      ...devOtpField(otp)
+    });
+
   } catch (error) {
     console.error('Resend OTP error:', error);
     res.status(500).json({
@@ -305,296 +307,238 @@ router.post('/resend-otp', async (req, res) => {
   }
 });
 
-// Verify OTP
-router.post('/verify-otp', async (req, res) => {
+// Admin login endpoint (for dashboard access)
+router.post('/admin/login', validate({ body: schemas.adminLogin }), async (req, res) => {
   try {
-    const { mobile_number, otp } = req.body;
-
-    // Validate input
-    if (!mobile_number || !otp) {
-      return res.status(400).json({
-        success: false,
-        message: 'Mobile number and OTP are required'
-      });
-    }
-
-    // Find user with mobile number and valid OTP
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('mobile_number', mobile_number)
-      .eq('otp_code', otp)
-      .single();
-
-    if (userError || !user) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid OTP or mobile number'
-      });
-    }
-
-    // Check if OTP is expired
-    const now = new Date();
-    const otpExpiry = new Date(user.otp_expiry);
+    const { username, password } = req.body;
 
-    if (now > otpExpiry) {
-      return res.status(400).json({
-        success: false,
-        message: 'OTP has expired. Please request a new one.'
-      });
+    const lock = await checkLockout({ identifier: username, ip: req.ip });
+    if (lock.locked) {
+      return lockoutResponse(res, lock);
     }
 
-    // Mark user as verified and clear OTP
-    const { error: updateError } = await supabase
-      .from('users')
-      .update({
-        is_verified: true,
-        registration_status: 'verified',
-        otp_code: null,
-        otp_expiry: null,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', user.id);
-
-    if (updateError) {
-      console.error('User verification error:', updateError);
-      return res.status(500).json({
+    const admin = await authenticateAdmin(username, password);
+    if (!admin) {
+      const lockouts = await registerFailure(req, username, 'admin_login_failed', {});
+      if (lockouts.length) {
+        return lockoutResponse(res, await checkLockout({ identifier: username, ip: req.ip }));
+      }
+      return res.status(401).json({
         success: false,
-        message: 'Failed to verify user'
+        message: 'Invalid credentials'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        user_id: user.id, 
-        mobile_number: user.mobile_number,
-        is_verified: true 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
+    await recordSuccess(username);
+    await recordAuthEvent('admin_login', {
+      identifier: admin.username,
+      subject_type: 'admin',
+      subject_id: admin.id,
+      metadata: { admin_role: admin.role }
+    }, req);
+
+    const tokens = await issueSession(sessionStore, {
+      subjectType: 'admin',
+      subjectId: admin.id,
+      claims: {
+        sub: admin.id,
+        username: admin.username,
+        role: 'admin',
+        admin_role: admin.role
+      }
+    }, requestMeta(req));
 
-    res.status(200).json({
+    res.json({
       success: true,
-      message: 'OTP verified successfully',
-      token,
-      user: {
-        id: user.id,
-        mobile_number: user.mobile_number,
-        is_verified: true,
-        registration_status: 'verified'
+      message: 'Admin login successful',
+      data: {
+        token: tokens.access_token,
+        refresh_token: tokens.refresh_token,
+        expires_in: tokens.expires_in,
+        role: 'admin',
+        admin_role: admin.role,
+        username: admin.username
       }
     });
 
   } catch (error) {
-    console.error('OTP verification error:', error);
+    console.error('Admin login error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error'
+      message: 'Login failed'
     });
   }
 });
 
-// Resend OTP
-router.post('/resend-otp', async (req, res) => {
+// Exchange a refresh token for a new access/refresh token pair (tourist or admin)
+router.post('/refresh', validate({ body: schemas.refresh }), async (req, res) => {
   try {
-    const { mobile_number } = req.body;
-
-    if (!mobile_number) {
-      return res.status(400).json({
-        success: false,
-        message: 'Mobile number is required'
-      });
-    }
+    const { refresh_token } = req.body;
 
-    // Find user
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('mobile_number', mobile_number)
-      .single();
+    const result = await rotateSession(sessionStore, refresh_token, requestMeta(req));
 
-    if (userError || !user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+    if (result.status !== 'rotated') {
+      await recordAuthEvent('refresh_failed', { metadata: { reason: result.status } }, req);
+      if (result.status === 'invalid') {
+        await recordFailure({ ip: req.ip });
+      }
 
-    if (user.is_verified) {
-      return res.status(400).json({
+      const messages = {
+        invalid: 'Invalid refresh token',
+        expired: 'Refresh token has expired. Please log in again.',
+        revoked: 'Session has been revoked. Please log in again.',
+        reused: 'Refresh token reuse detected. All tokens for this session have been revoked.'
+      };
+      return res.status(401).json({
         success: false,
-        message: 'User is already verified'
+        message: messages[result.status]
       });
     }
 
-    // Generate new OTP
-    const otp = generateOTP();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-
-    const { error: updateError } = await supabase
-      .from('users')
-      .update({
-        otp_code: otp,
-        otp_expiry: otpExpiry.toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', user.id);
-
-    if (updateError) {
-      console.error('OTP update error:', updateError);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to generate new OTP'
-      });
+    // Disabled admins lose their sessions even if the refresh token is still valid
+    if (result.session.subject_type === 'admin') {
+      const admin = await getAdminById(result.session.subject_id);
+      if (!admin || !admin.is_active) {
+        await revokeSessionById(sessionStore, result.session.family_id, 'admin_disabled');
+        return res.status(401).json({
+          success: false,
+          message: 'Admin account is disabled'
+        });
+      }
     }
 
-    // Send OTP via SMS
-    try {
-      await sendOTPSMS(mobile_number, otp);
-      console.log(`New OTP sent to ${mobile_number}: ${otp}`);
-    } catch (smsError) {
-      console.error('SMS sending error:', smsError);
-      console.log(`New OTP for ${mobile_number} (SMS failed): ${otp}`);
-    }
+    await recordAuthEvent('refresh', {
+      subject_type: result.session.subject_type,
+      subject_id: result.session.subject_id,
+      metadata: { session_id: result.session.family_id }
+    }, req);
 
-    res.status(200).json({
+    res.json({
       success: true,
-      message: 'New OTP sent to your mobile number'
+      message: 'Token refreshed successfully',
+      data: {
+        token: result.tokens.access_token,
+        refresh_token: result.tokens.refresh_token,
+        expires_in: result.tokens.expires_in
+      }
     });
 
   } catch (error) {
-    console.error('Resend OTP error:', error);
+    console.error('Token refresh error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error'
+      message: 'Token refresh failed'
     });
   }
 });
 
-// Admin login endpoint (for dashboard access)
-router.post('/admin/login', async (req, res) => {
+// Logout: revoke the session the refresh token belongs to
+router.post('/logout', validate({ body: schemas.logout }), async (req, res) => {
   try {
-    const { username, password } = req.body;
-
-    // Simple admin authentication (in production, use proper user management)
-    const adminCredentials = {
-      username: 'admin',
-      password: bcrypt.hashSync('admin123', 10) // "admin123"
-    };
+    const { refresh_token } = req.body;
 
-    if (username !== adminCredentials.username) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
-
-    const isValidPassword = await bcrypt.compare(password, adminCredentials.password);
-    if (!isValidPassword) {
-      return res.status(401).json({
-        success: false,
-        message: 'invalid password'
-      });
-    }
-
-    const token = generateToken({
-      username: username,
-      role: 'admin'
-    });
+    const found = await revokeSession(sessionStore, refresh_token, 'logout');
+    await recordAuthEvent('logout', { metadata: { session_found: found } }, req);
 
+    // Respond the same way whether or not the token was known
     res.json({
       success: true,
-      message: 'Admin login successful',
-      data: {
-        token: token,
-        role: 'admin',
-        username: username
-      }
+      message: 'Logged out successfully'
     });
 
   } catch (error) {
-    console.error('Admin login error:', error);
+    console.error('Logout error:', error);
     res.status(500).json({
       success: false,
-      message: 'Login failed',
-      error: error.message
+      message: 'Logout failed'
     });
   }
 });
 
-// Tourist token refresh
-router.post('/refresh', async (req, res) => {
-  try {
-    const { dtid } = req.body;
+// Helper function to send the OTP SMS via the notification provider
+async function sendOTPSMS(mobileNumber, otp) {
+  return sendTemplatedMessage(mobileNumber, 'otp', {
+    otp,
+    ttl_minutes: OTP_TTL_MS / 60000
+  });
+}
 
-    if (!dtid) {
-      return res.status(400).json({
-        success: false,
-        message: 'DTID is required'
-      });
-    }
+// Send the OTP over the channel resolved by resolveOtpTarget
+async function sendOTP(target, otp) {
+  if (target.channel === 'sms') {
+    return sendOTPSMS(target.identifier, otp);
+  }
+  return sendTemplatedMessage(target.identifier, 'otp', {
+    otp,
+    ttl_minutes: OTP_TTL_MS / 60000
+  }, { channel: 'email' });
+}
 
-    // Verify tourist exists
-    const { data: tourist, error } = await supabase
-      .from('tourists')
-      .select('dtid, full_name')
-      .eq('dtid', dtid)
-      .single();
+// Pick the OTP channel from the (schema-validated) request body: mobile_number (SMS) or email.
+// Errors are { field, location, message } for sendValidationError.
+function resolveOtpTarget(body, { mobileOnly = false } = {}) {
+  const { mobile_number, email } = body || {};
 
-    if (error || !tourist) {
-      return res.status(404).json({
-        success: false,
-        message: 'Tourist not found'
-      });
+  if (mobile_number && email) {
+    return { error: { field: 'email', location: 'body', message: 'Provide either mobile_number or email, not both' } };
+  }
+
+  if (email) {
+    const normalizedEmail = normalizeEmailAddress(email);
+    if (!normalizedEmail) {
+      return { error: { field: 'email', location: 'body', message: 'Invalid email address' } };
     }
+    return { channel: 'email', field: 'email', label: 'email address', identifier: normalizedEmail };
+  }
 
-    const token = generateToken({
-      dtid: dtid,
-      name: tourist.full_name,
-      role: 'tourist'
-    });
+  if (mobile_number) {
+    // Validate and normalize to E.164 (any country)
+    const phone = normalizePhoneNumber(mobile_number, { mobileOnly });
+    if (!phone.valid) {
+      return { error: { field: 'mobile_number', location: 'body', message: phone.error } };
+    }
+    return { channel: 'sms', field: 'mobile_number', label: 'mobile number', identifier: phone.e164 };
+  }
 
-    res.json({
-      success: true,
-      message: 'Token refreshed successfully',
-      data: {
-        token: token,
-        dtid: dtid
-      }
-    });
+  return { error: { field: 'mobile_number', location: 'body', message: 'Mobile number or email is required' } };
+}
 
-  } catch (error) {
-    console.error('Token refresh error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Token refresh failed',
-      error: error.message
-    });
-  }
-});
+// Client metadata stored with each refresh token
+function requestMeta(req) {
+  return { ip: req.ip, userAgent: req.get('user-agent') };
+}
 
-// Helper function to send SMS via Twilio
-async function sendOTPSMS(mobileNumber, otp) {
-  try {
-    const message = await twilioClient.messages.create({
-      body: `Your Tourist Safety OTP is: ${otp}. Valid for 10 minutes. Do not share with anyone.`,
-      from: process.env.TWILIO_PHONE_NUMBER,
-      to: mobileNumber
-    });
-    
-    console.log(`SMS sent successfully. SID: ${message.sid}`);
-    return message;
-  } catch (error) {
-    console.error('Twilio SMS error:', error);
-    throw error;
+// Audit a failed attempt, count it towards lockouts and audit any lockout it triggers
+async function registerFailure(req, identifier, eventType, metadata) {
+  await recordAuthEvent(eventType, { identifier, metadata }, req);
+
+  const lockouts = await recordFailure({ identifier, ip: req.ip });
+  for (const lockout of lockouts) {
+    await recordAuthEvent('lockout', {
+      identifier: lockout.value,
+      metadata: { scope: lockout.scope, level: lockout.level, locked_until: lockout.locked_until, trigger: eventType }
+    }, req);
   }
+  return lockouts;
+}
+
+function lockoutResponse(res, lock) {
+  res.set('Retry-After', String(lock.retry_after_seconds));
+  return res.status(429).json({
+    success: false,
+    message: 'Too many failed attempts. Please try again later.',
+    retry_after_seconds: lock.retry_after_seconds
+  });
+}
+
+// Only expose the OTP in responses when OTP_DEV_MODE is explicitly enabled
+function devOtpField(otp) {
+  return isOtpDevMode() ? { otp_for_testing: otp } : {};
 }
 
-// Generate 6-digit OTP
+// Generate 6-digit OTP from a CSPRNG (leading zeros kept)
 function generateOTP() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(0, 1e6).toString().padStart(6, '0');
 }
 
 module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const {
+  listItinerary,
+  addItineraryStop,
+  updateItineraryStop,
+  deleteItineraryStop,
+  reorderItinerary
+} = require('../services/itineraryService.cjs');
+const { authenticateToken, requireRole, requireOwnDTID } = require('../middleware/auth.cjs');
+const { validate, sendValidationError } = require('../middleware/validate.cjs');
+const schemas = require('../schemas/itinerary.cjs');
+
+const router = express.Router();
+
+// Answer a failed itinerary change
+function sendItineraryError(res, result, fallbackMessage) {
+  if (result.code === 'VALIDATION') {
+    return sendValidationError(res, result.errors.map(({ field, message }) => ({ field, location: 'body', message })));
+  }
+  const status = { NOT_FOUND: 404, CONFLICT: 409 }[result.code] || 500;
+  return res.status(status).json({
+    success: false,
+    message: result.code ? result.error : fallbackMessage
+  });
+}
+
+// Tourists change their own itinerary
+const touristOnly = [authenticateToken, requireRole('tourist')];
+
+// Get a tourist's itinerary in visiting order (tourists their own, admins any)
+router.get('/:dtid', authenticateToken, validate({ params: schemas.itineraryParams }), requireOwnDTID(), async (req, res) => {
+  const result = await listItinerary(req.params.dtid);
+
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve itinerary'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Itinerary retrieved successfully',
+    data: result.data
+  });
+});
+
+// Add a stop at the end of the itinerary
+router.post('/:dtid/stops', ...touristOnly, validate({ params: schemas.itineraryParams, body: schemas.stop }), requireOwnDTID(), async (req, res) => {
+  const result = await addItineraryStop(req.params.dtid, req.body);
+
+  if (!result.success) {
+    return sendItineraryError(res, result, 'Failed to add itinerary stop');
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Itinerary stop added',
+    data: result.data
+  });
+});
+
+// Edit a stop (null clears an optional field)
+router.patch('/:dtid/stops/:stopId', ...touristOnly, validate({ params: schemas.stopParams, body: schemas.stopUpdate }), requireOwnDTID(), async (req, res) => {
+  const result = await updateItineraryStop(req.params.dtid, req.params.stopId, req.body);
+
+  if (!result.success) {
+    return sendItineraryError(res, result, 'Failed to update itinerary stop');
+  }
+
+  res.json({
+    success: true,
+    message: 'Itinerary stop updated',
+    data: result.data
+  });
+});
+
+// Remove a stop; returns the renumbered itinerary
+router.delete('/:dtid/stops/:stopId', ...touristOnly, validate({ params: schemas.stopParams }), requireOwnDTID(), async (req, res) => {
+  const result = await deleteItineraryStop(req.params.dtid, req.params.stopId);
+
+  if (!result.success) {
+    return sendItineraryError(res, result, 'Failed to remove itinerary stop');
+  }
+
+  res.json({
+    success: true,
+    message: 'Itinerary stop removed',
+    data: result.data
+  });
+});
+
+// Reorder stops: stop_ids lists every stop in the new visiting order
+router.put('/:dtid/order', ...touristOnly, validate({ params: schemas.itineraryParams, body: schemas.reorder }), requireOwnDTID(), async (req, res) => {
+  const result = await reorderItinerary(req.params.dtid, req.body.stop_ids);
+
+  if (!result.success) {
+    return sendItineraryError(res, result, 'Failed to reorder itinerary');
+  }
+
+  res.json({
+    success: true,
+    message: 'Itinerary reordered',
+    data: result.data
+  });
+});
+
+module.exports = router;
@@ -1,24 +1,119 @@
 const express = require('express');
-const { verifyKYC } = require('../controllers/kycController.cjs');
-const { getTouristByDTID, testDatabaseConnection } = require('../services/databaseService.cjs');
+const multer = require('multer');
+const { verifyKYC, uploadKYCDocument } = require('../controllers/kycController.cjs');
+const { getTouristByDTID, updateTouristData, testDatabaseConnection, listQRCodes } = require('../services/databaseService.cjs');
+const { transitionKYCStatus, getKYCStatusHistory } = require('../services/kycService.cjs');
+const { getChainStatus } = require('../services/chainQueueService.cjs');
+const { updateTouristProfile, getProfileChangeHistory } = require('../services/profileService.cjs');
+const { redactTourist } = require('../services/piiService.cjs');
+const { MAX_DOCUMENT_BYTES, claimDocumentReference, releaseDocument, readDocumentByViewReference } = require('../services/documentService.cjs');
+const { authenticateToken, authenticateTokenOrApiKey, requireRole, requireOwnDTID, ipLimiter } = require('../middleware/auth.cjs');
+const { validate, sendValidationError } = require('../middleware/validate.cjs');
+const schemas = require('../schemas/kyc.cjs');
 
 const router = express.Router();
 
-// KYC verification (no auth required for initial registration)
-router.post('/verify', verifyKYC);
+// Uploads are kept in memory until validated; documentService decides what is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_BYTES, files: 1 }
+});
+
+function receiveDocument(req, res, next) {
+  upload.single('document')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE' ? `File is larger than ${MAX_DOCUMENT_BYTES} bytes` : error.message
+      });
+    }
+    next(error);
+  });
+}
+
+// Routes open to partner API keys come first: a valid key is rate limited per
+// key only, a token or invalid key per client IP (see middleware/auth.cjs)
 
-// Get tourist profile by DTID
-router.get('/:dtid', async (req, res) => {
+// Verify a scanned DTID (QR verification URL). Partners need the dtid:verify scope.
+// Returns only what a hotel, guide or police scanner needs to confirm identity.
+router.get('/verify/:dtid', authenticateTokenOrApiKey('dtid:verify'), validate({ params: schemas.dtidParams }), requireOwnDTID(), async (req, res) => {
   try {
     const { dtid } = req.params;
-    
-    if (!dtid || !dtid.startsWith('0x')) {
-      return res.status(400).json({
+
+    const tourist = await getTouristByDTID(dtid);
+
+    if (!tourist) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid DTID format. Expected 0x-prefixed hex string'
+        message: 'Tourist not found for the given DTID'
       });
     }
 
+    const today = new Date().toISOString().slice(0, 10);
+    const kycVerified = tourist.kyc_status === 'verified';
+    const tripActive = (!tourist.Trip_Start || tourist.Trip_Start <= today) &&
+      (!tourist.Trip_End || tourist.Trip_End >= today);
+
+    const superseded = Boolean(tourist.successor_dtid);
+    const revoked = Boolean(tourist.erased_at);
+
+    let message = 'DTID is valid';
+    if (revoked) message = 'DTID was revoked and its data erased';
+    else if (superseded) message = 'DTID was replaced after a trip extension';
+    else if (!kycVerified) message = 'DTID has not been verified';
+    else if (!tripActive) message = 'DTID is outside its trip dates';
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        dtid: tourist.dtid,
+        full_name: tourist.full_name,
+        nationality: tourist.nationality,
+        trip_start: tourist.Trip_Start,
+        trip_end: tourist.Trip_End,
+        kyc_verified: kycVerified,
+        trip_active: tripActive,
+        successor_dtid: tourist.successor_dtid || null,
+        revoked,
+        valid: kycVerified && tripActive && !superseded && !revoked
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying DTID:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify DTID',
+      error: error.message
+    });
+  }
+});
+
+// On-chain registration of a DTID: pending, submitted, confirmed or failed,
+// with every attempt (tourists their own, admins and dtid:verify partners any)
+router.get('/:dtid/chain-status', authenticateTokenOrApiKey('dtid:verify'), validate({ params: schemas.dtidParams }), requireOwnDTID(), async (req, res) => {
+  const result = await getChainStatus(req.params.dtid);
+
+  if (!result.success) {
+    return res.status(result.code === 'NOT_FOUND' ? 404 : 500).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to retrieve chain status'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Chain status retrieved successfully',
+    data: result.data
+  });
+});
+
+// Get tourist profile by DTID (tourists may only read their own, admins any,
+// partners with the profile:read scope any), redacted for the requester's role
+router.get('/:dtid', authenticateTokenOrApiKey('profile:read'), validate({ params: schemas.dtidParams }), requireOwnDTID(), async (req, res) => {
+  try {
+    const { dtid } = req.params;
+
     const tourist = await getTouristByDTID(dtid);
     
     if (!tourist) {
@@ -31,7 +126,7 @@ router.get('/:dtid', async (req, res) => {
     res.json({
       success: true,
       message: 'Tourist profile retrieved successfully',
-      data: tourist
+      data: redactTourist(tourist, req.user)
     });
   } catch (error) {
     console.error('Error getting tourist profile:', error);
@@ -43,8 +138,178 @@ router.get('/:dtid', async (req, res) => {
   }
 });
 
-// Test database connection endpoint
-router.get('/test/database', async (req, res) => {
+// Every other KYC route is rate limited per client IP
+router.use(ipLimiter);
+
+// KYC verification (no auth required for initial registration)
+router.post('/verify', validate({ body: schemas.verify }), verifyKYC);
+
+// Upload an Aadhaar/passport/visa scan before calling /verify (no auth, like /verify)
+router.post('/documents', receiveDocument, validate({ body: schemas.uploadDocument }), uploadKYCDocument);
+
+// View a stored document through a short-lived signed link from GET /api/admin/kyc/:dtid.
+// The signature is the authorization, so the link works directly in an <img> or new tab.
+router.get('/documents/:reference', validate({ params: schemas.documentParams }), async (req, res) => {
+  try {
+    const result = await readDocumentByViewReference(req.params.reference);
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 403).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.set({
+      'Content-Type': result.data.mimetype,
+      'Cache-Control': 'private, no-store',
+      'Content-Disposition': 'inline'
+    });
+    res.send(result.data.buffer);
+  } catch (error) {
+    console.error('Error serving KYC document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve document'
+    });
+  }
+});
+
+// Update the tourist's own profile. Email, emergency contacts and accommodation
+// change at once; name, date of birth, ID and nationality wait for admin review.
+router.patch('/:dtid', authenticateToken, requireRole('tourist'), validate({ params: schemas.dtidParams, body: schemas.profileUpdate }), requireOwnDTID(), async (req, res) => {
+  const { dtid } = req.params;
+
+  const result = await updateTouristProfile(dtid, req.body, {
+    actor_type: 'tourist',
+    actor_id: dtid
+  });
+
+  if (!result.success) {
+    if (result.code === 'VALIDATION') {
+      return sendValidationError(res, result.errors.map(({ field, message }) => ({ field, location: 'body', message })));
+    }
+    const status = { NOT_FOUND: 404, CONFLICT: 409 }[result.code] || 500;
+    return res.status(status).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to update profile'
+    });
+  }
+
+  const { updated, change_request } = result.data;
+  let message = 'Profile updated successfully';
+  if (change_request) message = 'Profile updated; identity changes are waiting for review';
+  else if (Object.keys(updated).length === 0) message = 'Profile is already up to date';
+
+  res.json({
+    success: true,
+    message,
+    data: { dtid, updated, change_request }
+  });
+});
+
+// Profile change history and identity change requests (tourists their own, admins any)
+router.get('/:dtid/changes', authenticateToken, validate({ params: schemas.dtidParams }), requireOwnDTID(), async (req, res) => {
+  const result = await getProfileChangeHistory(req.params.dtid);
+
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve profile history'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Profile history retrieved successfully',
+    data: result.data
+  });
+});
+
+// KYC status and review history (tourists their own, admins any)
+router.get('/:dtid/status', authenticateToken, validate({ params: schemas.dtidParams }), requireOwnDTID(), async (req, res) => {
+  const { dtid } = req.params;
+  const tourist = await getTouristByDTID(dtid);
+
+  if (!tourist) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tourist not found for the given DTID'
+    });
+  }
+
+  const history = await getKYCStatusHistory(dtid);
+
+  if (!history.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve KYC history'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'KYC status retrieved successfully',
+    data: {
+      dtid,
+      kyc_status: tourist.kyc_status,
+      kyc_status_updated_at: tourist.kyc_status_updated_at,
+      history: history.data
+    }
+  });
+});
+
+// Resubmit after a reviewer asked for more information (optionally with a new ID document)
+router.post('/:dtid/resubmit', authenticateToken, requireRole('tourist'), validate({ params: schemas.dtidParams, body: schemas.resubmit }), requireOwnDTID(), async (req, res) => {
+  const { dtid } = req.params;
+  const { id_document_ref, note } = req.body;
+
+  const tourist = await getTouristByDTID(dtid);
+  if (!tourist || tourist.kyc_status !== 'needs_more_info') {
+    return res.status(409).json({
+      success: false,
+      message: 'KYC can only be resubmitted when more information was requested'
+    });
+  }
+
+  if (id_document_ref) {
+    // Each uploaded document can be attached once
+    const idDocument = await claimDocumentReference(id_document_ref);
+    if (!idDocument.valid) {
+      return sendValidationError(res, [{ field: 'id_document_ref', location: 'body', message: idDocument.error }]);
+    }
+    if (!(await updateTouristData(dtid, { id_file_path: idDocument.key }))) {
+      await releaseDocument(idDocument.key);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to attach the new ID document'
+      });
+    }
+  }
+
+  const result = await transitionKYCStatus(dtid, 'submitted', {
+    actor_type: 'tourist',
+    actor_id: dtid,
+    reason: note
+  });
+
+  if (!result.success) {
+    const status = { VALIDATION: 400, NOT_FOUND: 404, CONFLICT: 409 }[result.code] || 500;
+    return res.status(status).json({
+      success: false,
+      message: result.code ? result.error : 'Failed to resubmit KYC'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'KYC resubmitted for review',
+    data: { dtid, kyc_status: result.data.kyc_status }
+  });
+});
+
+// Test database connection endpoint (admin only)
+router.get('/test/database', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const isConnected = await testDatabaseConnection();
     
@@ -62,6 +327,19 @@ router.get('/test/database', async (req, res) => {
   }
 });
 
+// Test QR code storage endpoint (admin only)
+router.get('/test/qr-codes', authenticateToken, requireRole('admin'), validate({ query: schemas.testQrCodesQuery }), async (req, res) => {
+  const result = await listQRCodes({ limit: req.query.limit });
+
+  res.status(result.success ? 200 : 500).json({
+    success: result.success,
+    message: result.success ? 'QR code storage reachable' : 'QR code storage check failed',
+    count: result.data ? result.data.length : 0,
+    data: result.data,
+    timestamp: new Date().toISOString()
+  });
+});
+
 module.exports = router;
 
 
@@ -0,0 +1,110 @@
+const express = require('express');
+const { getConsents, updateConsents, exportTouristData, requestDeletion } = require('../services/privacyService.cjs');
+const { getSessionStore, revokeSubjectSessions } = require('../services/sessionStore.cjs');
+const { authenticateToken, requireRole, requireOwnDTID } = require('../middleware/auth.cjs');
+const { validate } = require('../middleware/validate.cjs');
+const schemas = require('../schemas/privacy.cjs');
+
+const router = express.Router();
+
+// Answer a failed privacy request
+function sendPrivacyError(res, result, fallbackMessage) {
+  const status = { NOT_FOUND: 404, CONFLICT: 409 }[result.code] || 500;
+  return res.status(status).json({
+    success: false,
+    message: result.code ? result.error : fallbackMessage
+  });
+}
+
+// Tourists exercise their own rights
+const touristOnly = [authenticateToken, requireRole('tourist')];
+
+// The request log outlives the erasure, so it names the DTID rather than the
+// tourist's phone number or email
+function touristActor(req) {
+  return {
+    actor_type: 'tourist',
+    actor_id: req.params.dtid,
+    reason: req.body && req.body.reason
+  };
+}
+
+// Current consent and every decision behind it (tourists their own, admins any)
+router.get('/:dtid/consents', authenticateToken, validate({ params: schemas.privacyParams }), requireOwnDTID(), async (req, res) => {
+  const result = await getConsents(req.params.dtid);
+
+  if (!result.success) {
+    return sendPrivacyError(res, result, 'Failed to retrieve consent');
+  }
+
+  res.json({
+    success: true,
+    message: 'Consent retrieved successfully',
+    data: result.data
+  });
+});
+
+// Give or withdraw consent to tracking, sharing with police or marketing
+router.post('/:dtid/consents', ...touristOnly, validate({ params: schemas.privacyParams, body: schemas.consentUpdate }), requireOwnDTID(), async (req, res) => {
+  const result = await updateConsents(req.params.dtid, req.body, {
+    ip: req.ip,
+    user_agent: req.get('user-agent')
+  });
+
+  if (!result.success) {
+    return sendPrivacyError(res, result, 'Failed to update consent');
+  }
+
+  res.json({
+    success: true,
+    message: result.data.recorded.length > 0 ? 'Consent updated' : 'Consent is already up to date',
+    data: result.data
+  });
+});
+
+// Download everything stored about the tourist as JSON
+router.get('/:dtid/export', ...touristOnly, validate({ params: schemas.privacyParams }), requireOwnDTID(), async (req, res) => {
+  const result = await exportTouristData(req.params.dtid, touristActor(req));
+
+  if (!result.success) {
+    return sendPrivacyError(res, result, 'Failed to export data');
+  }
+
+  res.set('Content-Disposition', `attachment; filename="tourist-data-${req.params.dtid}.json"`);
+  res.json({
+    success: true,
+    message: 'Data exported successfully',
+    data: result.data
+  });
+});
+
+// Erase the tourist's data and revoke the DTID on-chain. Sessions of the DTID
+// and its predecessors end at once, even if a later erasure step failed.
+router.post('/:dtid/deletion', ...touristOnly, validate({ params: schemas.privacyParams, body: schemas.deletion }), requireOwnDTID(), async (req, res) => {
+  const result = await requestDeletion(req.params.dtid, touristActor(req));
+
+  if (!result.success) {
+    return sendPrivacyError(res, result, 'Failed to erase data');
+  }
+
+  let sessionsRevoked = true;
+  for (const dtid of result.data.dtids) {
+    try {
+      await revokeSubjectSessions(getSessionStore(), 'tourist', dtid, 'erased');
+    } catch (error) {
+      console.error('Session revocation error:', error);
+      sessionsRevoked = false;
+    }
+  }
+
+  const completed = result.data.status === 'completed' && sessionsRevoked;
+  res.status(completed ? 200 : 202).json({
+    success: true,
+    message: completed
+      ? 'Your data was erased and your DTID revoked'
+      : 'Your erasure request was recorded, but some steps failed; an administrator will retry them',
+    data: { ...result.data, sessions_revoked: sessionsRevoked }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const { toJSONSchema, listSchemas } = require('../schemas/index.cjs');
+
+const router = express.Router();
+
+// Request schema names, e.g. kyc.verify
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Request schemas retrieved successfully',
+    data: listSchemas()
+  });
+});
+
+// JSON Schema for one request payload, for client-side form validation
+router.get('/:name', (req, res) => {
+  const schema = toJSONSchema(req.params.name);
+
+  if (!schema) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown schema: ${req.params.name}`
+    });
+  }
+
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json({
+    success: true,
+    message: 'Schema retrieved successfully',
+    data: schema
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const { extendTrip, checkoutTrip, getTripHistory } = require('../services/tripService.cjs');
+const { getSessionStore, issueSession, revokeSubjectSessions } = require('../services/sessionStore.cjs');
+const { authenticateToken, requireRole, requireOwnDTID } = require('../middleware/auth.cjs');
+const { validate, sendValidationError } = require('../middleware/validate.cjs');
+const schemas = require('../schemas/trip.cjs');
+
+const router = express.Router();
+
+// Answer a failed trip change
+function sendTripError(res, result, fallbackMessage) {
+  if (result.code === 'VALIDATION') {
+    return sendValidationError(res, result.errors.map(({ field, message }) => ({ field, location: 'body', message })));
+  }
+  const status = { NOT_FOUND: 404, CONFLICT: 409 }[result.code] || 500;
+  return res.status(status).json({
+    success: false,
+    message: result.code ? result.error : fallbackMessage
+  });
+}
+
+// Tourists change their own trip
+const touristOnly = [authenticateToken, requireRole('tourist')];
+
+function touristActor(req) {
+  return {
+    actor_type: 'tourist',
+    actor_id: req.params.dtid,
+    reason: req.body.reason
+  };
+}
+
+// Extend the trip. A verified DTID is replaced by a successor DTID: sessions on
+// the old DTID are revoked and the tourist gets a new session for the successor.
+router.post('/:dtid/extend', ...touristOnly, validate({ params: schemas.tripParams, body: schemas.extend }), requireOwnDTID(), async (req, res) => {
+  const result = await extendTrip(req.params.dtid, req.body.trip_end, touristActor(req));
+
+  if (!result.success) {
+    return sendTripError(res, result, 'Failed to extend trip');
+  }
+
+  let session = null;
+  let sessionsRevoked = null;
+  if (result.data.dtid_changed) {
+    const sessionStore = getSessionStore();
+    // The trip is already extended, so session failures are reported, not raised
+    try {
+      await revokeSubjectSessions(sessionStore, 'tourist', req.params.dtid, 'dtid_superseded');
+      sessionsRevoked = true;
+    } catch (error) {
+      console.error('Session revocation error:', error);
+      sessionsRevoked = false;
+    }
+    try {
+      const tokens = await issueSession(sessionStore, {
+        subjectType: 'tourist',
+        subjectId: result.data.dtid,
+        claims: {
+          mobile_number: req.user.mobile_number || null,
+          email: req.user.email || null,
+          dtid: result.data.dtid,
+          full_name: req.user.full_name || null,
+          role: 'tourist',
+          is_verified: true,
+          verified_at: req.user.verified_at || new Date().toISOString()
+        }
+      }, { ip: req.ip, userAgent: req.get('user-agent') });
+      session = {
+        token: tokens.access_token,
+        refresh_token: tokens.refresh_token,
+        expires_in: tokens.expires_in
+      };
+    } catch (error) {
+      console.error('Session issue error:', error);
+    }
+  }
+
+  let message = result.data.dtid_changed
+    ? 'Trip extended; a new DTID and QR code were issued'
+    : 'Trip extended';
+  if (sessionsRevoked === false) message += ', but your sessions on the old DTID could not be ended';
+  if (result.data.dtid_changed && !session) message += '; sign in again to use the new DTID';
+
+  res.json({
+    success: true,
+    message,
+    data: { ...result.data, session, old_sessions_revoked: sessionsRevoked }
+  });
+});
+
+// End the trip early (checkout_date defaults to today); the DTID stays valid
+router.post('/:dtid/checkout', ...touristOnly, validate({ params: schemas.tripParams, body: schemas.checkout }), requireOwnDTID(), async (req, res) => {
+  const result = await checkoutTrip(req.params.dtid, req.body.checkout_date, touristActor(req));
+
+  if (!result.success) {
+    return sendTripError(res, result, 'Failed to check out');
+  }
+
+  res.json({
+    success: true,
+    message: 'Checked out',
+    data: result.data
+  });
+});
+
+// Trip changes of a DTID and its predecessors (tourists their own, admins any)
+router.get('/:dtid/history', authenticateToken, validate({ params: schemas.tripParams }), requireOwnDTID(), async (req, res) => {
+  const result = await getTripHistory(req.params.dtid);
+
+  if (!result.success) {
+    return sendTripError(res, result, 'Failed to retrieve trip history');
+  }
+
+  res.json({
+    success: true,
+    message: 'Trip history retrieved successfully',
+    data: result.data
+  });
+});
+
+module.exports = router;
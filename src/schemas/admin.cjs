@@ -0,0 +1,80 @@
+// src/schemas/admin.cjs
+const { z } = require('zod');
+const { dtid, nonEmptyString, optional, queryInt } = require('./common.cjs');
+const { ADMIN_ROLES, MIN_PASSWORD_LENGTH, API_KEY_SCOPES, PARTNER_TYPES, AUTH_EVENT_TYPES } = require('../config/constants.cjs');
+
+/**
+ * Request schemas for admin account, API key, session and audit log routes
+ * (/api/admin/admins, /api-keys, /sessions, /auth-events)
+ */
+
+const password = z.string()
+  .min(MIN_PASSWORD_LENGTH, `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`)
+  .max(200);
+
+// Admin and API key ids are UUIDs
+const uuidParams = z.object({
+  id: z.uuid('Invalid id')
+});
+
+const booleanQuery = z.enum(['true', 'false']).transform(value => value === 'true').optional();
+
+// Timestamps accepted by the audit log filters (date or date-time)
+const timestamp = z.string().trim().refine(value => !Number.isNaN(Date.parse(value)), 'Must be an ISO 8601 date or date-time');
+
+const adminQuery = z.object({
+  role: z.enum(ADMIN_ROLES).optional(),
+  is_active: booleanQuery
+});
+
+const adminCreate = z.object({
+  username: nonEmptyString(100).toLowerCase(),
+  password,
+  role: z.enum(ADMIN_ROLES),
+  full_name: optional(nonEmptyString(200))
+});
+
+const passwordReset = z.object({ password });
+
+const apiKeyQuery = z.object({
+  partner_type: z.enum(PARTNER_TYPES).optional(),
+  is_active: booleanQuery
+});
+
+const apiKeyCreate = z.object({
+  name: nonEmptyString(200),
+  partner_type: z.enum(PARTNER_TYPES).default('other'),
+  scopes: z.array(z.enum(API_KEY_SCOPES)).min(1, 'Provide at least one scope'),
+  rate_limit_per_minute: optional(z.number().int().min(1).max(10000)),
+  expires_at: optional(timestamp.refine(value => Date.parse(value) > Date.now(), 'expires_at must be a future date'))
+});
+
+// Exactly one subject: a tourist (dtid) or an admin (admin_id)
+const sessionRevoke = z.object({
+  dtid: optional(dtid),
+  admin_id: optional(z.uuid('Invalid admin_id')),
+  reason: optional(z.string().trim().max(200))
+})
+  .refine(body => !body.dtid !== !body.admin_id, { message: 'Provide exactly one of dtid or admin_id', path: ['dtid'] });
+
+const authEventQuery = z.object({
+  event_type: z.enum(AUTH_EVENT_TYPES).optional(),
+  identifier: optional(z.string().trim().max(254)),
+  ip: optional(z.string().trim().max(45)),
+  since: optional(timestamp),
+  until: optional(timestamp),
+  limit: queryInt({ min: 1, max: 500 }),
+  offset: queryInt()
+});
+
+module.exports = {
+  adminParams: uuidParams,
+  adminQuery,
+  adminCreate,
+  passwordReset,
+  apiKeyParams: uuidParams,
+  apiKeyQuery,
+  apiKeyCreate,
+  sessionRevoke,
+  authEventQuery
+};
@@ -0,0 +1,47 @@
+// src/schemas/admin.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { admin, listSchemas } = require('./index.cjs');
+
+const DTID = `0x${'ab'.repeat(32)}`;
+const ADMIN_ID = '7d8c6a1e-3f4b-4c2d-9e1a-2b3c4d5e6f70';
+
+test('admin schemas are exposed through /api/schemas', () => {
+  for (const name of ['adminCreate', 'passwordReset', 'apiKeyCreate', 'sessionRevoke', 'authEventQuery']) {
+    assert.ok(listSchemas().includes(`admin.${name}`), name);
+  }
+});
+
+test('admin accounts need a known role and a long enough password', () => {
+  const created = admin.adminCreate.parse({ username: ' Ravi.Ops ', password: 'correct horse', role: 'operator' });
+  assert.equal(created.username, 'ravi.ops');
+
+  assert.equal(admin.adminCreate.safeParse({ username: 'ravi', password: 'short', role: 'operator' }).success, false);
+  assert.equal(admin.adminCreate.safeParse({ username: 'ravi', password: 'correct horse', role: 'root' }).success, false);
+  assert.equal(admin.passwordReset.safeParse({}).success, false);
+});
+
+test('API keys need known scopes and a future expiry', () => {
+  const key = admin.apiKeyCreate.parse({ name: 'Hotel', scopes: ['dtid:verify'] });
+  assert.equal(key.partner_type, 'other');
+
+  assert.equal(admin.apiKeyCreate.safeParse({ name: 'Hotel', scopes: [] }).success, false);
+  assert.equal(admin.apiKeyCreate.safeParse({ name: 'Hotel', scopes: ['admin:all'] }).success, false);
+  assert.equal(admin.apiKeyCreate.safeParse({ name: 'Hotel', scopes: ['dtid:verify'], expires_at: '2020-01-01' }).success, false);
+  assert.equal(admin.apiKeyCreate.safeParse({ name: 'Hotel', scopes: ['dtid:verify'], rate_limit_per_minute: 0 }).success, false);
+});
+
+test('session revocation takes exactly one subject', () => {
+  assert.equal(admin.sessionRevoke.safeParse({ dtid: DTID }).success, true);
+  assert.equal(admin.sessionRevoke.safeParse({ admin_id: ADMIN_ID }).success, true);
+  assert.equal(admin.sessionRevoke.safeParse({}).success, false);
+  assert.equal(admin.sessionRevoke.safeParse({ dtid: DTID, admin_id: ADMIN_ID }).success, false);
+  assert.equal(admin.sessionRevoke.safeParse({ admin_id: 'not-a-uuid' }).success, false);
+});
+
+test('auth event queries are bounded and typed', () => {
+  assert.deepEqual(admin.authEventQuery.parse({ event_type: 'lockout', limit: '20' }), { event_type: 'lockout', limit: 20 });
+  assert.equal(admin.authEventQuery.safeParse({ event_type: 'anything' }).success, false);
+  assert.equal(admin.authEventQuery.safeParse({ limit: '5000' }).success, false);
+  assert.equal(admin.authEventQuery.safeParse({ since: 'yesterday' }).success, false);
+});
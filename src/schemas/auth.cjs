@@ -0,0 +1,55 @@
+// src/schemas/auth.cjs
+const { z } = require('zod');
+const { email, phoneNumber, nonEmptyString } = require('./common.cjs');
+
+/**
+ * Request schemas for /api/auth
+ */
+
+// OTPs are six digits; accept them as a number too
+const otp = z.preprocess(
+  value => (typeof value === 'number' ? String(value).padStart(6, '0') : value),
+  z.string().trim().regex(/^\d{6}$/, 'OTP must be 6 digits')
+);
+
+// Exactly one of mobile_number (SMS) or email
+function otpTarget({ mobileOnly }) {
+  return z.object({
+    mobile_number: phoneNumber({ mobileOnly }).optional(),
+    email: email.optional()
+  });
+}
+
+function requireOneTarget(body, ctx) {
+  if (body.mobile_number && body.email) {
+    ctx.addIssue({ code: 'custom', path: ['email'], message: 'Provide either mobile_number or email, not both' });
+  } else if (!body.mobile_number && !body.email) {
+    ctx.addIssue({ code: 'custom', path: ['mobile_number'], message: 'Mobile number or email is required' });
+  }
+}
+
+const register = otpTarget({ mobileOnly: true }).superRefine(requireOneTarget);
+
+const resendOtp = register;
+
+const verifyOtp = otpTarget({ mobileOnly: false })
+  .extend({ otp })
+  .superRefine(requireOneTarget);
+
+const adminLogin = z.object({
+  username: nonEmptyString(100),
+  password: z.string().min(1, 'Must not be empty').max(200)
+});
+
+const refreshToken = z.object({
+  refresh_token: z.string().min(1, 'Must not be empty').max(512)
+});
+
+module.exports = {
+  register,
+  resendOtp,
+  verifyOtp,
+  adminLogin,
+  refresh: refreshToken,
+  logout: refreshToken
+};
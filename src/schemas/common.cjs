@@ -0,0 +1,62 @@
+// src/schemas/common.cjs
+const { z } = require('zod');
+const { normalizePhoneNumber } = require('../services/phoneService.cjs');
+
+/**
+ * Building blocks shared by the route schemas.
+ */
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Calendar date as YYYY-MM-DD (rejects 2025-02-30)
+const isoDate = z.string().trim().regex(ISO_DATE_PATTERN, 'Must be a date in YYYY-MM-DD format').refine(value => {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}, 'Must be a valid calendar date');
+
+const dtid = z.string().regex(/^0x[0-9a-fA-F]{64}$/, 'Invalid DTID format. Expected 0x-prefixed 64-character hex string');
+
+const email = z.string().trim().toLowerCase().max(254).pipe(z.email('Invalid email address'));
+
+/**
+ * Phone number normalized to E.164
+ * @param {Object} options - { mobileOnly }
+ * @returns {z.ZodType}
+ */
+function phoneNumber({ mobileOnly = false } = {}) {
+  return z.string().trim().min(1).transform((value, ctx) => {
+    const phone = normalizePhoneNumber(value, { mobileOnly });
+    if (!phone.valid) {
+      ctx.addIssue({ code: 'custom', message: phone.error });
+      return z.NEVER;
+    }
+    return phone.e164;
+  });
+}
+
+const nonEmptyString = (max = 200) => z.string().trim().min(1, 'Must not be empty').max(max);
+
+// Optional field; forms send empty strings and nulls for fields left blank
+const optional = schema => z.preprocess(value => (value === '' || value === null ? undefined : value), schema.optional());
+
+// Optional field that may be set to null to clear it
+const nullable = schema => z.preprocess(value => (value === '' ? null : value), schema.nullable().optional());
+
+// Optional non-negative integers from a query string
+const queryInt = ({ min = 0, max } = {}) => {
+  let schema = z.coerce.number().int().min(min);
+  if (max !== undefined) schema = schema.max(max);
+  return schema.optional();
+};
+
+module.exports = {
+  ISO_DATE_PATTERN,
+  isoDate,
+  dtid,
+  email,
+  phoneNumber,
+  nonEmptyString,
+  optional,
+  nullable,
+  queryInt
+};
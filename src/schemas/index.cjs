@@ -0,0 +1,51 @@
+// src/schemas/index.cjs
+const { z } = require('zod');
+const auth = require('./auth.cjs');
+const kyc = require('./kyc.cjs');
+const itinerary = require('./itinerary.cjs');
+const trip = require('./trip.cjs');
+const privacy = require('./privacy.cjs');
+const admin = require('./admin.cjs');
+
+/**
+ * Request schemas (zod) for every auth, KYC, itinerary, trip, privacy and
+ * admin route. The server validates with them through middleware/validate.cjs;
+ * frontends can import this module directly or fetch the JSON Schema versions
+ * from GET /api/schemas/:name. The schemas take their enums from
+ * config/constants.cjs and never load a service that needs configuration, so
+ * importing them needs no environment.
+ */
+
+const schemas = { auth, kyc, itinerary, trip, privacy, admin };
+
+/**
+ * JSON Schema (draft 2020-12) of a request schema, as the client should send it
+ * @param {string} name - Dotted schema name, e.g. "kyc.verify"
+ * @returns {Object|null} - JSON Schema or null if there is no such schema
+ */
+function toJSONSchema(name) {
+  const [group, key] = String(name).split('.');
+  const schema = schemas[group] && Object.prototype.hasOwnProperty.call(schemas[group], key) ? schemas[group][key] : null;
+  if (!schema) return null;
+  // Refinements (checksums, cross-field rules) have no JSON Schema form and are enforced server-side
+  return z.toJSONSchema(schema, { io: 'input', unrepresentable: 'any' });
+}
+
+/**
+ * Names of all request schemas, e.g. ["auth.register", "kyc.verify", ...]
+ * @returns {string[]}
+ */
+function listSchemas() {
+  return Object.entries(schemas).flatMap(([group, members]) => Object.keys(members).map(key => `${group}.${key}`));
+}
+
+module.exports = {
+  auth,
+  kyc,
+  itinerary,
+  trip,
+  privacy,
+  admin,
+  toJSONSchema,
+  listSchemas
+};
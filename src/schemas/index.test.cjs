@@ -0,0 +1,16 @@
+// src/schemas/index.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const os = require('os');
+
+test('the schemas load without any server configuration', () => {
+  // A bare environment, outside the repo so no .env is picked up
+  const output = execFileSync(process.execPath, [
+    '-e',
+    `const { listSchemas } = require(${JSON.stringify(require.resolve('./index.cjs'))}); console.log('schemas:' + listSchemas().length);`
+  ], { cwd: os.tmpdir(), env: { PATH: process.env.PATH }, encoding: 'utf8' });
+
+  // dotenv may print its own notice first
+  assert.match(output, /schemas:[1-9]/);
+});
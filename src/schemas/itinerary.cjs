@@ -0,0 +1,120 @@
+// src/schemas/itinerary.cjs
+const { z } = require('zod');
+const { isoDate, dtid, phoneNumber, nonEmptyString, optional, nullable, queryInt } = require('./common.cjs');
+
+/**
+ * Request schemas for itinerary stops (/api/itinerary, the KYC itinerary
+ * field and the admin "expected at" query)
+ */
+
+const latitude = z.number().min(-90).max(90);
+const longitude = z.number().min(-180).max(180);
+
+function stopFields(field) {
+  return {
+    place_name: nonEmptyString(200),
+    latitude: field(latitude),
+    longitude: field(longitude),
+    arrival_date: field(isoDate),
+    departure_date: field(isoDate),
+    accommodation: field(nonEmptyString(300)),
+    contact_number: field(phoneNumber())
+  };
+}
+
+function checkDates(stop, ctx) {
+  if (stop.arrival_date && stop.departure_date && stop.departure_date < stop.arrival_date) {
+    ctx.addIssue({ code: 'custom', path: ['departure_date'], message: 'departure_date must not be before arrival_date' });
+  }
+}
+
+/**
+ * Check a stop's dates against each other and against the tourist's trip
+ * @param {Object} stop - { arrival_date, departure_date }
+ * @param {Object} trip - { trip_start, trip_end }
+ * @returns {Array} - [{ field, message }]
+ */
+function checkStopDates(stop, trip) {
+  const errors = [];
+  for (const field of ['arrival_date', 'departure_date']) {
+    const value = stop[field];
+    if (!value) continue;
+    if (trip.trip_start && value < trip.trip_start) {
+      errors.push({ field, message: `${field} must not be before the trip starts (${trip.trip_start})` });
+    } else if (trip.trip_end && value > trip.trip_end) {
+      errors.push({ field, message: `${field} must not be after the trip ends (${trip.trip_end})` });
+    }
+  }
+  if (stop.arrival_date && stop.departure_date && stop.departure_date < stop.arrival_date) {
+    errors.push({ field: 'departure_date', message: 'departure_date must not be before arrival_date' });
+  }
+  return errors;
+}
+
+function checkCoordinates(stop, ctx) {
+  if ((stop.latitude == null) !== (stop.longitude == null)) {
+    ctx.addIssue({ code: 'custom', path: ['longitude'], message: 'latitude and longitude must be set together' });
+  }
+}
+
+// A new stop; in the KYC form a plain string is accepted as { place_name }
+const stop = z.object(stopFields(optional)).superRefine((value, ctx) => {
+  checkDates(value, ctx);
+  checkCoordinates(value, ctx);
+});
+
+const itinerary = z.array(z.union([
+  nonEmptyString(200).transform(place_name => ({ place_name })),
+  stop
+])).max(50);
+
+// Partial edit; null clears an optional field
+const stopUpdate = z.object(stopFields(nullable))
+  .partial()
+  .refine(value => Object.values(value).some(field => field !== undefined), 'Provide at least one field to change')
+  .superRefine((value, ctx) => {
+    checkDates(value, ctx);
+    // Coordinates changed on their own are checked against the stored stop by itineraryService
+    if (value.latitude !== undefined && value.longitude !== undefined) checkCoordinates(value, ctx);
+  });
+
+const reorder = z.object({
+  stop_ids: z.array(z.number().int().positive()).min(1).max(50)
+    .refine(ids => new Set(ids).size === ids.length, 'stop_ids must not contain duplicates')
+});
+
+const itineraryParams = z.object({ dtid });
+
+const stopParams = z.object({
+  dtid,
+  stopId: z.coerce.number().int().positive()
+});
+
+// Tourists expected at a place (name and/or coordinates) on a day
+const expectedQuery = z.object({
+  date: isoDate,
+  place: optional(nonEmptyString(200)),
+  lat: optional(z.coerce.number().min(-90).max(90)),
+  lng: optional(z.coerce.number().min(-180).max(180)),
+  radius_km: z.coerce.number().positive().max(500).default(5),
+  limit: queryInt({ min: 1, max: 500 }),
+  offset: queryInt()
+}).superRefine((query, ctx) => {
+  if ((query.lat === undefined) !== (query.lng === undefined)) {
+    ctx.addIssue({ code: 'custom', path: ['lng'], message: 'lat and lng must be given together' });
+  }
+  if (!query.place && query.lat === undefined) {
+    ctx.addIssue({ code: 'custom', path: ['place'], message: 'Provide place or lat/lng' });
+  }
+});
+
+module.exports = {
+  stop,
+  itinerary,
+  stopUpdate,
+  reorder,
+  itineraryParams,
+  stopParams,
+  expectedQuery,
+  checkStopDates
+};
@@ -0,0 +1,184 @@
+// src/schemas/kyc.cjs
+const { z } = require('zod');
+const { isoDate, dtid, email, phoneNumber, nonEmptyString, optional, nullable, queryInt } = require('./common.cjs');
+const { ID_TYPES, DOCUMENT_TYPES, KYC_STATUSES, CHANGE_REQUEST_STATUSES, DUPLICATE_RESOLUTIONS, JOB_STATUSES } = require('../config/constants.cjs');
+const { validateIdentity } = require('../services/idValidationService.cjs');
+const { itinerary, checkStopDates } = require('./itinerary.cjs');
+const { consent } = require('./privacy.cjs');
+
+/**
+ * Request schemas for /api/kyc and the admin KYC review routes
+ */
+
+// Run a cross-field check even when single fields failed, skipping fields (or lists) that already have an error
+function crossFieldCheck(check) {
+  return [
+    (body, ctx) => {
+      const failed = new Set(ctx.issues.map(issue => issue.path[0]));
+      for (const { field, message } of check(body)) {
+        if (!failed.has(field.split('.')[0])) ctx.addIssue({ code: 'custom', path: [field], message });
+      }
+    },
+    { when: () => true }
+  ];
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const verify = z.object({
+  id_type: z.enum(ID_TYPES),
+  id: nonEmptyString(50),
+  mrz: optional(z.union([z.string().max(100), z.array(z.string().max(50)).max(2)])),
+  full_name: nonEmptyString(200),
+  date_of_birth: isoDate.refine(value => value < today(), 'date_of_birth must be in the past'),
+  contact_number: phoneNumber({ mobileOnly: true }),
+  email: optional(email),
+  emergency_contact_1: phoneNumber(),
+  emergency_contact_2: optional(phoneNumber()),
+  nationality: optional(nonEmptyString(100)),
+  itinerary: optional(itinerary),
+  trip_start: optional(isoDate),
+  trip_end: optional(isoDate),
+  salt: z.string().max(200).optional(),
+  id_document_ref: optional(z.string().max(2048)),
+  consent
+})
+  .superRefine(...crossFieldCheck(body => {
+    const errors = [];
+    if (typeof body.trip_start === 'string' && typeof body.trip_end === 'string' && body.trip_end < body.trip_start) {
+      errors.push({ field: 'trip_end', message: 'trip_end must not be before trip_start' });
+    }
+    // Itinerary stops must fall inside the trip
+    if (Array.isArray(body.itinerary)) {
+      body.itinerary.forEach((stop, index) => {
+        if (!stop || typeof stop !== 'object') return;
+        for (const { field, message } of checkStopDates(stop, body)) {
+          errors.push({ field: `itinerary.${index}.${field}`, message });
+        }
+      });
+    }
+    return errors;
+  }))
+  // Aadhaar checksum, passport format and MRZ cross-checks (see idValidationService)
+  .superRefine(...crossFieldCheck(body => (ID_TYPES.includes(body.id_type) && body.id ? validateIdentity(body).errors : [])))
+  .transform(body => ({ ...body, id: validateIdentity(body).id_number }));
+
+// Tourist profile edit. Safe fields apply at once; identity fields open a change request.
+const profileUpdate = z.object({
+  email: nullable(email),
+  emergency_contact_1: phoneNumber().optional(),
+  emergency_contact_2: nullable(phoneNumber()),
+  accommodation: nullable(nonEmptyString(300)),
+  full_name: nonEmptyString(200).optional(),
+  date_of_birth: isoDate.refine(value => value < today(), 'date_of_birth must be in the past').optional(),
+  id_type: z.enum(ID_TYPES).optional(),
+  id: nonEmptyString(50).optional(),
+  nationality: nonEmptyString(100).optional(),
+  mrz: optional(z.union([z.string().max(100), z.array(z.string().max(50)).max(2)]))
+})
+  .refine(body => Object.entries(body).some(([field, value]) => field !== 'mrz' && value !== undefined), 'Provide at least one field to change')
+  .superRefine((body, ctx) => {
+    if (body.id_type && !body.id) {
+      ctx.addIssue({ code: 'custom', path: ['id'], message: 'id is required when changing id_type' });
+    }
+  });
+
+const uploadDocument = z.object({
+  document_type: z.enum(DOCUMENT_TYPES)
+});
+
+const resubmit = z.object({
+  id_document_ref: optional(z.string().max(2048)),
+  note: z.string().trim().max(1000).optional()
+});
+
+const dtidParams = z.object({ dtid });
+
+const documentParams = z.object({
+  reference: z.string().min(1).max(2048)
+});
+
+const testQrCodesQuery = z.object({
+  limit: queryInt({ min: 1, max: 50 }).default(10)
+});
+
+// Admin review queue
+const reviewQueueQuery = z.object({
+  status: z.enum(KYC_STATUSES).optional(),
+  nationality: nonEmptyString(100).optional(),
+  trip_from: isoDate.optional(),
+  trip_to: isoDate.optional(),
+  min_age_hours: z.coerce.number().min(0).optional(),
+  max_age_hours: z.coerce.number().min(0).optional(),
+  limit: queryInt({ min: 1, max: 200 }),
+  offset: queryInt()
+});
+
+const reviewDecisionParams = dtidParams.extend({
+  decision: z.enum(['approve', 'reject'])
+});
+
+// Numeric row id (profile change requests, duplicate matches, privacy requests, retention runs, chain jobs)
+const recordIdParams = z.object({
+  id: z.coerce.number().int().positive()
+});
+
+const changeRequestDecisionParams = recordIdParams.extend({
+  decision: z.enum(['approve', 'reject'])
+});
+
+const changeRequestQuery = z.object({
+  status: z.enum(CHANGE_REQUEST_STATUSES).default('pending'),
+  dtid: dtid.optional(),
+  limit: queryInt({ min: 1, max: 200 }),
+  offset: queryInt()
+});
+
+const duplicateQuery = z.object({
+  status: z.enum(['open', ...DUPLICATE_RESOLUTIONS]).default('open'),
+  dtid: dtid.optional(),
+  limit: queryInt({ min: 1, max: 200 }),
+  offset: queryInt()
+});
+
+// Admin view of the on-chain registration queue
+const chainJobQuery = z.object({
+  status: z.enum(JOB_STATUSES).optional(),
+  dtid: dtid.optional(),
+  limit: queryInt({ min: 1, max: 200 }),
+  offset: queryInt()
+});
+
+const duplicateResolution = z.object({
+  resolution: z.enum(DUPLICATE_RESOLUTIONS),
+  comment: z.string().trim().max(1000).optional()
+});
+
+const reviewDecision = z.object({
+  comment: z.string().trim().max(1000).optional()
+});
+
+const statusChange = z.object({
+  status: z.enum(KYC_STATUSES),
+  reason: z.string().trim().max(1000).optional()
+});
+
+module.exports = {
+  verify,
+  profileUpdate,
+  uploadDocument,
+  resubmit,
+  dtidParams,
+  documentParams,
+  testQrCodesQuery,
+  reviewQueueQuery,
+  reviewDecisionParams,
+  reviewDecision,
+  statusChange,
+  recordIdParams,
+  changeRequestDecisionParams,
+  changeRequestQuery,
+  duplicateQuery,
+  duplicateResolution,
+  chainJobQuery
+};
@@ -0,0 +1,67 @@
+// src/schemas/privacy.cjs
+const { z } = require('zod');
+const { dtid, optional, queryInt } = require('./common.cjs');
+const { CONSENT_POLICY_VERSION, REQUEST_TYPES, REQUEST_STATUSES, RUN_STATUSES } = require('../config/constants.cjs');
+
+/**
+ * Request schemas for consent, data export and erasure (/api/privacy and the
+ * admin privacy routes), and for the admin retention routes
+ */
+
+// The privacy notice the tourist saw must be the current one
+const policyVersion = optional(z.string().trim().max(50))
+  .refine(value => value === undefined || value === CONSENT_POLICY_VERSION, `Consent must be given to the current privacy notice (version ${CONSENT_POLICY_VERSION})`);
+
+// Given with the KYC submission
+const consent = z.object({
+  tracking: z.boolean(),
+  police_sharing: z.boolean(),
+  marketing: z.boolean().default(false),
+  policy_version: policyVersion
+});
+
+const consentUpdate = z.object({
+  tracking: z.boolean().optional(),
+  police_sharing: z.boolean().optional(),
+  marketing: z.boolean().optional(),
+  policy_version: policyVersion
+})
+  .refine(body => ['tracking', 'police_sharing', 'marketing'].some(purpose => body[purpose] !== undefined), 'Provide at least one consent to change');
+
+const privacyParams = z.object({ dtid });
+
+// Erasure cannot be undone, so it has to be confirmed explicitly
+const deletion = z.object({
+  confirm: z.literal(true, { error: 'Set confirm to true to erase your data' }),
+  reason: optional(z.string().trim().max(1000))
+});
+
+const requestQuery = z.object({
+  request_type: z.enum(REQUEST_TYPES).optional(),
+  status: z.enum(REQUEST_STATUSES).optional(),
+  dtid: dtid.optional(),
+  limit: queryInt({ min: 1, max: 200 }),
+  offset: queryInt()
+});
+
+// Retention runs are dry runs unless asked otherwise
+const retentionRun = z.object({
+  dry_run: z.boolean().default(true)
+});
+
+const retentionRunQuery = z.object({
+  status: z.enum(RUN_STATUSES).optional(),
+  dry_run: z.enum(['true', 'false']).transform(value => value === 'true').optional(),
+  limit: queryInt({ min: 1, max: 200 }),
+  offset: queryInt()
+});
+
+module.exports = {
+  consent,
+  consentUpdate,
+  privacyParams,
+  deletion,
+  requestQuery,
+  retentionRun,
+  retentionRunQuery
+};
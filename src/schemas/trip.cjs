@@ -0,0 +1,28 @@
+// src/schemas/trip.cjs
+const { z } = require('zod');
+const { isoDate, dtid, optional } = require('./common.cjs');
+
+/**
+ * Request schemas for trip extensions and early checkouts (/api/trip)
+ */
+
+const reason = optional(z.string().trim().max(1000));
+
+const tripParams = z.object({ dtid });
+
+const extend = z.object({
+  trip_end: isoDate,
+  reason
+});
+
+// checkout_date defaults to today
+const checkout = z.object({
+  checkout_date: optional(isoDate),
+  reason
+});
+
+module.exports = {
+  tripParams,
+  extend,
+  checkout
+};
@@ -0,0 +1,256 @@
+// src/services/adminService.cjs
+const bcrypt = require('bcryptjs');
+const supabase = require('../config/database.cjs');
+const { ADMIN_ROLES, MIN_PASSWORD_LENGTH } = require('../config/constants.cjs');
+
+/**
+ * Admin Service - dashboard account management backed by the `admins` table
+ * (see create_admins_table.sql). Passwords are only ever stored as bcrypt hashes.
+ */
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '12', 10);
+
+// Columns safe to return to API clients (never includes password_hash)
+const PUBLIC_COLUMNS = 'id, username, full_name, role, is_active, created_by, created_at, updated_at, last_login_at';
+
+// Used to keep login timing constant when the username does not exist
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+/**
+ * Validate a new password against the minimum policy
+ * @param {string} password - Candidate password
+ * @returns {string|null} - Error message or null if acceptable
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+}
+
+/**
+ * Create a new admin account
+ * @param {Object} admin - { username, password, role, full_name, created_by }
+ * @returns {Promise<Object>} - { success, error, code, data }
+ */
+async function createAdmin({ username, password, role, full_name, created_by = null }) {
+  try {
+    if (!username || !password || !role) {
+      return { success: false, error: 'username, password and role are required', code: 'VALIDATION' };
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+      return { success: false, error: `role must be one of: ${ADMIN_ROLES.join(', ')}`, code: 'VALIDATION' };
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return { success: false, error: passwordError, code: 'VALIDATION' };
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    const { data, error } = await supabase
+      .from('admins')
+      .insert([{
+        username: username.trim().toLowerCase(),
+        full_name: full_name || null,
+        role,
+        password_hash: passwordHash,
+        is_active: true,
+        created_by
+      }])
+      .select(PUBLIC_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') { // Unique constraint violation
+        return { success: false, error: 'Username already exists', code: 'CONFLICT' };
+      }
+      console.error('[ADMIN] Error creating admin:', error);
+      return { success: false, error: error.message };
+    }
+
+    console.log('[ADMIN] ✅ Admin account created:', data.username, `(${data.role})`);
+    return { success: true, error: null, data };
+  } catch (err) {
+    console.error('[ADMIN] Unexpected error creating admin:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * List admin accounts
+ * @param {Object} filters - Optional filters ({ role, is_active })
+ * @returns {Promise<Object>} - { success, error, data }
+ */
+async function listAdmins(filters = {}) {
+  try {
+    let query = supabase
+      .from('admins')
+      .select(PUBLIC_COLUMNS)
+      .order('created_at', { ascending: true });
+
+    if (filters.role) query = query.eq('role', filters.role);
+    if (filters.is_active !== undefined) query = query.eq('is_active', filters.is_active);
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('[ADMIN] Error listing admins:', error);
+      return { success: false, error: error.message, data: null };
+    }
+    return { success: true, error: null, data };
+  } catch (err) {
+    console.error('[ADMIN] Unexpected error listing admins:', err);
+    return { success: false, error: err.message, data: null };
+  }
+}
+
+/**
+ * Get an admin account by id
+ * @param {string} id - Admin id
+ * @returns {Promise<Object|null>} - Admin (without password hash) or null
+ */
+async function getAdminById(id) {
+  const { data, error } = await supabase
+    .from('admins')
+    .select(PUBLIC_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[ADMIN] Error fetching admin:', error);
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Enable or disable an admin account
+ * @param {string} id - Admin id
+ * @param {boolean} isActive - New active state
+ * @returns {Promise<Object>} - { success, error, code, data }
+ */
+async function setAdminActive(id, isActive) {
+  try {
+    const { data, error } = await supabase
+      .from('admins')
+      .update({ is_active: isActive, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(PUBLIC_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ADMIN] Error updating admin status:', error);
+      return { success: false, error: error.message };
+    }
+    if (!data) {
+      return { success: false, error: 'Admin not found', code: 'NOT_FOUND' };
+    }
+
+    console.log(`[ADMIN] Admin ${data.username} ${isActive ? 'enabled' : 'disabled'}`);
+    return { success: true, error: null, data };
+  } catch (err) {
+    console.error('[ADMIN] Unexpected error updating admin status:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Replace an admin's password
+ * @param {string} id - Admin id
+ * @param {string} password - New plaintext password
+ * @returns {Promise<Object>} - { success, error, code, data }
+ */
+async function resetAdminPassword(id, password) {
+  try {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return { success: false, error: passwordError, code: 'VALIDATION' };
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    const { data, error } = await supabase
+      .from('admins')
+      .update({ password_hash: passwordHash, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(PUBLIC_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ADMIN] Error resetting password:', error);
+      return { success: false, error: error.message };
+    }
+    if (!data) {
+      return { success: false, error: 'Admin not found', code: 'NOT_FOUND' };
+    }
+
+    console.log('[ADMIN] Password reset for admin:', data.username);
+    return { success: true, error: null, data };
+  } catch (err) {
+    console.error('[ADMIN] Unexpected error resetting password:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Check admin credentials
+ * @param {string} username - Username
+ * @param {string} password - Plaintext password
+ * @returns {Promise<Object|null>} - Admin (without password hash) or null if invalid/disabled
+ */
+async function authenticateAdmin(username, password) {
+  const { data: admin, error } = await supabase
+    .from('admins')
+    .select(`${PUBLIC_COLUMNS}, password_hash`)
+    .eq('username', String(username || '').trim().toLowerCase())
+    .maybeSingle();
+
+  if (error) {
+    console.error('[ADMIN] Error looking up admin:', error);
+    throw error;
+  }
+
+  const isValidPassword = await bcrypt.compare(String(password || ''), admin ? admin.password_hash : DUMMY_HASH);
+  if (!admin || !isValidPassword || !admin.is_active) {
+    return null;
+  }
+
+  await supabase
+    .from('admins')
+    .update({ last_login_at: new Date().toISOString() })
+    .eq('id', admin.id);
+
+  const { password_hash, ...publicAdmin } = admin;
+  return publicAdmin;
+}
+
+/**
+ * Count active superadmin accounts
+ * @returns {Promise<number>}
+ */
+async function countActiveSuperadmins() {
+  const { count, error } = await supabase
+    .from('admins')
+    .select('id', { count: 'exact', head: true })
+    .eq('role', 'superadmin')
+    .eq('is_active', true);
+
+  if (error) {
+    console.error('[ADMIN] Error counting superadmins:', error);
+    throw error;
+  }
+  return count || 0;
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  MIN_PASSWORD_LENGTH,
+  createAdmin,
+  listAdmins,
+  getAdminById,
+  setAdminActive,
+  resetAdminPassword,
+  authenticateAdmin,
+  countActiveSuperadmins
+};
@@ -0,0 +1,210 @@
+// src/services/apiKeyService.cjs
+const crypto = require('crypto');
+const supabase = require('../config/database.cjs');
+const { API_KEY_SCOPES, PARTNER_TYPES } = require('../config/constants.cjs');
+
+/**
+ * API Key Service - partner keys for hotels, guides and police scanners,
+ * backed by the `api_keys` table (see create_api_keys_table.sql).
+ *
+ * Keys look like `tsk_<prefix>_<secret>`. Only the prefix (for lookup and
+ * display) and a SHA-256 hash of the full key are stored; the plaintext key
+ * is returned once at creation.
+ */
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+// Columns safe to return to API clients (never includes key_hash)
+const PUBLIC_COLUMNS = 'id, name, partner_type, key_prefix, scopes, rate_limit_per_minute, expires_at, is_active, last_used_at, last_used_ip, created_by, created_at, revoked_at';
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function parseApiKey(apiKey) {
+  const match = /^tsk_([a-z0-9]{8})_([A-Za-z0-9_-]{32,})$/.exec(String(apiKey || '').trim());
+  return match ? { prefix: match[1] } : null;
+}
+
+/**
+ * Create a partner API key
+ * @param {Object} key - { name, partner_type, scopes, rate_limit_per_minute, expires_at, created_by }
+ * @returns {Promise<Object>} - { success, error, code, data, apiKey } (apiKey is the plaintext, shown once)
+ */
+async function createApiKey({ name, partner_type = 'other', scopes, rate_limit_per_minute, expires_at, created_by = null }) {
+  try {
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return { success: false, error: 'name and a non-empty scopes array are required', code: 'VALIDATION' };
+    }
+    const unknownScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknownScopes.length) {
+      return { success: false, error: `Unknown scopes: ${unknownScopes.join(', ')}. Allowed: ${API_KEY_SCOPES.join(', ')}`, code: 'VALIDATION' };
+    }
+    if (!PARTNER_TYPES.includes(partner_type)) {
+      return { success: false, error: `partner_type must be one of: ${PARTNER_TYPES.join(', ')}`, code: 'VALIDATION' };
+    }
+
+    const rateLimit = rate_limit_per_minute === undefined ? DEFAULT_RATE_LIMIT_PER_MINUTE : parseInt(rate_limit_per_minute, 10);
+    if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > 10000) {
+      return { success: false, error: 'rate_limit_per_minute must be an integer between 1 and 10000', code: 'VALIDATION' };
+    }
+
+    let expiresAt = null;
+    if (expires_at) {
+      expiresAt = new Date(expires_at);
+      if (Number.isNaN(expiresAt.getTime()) || expiresAt.getTime() <= Date.now()) {
+        return { success: false, error: 'expires_at must be a future date', code: 'VALIDATION' };
+      }
+    }
+
+    const prefix = crypto.randomBytes(6).toString('hex').slice(0, 8);
+    const apiKey = `tsk_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert([{
+        name,
+        partner_type,
+        key_prefix: prefix,
+        key_hash: hashApiKey(apiKey),
+        scopes: [...new Set(scopes)],
+        rate_limit_per_minute: rateLimit,
+        expires_at: expiresAt ? expiresAt.toISOString() : null,
+        is_active: true,
+        created_by
+      }])
+      .select(PUBLIC_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('[API-KEYS] Error creating API key:', error);
+      return { success: false, error: error.message };
+    }
+
+    console.log(`[API-KEYS] ✅ API key ${prefix} created for ${name} (${data.scopes.join(', ')})`);
+    return { success: true, error: null, data, apiKey };
+  } catch (err) {
+    console.error('[API-KEYS] Unexpected error creating API key:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * List API keys
+ * @param {Object} filters - Optional filters ({ partner_type, is_active })
+ * @returns {Promise<Object>} - { success, error, data }
+ */
+async function listApiKeys(filters = {}) {
+  try {
+    let query = supabase
+      .from('api_keys')
+      .select(PUBLIC_COLUMNS)
+      .order('created_at', { ascending: false });
+
+    if (filters.partner_type) query = query.eq('partner_type', filters.partner_type);
+    if (filters.is_active !== undefined) query = query.eq('is_active', filters.is_active);
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('[API-KEYS] Error listing API keys:', error);
+      return { success: false, error: error.message, data: null };
+    }
+    return { success: true, error: null, data };
+  } catch (err) {
+    console.error('[API-KEYS] Unexpected error listing API keys:', err);
+    return { success: false, error: err.message, data: null };
+  }
+}
+
+/**
+ * Revoke an API key
+ * @param {string} id - API key id
+ * @returns {Promise<Object>} - { success, error, code, data }
+ */
+async function revokeApiKey(id) {
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({ is_active: false, revoked_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(PUBLIC_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[API-KEYS] Error revoking API key:', error);
+      return { success: false, error: error.message };
+    }
+    if (!data) {
+      return { success: false, error: 'API key not found', code: 'NOT_FOUND' };
+    }
+
+    console.log('[API-KEYS] API key revoked:', data.key_prefix);
+    return { success: true, error: null, data };
+  } catch (err) {
+    console.error('[API-KEYS] Unexpected error revoking API key:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Look up and validate a presented API key. Records last-used time and IP
+ * (at most once a minute per key).
+ * @param {string} apiKey - Plaintext key from the X-API-Key header
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object>} - { status: 'valid'|'invalid'|'expired'|'revoked', key }
+ */
+async function verifyApiKey(apiKey, ip = null) {
+  const parsed = parseApiKey(apiKey);
+  if (!parsed) {
+    return { status: 'invalid' };
+  }
+
+  const { data: key, error } = await supabase
+    .from('api_keys')
+    .select(`${PUBLIC_COLUMNS}, key_hash`)
+    .eq('key_prefix', parsed.prefix)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[API-KEYS] Error looking up API key:', error);
+    throw error;
+  }
+
+  const expected = key ? Buffer.from(key.key_hash, 'hex') : Buffer.alloc(32);
+  const actual = Buffer.from(hashApiKey(String(apiKey).trim()), 'hex');
+  if (!key || !crypto.timingSafeEqual(expected, actual)) {
+    return { status: 'invalid' };
+  }
+
+  if (!key.is_active || key.revoked_at) {
+    return { status: 'revoked' };
+  }
+  if (key.expires_at && new Date(key.expires_at).getTime() <= Date.now()) {
+    return { status: 'expired' };
+  }
+
+  const lastUsed = key.last_used_at ? new Date(key.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsed > LAST_USED_THROTTLE_MS) {
+    const { error: updateError } = await supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date().toISOString(), last_used_ip: ip })
+      .eq('id', key.id);
+    if (updateError) {
+      console.warn('[API-KEYS] Could not record last use:', updateError.message);
+    }
+  }
+
+  const { key_hash, ...publicKey } = key;
+  return { status: 'valid', key: publicKey };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  PARTNER_TYPES,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  verifyApiKey
+};
@@ -0,0 +1,93 @@
+// src/services/apiKeyService.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('../testing/fakeSupabase.cjs');
+
+const { rows } = installFakeSupabase({ unique: { api_keys: [['key_prefix']] } });
+const { createApiKey, revokeApiKey, verifyApiKey } = require('./apiKeyService.cjs');
+const { authenticateApiKey, authenticateTokenOrApiKey } = require('../middleware/auth.cjs');
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+}
+
+function callMiddleware(middleware, headers, ip = '203.0.113.9') {
+  return new Promise((resolve) => {
+    const req = { ip, headers, get: (name) => headers[name.toLowerCase()], app: { get: () => false } };
+    const res = {
+      statusCode: 200,
+      headers: {},
+      set(name, value) { this.headers[name] = value; return this; },
+      setHeader(name, value) { this.headers[name] = value; },
+      getHeader(name) { return this.headers[name]; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body, req }); },
+      send(body) { resolve({ status: this.statusCode, body, req }); }
+    };
+    middleware(req, res, () => resolve({ status: 'next', req }));
+  });
+}
+
+test('createApiKey stores only a hash and rejects unknown scopes', async (t) => {
+  quiet(t);
+  const created = await createApiKey({ name: 'Hotel Himalaya', partner_type: 'hotel', scopes: ['dtid:verify'] });
+  assert.equal(created.success, true);
+  assert.match(created.apiKey, /^tsk_[a-z0-9]{8}_/);
+  assert.equal(created.data.key_hash, undefined);
+  assert.doesNotMatch(JSON.stringify(rows.api_keys), new RegExp(created.apiKey.split('_').pop()));
+
+  const unknown = await createApiKey({ name: 'Scanner', scopes: ['admin:all'] });
+  assert.equal(unknown.code, 'VALIDATION');
+});
+
+test('verifyApiKey accepts only the exact, active, unexpired key', async (t) => {
+  quiet(t);
+  const { apiKey, data } = await createApiKey({ name: 'Guide Co', partner_type: 'guide', scopes: ['profile:read'] });
+
+  const valid = await verifyApiKey(apiKey, '203.0.113.9');
+  assert.equal(valid.status, 'valid');
+  assert.equal(valid.key.key_hash, undefined);
+
+  assert.equal((await verifyApiKey(`${apiKey.slice(0, -1)}x`)).status, 'invalid');
+  assert.equal((await verifyApiKey('junk')).status, 'invalid');
+
+  rows.api_keys.find(row => row.id === data.id).expires_at = new Date(Date.now() - 1000).toISOString();
+  assert.equal((await verifyApiKey(apiKey)).status, 'expired');
+
+  await revokeApiKey(data.id);
+  assert.equal((await verifyApiKey(apiKey)).status, 'revoked');
+});
+
+test('authenticateApiKey enforces the route scope', async (t) => {
+  quiet(t);
+  const { apiKey } = await createApiKey({ name: 'Police scanner', partner_type: 'police_scanner', scopes: ['dtid:verify'] });
+
+  const allowed = await callMiddleware(authenticateApiKey('dtid:verify'), { 'x-api-key': apiKey });
+  assert.equal(allowed.status, 'next');
+  assert.equal(allowed.req.user.role, 'partner');
+
+  const forbidden = await callMiddleware(authenticateApiKey('profile:read'), { 'x-api-key': apiKey });
+  assert.equal(forbidden.status, 403);
+
+  const invalid = await callMiddleware(authenticateApiKey('dtid:verify'), { 'x-api-key': 'tsk_00000000_not-a-real-key-not-a-real-key-000' });
+  assert.equal(invalid.status, 401);
+});
+
+test('valid keys are limited per key only, everything else per IP', async (t) => {
+  quiet(t);
+  const { apiKey } = await createApiKey({ name: 'Busy hotel', partner_type: 'hotel', scopes: ['dtid:verify'], rate_limit_per_minute: 150 });
+  const verify = authenticateTokenOrApiKey('dtid:verify');
+  const ip = '198.51.100.20';
+
+  for (let i = 0; i < 120; i++) {
+    assert.equal((await callMiddleware(verify, { 'x-api-key': apiKey }, ip)).status, 'next');
+  }
+
+  // The 120 keyed requests left the IP's 100 requests untouched
+  for (let i = 0; i < 100; i++) {
+    assert.equal((await callMiddleware(verify, {}, ip)).status, 401);
+  }
+  assert.equal((await callMiddleware(verify, {}, ip)).status, 429);
+  assert.equal((await callMiddleware(verify, { 'x-api-key': apiKey }, ip)).status, 'next');
+});
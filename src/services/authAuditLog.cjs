@@ -0,0 +1,195 @@
+// src/services/authAuditLog.cjs
+require('dotenv').config();
+const { AUTH_EVENT_TYPES } = require('../config/constants.cjs');
+
+/**
+ * Auth Audit Log - records authentication events with client IP and user agent.
+ *
+ * Event types: registration, otp_sent, otp_failed, otp_verified, lockout,
+ * admin_login, admin_login_failed, refresh, refresh_failed, logout
+ *
+ * Backends (AUTH_AUDIT_STORE=memory|database, defaults to database in production):
+ *  - memory:   last AUTH_AUDIT_MEMORY_LIMIT events in process (development only)
+ *  - database: Supabase `auth_events` table (see create_auth_events_table.sql)
+ */
+
+const MEMORY_LIMIT = parseInt(process.env.AUTH_AUDIT_MEMORY_LIMIT || '1000', 10);
+
+// What an event keeps once the tourist it names is erased
+const SCRUBBED_EVENT = { identifier: null, ip_address: null, user_agent: null };
+
+/**
+ * In-memory backend
+ * @returns {Object} - Audit store
+ */
+function createMemoryAuditStore() {
+  const events = [];
+  let nextId = 1;
+
+  return {
+    name: 'memory',
+
+    async insert(event) {
+      events.push({ id: nextId++, ...event });
+      if (events.length > MEMORY_LIMIT) events.shift();
+    },
+
+    async query({ event_type, identifier, ip_address, since, until, limit, offset }) {
+      const matches = events
+        .filter(event => !event_type || event.event_type === event_type)
+        .filter(event => !identifier || event.identifier === identifier)
+        .filter(event => !ip_address || event.ip_address === ip_address)
+        .filter(event => !since || event.created_at >= since)
+        .filter(event => !until || event.created_at <= until)
+        .reverse();
+
+      return { data: matches.slice(offset, offset + limit), count: matches.length };
+    },
+
+    async scrub({ identifiers, subjectIds }) {
+      for (const event of events) {
+        const bySubject = event.subject_type === 'tourist' && subjectIds.includes(event.subject_id);
+        if (!bySubject && !identifiers.includes(event.identifier)) continue;
+        Object.assign(event, SCRUBBED_EVENT);
+        if (identifiers.includes(event.subject_id)) event.subject_id = null;
+      }
+    }
+  };
+}
+
+/**
+ * Supabase-backed store using the `auth_events` table
+ * @param {Object} supabase - Supabase client
+ * @returns {Object} - Audit store
+ */
+function createDatabaseAuditStore(supabase) {
+  return {
+    name: 'database',
+
+    async insert(event) {
+      const { error } = await supabase.from('auth_events').insert([event]);
+      if (error) throw error;
+    },
+
+    async query({ event_type, identifier, ip_address, since, until, limit, offset }) {
+      let query = supabase
+        .from('auth_events')
+        .select('*', { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (event_type) query = query.eq('event_type', event_type);
+      if (identifier) query = query.eq('identifier', identifier);
+      if (ip_address) query = query.eq('ip_address', ip_address);
+      if (since) query = query.gte('created_at', since);
+      if (until) query = query.lte('created_at', until);
+
+      const { data, error, count } = await query;
+      if (error) throw error;
+      return { data, count };
+    },
+
+    async scrub({ identifiers, subjectIds }) {
+      const steps = [];
+      if (identifiers.length > 0) {
+        steps.push(supabase.from('auth_events').update(SCRUBBED_EVENT).in('identifier', identifiers));
+        // Sessions of tourists without a DTID are keyed by their identifier
+        steps.push(supabase.from('auth_events').update({ ...SCRUBBED_EVENT, subject_id: null })
+          .eq('subject_type', 'tourist').in('subject_id', identifiers));
+      }
+      if (subjectIds.length > 0) {
+        steps.push(supabase.from('auth_events').update(SCRUBBED_EVENT)
+          .eq('subject_type', 'tourist').in('subject_id', subjectIds));
+      }
+      for (const step of steps) {
+        const { error } = await step;
+        if (error) throw error;
+      }
+    }
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Get the configured audit store (AUTH_AUDIT_STORE=memory|database)
+ * @returns {Object} - Audit store
+ */
+function getAuditStore() {
+  if (defaultStore) return defaultStore;
+
+  const backend = process.env.AUTH_AUDIT_STORE ||
+    (process.env.NODE_ENV === 'production' ? 'database' : 'memory');
+
+  if (backend === 'database') {
+    defaultStore = createDatabaseAuditStore(require('../config/database.cjs'));
+  } else if (backend === 'memory') {
+    defaultStore = createMemoryAuditStore();
+  } else {
+    throw new Error(`Unknown AUTH_AUDIT_STORE backend: ${backend}`);
+  }
+
+  console.log('[AUTH-AUDIT] Using backend:', defaultStore.name);
+  return defaultStore;
+}
+
+/**
+ * Record an authentication event. Never throws: auditing must not break login.
+ * @param {string} eventType - One of AUTH_EVENT_TYPES
+ * @param {Object} details - { identifier, subject_type, subject_id, metadata }
+ * @param {Object} req - Express request (for IP and user agent)
+ */
+async function recordAuthEvent(eventType, details = {}, req = null) {
+  const event = {
+    event_type: eventType,
+    identifier: details.identifier || null,
+    subject_type: details.subject_type || null,
+    subject_id: details.subject_id || null,
+    ip_address: req ? req.ip : null,
+    user_agent: req ? (req.get('user-agent') || null) : null,
+    metadata: details.metadata || {},
+    created_at: new Date().toISOString()
+  };
+
+  try {
+    await getAuditStore().insert(event);
+  } catch (error) {
+    console.error(`[AUTH-AUDIT] Failed to record ${eventType} event:`, error.message || error);
+  }
+}
+
+/**
+ * Query the audit log, newest first
+ * @param {Object} filters - { event_type, identifier, ip_address, since, until, limit, offset }
+ * @returns {Promise<Object>} - { success, error, data, count }
+ */
+async function queryAuthEvents(filters = {}) {
+  const limit = Math.min(parseInt(filters.limit, 10) || 50, 500);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+  try {
+    const { data, count } = await getAuditStore().query({ ...filters, limit, offset });
+    return { success: true, error: null, data, count };
+  } catch (error) {
+    console.error('[AUTH-AUDIT] Error querying auth events:', error);
+    return { success: false, error: error.message, data: null };
+  }
+}
+
+/**
+ * Strip a tourist's identifiers, IPs and user agents from their events; the
+ * event types and times stay as the audit trail
+ * @param {Object} subject - { identifiers: mobile numbers / emails, subjectIds: DTIDs }
+ */
+async function eraseAuthEvents({ identifiers = [], subjectIds = [] }) {
+  await getAuditStore().scrub({ identifiers, subjectIds });
+}
+
+module.exports = {
+  AUTH_EVENT_TYPES,
+  createMemoryAuditStore,
+  createDatabaseAuditStore,
+  recordAuthEvent,
+  queryAuthEvents,
+  eraseAuthEvents
+};
@@ -0,0 +1,139 @@
+// src/services/blockchainService.cjs
+const { ethers } = require('ethers');
+const { getRegistrar, sendRegistrarTransaction } = require('./registrarSigner.cjs');
+const { getChainConfig } = require('../config/chain.cjs');
+
+/**
+ * Whether the network, PRIVATE_KEY and the contract's ABI and address are
+ * configured (see src/config/chain.cjs). Without them nothing is sent and
+ * queued registrations wait.
+ * @returns {boolean}
+ */
+function isChainConfigured() {
+  return getChainConfig().configured;
+}
+
+function registryContract() {
+  const { contractAddress, abi } = getChainConfig();
+  return new ethers.Contract(contractAddress, abi, getRegistrar().provider);
+}
+
+/**
+ * Send the registration of a DTID to the TouristIDRegistry contract without
+ * waiting for it to be mined (see getTransactionStatus). It goes out through
+ * the registrar signer, which may replace it while it is stuck.
+ * @param {string} dtidBytes32 - The DTID in 0x format
+ * @param {Object} options - { onReplaced } (see sendRegistrarTransaction)
+ * @returns {Promise<Object>} - { success, transactionHash, contractAddress, alreadyRegistered, error }
+ */
+async function submitDTIDRegistration(dtidBytes32, { onReplaced } = {}) {
+  if (!isChainConfigured()) {
+    return { success: false, error: 'Missing blockchain configuration', simulated: true };
+  }
+
+  try {
+    const contract = registryContract();
+
+    if (await contract.verifyDTID(dtidBytes32)) {
+      console.log('[BLOCKCHAIN] DTID already registered, skipping:', dtidBytes32);
+      return { success: true, transactionHash: 'ALREADY_REGISTERED', contractAddress: getChainConfig().contractAddress, alreadyRegistered: true };
+    }
+
+    const request = await contract.registerDTID.populateTransaction(dtidBytes32);
+    const tx = await sendRegistrarTransaction(request, { purpose: 'Registration', dtid: dtidBytes32, onReplaced });
+    return { success: true, transactionHash: tx.hash, contractAddress: getChainConfig().contractAddress, alreadyRegistered: false };
+  } catch (error) {
+    console.error('[BLOCKCHAIN] DTID registration failed:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Where a sent transaction stands
+ * @param {string} transactionHash - Hash returned when it was sent
+ * @param {number} confirmations - Blocks (including its own) it needs to count as confirmed
+ * @returns {Promise<Object>} - { success, state: 'pending' | 'confirmed' | 'reverted' | 'unknown', blockNumber, gasUsed, confirmations, error }
+ */
+async function getTransactionStatus(transactionHash, confirmations = 1) {
+  if (!isChainConfigured()) {
+    return { success: false, error: 'Missing blockchain configuration' };
+  }
+
+  try {
+    const { provider } = getRegistrar();
+    const receipt = await provider.getTransactionReceipt(transactionHash);
+
+    if (!receipt) {
+      // Not mined yet; unknown means the node dropped it (or never saw it)
+      const tx = await provider.getTransaction(transactionHash);
+      return { success: true, state: tx ? 'pending' : 'unknown', confirmations: 0 };
+    }
+
+    const mined = {
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      confirmations: await receipt.confirmations()
+    };
+    if (receipt.status === 0) {
+      return { success: true, state: 'reverted', ...mined };
+    }
+    return { success: true, state: mined.confirmations >= confirmations ? 'confirmed' : 'pending', ...mined };
+  } catch (error) {
+    console.error('[BLOCKCHAIN] Failed to fetch transaction status:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Revoke a registered DTID on the TouristIDRegistry contract (after the
+ * tourist's data was erased). The registration itself stays on-chain, but
+ * verifyDTID returns false from then on.
+ * @param {string} dtidBytes32 - The DTID in 0x format
+ * @returns {Promise<Object>} - { success, transactionHash, blockNumber, gasUsed, contractAddress, alreadyRevoked, error }
+ */
+async function revokeDTIDOnChain(dtidBytes32) {
+  if (!isChainConfigured()) {
+    console.log('[BLOCKCHAIN] Blockchain is not configured, cannot revoke DTID:', dtidBytes32);
+    return { success: false, error: 'Missing blockchain configuration', simulated: true };
+  }
+
+  try {
+    const contract = registryContract();
+
+    if (await contract.dtidRevoked(dtidBytes32)) {
+      console.log('[BLOCKCHAIN] DTID already revoked:', dtidBytes32);
+      return { success: true, transactionHash: 'ALREADY_REVOKED', contractAddress: getChainConfig().contractAddress, alreadyRevoked: true };
+    }
+
+    const request = await contract.revokeDTID.populateTransaction(dtidBytes32);
+    const tx = await sendRegistrarTransaction(request, { purpose: 'Revocation', dtid: dtidBytes32 });
+    let receipt;
+    try {
+      receipt = await tx.wait();
+    } catch (error) {
+      // Sped up by the registrar signer: the replacement carries the same call
+      if (error.code !== 'TRANSACTION_REPLACED' || error.reason !== 'repriced') throw error;
+      receipt = error.receipt;
+    }
+    console.log('[BLOCKCHAIN] Revocation confirmed in block:', receipt.blockNumber);
+
+    return {
+      success: true,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      contractAddress: getChainConfig().contractAddress,
+      alreadyRevoked: false
+    };
+  } catch (error) {
+    console.error('[BLOCKCHAIN] DTID revocation failed:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  isChainConfigured,
+  submitDTIDRegistration,
+  getTransactionStatus,
+  revokeDTIDOnChain
+};
@@ -0,0 +1,464 @@
+// src/services/chainQueueService.cjs
+const supabase = require('../config/database.cjs');
+const { storeBlockchainTransaction } = require('./databaseService.cjs');
+const { isChainConfigured, submitDTIDRegistration, getTransactionStatus } = require('./blockchainService.cjs');
+const { describeChain } = require('../config/chain.cjs');
+require('dotenv').config();
+const { JOB_STATUSES } = require('../config/constants.cjs');
+
+/**
+ * Chain Queue Service - on-chain DTID registrations, worked off in the
+ * background so no request waits for a block.
+ *
+ *   pending → submitted → confirmed
+ *   submitted → pending (reverted or dropped; retried with backoff)
+ *   pending → failed (CHAIN_MAX_ATTEMPTS sends used up; an admin may retry)
+ *
+ * Jobs live in blockchain_jobs (see create_blockchain_jobs_table.sql) and
+ * survive restarts. Each send is a blockchain_transactions row, submitted
+ * first and then confirmed or failed. A worker claims a due job by moving its
+ * next_attempt_at ahead, so a job is never worked twice at once. Sends go
+ * through the registrar signer (registrarSigner.cjs), which keeps the wallet's
+ * nonces in process: run the worker on one instance only. A stuck send it
+ * speeds up is followed under its new hash; one it cancels counts as failed.
+ * Without chain configuration jobs stay pending.
+ */
+
+const CONFIRMATIONS = parseInt(process.env.CHAIN_CONFIRMATIONS || '2', 10);
+const MAX_ATTEMPTS = parseInt(process.env.CHAIN_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_MS = parseInt(process.env.CHAIN_RETRY_BASE_SECONDS || '30', 10) * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.CHAIN_WORKER_INTERVAL_SECONDS || '10', 10) * 1000;
+
+// A claimed job is left alone this long, in case its worker dies mid-step
+const LEASE_MS = 2 * 60 * 1000;
+
+// A sent transaction the node no longer knows is given up after this long
+const DROPPED_AFTER_MS = 10 * 60 * 1000;
+
+const BATCH_SIZE = 20;
+
+let worker = null;
+
+function later(ms) {
+  return new Date(Date.now() + ms).toISOString();
+}
+
+// Delay before the next send after a failed one: 30s, 1m, 2m, ... up to an hour
+function retryDelay(attempt) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Queue the on-chain registration of a verified DTID. A DTID is queued once;
+ * queuing it again returns the existing job.
+ * @param {string} dtid - DTID in 0x format
+ * @param {Object} options - { qr_path } of the QR code issued with it
+ * @returns {Promise<Object>} - { success, error, data: job }
+ */
+async function enqueueRegistration(dtid, { qr_path = null } = {}) {
+  const { data, error } = await supabase
+    .from('blockchain_jobs')
+    .insert([{
+      dtid,
+      status: 'pending',
+      attempts: 0,
+      max_attempts: MAX_ATTEMPTS,
+      next_attempt_at: new Date().toISOString(),
+      qr_path
+    }])
+    .select();
+
+  if (error) {
+    if (error.code === '23505') {
+      const { data: existing } = await supabase.from('blockchain_jobs').select('*').eq('dtid', dtid).maybeSingle();
+      if (existing) return { success: true, error: null, data: existing };
+    }
+    console.error('[CHAIN-QUEUE] Error queuing registration:', error);
+    return { success: false, error: error.message, data: null };
+  }
+
+  console.log('[CHAIN-QUEUE] Registration queued:', dtid);
+  if (worker) setImmediate(runWorkerOnce);
+  return { success: true, error: null, data: data[0] };
+}
+
+async function updateJob(job, fields) {
+  const { error } = await supabase
+    .from('blockchain_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', job.id);
+  if (error) throw error;
+}
+
+async function updateAttempt(job, fields) {
+  const { error } = await supabase
+    .from('blockchain_transactions')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('job_id', job.id)
+    .eq('attempt', job.attempts);
+  if (error) throw error;
+}
+
+// Send again later, or give up once every attempt is used
+async function retryOrFail(job, attempts, error) {
+  if (attempts >= job.max_attempts) {
+    console.log(`[CHAIN-QUEUE] ❌ Registration of ${job.dtid} failed after ${attempts} attempt(s):`, error);
+    return updateJob(job, { status: 'failed', attempts, last_error: error });
+  }
+  console.log(`[CHAIN-QUEUE] ⚠️ Registration of ${job.dtid} failed (attempt ${attempts}), retrying:`, error);
+  return updateJob(job, { status: 'pending', attempts, last_error: error, next_attempt_at: later(retryDelay(attempts)) });
+}
+
+async function submitJob(job) {
+  const { data: tourist } = await supabase
+    .from('tourists')
+    .select('erased_at')
+    .eq('dtid', job.dtid)
+    .maybeSingle();
+  if (tourist && tourist.erased_at) {
+    return updateJob(job, { status: 'failed', last_error: 'The data of this DTID has been erased' });
+  }
+
+  const attempt = job.attempts + 1;
+  const result = await submitDTIDRegistration(job.dtid, {
+    onReplaced: replacement => handleReplacement(job, attempt, replacement)
+  });
+
+  if (!result.success) {
+    await storeBlockchainTransaction(job.dtid, {
+      status: 'failed',
+      qrPath: job.qr_path,
+      jobId: job.id,
+      attempt,
+      error: result.error
+    });
+    return retryOrFail(job, attempt, result.error);
+  }
+
+  const now = new Date().toISOString();
+  await storeBlockchainTransaction(job.dtid, {
+    transactionHash: result.transactionHash,
+    contractAddress: result.contractAddress,
+    status: result.alreadyRegistered ? 'confirmed' : 'submitted',
+    qrPath: job.qr_path,
+    jobId: job.id,
+    attempt
+  });
+
+  if (result.alreadyRegistered) {
+    return updateJob(job, { status: 'confirmed', attempts: attempt, transaction_hash: result.transactionHash, last_error: null, submitted_at: now, confirmed_at: now });
+  }
+  return updateJob(job, {
+    status: 'submitted',
+    attempts: attempt,
+    transaction_hash: result.transactionHash,
+    submitted_at: now,
+    next_attempt_at: later(POLL_INTERVAL_MS)
+  });
+}
+
+async function checkJob(job) {
+  const status = await getTransactionStatus(job.transaction_hash, CONFIRMATIONS);
+
+  // The node could not be asked; try again without using up an attempt
+  if (!status.success) {
+    return updateJob(job, { last_error: status.error, next_attempt_at: later(POLL_INTERVAL_MS) });
+  }
+
+  if (status.state === 'confirmed') {
+    await updateAttempt(job, { status: 'confirmed', block_number: status.blockNumber, gas_used: status.gasUsed });
+    console.log(`[CHAIN-QUEUE] ✅ ${job.dtid} registered in block ${status.blockNumber}`);
+    return updateJob(job, {
+      status: 'confirmed',
+      block_number: status.blockNumber,
+      last_error: null,
+      confirmed_at: new Date().toISOString()
+    });
+  }
+
+  if (status.state === 'reverted') {
+    await updateAttempt(job, { status: 'failed', block_number: status.blockNumber, gas_used: status.gasUsed, error: 'Transaction reverted' });
+    return retryOrFail(job, job.attempts, 'Transaction reverted');
+  }
+
+  if (status.state === 'unknown' && Date.now() - new Date(job.submitted_at).getTime() > DROPPED_AFTER_MS) {
+    await updateAttempt(job, { status: 'failed', error: 'Transaction dropped' });
+    return retryOrFail(job, job.attempts, 'Transaction dropped');
+  }
+
+  return updateJob(job, { next_attempt_at: later(POLL_INTERVAL_MS) });
+}
+
+// The registrar signer replaced the stuck transaction of this attempt
+async function handleReplacement(job, attempt, replacement) {
+  const { data: latest, error } = await supabase
+    .from('blockchain_jobs')
+    .select('*')
+    .eq('id', job.id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!latest || latest.status !== 'submitted' || latest.transaction_hash !== replacement.replaced_hash) return;
+
+  if (replacement.kind === 'sped_up') {
+    await updateAttempt(latest, { transaction_hash: replacement.hash });
+    return updateJob(latest, { transaction_hash: replacement.hash, submitted_at: new Date().toISOString() });
+  }
+
+  await updateAttempt(latest, { status: 'failed', error: 'Transaction cancelled while stuck' });
+  return retryOrFail(latest, attempt, 'Transaction cancelled while stuck');
+}
+
+// Due jobs this worker now holds; a job another worker took first is skipped
+async function claimDueJobs() {
+  const { data: due, error } = await supabase
+    .from('blockchain_jobs')
+    .select('*')
+    .in('status', ['pending', 'submitted'])
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) throw error;
+
+  const claimed = [];
+  for (const job of due) {
+    const { data } = await supabase
+      .from('blockchain_jobs')
+      .update({ next_attempt_at: later(LEASE_MS) })
+      .eq('id', job.id)
+      .eq('next_attempt_at', job.next_attempt_at)
+      .select();
+    if (data && data.length > 0) claimed.push(job);
+  }
+  return claimed;
+}
+
+/**
+ * Work off the jobs that are due: send pending ones, check submitted ones
+ * @returns {Promise<Object>} - { success, error, data: { processed } }
+ */
+async function runWorkerOnce() {
+  if (worker && worker.busy) return { success: true, error: null, data: { processed: 0 } };
+  if (!isChainConfigured()) {
+    return { success: false, error: 'Missing blockchain configuration', data: null };
+  }
+
+  if (worker) worker.busy = true;
+  try {
+    const jobs = await claimDueJobs();
+    for (const job of jobs) {
+      try {
+        await (job.status === 'pending' ? submitJob(job) : checkJob(job));
+      } catch (err) {
+        // The lease runs out and the job is picked up again
+        console.error(`[CHAIN-QUEUE] Error processing job ${job.id} (${job.dtid}):`, err);
+      }
+    }
+    return { success: true, error: null, data: { processed: jobs.length } };
+  } catch (err) {
+    console.error('[CHAIN-QUEUE] Error claiming jobs:', err);
+    return { success: false, error: err.message, data: null };
+  } finally {
+    if (worker) worker.busy = false;
+  }
+}
+
+/**
+ * Start the queue worker in this process (CHAIN_WORKER=off to leave it to
+ * another instance). It runs every CHAIN_WORKER_INTERVAL_SECONDS (10).
+ * @returns {Object|null} - { stop } or null when the worker is off
+ */
+function startChainWorker() {
+  if ((process.env.CHAIN_WORKER || 'on').toLowerCase() === 'off') return null;
+  if (worker) return { stop: stopChainWorker };
+
+  if (!isChainConfigured()) {
+    console.log('[CHAIN-QUEUE] ⚠️ Blockchain is not configured, registrations stay pending');
+  }
+
+  // The timer must not keep the process alive on shutdown
+  const interval = setInterval(runWorkerOnce, POLL_INTERVAL_MS);
+  interval.unref();
+  worker = { interval, busy: false };
+
+  console.log(`[CHAIN-QUEUE] Worker started (every ${POLL_INTERVAL_MS / 1000}s, ${CONFIRMATIONS} confirmation(s))`);
+  return { stop: stopChainWorker };
+}
+
+function stopChainWorker() {
+  if (!worker) return;
+  clearInterval(worker.interval);
+  worker = null;
+}
+
+/**
+ * On-chain registration status of a DTID, with every attempt and the network
+ * and contract the API is bound to
+ * @param {string} dtid - DTID in 0x format
+ * @returns {Promise<Object>} - { success, error, code, data: { dtid, chain_status, ..., transactions, chain } }
+ */
+async function getChainStatus(dtid) {
+  const [{ data: job, error }, { data: transactions, error: txError }] = await Promise.all([
+    supabase.from('blockchain_jobs').select('*').eq('dtid', dtid).maybeSingle(),
+    supabase.from('blockchain_transactions').select('*').eq('dtid', dtid).order('created_at', { ascending: true })
+  ]);
+
+  if (error || txError) {
+    console.error('[CHAIN-QUEUE] Error fetching chain status:', error || txError);
+    return { success: false, error: (error || txError).message, data: null };
+  }
+
+  const registrations = transactions.filter(tx => tx.status !== 'revoked');
+  const revocation = transactions.find(tx => tx.status === 'revoked') || null;
+
+  if (!job) {
+    // Registered before the queue existed, in the request itself
+    const confirmed = registrations.find(tx => tx.status === 'confirmed');
+    if (!confirmed) {
+      return { success: false, error: 'No on-chain registration was queued for this DTID', code: 'NOT_FOUND', data: null };
+    }
+    return {
+      success: true,
+      error: null,
+      data: {
+        dtid,
+        chain_status: 'confirmed',
+        transaction_hash: confirmed.transaction_hash,
+        block_number: confirmed.block_number,
+        revoked: Boolean(revocation),
+        transactions,
+        chain: describeChain()
+      }
+    };
+  }
+
+  return {
+    success: true,
+    error: null,
+    data: {
+      dtid,
+      chain_status: job.status,
+      attempts: job.attempts,
+      max_attempts: job.max_attempts,
+      next_attempt_at: ['pending', 'submitted'].includes(job.status) ? job.next_attempt_at : null,
+      transaction_hash: job.transaction_hash,
+      block_number: job.block_number,
+      last_error: job.last_error,
+      queued_at: job.created_at,
+      submitted_at: job.submitted_at,
+      confirmed_at: job.confirmed_at,
+      revoked: Boolean(revocation),
+      transactions,
+      chain: describeChain()
+    }
+  };
+}
+
+/**
+ * List registration jobs, oldest first
+ * @param {Object} filters - { status, dtid, limit, offset }
+ * @returns {Promise<Object>} - { success, error, data, count }
+ */
+async function listChainJobs(filters = {}) {
+  const limit = Math.min(filters.limit || 50, 200);
+  const offset = filters.offset || 0;
+
+  let query = supabase
+    .from('blockchain_jobs')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (filters.status) query = query.eq('status', filters.status);
+  if (filters.dtid) query = query.eq('dtid', filters.dtid);
+
+  const { data, error, count } = await query;
+  if (error) {
+    console.error('[CHAIN-QUEUE] Error listing jobs:', error);
+    return { success: false, error: error.message, data: null };
+  }
+  return { success: true, error: null, data, count };
+}
+
+/**
+ * Give a failed registration another CHAIN_MAX_ATTEMPTS sends, starting now
+ * @param {number} jobId - Job id
+ * @returns {Promise<Object>} - { success, error, code, data: job }
+ */
+async function retryChainJob(jobId) {
+  const { data: job, error } = await supabase
+    .from('blockchain_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[CHAIN-QUEUE] Error fetching job:', error);
+    return { success: false, error: error.message, data: null };
+  }
+  if (!job) {
+    return { success: false, error: 'Registration job not found', code: 'NOT_FOUND', data: null };
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('blockchain_jobs')
+    .update({
+      status: 'pending',
+      max_attempts: job.attempts + MAX_ATTEMPTS,
+      next_attempt_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', jobId)
+    .eq('status', 'failed')
+    .select();
+
+  if (updateError) {
+    console.error('[CHAIN-QUEUE] Error retrying job:', updateError);
+    return { success: false, error: updateError.message, data: null };
+  }
+  if (!updated || updated.length === 0) {
+    return { success: false, error: `Registration job is ${job.status}, only failed jobs can be retried`, code: 'CONFLICT', data: null };
+  }
+
+  console.log('[CHAIN-QUEUE] Registration queued again:', job.dtid);
+  if (worker) setImmediate(runWorkerOnce);
+  return { success: true, error: null, data: updated[0] };
+}
+
+/**
+ * Stop registering DTIDs whose data was erased. Jobs not sent yet fail; a
+ * job whose transaction is in flight is returned so the caller can wait for it.
+ * @param {string[]} dtids - DTIDs
+ * @returns {Promise<Object>} - { cancelled: string[], in_flight: string[] }
+ */
+async function cancelRegistrations(dtids) {
+  const { data: cancelled, error } = await supabase
+    .from('blockchain_jobs')
+    .update({ status: 'failed', last_error: 'The data of this DTID has been erased', updated_at: new Date().toISOString() })
+    .in('dtid', dtids)
+    .eq('status', 'pending')
+    .select('dtid');
+  if (error) throw error;
+
+  const { data: inFlight, error: selectError } = await supabase
+    .from('blockchain_jobs')
+    .select('dtid')
+    .in('dtid', dtids)
+    .eq('status', 'submitted');
+  if (selectError) throw selectError;
+
+  return { cancelled: cancelled.map(job => job.dtid), in_flight: inFlight.map(job => job.dtid) };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  enqueueRegistration,
+  runWorkerOnce,
+  startChainWorker,
+  stopChainWorker,
+  getChainStatus,
+  listChainJobs,
+  retryChainJob,
+  cancelRegistrations
+};
@@ -0,0 +1,150 @@
+// src/services/chainQueueService.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('../testing/fakeSupabase.cjs');
+
+process.env.CHAIN_MAX_ATTEMPTS = '2';
+process.env.CHAIN_NETWORK = 'localhost';
+
+// One job per DTID, as in create_blockchain_jobs_table.sql
+const { rows } = installFakeSupabase({ unique: { blockchain_jobs: [['dtid']] } });
+
+// The contract, as the queue sees it through blockchainService
+const chain = { sends: [], sendResult: null, status: null, onReplaced: null };
+const blockchainModule = require.resolve('./blockchainService.cjs');
+require.cache[blockchainModule] = {
+  id: blockchainModule,
+  filename: blockchainModule,
+  loaded: true,
+  exports: {
+    isChainConfigured: () => true,
+    submitDTIDRegistration: async (dtid, { onReplaced }) => {
+      chain.sends.push(dtid);
+      chain.onReplaced = onReplaced;
+      return chain.sendResult || { success: true, transactionHash: `0xtx${chain.sends.length}`, contractAddress: '0xregistry', alreadyRegistered: false };
+    },
+    getTransactionStatus: async () => chain.status
+  }
+};
+
+const { enqueueRegistration, runWorkerOnce, retryChainJob } = require('./chainQueueService.cjs');
+
+const DTID = `0x${'ab'.repeat(32)}`;
+
+async function setup(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  for (const table of Object.keys(rows)) delete rows[table];
+  Object.assign(chain, { sends: [], sendResult: null, status: null, onReplaced: null });
+  rows.tourists = [{ dtid: DTID, erased_at: null }];
+
+  const queued = await enqueueRegistration(DTID, { qr_path: 'public/qr-codes/a.png' });
+  return queued.data;
+}
+
+const job = () => rows.blockchain_jobs[0];
+
+// Make the job due now instead of waiting for its poll or backoff
+async function runDue() {
+  job().next_attempt_at = new Date(Date.now() - 1000).toISOString();
+  return runWorkerOnce();
+}
+
+test('a DTID is queued once', async (t) => {
+  const first = await setup(t);
+  const again = await enqueueRegistration(DTID);
+  assert.equal(again.data.id, first.id);
+  assert.equal(rows.blockchain_jobs.length, 1);
+});
+
+test('a job is sent, then confirmed once deep enough', async (t) => {
+  await setup(t);
+
+  await runDue();
+  assert.deepEqual(chain.sends, [DTID]);
+  assert.equal(job().status, 'submitted');
+  assert.equal(job().transaction_hash, '0xtx1');
+  assert.deepEqual(rows.blockchain_transactions.map(tx => [tx.status, tx.attempt, tx.qr_path, tx.network]), [['submitted', 1, 'public/qr-codes/a.png', 'localhost']]);
+
+  chain.status = { success: true, state: 'pending' };
+  await runDue();
+  assert.equal(job().status, 'submitted');
+
+  chain.status = { success: true, state: 'confirmed', blockNumber: 42, gasUsed: '50000' };
+  await runDue();
+  assert.equal(job().status, 'confirmed');
+  assert.equal(job().block_number, 42);
+  assert.equal(rows.blockchain_transactions[0].status, 'confirmed');
+  assert.deepEqual(chain.sends, [DTID]);
+});
+
+test('failed sends are retried with backoff until the attempts run out', async (t) => {
+  await setup(t);
+  chain.sendResult = { success: false, error: 'insufficient funds' };
+
+  await runDue();
+  assert.equal(job().status, 'pending');
+  assert.equal(job().attempts, 1);
+  const delay = new Date(job().next_attempt_at).getTime() - Date.now();
+  assert.ok(delay > 25 * 1000 && delay <= 30 * 1000, `retried in ${delay}ms`);
+
+  await runWorkerOnce();
+  assert.equal(chain.sends.length, 1, 'not due yet');
+
+  await runDue();
+  assert.equal(job().status, 'failed');
+  assert.equal(job().last_error, 'insufficient funds');
+  assert.deepEqual(rows.blockchain_transactions.map(tx => [tx.status, tx.attempt]), [['failed', 1], ['failed', 2]]);
+
+  const retried = await retryChainJob(job().id);
+  assert.equal(retried.success, true);
+  assert.equal(job().status, 'pending');
+  assert.equal(job().max_attempts, 4);
+  assert.equal((await retryChainJob(job().id)).code, 'CONFLICT');
+});
+
+test('a reverted transaction is sent again', async (t) => {
+  await setup(t);
+  await runDue();
+
+  chain.status = { success: true, state: 'reverted', blockNumber: 42, gasUsed: '21000' };
+  await runDue();
+  assert.equal(job().status, 'pending');
+  assert.equal(job().last_error, 'Transaction reverted');
+  assert.equal(rows.blockchain_transactions[0].status, 'failed');
+
+  await runDue();
+  assert.equal(chain.sends.length, 2);
+  assert.equal(job().attempts, 2);
+});
+
+test('a stuck transaction is followed under its new hash, and retried once cancelled', async (t) => {
+  await setup(t);
+  await runDue();
+
+  await chain.onReplaced({ kind: 'sped_up', hash: '0xfaster', replaced_hash: '0xtx1', nonce: 7 });
+  assert.equal(job().transaction_hash, '0xfaster');
+  assert.equal(rows.blockchain_transactions[0].transaction_hash, '0xfaster');
+
+  await chain.onReplaced({ kind: 'cancelled', hash: '0xcancel', replaced_hash: '0xfaster', nonce: 7 });
+  assert.equal(job().status, 'pending');
+  assert.equal(job().last_error, 'Transaction cancelled while stuck');
+  assert.equal(rows.blockchain_transactions[0].status, 'failed');
+});
+
+test('registrations of erased DTIDs are not sent', async (t) => {
+  await setup(t);
+  rows.tourists[0].erased_at = new Date().toISOString();
+
+  await runDue();
+  assert.deepEqual(chain.sends, []);
+  assert.equal(job().status, 'failed');
+});
+
+test('concurrent workers send a job once', async (t) => {
+  await setup(t);
+  job().next_attempt_at = new Date(Date.now() - 1000).toISOString();
+
+  await Promise.all([runWorkerOnce(), runWorkerOnce()]);
+  assert.deepEqual(chain.sends, [DTID]);
+});
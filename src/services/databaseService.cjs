@@ -1,16 +1,8 @@
 // src/services/databaseService.cjs
-const { createClient } = require('@supabase/supabase-js');
-require('dotenv').config();
-
-// Initialize Supabase client
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
-
-if (!supabaseUrl || !supabaseKey) {
-  console.warn('[DATABASE] Supabase credentials not found in environment variables');
-}
-
-const supabase = createClient(supabaseUrl, supabaseKey);
+const supabase = require('../config/database.cjs');
+const { toE164OrRaw } = require('./phoneService.cjs');
+const { getChainConfig } = require('../config/chain.cjs');
+const { PII_FIELDS, encryptTouristRow, encryptTouristUpdates, decryptTouristRow } = require('./piiService.cjs');
 
 /**
  * Store tourist data in Supabase database
@@ -23,20 +15,24 @@ async function storeTouristData(tourist) {
     
     const { data, error } = await supabase
       .from('tourists')
-      .insert([{
+      // PII columns are stored encrypted (see piiService.cjs)
+      .insert([encryptTouristRow({
         dtid: tourist.dtid,
         full_name: tourist.full_name,
         date_of_birth: tourist.date_of_birth,
-        contact_number: tourist.contact_number,
-        email: tourist.email,
-        emergency_contact_1: tourist.emergency_contact_1,
-        emergency_contact_2: tourist.emergency_contact_2,
+        contact_number: toE164OrRaw(tourist.contact_number), // E.164, matches /api/auth/register lookup
+        email: tourist.email ? String(tourist.email).trim().toLowerCase() : null, // matches email OTP lookup
+        emergency_contact_1: toE164OrRaw(tourist.emergency_contact_1),
+        emergency_contact_2: toE164OrRaw(tourist.emergency_contact_2),
         nationality: tourist.nationality,
+        id_type: tourist.id_type, // aadhaar | passport (see alter_tourists_add_id_type.sql)
+        id_number: tourist.id, // Normalized Aadhaar/passport number (see create_profile_changes_tables.sql)
         Trip_Start: tourist.trip_start, // Note: Capital T and underscore
         Trip_End: tourist.trip_end,     // Note: Capital T and underscore
-        id_file_path: tourist.id_file_path // Store the uploaded document path
-        // Note: Excluding itinerary as it doesn't exist in current schema
-      }])
+        id_file_path: tourist.id_file_path, // Storage key of the uploaded ID document (see documentStorage.cjs)
+        kyc_status: tourist.status || 'submitted'
+        // Itinerary stops are stored in itinerary_stops (see itineraryService.cjs)
+      })])
       .select(); // Return the inserted data
 
     if (error) {
@@ -55,7 +51,7 @@ async function storeTouristData(tourist) {
     }
 
     console.log("[DATABASE] ✅ Tourist data stored successfully:", data[0]?.dtid);
-    return { success: true, data: data[0] };
+    return { success: true, data: decryptTouristRow(data[0]) };
     
   } catch (error) {
     console.error("[DATABASE] Unexpected error:", error);
@@ -210,7 +206,7 @@ async function getTouristByDTID(dtid) {
     }
 
     console.log('[DATABASE] Tourist data retrieved successfully');
-    return data;
+    return decryptTouristRow(data);
   } catch (error) {
     console.error('[DATABASE] Failed to get tourist data:', error);
     return null;
@@ -226,11 +222,23 @@ async function getTouristByDTID(dtid) {
 async function updateTouristData(dtid, updates) {
   try {
     console.log('[DATABASE] Updating tourist data for DTID:', dtid);
-    
+
+    // PII is encrypted with the row's own data key
+    let stored = updates;
+    if (PII_FIELDS.some(field => updates[field] !== undefined)) {
+      const { data: current, error: fetchError } = await supabase
+        .from('tourists')
+        .select('*')
+        .eq('dtid', dtid)
+        .single();
+      if (fetchError) throw fetchError;
+      stored = encryptTouristUpdates(updates, current);
+    }
+
     const { data, error } = await supabase
       .from('tourists')
       .update({
-        ...updates,
+        ...stored,
         updated_at: new Date().toISOString()
       })
       .eq('dtid', dtid)
@@ -242,7 +250,7 @@ async function updateTouristData(dtid, updates) {
     }
 
     console.log('[DATABASE] Tourist data updated successfully');
-    return data[0];
+    return decryptTouristRow(data[0]);
   } catch (error) {
     console.error('[DATABASE] Failed to update tourist data:', error);
     return null;
@@ -267,9 +275,13 @@ async function storeBlockchainTransaction(dtid, transactionData) {
         contract_address: transactionData.contractAddress,
         block_number: transactionData.blockNumber,
         gas_used: transactionData.gasUsed,
-        network: 'sepolia',
+        network: getChainConfig().network,
         status: transactionData.status || 'confirmed',
         qr_path: transactionData.qrPath,
+        // Set for registration attempts made by the queue (see chainQueueService.cjs)
+        job_id: transactionData.jobId,
+        attempt: transactionData.attempt,
+        error: transactionData.error,
         created_at: new Date().toISOString()
       }])
       .select();
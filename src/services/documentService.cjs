@@ -0,0 +1,404 @@
+// src/services/documentService.cjs
+const crypto = require('crypto');
+const supabase = require('../config/database.cjs');
+const { getDocumentStorage } = require('./documentStorage.cjs');
+require('dotenv').config();
+const { DOCUMENT_TYPES } = require('../config/constants.cjs');
+
+/**
+ * Document Service - validation, metadata stripping and signed references
+ * for uploaded KYC ID scans (Aadhaar, passport, visa).
+ *
+ * Uploads return a signed reference (`<payload>.<signature>`) that expires
+ * after DOCUMENT_REFERENCE_TTL_MINUTES. verifyKYC accepts only such a
+ * reference, never a raw storage path, and each reference attaches its upload
+ * once (kyc_document_uploads, see create_kyc_document_uploads_table.sql).
+ * Uploads never attached are deleted by the retention job once their
+ * reference has expired. Reviewers get short-lived view URLs
+ * (DOCUMENT_VIEW_URL_TTL_SECONDS) signed for a separate purpose, so an upload
+ * reference cannot be used to download a file and vice versa.
+ */
+
+const MAX_DOCUMENT_BYTES = parseInt(process.env.DOCUMENT_MAX_BYTES || String(5 * 1024 * 1024), 10);
+const REFERENCE_TTL_MS = parseInt(process.env.DOCUMENT_REFERENCE_TTL_MINUTES || '60', 10) * 60 * 1000;
+const VIEW_URL_TTL_SECONDS = parseInt(process.env.DOCUMENT_VIEW_URL_TTL_SECONDS || '300', 10);
+const SIGNING_SECRET = process.env.DOCUMENT_SIGNING_SECRET || process.env.JWT_SECRET || 'devsecret';
+
+// Accepted formats, identified by magic bytes rather than the client's Content-Type
+const FORMATS = {
+  'image/jpeg': { ext: 'jpg', magic: Buffer.from([0xff, 0xd8, 0xff]) },
+  'image/png': { ext: 'png', magic: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  'application/pdf': { ext: 'pdf', magic: Buffer.from('%PDF-') }
+};
+
+// JPEG segments dropped on upload: APP1 (EXIF/XMP), APP12, APP13 (IPTC), COM
+const JPEG_METADATA_MARKERS = [0xe1, 0xec, 0xed, 0xfe];
+// PNG chunks dropped on upload
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+function detectMimeType(buffer) {
+  return Object.keys(FORMATS).find(mime => {
+    const { magic } = FORMATS[mime];
+    return buffer.length >= magic.length && buffer.subarray(0, magic.length).equals(magic);
+  }) || null;
+}
+
+function stripJpegMetadata(buffer) {
+  const parts = [buffer.subarray(0, 2)];
+  let offset = 2;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw new Error('Corrupt JPEG segment');
+    }
+    const marker = buffer[offset + 1];
+
+    // Start of scan: the rest is image data
+    if (marker === 0xda) {
+      parts.push(buffer.subarray(offset));
+      return Buffer.concat(parts);
+    }
+    // Fill byte before a marker
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    // Markers without a length field
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      parts.push(buffer.subarray(offset, offset + 2));
+      offset += 2;
+      continue;
+    }
+
+    if (offset + 4 > buffer.length) {
+      throw new Error('Truncated JPEG segment');
+    }
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) {
+      throw new Error('Truncated JPEG segment');
+    }
+    if (!JPEG_METADATA_MARKERS.includes(marker)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  throw new Error('JPEG has no image data');
+}
+
+function stripPngMetadata(buffer) {
+  const parts = [buffer.subarray(0, 8)];
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const end = offset + 12 + buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    if (end > buffer.length) {
+      throw new Error('Truncated PNG chunk');
+    }
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+    if (type === 'IEND') {
+      return Buffer.concat(parts);
+    }
+  }
+
+  throw new Error('PNG has no IEND chunk');
+}
+
+/**
+ * Validate an uploaded file and strip image metadata (EXIF, GPS, text chunks).
+ * PDFs are checked by signature only and stored as uploaded.
+ * @param {Buffer} buffer - File contents
+ * @param {string} declaredMime - Content-Type sent by the client
+ * @returns {Object} - { valid: true, mimetype, buffer } or { valid: false, error }
+ */
+function sanitizeDocument(buffer, declaredMime) {
+  if (!buffer || buffer.length === 0) {
+    return { valid: false, error: 'File is empty' };
+  }
+  if (buffer.length > MAX_DOCUMENT_BYTES) {
+    return { valid: false, error: `File is larger than ${MAX_DOCUMENT_BYTES} bytes` };
+  }
+
+  const mimetype = detectMimeType(buffer);
+  if (!mimetype) {
+    return { valid: false, error: `Unsupported file type. Allowed: ${Object.keys(FORMATS).join(', ')}` };
+  }
+  if (declaredMime !== mimetype) {
+    return { valid: false, error: `File content (${mimetype}) does not match its declared type (${declaredMime})` };
+  }
+
+  try {
+    if (mimetype === 'image/jpeg') return { valid: true, mimetype, buffer: stripJpegMetadata(buffer) };
+    if (mimetype === 'image/png') return { valid: true, mimetype, buffer: stripPngMetadata(buffer) };
+    return { valid: true, mimetype, buffer };
+  } catch (error) {
+    return { valid: false, error: `Invalid ${mimetype} file: ${error.message}` };
+  }
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', SIGNING_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Create a signed, expiring reference to a stored document
+ * @param {string} key - Storage key
+ * @param {string} documentType - aadhaar | passport | visa
+ * @param {Object} options - { purpose: 'attach' | 'view', ttlMs }
+ * @returns {Object} - { reference, expires_at }
+ */
+function createDocumentReference(key, documentType, options = {}) {
+  const { purpose = 'attach', ttlMs = REFERENCE_TTL_MS } = options;
+  const exp = Date.now() + ttlMs;
+  const payload = Buffer.from(JSON.stringify({ key, type: documentType, purpose, exp })).toString('base64url');
+  return { reference: `${payload}.${sign(payload)}`, expires_at: new Date(exp).toISOString() };
+}
+
+/**
+ * Check a document reference's signature, purpose and expiry
+ * @param {string} reference - Reference returned by storeDocument or createDocumentViewUrl
+ * @param {string} purpose - 'attach' | 'view'
+ * @returns {Object} - { valid: true, key, document_type } or { valid: false, error }
+ */
+function verifyDocumentReference(reference, purpose = 'attach') {
+  const [payload, signature, extra] = String(reference || '').split('.');
+  if (!payload || !signature || extra !== undefined) {
+    return { valid: false, error: 'Malformed document reference' };
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, error: 'Invalid document reference' };
+  }
+
+  const { key, type, purpose: signedPurpose, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (signedPurpose !== purpose) {
+    return { valid: false, error: 'Invalid document reference' };
+  }
+  if (Date.now() > exp) {
+    return {
+      valid: false,
+      error: purpose === 'attach' ? 'Document reference has expired. Please upload the document again.' : 'Document link has expired'
+    };
+  }
+
+  return { valid: true, key, document_type: type };
+}
+
+/**
+ * Validate, sanitize and store an uploaded KYC document
+ * @param {Object} file - { buffer, mimetype, originalname }
+ * @param {string} documentType - aadhaar | passport | visa
+ * @returns {Promise<Object>} - { success, error, code, data: { reference, expires_at, document_type, mimetype, size } }
+ */
+async function storeDocument(file, documentType) {
+  if (!DOCUMENT_TYPES.includes(documentType)) {
+    return { success: false, error: `document_type must be one of: ${DOCUMENT_TYPES.join(', ')}`, code: 'VALIDATION' };
+  }
+
+  const checked = sanitizeDocument(file.buffer, file.mimetype);
+  if (!checked.valid) {
+    return { success: false, error: checked.error, code: 'VALIDATION' };
+  }
+
+  const key = `${documentType}/${crypto.randomUUID()}.${FORMATS[checked.mimetype].ext}`;
+
+  try {
+    await getDocumentStorage().put(key, checked.buffer, checked.mimetype);
+  } catch (error) {
+    console.error('[DOCUMENTS] Failed to store document:', error.message || error);
+    return { success: false, error: 'Failed to store document' };
+  }
+
+  const { error: trackError } = await supabase
+    .from('kyc_document_uploads')
+    .insert([{ storage_key: key, document_type: documentType }]);
+  if (trackError) {
+    console.error('[DOCUMENTS] Failed to record upload:', trackError);
+    await getDocumentStorage().delete(key).catch(() => {});
+    return { success: false, error: 'Failed to store document' };
+  }
+
+  console.log(`[DOCUMENTS] ✅ Stored ${documentType} document ${key} (${checked.buffer.length} bytes)`);
+  return {
+    success: true,
+    error: null,
+    data: {
+      ...createDocumentReference(key, documentType),
+      document_type: documentType,
+      mimetype: checked.mimetype,
+      size: checked.buffer.length
+    }
+  };
+}
+
+/**
+ * Resolve a document reference to a stored file for verifyKYC
+ * @param {string} reference - Signed document reference
+ * @returns {Promise<Object>} - { valid: true, key, document_type } or { valid: false, error }
+ */
+async function resolveDocumentReference(reference) {
+  const result = verifyDocumentReference(reference);
+  if (!result.valid) return result;
+
+  if (!(await getDocumentStorage().exists(result.key))) {
+    return { valid: false, error: 'Referenced document no longer exists' };
+  }
+  return result;
+}
+
+/**
+ * Resolve a document reference and mark its upload attached, so the reference
+ * cannot be used by another submission
+ * @param {string} reference - Signed document reference
+ * @returns {Promise<Object>} - { valid: true, key, document_type } or { valid: false, error }
+ */
+async function claimDocumentReference(reference) {
+  const result = await resolveDocumentReference(reference);
+  if (!result.valid) return result;
+
+  const { data, error } = await supabase
+    .from('kyc_document_uploads')
+    .update({ attached_at: new Date().toISOString() })
+    .eq('storage_key', result.key)
+    .is('attached_at', null)
+    .select('storage_key');
+
+  if (error) {
+    console.error('[DOCUMENTS] Error attaching document:', error);
+    throw error;
+  }
+  if (data.length === 0) {
+    return { valid: false, error: 'Document reference has already been used. Please upload the document again.' };
+  }
+  return result;
+}
+
+/**
+ * Undo claimDocumentReference when the submission using it failed
+ * @param {string} key - Storage key
+ */
+async function releaseDocument(key) {
+  const { error } = await supabase
+    .from('kyc_document_uploads')
+    .update({ attached_at: null })
+    .eq('storage_key', key);
+  if (error) console.error('[DOCUMENTS] Error releasing document:', error);
+}
+
+/**
+ * Delete uploads no submission attached before their reference expired
+ * @param {Object} options - { dryRun: only list what would be deleted, now }
+ * @returns {Promise<Object>} - { deleted: storage keys, failed: [{ key, error }] }
+ */
+async function deleteUnattachedDocuments({ dryRun = false, now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - REFERENCE_TTL_MS).toISOString();
+
+  if (dryRun) {
+    const { data, error } = await supabase
+      .from('kyc_document_uploads')
+      .select('storage_key')
+      .is('attached_at', null)
+      .lt('created_at', cutoff);
+    if (error) throw error;
+    return { deleted: data.map(row => row.storage_key), failed: [] };
+  }
+
+  // Delete the rows first: a submission claiming one at the same time either
+  // attaches it before this, or finds it gone
+  const { data, error } = await supabase
+    .from('kyc_document_uploads')
+    .delete()
+    .is('attached_at', null)
+    .lt('created_at', cutoff)
+    .select('storage_key, document_type, created_at');
+  if (error) throw error;
+
+  const storage = getDocumentStorage();
+  const deleted = [];
+  const failed = [];
+  for (const row of data) {
+    try {
+      await storage.delete(row.storage_key);
+      deleted.push(row.storage_key);
+    } catch (err) {
+      // Put the row back so the next sweep tries again
+      console.error('[DOCUMENTS] Failed to delete unattached document:', row.storage_key, err);
+      await supabase.from('kyc_document_uploads').insert([row]);
+      failed.push({ key: row.storage_key, error: err.message });
+    }
+  }
+  return { deleted, failed };
+}
+
+/**
+ * Document type of a stored file, from its storage key (`<type>/<uuid>.<ext>`)
+ * @param {string} key - Storage key
+ * @returns {string|null} - aadhaar | passport | visa, or null
+ */
+function documentTypeFromKey(key) {
+  const type = String(key || '').split('/')[0];
+  return DOCUMENT_TYPES.includes(type) ? type : null;
+}
+
+/**
+ * Create a short-lived URL for a reviewer to view a stored document. Uses the
+ * storage backend's own signed URLs when it has them, otherwise an API URL
+ * served by GET /api/kyc/documents/:reference.
+ * @param {string} key - Storage key
+ * @param {string} baseUrl - API origin (e.g. https://api.example.com)
+ * @returns {Promise<Object>} - { url, expires_at }
+ */
+async function createDocumentViewUrl(key, baseUrl) {
+  const expiresAt = new Date(Date.now() + VIEW_URL_TTL_SECONDS * 1000).toISOString();
+  const nativeUrl = await getDocumentStorage().signedUrl(key, VIEW_URL_TTL_SECONDS);
+  if (nativeUrl) {
+    return { url: nativeUrl, expires_at: expiresAt };
+  }
+
+  const { reference } = createDocumentReference(key, documentTypeFromKey(key), {
+    purpose: 'view',
+    ttlMs: VIEW_URL_TTL_SECONDS * 1000
+  });
+  return { url: `${baseUrl}/api/kyc/documents/${reference}`, expires_at: expiresAt };
+}
+
+/**
+ * Read a document through a view reference
+ * @param {string} reference - View reference from createDocumentViewUrl
+ * @returns {Promise<Object>} - { success, error, code, data: { buffer, mimetype } }
+ */
+async function readDocumentByViewReference(reference) {
+  const result = verifyDocumentReference(reference, 'view');
+  if (!result.valid) {
+    return { success: false, error: result.error, code: 'FORBIDDEN' };
+  }
+
+  const buffer = await getDocumentStorage().get(result.key);
+  if (!buffer) {
+    return { success: false, error: 'Document not found', code: 'NOT_FOUND' };
+  }
+
+  return { success: true, error: null, data: { buffer, mimetype: detectMimeType(buffer) || 'application/octet-stream' } };
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  MAX_DOCUMENT_BYTES,
+  sanitizeDocument,
+  createDocumentReference,
+  verifyDocumentReference,
+  storeDocument,
+  resolveDocumentReference,
+  claimDocumentReference,
+  releaseDocument,
+  deleteUnattachedDocuments,
+  documentTypeFromKey,
+  createDocumentViewUrl,
+  readDocumentByViewReference
+};
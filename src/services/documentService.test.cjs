@@ -0,0 +1,96 @@
+// src/services/documentService.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { installFakeSupabase } = require('../testing/fakeSupabase.cjs');
+
+const STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'kyc-documents-'));
+process.env.DOCUMENT_STORAGE = 'local';
+process.env.DOCUMENT_STORAGE_DIR = STORAGE_DIR;
+test.after(() => fs.rmSync(STORAGE_DIR, { recursive: true, force: true }));
+
+const { rows } = installFakeSupabase();
+const {
+  storeDocument,
+  claimDocumentReference,
+  releaseDocument,
+  deleteUnattachedDocuments
+} = require('./documentService.cjs');
+
+const PDF = { buffer: Buffer.from('%PDF-1.4\n%%EOF\n'), mimetype: 'application/pdf', originalname: 'id.pdf' };
+const HOUR_MS = 60 * 60 * 1000;
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  rows.kyc_document_uploads = [];
+}
+
+async function upload() {
+  const stored = await storeDocument(PDF, 'passport');
+  assert.equal(stored.success, true);
+  return stored.data.reference;
+}
+
+const fileExists = (key) => fs.existsSync(path.join(STORAGE_DIR, key));
+
+test('uploads are recorded unattached', async (t) => {
+  quiet(t);
+  await upload();
+
+  assert.equal(rows.kyc_document_uploads.length, 1);
+  const [row] = rows.kyc_document_uploads;
+  assert.match(row.storage_key, /^passport\/[0-9a-f-]+\.pdf$/);
+  assert.equal(row.attached_at, undefined);
+  assert.ok(fileExists(row.storage_key));
+});
+
+test('a document reference can be attached once', async (t) => {
+  quiet(t);
+  const reference = await upload();
+
+  const first = await claimDocumentReference(reference);
+  assert.equal(first.valid, true);
+  assert.equal(first.document_type, 'passport');
+  assert.ok(rows.kyc_document_uploads[0].attached_at);
+
+  const second = await claimDocumentReference(reference);
+  assert.equal(second.valid, false);
+  assert.match(second.error, /already been used/);
+});
+
+test('releasing a document lets a failed submission retry', async (t) => {
+  quiet(t);
+  const reference = await upload();
+
+  const claimed = await claimDocumentReference(reference);
+  await releaseDocument(claimed.key);
+  assert.equal((await claimDocumentReference(reference)).valid, true);
+});
+
+test('uploads never attached are deleted once their reference expired', async (t) => {
+  quiet(t);
+  await upload();
+  await upload();
+  const attached = await claimDocumentReference(await upload());
+  for (const row of rows.kyc_document_uploads) {
+    row.created_at = new Date(Date.now() - 2 * HOUR_MS).toISOString();
+  }
+  await upload();
+  const [oldA, oldB, , fresh] = rows.kyc_document_uploads.map(row => row.storage_key);
+
+  const planned = await deleteUnattachedDocuments({ dryRun: true });
+  assert.deepEqual(planned, { deleted: [oldA, oldB], failed: [] });
+  assert.equal(rows.kyc_document_uploads.length, 4);
+  assert.ok(fileExists(oldA));
+
+  const swept = await deleteUnattachedDocuments();
+  assert.deepEqual(swept, { deleted: [oldA, oldB], failed: [] });
+  assert.deepEqual(rows.kyc_document_uploads.map(row => row.storage_key), [attached.key, fresh]);
+  assert.equal(fileExists(oldA), false);
+  assert.equal(fileExists(oldB), false);
+  assert.ok(fileExists(attached.key));
+  assert.ok(fileExists(fresh));
+});
@@ -0,0 +1,150 @@
+// src/services/documentStorage.cjs
+const fs = require('fs').promises;
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * Document Storage - private storage for uploaded KYC ID scans.
+ * Files are never served publicly; they are read back through this module.
+ *
+ * Backends (DOCUMENT_STORAGE=local|supabase, defaults to supabase in production):
+ *  - local:    files under DOCUMENT_STORAGE_DIR (default storage/kyc-documents)
+ *  - supabase: private Supabase Storage bucket DOCUMENT_STORAGE_BUCKET (default kyc-documents)
+ */
+
+/**
+ * Local filesystem backend
+ * @param {string} rootDir - Directory to store files in
+ * @returns {Object} - Document storage
+ */
+function createLocalDocumentStorage(rootDir) {
+  const root = path.resolve(rootDir);
+
+  // Keys are generated by documentService, but never let one escape the root
+  function resolveKey(key) {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid document key: ${key}`);
+    }
+    return filePath;
+  }
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer, { mode: 0o600 });
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await fs.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async delete(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    // No native signed URLs: documentService serves the file through the API instead
+    async signedUrl() {
+      return null;
+    }
+  };
+}
+
+/**
+ * Supabase Storage backend (bucket must be private)
+ * @param {Object} supabase - Supabase client
+ * @param {string} bucket - Bucket name
+ * @returns {Object} - Document storage
+ */
+function createSupabaseDocumentStorage(supabase, bucket) {
+  return {
+    name: 'supabase',
+
+    async put(key, buffer, contentType) {
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(key, buffer, { contentType, upsert: false });
+      if (error) throw error;
+    },
+
+    async get(key) {
+      const { data, error } = await supabase.storage.from(bucket).download(key);
+      if (error) {
+        if (error.statusCode === '404' || /not found/i.test(error.message)) return null;
+        throw error;
+      }
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    async exists(key) {
+      const { data, error } = await supabase.storage
+        .from(bucket)
+        .list(path.posix.dirname(key), { search: path.posix.basename(key) });
+      if (error) throw error;
+      return data.some(file => file.name === path.posix.basename(key));
+    },
+
+    async delete(key) {
+      const { error } = await supabase.storage.from(bucket).remove([key]);
+      if (error) throw error;
+    },
+
+    async signedUrl(key, ttlSeconds) {
+      const { data, error } = await supabase.storage.from(bucket).createSignedUrl(key, ttlSeconds);
+      if (error) throw error;
+      return data.signedUrl;
+    }
+  };
+}
+
+let defaultStorage = null;
+
+/**
+ * Get the configured document storage (DOCUMENT_STORAGE=local|supabase)
+ * @returns {Object} - Document storage
+ */
+function getDocumentStorage() {
+  if (defaultStorage) return defaultStorage;
+
+  const backend = process.env.DOCUMENT_STORAGE ||
+    (process.env.NODE_ENV === 'production' ? 'supabase' : 'local');
+
+  if (backend === 'supabase') {
+    defaultStorage = createSupabaseDocumentStorage(
+      require('../config/database.cjs'),
+      process.env.DOCUMENT_STORAGE_BUCKET || 'kyc-documents'
+    );
+  } else if (backend === 'local') {
+    defaultStorage = createLocalDocumentStorage(
+      process.env.DOCUMENT_STORAGE_DIR || path.join(__dirname, '../../storage/kyc-documents')
+    );
+  } else {
+    throw new Error(`Unknown DOCUMENT_STORAGE backend: ${backend}`);
+  }
+
+  console.log('[DOCUMENTS] Using storage backend:', defaultStorage.name);
+  return defaultStorage;
+}
+
+module.exports = {
+  createLocalDocumentStorage,
+  createSupabaseDocumentStorage,
+  getDocumentStorage
+};
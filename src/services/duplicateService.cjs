@@ -0,0 +1,312 @@
+// src/services/duplicateService.cjs
+const supabase = require('../config/database.cjs');
+const { nameTokens } = require('./idValidationService.cjs');
+const { blindIndex } = require('./piiService.cjs');
+const { reviewKYC } = require('./kycService.cjs');
+const { DUPLICATE_RESOLUTIONS } = require('../config/constants.cjs');
+
+/**
+ * Duplicate Service - finds earlier registrations of the same person at KYC
+ * submission. Only active registrations count: not rejected, not replaced by a
+ * successor DTID and with a trip that has not ended, so returning tourists and
+ * resubmissions after a rejection register normally.
+ *
+ *  - Exact: same normalized ID number (and ID type), or the same contact
+ *    number (the login identifier). The submission is refused and the
+ *    existing DTID returned.
+ *    A unique index on active registrations per ID
+ *    (see create_kyc_duplicate_matches_table.sql) catches concurrent ones.
+ *  - Partial: same date of birth and a similar name, different ID. The
+ *    submission is stored with possible_duplicate set and each match is
+ *    queued in kyc_duplicate_matches for an admin
+ *    (see create_kyc_duplicate_matches_table.sql).
+ *
+ * ID number, contact number and date of birth are encrypted, so they are
+ * compared through their blind indexes (see piiService.cjs).
+ */
+
+// Name similarity (0-1) from which a same-birthday registration is flagged
+const NAME_MATCH_THRESHOLD = parseFloat(process.env.DUPLICATE_NAME_THRESHOLD || '0.85');
+
+const CANDIDATE_COLUMNS = 'dtid, full_name, id_type, id_number_bidx, contact_number_bidx, date_of_birth_bidx, kyc_status, Trip_End, successor_dtid';
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two names, ignoring case, accents, punctuation and word order
+ * @param {string} a - Full name
+ * @param {string} b - Full name
+ * @returns {number} - 1 for the same name, 0 for nothing in common
+ */
+function nameSimilarity(a, b) {
+  const left = nameTokens(a).sort().join(' ');
+  const right = nameTokens(b).sort().join(' ');
+  if (!left || !right) return 0;
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+}
+
+function isActive(tourist, today) {
+  return !tourist.successor_dtid &&
+    tourist.kyc_status !== 'rejected' &&
+    (!tourist.Trip_End || tourist.Trip_End >= today);
+}
+
+/**
+ * Find active registrations of the person submitting KYC
+ * @param {Object} submission - { id_type, id, contact_number, full_name, date_of_birth }, normalized
+ * @returns {Promise<Object>} - { success, error, data: { exact: [{ dtid, kyc_status, matched_on }], partial: [{ dtid, score, matched_on }] } }
+ */
+async function findDuplicateTourists(submission) {
+  const { id_type, full_name } = submission;
+  const idIndex = blindIndex('id_number', submission.id);
+  const contactIndex = blindIndex('contact_number', submission.contact_number);
+  const birthIndex = blindIndex('date_of_birth', submission.date_of_birth);
+  const filters = [
+    idIndex && `id_number_bidx.eq.${idIndex}`,
+    contactIndex && `contact_number_bidx.eq.${contactIndex}`,
+    birthIndex && `date_of_birth_bidx.eq.${birthIndex}`
+  ].filter(Boolean);
+
+  if (filters.length === 0) {
+    return { success: true, error: null, data: { exact: [], partial: [] } };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('tourists')
+      .select(CANDIDATE_COLUMNS)
+      .or(filters.join(','));
+
+    if (error) {
+      console.error('[DUPLICATE] Error searching for duplicates:', error);
+      return { success: false, error: error.message, data: null };
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const exact = [];
+    const partial = [];
+
+    for (const tourist of data.filter(row => isActive(row, today))) {
+      const matchedOn = [];
+      if (idIndex && tourist.id_number_bidx === idIndex && (!tourist.id_type || tourist.id_type === id_type)) matchedOn.push('id_number');
+      if (contactIndex && tourist.contact_number_bidx === contactIndex) matchedOn.push('contact_number');
+
+      if (matchedOn.length > 0) {
+        exact.push({ dtid: tourist.dtid, kyc_status: tourist.kyc_status, matched_on: matchedOn });
+        continue;
+      }
+
+      if (birthIndex && tourist.date_of_birth_bidx === birthIndex) {
+        const score = nameSimilarity(full_name, tourist.full_name);
+        if (score >= NAME_MATCH_THRESHOLD) {
+          partial.push({ dtid: tourist.dtid, score: Math.round(score * 1000) / 1000, matched_on: ['full_name', 'date_of_birth'] });
+        }
+      }
+    }
+
+    if (exact.length || partial.length) {
+      console.log(`[DUPLICATE] ${exact.length} exact and ${partial.length} partial match(es) found`);
+    }
+    return { success: true, error: null, data: { exact, partial } };
+  } catch (err) {
+    console.error('[DUPLICATE] Unexpected error searching for duplicates:', err);
+    return { success: false, error: err.message, data: null };
+  }
+}
+
+/**
+ * Close earlier registrations of the same ID whose trip ended without a
+ * checkout, so the unique index on active registrations lets the person
+ * register again
+ * @param {Object} submission - { id_type, id }, normalized
+ * @returns {Promise<Object>} - { success, error, data: closed DTIDs }
+ */
+async function closeEndedRegistrations({ id_type, id }) {
+  const idIndex = blindIndex('id_number', id);
+  if (!idIndex) {
+    return { success: true, error: null, data: [] };
+  }
+
+  const { data, error } = await supabase
+    .from('tourists')
+    .update({ checked_out_at: new Date().toISOString() })
+    .eq('id_type', id_type)
+    .eq('id_number_bidx', idIndex)
+    .is('successor_dtid', null)
+    .is('checked_out_at', null)
+    .lt('Trip_End', new Date().toISOString().slice(0, 10))
+    .select('dtid');
+
+  if (error) {
+    console.error('[DUPLICATE] Error closing ended registrations:', error);
+    return { success: false, error: error.message, data: null };
+  }
+
+  if (data.length) {
+    console.log(`[DUPLICATE] Closed ${data.length} ended registration(s): ${data.map(row => row.dtid).join(', ')}`);
+  }
+  return { success: true, error: null, data: data.map(row => row.dtid) };
+}
+
+/**
+ * Queue partial matches of a new submission for admin review
+ * @param {string} dtid - DTID of the new submission
+ * @param {Array} matches - Partial matches from findDuplicateTourists
+ * @returns {Promise<Object>} - { success, error, data }
+ */
+async function recordDuplicateMatches(dtid, matches) {
+  const { data, error } = await supabase
+    .from('kyc_duplicate_matches')
+    .insert(matches.map(match => ({
+      dtid,
+      matched_dtid: match.dtid,
+      score: match.score,
+      matched_on: match.matched_on,
+      status: 'open'
+    })))
+    .select();
+
+  if (error) {
+    console.error('[DUPLICATE] Error recording duplicate matches:', error);
+    return { success: false, error: error.message, data: null };
+  }
+
+  const { error: flagError } = await supabase
+    .from('tourists')
+    .update({ possible_duplicate: true })
+    .eq('dtid', dtid);
+
+  if (flagError) {
+    console.error('[DUPLICATE] Error flagging possible duplicate:', flagError);
+  }
+
+  console.log(`[DUPLICATE] ${dtid} flagged as a possible duplicate of ${matches.map(match => match.dtid).join(', ')}`);
+  return { success: true, error: null, data };
+}
+
+/**
+ * List duplicate matches, oldest first
+ * @param {Object} filters - { status, dtid, limit, offset }
+ * @returns {Promise<Object>} - { success, error, data, count }
+ */
+async function listDuplicateMatches(filters = {}) {
+  const limit = Math.min(filters.limit || 50, 200);
+  const offset = filters.offset || 0;
+
+  let query = supabase
+    .from('kyc_duplicate_matches')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (filters.status) query = query.eq('status', filters.status);
+  if (filters.dtid) query = query.eq('dtid', filters.dtid);
+
+  const { data, error, count } = await query;
+  if (error) {
+    console.error('[DUPLICATE] Error listing duplicate matches:', error);
+    return { success: false, error: error.message, data: null };
+  }
+  return { success: true, error: null, data, count };
+}
+
+/**
+ * Resolve a duplicate match. Confirming a duplicate rejects the newer KYC
+ * submission with the match as the reason.
+ * @param {number} matchId - Match id
+ * @param {string} resolution - 'not_duplicate' | 'duplicate'
+ * @param {Object} actor - { actor_id, reason }
+ * @returns {Promise<Object>} - { success, error, code, data: { match, kyc } }
+ */
+async function resolveDuplicateMatch(matchId, resolution, actor) {
+  try {
+    if (!DUPLICATE_RESOLUTIONS.includes(resolution)) {
+      return { success: false, error: `resolution must be one of: ${DUPLICATE_RESOLUTIONS.join(', ')}`, code: 'VALIDATION' };
+    }
+
+    const { data: resolved, error } = await supabase
+      .from('kyc_duplicate_matches')
+      .update({
+        status: resolution,
+        resolution_comment: actor.reason || null,
+        resolved_by: actor.actor_id,
+        resolved_at: new Date().toISOString()
+      })
+      .eq('id', matchId)
+      .eq('status', 'open')
+      .select();
+
+    if (error) {
+      console.error('[DUPLICATE] Error resolving duplicate match:', error);
+      return { success: false, error: error.message };
+    }
+    if (!resolved || resolved.length === 0) {
+      const { data: existing } = await supabase
+        .from('kyc_duplicate_matches')
+        .select('status')
+        .eq('id', matchId)
+        .maybeSingle();
+      return existing
+        ? { success: false, error: `Duplicate match is already resolved as ${existing.status}`, code: 'CONFLICT' }
+        : { success: false, error: 'Duplicate match not found', code: 'NOT_FOUND' };
+    }
+
+    const match = resolved[0];
+
+    // Clear the flag once nothing is left to decide
+    const { count } = await supabase
+      .from('kyc_duplicate_matches')
+      .select('id', { count: 'exact' })
+      .eq('dtid', match.dtid)
+      .eq('status', 'open');
+
+    if (count === 0) {
+      await supabase
+        .from('tourists')
+        .update({ possible_duplicate: false })
+        .eq('dtid', match.dtid);
+    }
+
+    let kyc = null;
+    if (resolution === 'duplicate') {
+      kyc = await reviewKYC(match.dtid, 'reject', {
+        actor_type: 'admin',
+        actor_id: actor.actor_id,
+        reason: actor.reason || `Duplicate of ${match.matched_dtid}`
+      });
+      if (!kyc.success) {
+        console.log(`[DUPLICATE] ⚠️ Could not reject ${match.dtid}:`, kyc.error);
+      }
+    }
+
+    console.log(`[DUPLICATE] Match ${matchId} (${match.dtid} ~ ${match.matched_dtid}) resolved as ${resolution} by ${actor.actor_id}`);
+    return { success: true, error: null, data: { match, kyc } };
+  } catch (err) {
+    console.error('[DUPLICATE] Unexpected error resolving duplicate match:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = {
+  DUPLICATE_RESOLUTIONS,
+  nameSimilarity,
+  findDuplicateTourists,
+  closeEndedRegistrations,
+  recordDuplicateMatches,
+  listDuplicateMatches,
+  resolveDuplicateMatch
+};
@@ -0,0 +1,101 @@
+// src/services/duplicateService.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('../testing/fakeSupabase.cjs');
+
+const { rows } = installFakeSupabase();
+const { blindIndex } = require('./piiService.cjs');
+const { nameSimilarity, findDuplicateTourists, closeEndedRegistrations } = require('./duplicateService.cjs');
+
+const day = (offset) => new Date(Date.now() + offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+function tourist(dtid, values) {
+  return {
+    dtid,
+    full_name: values.full_name || 'Anil Kumar',
+    id_type: values.id_type || 'aadhaar',
+    id_number_bidx: blindIndex('id_number', values.id || '234567890124'),
+    contact_number_bidx: blindIndex('contact_number', values.contact_number || '+919876543210'),
+    date_of_birth_bidx: blindIndex('date_of_birth', values.date_of_birth || '1990-04-12'),
+    kyc_status: values.kyc_status || 'verified',
+    Trip_End: values.Trip_End === undefined ? day(10) : values.Trip_End,
+    successor_dtid: values.successor_dtid || null,
+    checked_out_at: null
+  };
+}
+
+const SUBMISSION = {
+  id_type: 'aadhaar',
+  id: '234567890124',
+  contact_number: '+919876543210',
+  full_name: 'Anil Kumar',
+  date_of_birth: '1990-04-12'
+};
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  rows.tourists = [];
+}
+
+test('nameSimilarity ignores case, accents, punctuation and word order', () => {
+  assert.equal(nameSimilarity('Anil Kumar', 'anil kumar'), 1);
+  assert.equal(nameSimilarity('Kumar, Anil', 'Anil Kumar'), 1);
+  assert.equal(nameSimilarity('José Álvarez', 'Jose Alvarez'), 1);
+  assert.ok(nameSimilarity('Anil Kumar', 'Anil Kumaar') >= 0.85);
+  assert.ok(nameSimilarity('Anil Kumar', 'Priya Sharma') < 0.5);
+  assert.equal(nameSimilarity('', 'Anil Kumar'), 0);
+  assert.equal(nameSimilarity('Anil Kumar', null), 0);
+});
+
+test('the same ID or contact number is an exact match', async (t) => {
+  quiet(t);
+  rows.tourists.push(tourist('0xa', {}));
+  rows.tourists.push(tourist('0xb', { id: '333344445555', contact_number: '+919800000000', full_name: 'Other Person', date_of_birth: '1985-01-01' }));
+
+  const { data } = await findDuplicateTourists(SUBMISSION);
+  assert.deepEqual(data.exact, [{ dtid: '0xa', kyc_status: 'verified', matched_on: ['id_number', 'contact_number'] }]);
+
+  const byContact = await findDuplicateTourists({ ...SUBMISSION, id: '999988887777' });
+  assert.deepEqual(byContact.data.exact[0].matched_on, ['contact_number']);
+});
+
+test('the same ID number under another ID type is not an exact match', async (t) => {
+  quiet(t);
+  rows.tourists.push(tourist('0xa', { id_type: 'passport', id: 'K1234567', contact_number: '+919800000000' }));
+
+  const { data } = await findDuplicateTourists({ ...SUBMISSION, id: 'K1234567' });
+  assert.equal(data.exact.length, 0);
+});
+
+test('same birthday and a similar name is a partial match', async (t) => {
+  quiet(t);
+  rows.tourists.push(tourist('0xa', { id: '333344445555', contact_number: '+919800000000', full_name: 'Kumar Anil' }));
+
+  const { data } = await findDuplicateTourists(SUBMISSION);
+  assert.equal(data.exact.length, 0);
+  assert.deepEqual(data.partial, [{ dtid: '0xa', score: 1, matched_on: ['full_name', 'date_of_birth'] }]);
+});
+
+test('rejected, replaced and ended registrations do not count', async (t) => {
+  quiet(t);
+  rows.tourists.push(tourist('0xa', { kyc_status: 'rejected' }));
+  rows.tourists.push(tourist('0xb', { successor_dtid: '0xc' }));
+  rows.tourists.push(tourist('0xd', { Trip_End: day(-1) }));
+
+  const { data } = await findDuplicateTourists(SUBMISSION);
+  assert.deepEqual(data, { exact: [], partial: [] });
+});
+
+test('ended registrations of the same ID are closed before registering again', async (t) => {
+  quiet(t);
+  rows.tourists.push(tourist('0xa', { Trip_End: day(-1) }));
+  rows.tourists.push(tourist('0xb', { Trip_End: day(5) }));
+  rows.tourists.push(tourist('0xc', { Trip_End: day(-1), id: '333344445555' }));
+
+  const closed = await closeEndedRegistrations(SUBMISSION);
+  assert.deepEqual(closed.data, ['0xa']);
+  assert.ok(rows.tourists.find(row => row.dtid === '0xa').checked_out_at);
+  assert.equal(rows.tourists.find(row => row.dtid === '0xb').checked_out_at, null);
+  assert.equal(rows.tourists.find(row => row.dtid === '0xc').checked_out_at, null);
+});
@@ -0,0 +1,303 @@
+// src/services/idValidationService.cjs
+const countries = require('i18n-iso-countries');
+const { ID_TYPES } = require('../config/constants.cjs');
+
+countries.registerLocale(require('i18n-iso-countries/langs/en.json'));
+
+/**
+ * ID Validation Service - identity-type-aware checks for KYC submissions.
+ *
+ *  - aadhaar:  12 digits, not starting with 0 or 1, valid Verhoeff checksum
+ *  - passport: per-country number format, plus an optional ICAO 9303 TD3 MRZ
+ *              whose check digits are verified and whose fields are
+ *              cross-checked against full_name, date_of_birth and nationality
+ *
+ * Errors are returned per field as [{ field, message }].
+ */
+
+// Verhoeff checksum tables (dihedral group D5)
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+// Passport number formats by issuing country (ISO 3166-1 alpha-2).
+// Other countries get the ICAO limit: 1-9 letters or digits.
+const PASSPORT_FORMATS = {
+  IN: /^[A-Z][0-9]{7}$/,
+  US: /^[A-Z0-9][0-9]{8}$/,
+  GB: /^[0-9]{9}$/,
+  CA: /^[A-Z]{2}[0-9]{6}$/,
+  AU: /^[A-Z]{1,2}[0-9]{7}$/,
+  NZ: /^[A-Z]{2}[0-9]{6}$/,
+  DE: /^[CFGHJKLMNPRTVWXYZ0-9]{9}$/,
+  FR: /^[0-9]{2}[A-Z]{2}[0-9]{5}$/,
+  JP: /^[A-Z]{2}[0-9]{7}$/,
+  CN: /^[EG][0-9]{8}$|^E[A-Z][0-9]{7}$/
+};
+const DEFAULT_PASSPORT_FORMAT = /^[A-Z0-9]{1,9}$/;
+
+// ICAO nationality codes that are not ISO 3166-1 alpha-3
+const ICAO_NATIONALITY_ALIASES = { D: 'DE', GBD: 'GB', GBN: 'GB', GBO: 'GB', GBP: 'GB', GBS: 'GB' };
+
+/**
+ * Check a number against its Verhoeff check digit
+ * @param {string} digits - Digits including the trailing check digit
+ * @returns {boolean}
+ */
+function verhoeffIsValid(digits) {
+  let c = 0;
+  const reversed = digits.split('').reverse();
+  for (let i = 0; i < reversed.length; i++) {
+    c = VERHOEFF_D[c][VERHOEFF_P[i % 8][parseInt(reversed[i], 10)]];
+  }
+  return c === 0;
+}
+
+/**
+ * Resolve a nationality given as a country name, alpha-2 or alpha-3 code
+ * @param {string} input - e.g. "India", "IN", "IND"
+ * @returns {string|null} - ISO 3166-1 alpha-2 code or null
+ */
+function resolveCountryCode(input) {
+  if (typeof input !== 'string' || !input.trim()) return null;
+  const value = input.trim();
+  const upper = value.toUpperCase();
+
+  if (ICAO_NATIONALITY_ALIASES[upper]) return ICAO_NATIONALITY_ALIASES[upper];
+  if (/^[A-Z]{2}$/.test(upper) && countries.isValid(upper)) return upper;
+  if (/^[A-Z]{3}$/.test(upper) && countries.isValid(upper)) return countries.alpha3ToAlpha2(upper);
+  return countries.getAlpha2Code(value, 'en') || null;
+}
+
+/**
+ * Validate an Aadhaar number
+ * @param {string} input - Aadhaar number (spaces and hyphens allowed)
+ * @returns {Object} - { valid: true, normalized } or { valid: false, error }
+ */
+function validateAadhaar(input) {
+  const normalized = String(input || '').replace(/[\s-]/g, '');
+
+  if (!/^[0-9]{12}$/.test(normalized)) {
+    return { valid: false, error: 'Aadhaar number must be 12 digits' };
+  }
+  if (/^[01]/.test(normalized)) {
+    return { valid: false, error: 'Aadhaar number cannot start with 0 or 1' };
+  }
+  if (!verhoeffIsValid(normalized)) {
+    return { valid: false, error: 'Aadhaar number checksum is invalid' };
+  }
+  return { valid: true, normalized };
+}
+
+/**
+ * Validate a passport number for its issuing country
+ * @param {string} input - Passport number
+ * @param {string} country - ISO alpha-2 issuing country (null for the generic format)
+ * @returns {Object} - { valid: true, normalized } or { valid: false, error }
+ */
+function validatePassportNumber(input, country) {
+  const normalized = String(input || '').replace(/\s/g, '').toUpperCase();
+  const format = PASSPORT_FORMATS[country] || DEFAULT_PASSPORT_FORMAT;
+
+  if (!format.test(normalized)) {
+    const where = PASSPORT_FORMATS[country] ? ` for ${countries.getName(country, 'en') || country}` : '';
+    return { valid: false, error: `Passport number format is invalid${where}` };
+  }
+  return { valid: true, normalized };
+}
+
+function mrzCharValue(char) {
+  if (char === '<') return 0;
+  if (/[0-9]/.test(char)) return parseInt(char, 10);
+  return char.charCodeAt(0) - 55; // A=10 … Z=35
+}
+
+function mrzCheckDigit(text) {
+  const weights = [7, 3, 1];
+  let sum = 0;
+  for (let i = 0; i < text.length; i++) {
+    sum += mrzCharValue(text[i]) * weights[i % 3];
+  }
+  return String(sum % 10);
+}
+
+/**
+ * Parse a TD3 (passport) MRZ and verify its check digits
+ * @param {string|string[]} input - Two 44-character lines (newline-separated string or array)
+ * @returns {Object} - { valid: true, fields } or { valid: false, error }
+ */
+function parseTD3(input) {
+  const text = Array.isArray(input) ? input.join('\n') : String(input || '');
+  const lines = text.toUpperCase().split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const [line1, line2] = lines.length === 1 && lines[0].length === 88
+    ? [lines[0].slice(0, 44), lines[0].slice(44)]
+    : lines;
+
+  if (lines.length > 2 || !line1 || !line2 || line1.length !== 44 || line2.length !== 44) {
+    return { valid: false, error: 'MRZ must be two lines of 44 characters (passport TD3 format)' };
+  }
+  if (!/^[A-Z0-9<]+$/.test(line1 + line2)) {
+    return { valid: false, error: 'MRZ may only contain A-Z, 0-9 and <' };
+  }
+  if (line1[0] !== 'P') {
+    return { valid: false, error: 'MRZ is not from a passport (must start with P)' };
+  }
+
+  const checks = [
+    ['document number', line2.slice(0, 9), line2[9]],
+    ['date of birth', line2.slice(13, 19), line2[19]],
+    ['expiry date', line2.slice(21, 27), line2[27]],
+    ['composite', line2.slice(0, 10) + line2.slice(13, 20) + line2.slice(21, 43), line2[43]]
+  ];
+  // Optional personal number: the check digit may be < when the field is empty
+  if (!(line2[42] === '<' && /^<+$/.test(line2.slice(28, 42)))) {
+    checks.push(['personal number', line2.slice(28, 42), line2[42]]);
+  }
+
+  for (const [name, value, digit] of checks) {
+    if (mrzCheckDigit(value) !== digit) {
+      return { valid: false, error: `MRZ ${name} check digit is invalid` };
+    }
+  }
+
+  const [surname, givenNames = ''] = line1.slice(5).split('<<');
+  return {
+    valid: true,
+    fields: {
+      issuing_state: line1.slice(2, 5).replace(/</g, ''),
+      surname: surname.replace(/</g, ' ').trim(),
+      given_names: givenNames.replace(/</g, ' ').trim(),
+      name_truncated: line1[43] !== '<',
+      document_number: line2.slice(0, 9).replace(/</g, ''),
+      nationality: line2.slice(10, 13).replace(/</g, ''),
+      date_of_birth: line2.slice(13, 19),
+      sex: line2[20],
+      expiry_date: line2.slice(21, 27)
+    }
+  };
+}
+
+// Uppercase ASCII name tokens, as they appear in an MRZ
+function nameTokens(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // strip accents
+    .toUpperCase()
+    .replace(/[^A-Z]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+}
+
+function mrzNameMatches(fullName, fields) {
+  const expected = nameTokens(fullName);
+  const mrz = nameTokens(`${fields.surname} ${fields.given_names}`);
+  if (mrz.length === 0) return false;
+
+  // A truncated MRZ name may cut its last token short
+  const last = fields.name_truncated ? mrz.pop() : null;
+  const allPresent = mrz.every(token => expected.includes(token));
+  if (last) {
+    return allPresent && expected.some(token => token.startsWith(last));
+  }
+  return allPresent && expected.every(token => mrz.includes(token));
+}
+
+// MRZ expiry dates are always in this century; a birth date that would be in
+// the future is in the last one
+function mrzDateToISO(yymmdd, { past = false } = {}) {
+  const date = `20${yymmdd.slice(0, 2)}-${yymmdd.slice(2, 4)}-${yymmdd.slice(4, 6)}`;
+  if (past && date > new Date().toISOString().slice(0, 10)) return `19${date.slice(2)}`;
+  return date;
+}
+
+/**
+ * Validate the identity fields of a KYC submission
+ * @param {Object} body - { id_type, id, mrz, full_name, date_of_birth, nationality }
+ * @returns {Object} - { valid, errors: [{ field, message }], id_type, id_number, mrz }
+ */
+function validateIdentity(body) {
+  const { id_type, id, mrz, full_name, date_of_birth, nationality } = body;
+  const errors = [];
+
+  if (!ID_TYPES.includes(id_type)) {
+    errors.push({ field: 'id_type', message: `id_type must be one of: ${ID_TYPES.join(', ')}` });
+    return { valid: false, errors };
+  }
+  if (!id) {
+    errors.push({ field: 'id', message: `${id_type === 'aadhaar' ? 'Aadhaar' : 'Passport'} number is required` });
+    return { valid: false, errors };
+  }
+
+  if (id_type === 'aadhaar') {
+    const aadhaar = validateAadhaar(id);
+    if (!aadhaar.valid) errors.push({ field: 'id', message: aadhaar.error });
+    return { valid: errors.length === 0, errors, id_type, id_number: aadhaar.normalized || null, mrz: null };
+  }
+
+  // Unrecognised nationalities (e.g. demonyms) fall back to the generic format
+  const country = resolveCountryCode(nationality);
+
+  const passport = validatePassportNumber(id, country);
+  if (!passport.valid) errors.push({ field: 'id', message: passport.error });
+
+  let mrzFields = null;
+  if (mrz) {
+    const parsed = parseTD3(mrz);
+    if (!parsed.valid) {
+      errors.push({ field: 'mrz', message: parsed.error });
+    } else {
+      mrzFields = parsed.fields;
+
+      if (passport.valid && mrzFields.document_number !== passport.normalized) {
+        errors.push({ field: 'id', message: 'Passport number does not match the MRZ' });
+      }
+      if (!mrzNameMatches(full_name, mrzFields)) {
+        errors.push({ field: 'full_name', message: 'Name does not match the MRZ' });
+      }
+      if (date_of_birth && mrzDateToISO(mrzFields.date_of_birth, { past: true }) !== String(date_of_birth).slice(0, 10)) {
+        errors.push({ field: 'date_of_birth', message: 'Date of birth does not match the MRZ' });
+      }
+      if (country && resolveCountryCode(mrzFields.nationality) !== country) {
+        errors.push({ field: 'nationality', message: 'Nationality does not match the MRZ' });
+      } else if (!country && nationality) {
+        errors.push({ field: 'nationality', message: 'Nationality must be a country name or ISO code to be checked against the MRZ' });
+      }
+      if (mrzDateToISO(mrzFields.expiry_date) < new Date().toISOString().slice(0, 10)) {
+        errors.push({ field: 'mrz', message: 'Passport has expired' });
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors, id_type, id_number: passport.normalized || null, mrz: mrzFields };
+}
+
+module.exports = {
+  ID_TYPES,
+  verhoeffIsValid,
+  resolveCountryCode,
+  validateAadhaar,
+  validatePassportNumber,
+  parseTD3,
+  nameTokens,
+  validateIdentity
+};
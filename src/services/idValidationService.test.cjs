@@ -0,0 +1,133 @@
+// src/services/idValidationService.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  verhoeffIsValid,
+  resolveCountryCode,
+  validateAadhaar,
+  validatePassportNumber,
+  parseTD3,
+  validateIdentity
+} = require('./idValidationService.cjs');
+
+// The specimen passport of ICAO Doc 9303 part 4
+const ICAO_SAMPLE = [
+  'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+  'L898902C36UTO7408122F1204159ZE184226B<<<<<10'
+];
+
+// ICAO 9303 check digit: weights 7, 3, 1 over 0-9, A=10 … Z=35, <=0
+function checkDigit(text) {
+  const value = char => (char === '<' ? 0 : /[0-9]/.test(char) ? Number(char) : char.charCodeAt(0) - 55);
+  return String([...text].reduce((sum, char, i) => sum + value(char) * [7, 3, 1][i % 3], 0) % 10);
+}
+
+// A TD3 MRZ with valid check digits
+function td3({ surname, givenNames, number, nationality, birth, expiry }) {
+  const line1 = `P<${nationality}${surname}<<${givenNames.replace(/ /g, '<')}`.padEnd(44, '<');
+  const document = number.padEnd(9, '<');
+  const personal = '<'.repeat(14);
+  const body = `${document}${checkDigit(document)}${nationality}${birth}${checkDigit(birth)}M${expiry}${checkDigit(expiry)}${personal}<`;
+  const composite = body.slice(0, 10) + body.slice(13, 20) + body.slice(21, 43);
+  return [line1, `${body}${checkDigit(composite)}`];
+}
+
+// A date as an MRZ yymmdd
+function yymmdd(date) {
+  return date.toISOString().slice(2, 10).replace(/-/g, '');
+}
+
+const EXPIRY = yymmdd(new Date(Date.now() + 5 * 365 * 24 * 60 * 60 * 1000));
+
+function passportKyc(overrides = {}, mrz = {}) {
+  return {
+    id_type: 'passport',
+    id: 'J8369854',
+    full_name: 'Anil Kumar',
+    date_of_birth: '1990-04-12',
+    nationality: 'India',
+    mrz: td3({ surname: 'KUMAR', givenNames: 'ANIL', number: 'J8369854', nationality: 'IND', birth: '900412', expiry: EXPIRY, ...mrz }),
+    ...overrides
+  };
+}
+
+test('Aadhaar numbers need a valid Verhoeff check digit', () => {
+  assert.equal(verhoeffIsValid('234123412346'), true);
+  assert.equal(verhoeffIsValid('234123412347'), false);
+
+  assert.deepEqual(validateAadhaar('2341 2341 2346'), { valid: true, normalized: '234123412346' });
+  assert.match(validateAadhaar('234123412347').error, /checksum/);
+  assert.match(validateAadhaar('134123412346').error, /cannot start with 0 or 1/);
+  assert.match(validateAadhaar('23412341234').error, /12 digits/);
+});
+
+test('passport numbers follow the format of the issuing country', () => {
+  assert.deepEqual(validatePassportNumber('j 8369854', 'IN'), { valid: true, normalized: 'J8369854' });
+  assert.match(validatePassportNumber('83698541', 'IN').error, /for India/);
+  assert.equal(validatePassportNumber('123456789', 'GB').valid, true);
+  assert.equal(validatePassportNumber('AB123456', 'GB').valid, false);
+  assert.equal(validatePassportNumber('ZE1842', 'SE').valid, true);
+  assert.equal(validatePassportNumber('ZE18422611', null).valid, false);
+});
+
+test('nationalities resolve from names and ISO or ICAO codes', () => {
+  assert.equal(resolveCountryCode('India'), 'IN');
+  assert.equal(resolveCountryCode('ind'), 'IN');
+  assert.equal(resolveCountryCode('IN'), 'IN');
+  assert.equal(resolveCountryCode('D'), 'DE');
+  assert.equal(resolveCountryCode('Indian'), null);
+});
+
+test('the ICAO specimen MRZ parses, and a wrong check digit is caught', () => {
+  const parsed = parseTD3(ICAO_SAMPLE);
+  assert.equal(parsed.valid, true);
+  assert.deepEqual(parsed.fields, {
+    issuing_state: 'UTO',
+    surname: 'ERIKSSON',
+    given_names: 'ANNA MARIA',
+    name_truncated: false,
+    document_number: 'L898902C3',
+    nationality: 'UTO',
+    date_of_birth: '740812',
+    sex: 'F',
+    expiry_date: '120415'
+  });
+  assert.equal(parseTD3(ICAO_SAMPLE.join('')).valid, true);
+
+  const tamper = (at, char) => [ICAO_SAMPLE[0], ICAO_SAMPLE[1].slice(0, at) + char + ICAO_SAMPLE[1].slice(at + 1)];
+  assert.match(parseTD3(tamper(9, '7')).error, /document number check digit/);
+  assert.match(parseTD3(tamper(14, '5')).error, /date of birth check digit/);
+  assert.match(parseTD3(tamper(27, '0')).error, /expiry date check digit/);
+  assert.match(parseTD3(tamper(43, '1')).error, /composite check digit/);
+  assert.match(parseTD3([ICAO_SAMPLE[0].slice(1), ICAO_SAMPLE[1]]).error, /44 characters/);
+  assert.match(parseTD3(['V<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<', ICAO_SAMPLE[1]]).error, /must start with P/);
+});
+
+test('a passport MRZ is cross-checked against the submission', () => {
+  assert.deepEqual(validateIdentity(passportKyc()).errors, []);
+  assert.equal(validateIdentity(passportKyc()).mrz.document_number, 'J8369854');
+
+  const fieldsOf = result => result.errors.map(error => error.field);
+  assert.deepEqual(fieldsOf(validateIdentity(passportKyc({ id: 'J8369855' }))), ['id']);
+  assert.deepEqual(fieldsOf(validateIdentity(passportKyc({ full_name: 'Sunil Kumar' }))), ['full_name']);
+  assert.deepEqual(fieldsOf(validateIdentity(passportKyc({ date_of_birth: '1990-04-13' }))), ['date_of_birth']);
+  assert.deepEqual(fieldsOf(validateIdentity(passportKyc({ nationality: 'Japan', id: 'TR1234567' }, { number: 'TR1234567' }))), ['nationality']);
+  assert.deepEqual(fieldsOf(validateIdentity(passportKyc({}, { expiry: '200101' }))), ['mrz']);
+});
+
+test('a nationality that cannot be resolved is reported, not skipped', () => {
+  const result = validateIdentity(passportKyc({ nationality: 'Indian' }));
+  assert.deepEqual(result.errors.map(error => error.field), ['nationality']);
+  assert.match(result.errors[0].message, /country name or ISO code/);
+});
+
+test('MRZ birth dates are placed in the century that puts them in the past', () => {
+  const today = new Date();
+  const todayISO = today.toISOString().slice(0, 10);
+  assert.deepEqual(validateIdentity(passportKyc({ date_of_birth: todayISO }, { birth: yymmdd(today) })).errors, []);
+
+  // Born 100 years ago tomorrow: same two-digit year, but a 20xx date would be in the future
+  const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+  const born = `${tomorrow.getUTCFullYear() - 100}${tomorrow.toISOString().slice(4, 10)}`;
+  assert.deepEqual(validateIdentity(passportKyc({ date_of_birth: born }, { birth: yymmdd(tomorrow) })).errors, []);
+});
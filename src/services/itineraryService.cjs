@@ -0,0 +1,442 @@
+// src/services/itineraryService.cjs
+const supabase = require('../config/database.cjs');
+const { getTouristByDTID } = require('./databaseService.cjs');
+const { decryptTouristRow } = require('./piiService.cjs');
+const { checkStopDates } = require('../schemas/itinerary.cjs');
+
+/**
+ * Itinerary Service - a tourist's planned stops (itinerary_stops table, see
+ * create_itinerary_stops_table.sql), kept in visiting order by `position`.
+ *
+ * Tourists submit their itinerary with KYC and may add, edit, remove and
+ * reorder stops until their trip ends. Stop dates must fall inside the trip.
+ * A stop without a departure_date is a single-day stop.
+ */
+
+const STOP_COLUMNS = 'id, dtid, position, place_name, latitude, longitude, arrival_date, departure_date, accommodation, contact_number, created_at, updated_at';
+
+// Tourist fields returned with "expected at" results; the contact number is stored encrypted
+const EXPECTED_TOURIST_COLUMNS = 'dtid, full_name, nationality, contact_number, contact_number_encrypted, pii_data_key, kyc_status, Trip_Start, Trip_End';
+
+const EARTH_RADIUS_KM = 6371;
+
+// Stops read per query, and DTIDs per tourists lookup, in findExpectedTourists
+const STOP_PAGE_SIZE = 1000;
+const DTID_BATCH_SIZE = 100;
+
+function toRow(stop) {
+  const row = {};
+  for (const field of ['place_name', 'latitude', 'longitude', 'arrival_date', 'departure_date', 'accommodation', 'contact_number']) {
+    if (stop[field] !== undefined) row[field] = stop[field];
+  }
+  return row;
+}
+
+// Single-day stops: departure defaults to arrival so date lookups need one range check
+function withDefaultDeparture(row) {
+  if (row.arrival_date && !row.departure_date) {
+    return { ...row, departure_date: row.arrival_date };
+  }
+  return row;
+}
+
+function escapeLikePattern(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const rad = deg => (deg * Math.PI) / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLng = rad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Tourist whose itinerary may still be edited
+async function getEditableTourist(dtid) {
+  const tourist = await getTouristByDTID(dtid);
+  if (!tourist) {
+    return { error: { success: false, error: 'Tourist not found for the given DTID', code: 'NOT_FOUND' } };
+  }
+  if (tourist.successor_dtid) {
+    return { error: { success: false, error: `This DTID was replaced by ${tourist.successor_dtid}`, code: 'CONFLICT' } };
+  }
+  const today = new Date().toISOString().slice(0, 10);
+  if (tourist.Trip_End && tourist.Trip_End < today) {
+    return { error: { success: false, error: 'The itinerary cannot be changed after the trip has ended', code: 'CONFLICT' } };
+  }
+  return { tourist, trip: { trip_start: tourist.Trip_Start, trip_end: tourist.Trip_End } };
+}
+
+/**
+ * List a tourist's stops in visiting order
+ * @param {string} dtid - Tourist DTID
+ * @returns {Promise<Object>} - { success, error, data }
+ */
+async function listItinerary(dtid) {
+  const { data, error } = await supabase
+    .from('itinerary_stops')
+    .select(STOP_COLUMNS)
+    .eq('dtid', dtid)
+    .order('position', { ascending: true });
+
+  if (error) {
+    console.error('[ITINERARY] Error listing stops:', error);
+    return { success: false, error: error.message, data: null };
+  }
+  return { success: true, error: null, data };
+}
+
+/**
+ * Store the itinerary submitted with KYC (stops in the given order)
+ * @param {string} dtid - Tourist DTID
+ * @param {Array} stops - Validated stops (see schemas/itinerary.cjs)
+ * @returns {Promise<Object>} - { success, error, data }
+ */
+async function storeItinerary(dtid, stops = []) {
+  if (stops.length === 0) {
+    return { success: true, error: null, data: [] };
+  }
+
+  const { data, error } = await supabase
+    .from('itinerary_stops')
+    .insert(stops.map((stop, position) => ({ dtid, position, ...withDefaultDeparture(toRow(stop)) })))
+    .select(STOP_COLUMNS);
+
+  if (error) {
+    console.error('[ITINERARY] Error storing itinerary:', error);
+    return { success: false, error: error.message, data: null };
+  }
+
+  console.log(`[ITINERARY] ✅ Stored ${data.length} stop(s) for ${dtid}`);
+  return { success: true, error: null, data };
+}
+
+/**
+ * Append a stop to a tourist's itinerary
+ * @param {string} dtid - Tourist DTID
+ * @param {Object} stop - Validated stop
+ * @returns {Promise<Object>} - { success, error, code, data }
+ */
+async function addItineraryStop(dtid, stop) {
+  try {
+    const { trip, error: notEditable } = await getEditableTourist(dtid);
+    if (notEditable) return notEditable;
+
+    const row = toRow(stop);
+    const dateErrors = checkStopDates(row, trip);
+    if (dateErrors.length) {
+      return { success: false, error: dateErrors[0].message, code: 'VALIDATION', errors: dateErrors };
+    }
+
+    const current = await listItinerary(dtid);
+    if (!current.success) return current;
+    const position = current.data.length ? current.data[current.data.length - 1].position + 1 : 0;
+
+    const { data, error } = await supabase
+      .from('itinerary_stops')
+      .insert([{ dtid, position, ...withDefaultDeparture(row) }])
+      .select(STOP_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('[ITINERARY] Error adding stop:', error);
+      return { success: false, error: error.message };
+    }
+    return { success: true, error: null, data };
+  } catch (err) {
+    console.error('[ITINERARY] Unexpected error adding stop:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Edit a stop. Fields set to null are cleared.
+ * @param {string} dtid - Tourist DTID
+ * @param {number} stopId - Stop id
+ * @param {Object} updates - Validated partial stop
+ * @returns {Promise<Object>} - { success, error, code, data }
+ */
+async function updateItineraryStop(dtid, stopId, updates) {
+  try {
+    const { trip, error: notEditable } = await getEditableTourist(dtid);
+    if (notEditable) return notEditable;
+
+    const current = await listItinerary(dtid);
+    if (!current.success) return current;
+    const existing = current.data.find(stop => stop.id === stopId);
+    if (!existing) {
+      return { success: false, error: 'Itinerary stop not found', code: 'NOT_FOUND' };
+    }
+
+    const changes = toRow(updates);
+    const merged = withDefaultDeparture({ ...existing, ...changes });
+    if ((merged.latitude == null) !== (merged.longitude == null)) {
+      const message = 'latitude and longitude must be set together';
+      return { success: false, error: message, code: 'VALIDATION', errors: [{ field: 'longitude', message }] };
+    }
+    const dateErrors = checkStopDates(merged, trip);
+    if (dateErrors.length) {
+      return { success: false, error: dateErrors[0].message, code: 'VALIDATION', errors: dateErrors };
+    }
+
+    const { data, error } = await supabase
+      .from('itinerary_stops')
+      .update({ ...changes, departure_date: merged.departure_date, updated_at: new Date().toISOString() })
+      .eq('dtid', dtid)
+      .eq('id', stopId)
+      .select(STOP_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('[ITINERARY] Error updating stop:', error);
+      return { success: false, error: error.message };
+    }
+    return { success: true, error: null, data };
+  } catch (err) {
+    console.error('[ITINERARY] Unexpected error updating stop:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+// Write positions 0..n-1 in the given order, skipping rows already in place
+async function writePositions(dtid, stops, orderedIds) {
+  const positions = new Map(stops.map(stop => [stop.id, stop.position]));
+  for (let position = 0; position < orderedIds.length; position++) {
+    if (positions.get(orderedIds[position]) === position) continue;
+    const { error } = await supabase
+      .from('itinerary_stops')
+      .update({ position, updated_at: new Date().toISOString() })
+      .eq('dtid', dtid)
+      .eq('id', orderedIds[position]);
+    if (error) throw error;
+  }
+}
+
+/**
+ * Remove a stop and close the gap in positions
+ * @param {string} dtid - Tourist DTID
+ * @param {number} stopId - Stop id
+ * @returns {Promise<Object>} - { success, error, code, data }
+ */
+async function deleteItineraryStop(dtid, stopId) {
+  try {
+    const { error: notEditable } = await getEditableTourist(dtid);
+    if (notEditable) return notEditable;
+
+    const current = await listItinerary(dtid);
+    if (!current.success) return current;
+    if (!current.data.some(stop => stop.id === stopId)) {
+      return { success: false, error: 'Itinerary stop not found', code: 'NOT_FOUND' };
+    }
+
+    const { error } = await supabase
+      .from('itinerary_stops')
+      .delete()
+      .eq('dtid', dtid)
+      .eq('id', stopId);
+
+    if (error) {
+      console.error('[ITINERARY] Error deleting stop:', error);
+      return { success: false, error: error.message };
+    }
+
+    const remaining = current.data.filter(stop => stop.id !== stopId);
+    await writePositions(dtid, remaining, remaining.map(stop => stop.id));
+    return listItinerary(dtid);
+  } catch (err) {
+    console.error('[ITINERARY] Unexpected error deleting stop:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Reorder a tourist's stops
+ * @param {string} dtid - Tourist DTID
+ * @param {number[]} stopIds - Every stop id, in the new visiting order
+ * @returns {Promise<Object>} - { success, error, code, data }
+ */
+async function reorderItinerary(dtid, stopIds) {
+  try {
+    const { error: notEditable } = await getEditableTourist(dtid);
+    if (notEditable) return notEditable;
+
+    const current = await listItinerary(dtid);
+    if (!current.success) return current;
+
+    const existingIds = current.data.map(stop => stop.id).sort((a, b) => a - b);
+    const requestedIds = [...stopIds].sort((a, b) => a - b);
+    if (existingIds.length !== requestedIds.length || existingIds.some((id, i) => id !== requestedIds[i])) {
+      const message = 'stop_ids must list every stop of the itinerary exactly once';
+      return { success: false, error: message, code: 'VALIDATION', errors: [{ field: 'stop_ids', message }] };
+    }
+
+    await writePositions(dtid, current.data, stopIds);
+    return listItinerary(dtid);
+  } catch (err) {
+    console.error('[ITINERARY] Unexpected error reordering stops:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Tourists expected at a place on a given day, by place name and/or within
+ * radius_km of coordinates. Single-day stops match on their arrival date.
+ * Only verified tourists on a current DTID (not erased, not superseded) are
+ * listed, ordered by DTID; limit and offset page through tourists, not stops.
+ * @param {Object} filters - { date, place, latitude, longitude, radius_km, limit, offset }
+ * @returns {Promise<Object>} - { success, error, data: [{ ...tourist, stops }] }
+ */
+async function findExpectedTourists(filters) {
+  const { date, place, latitude, longitude, radius_km: radiusKm } = filters;
+  const limit = Math.min(filters.limit || 100, 500);
+  const offset = filters.offset || 0;
+  const byLocation = latitude !== undefined && longitude !== undefined;
+
+  try {
+    // Every stop at the place that day; the distance filter runs before any paging
+    const matches = [];
+    for (let from = 0; ; from += STOP_PAGE_SIZE) {
+      let query = supabase
+        .from('itinerary_stops')
+        .select(STOP_COLUMNS)
+        .lte('arrival_date', date)
+        .gte('departure_date', date)
+        .order('id', { ascending: true })
+        .range(from, from + STOP_PAGE_SIZE - 1);
+
+      if (place) query = query.ilike('place_name', `%${escapeLikePattern(place)}%`);
+      if (byLocation) {
+        // Bounding box in the database, exact distance below
+        const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+        const lngDelta = latDelta / Math.max(Math.cos((latitude * Math.PI) / 180), 0.01);
+        query = query
+          .gte('latitude', latitude - latDelta)
+          .lte('latitude', latitude + latDelta)
+          .gte('longitude', longitude - lngDelta)
+          .lte('longitude', longitude + lngDelta);
+      }
+
+      const { data: stops, error } = await query;
+      if (error) {
+        console.error('[ITINERARY] Error querying expected tourists:', error);
+        return { success: false, error: error.message, data: null };
+      }
+
+      matches.push(...(byLocation
+        ? stops.filter(stop => distanceKm(latitude, longitude, stop.latitude, stop.longitude) <= radiusKm)
+        : stops));
+      if (stops.length < STOP_PAGE_SIZE) break;
+    }
+
+    // Then the tourists who may be listed, in DTID order, until the page is full
+    const dtids = [...new Set(matches.map(stop => stop.dtid))].sort();
+    const tourists = [];
+    for (let i = 0; i < dtids.length && tourists.length < offset + limit; i += DTID_BATCH_SIZE) {
+      const { data, error: touristError } = await supabase
+        .from('tourists')
+        .select(EXPECTED_TOURIST_COLUMNS)
+        .in('dtid', dtids.slice(i, i + DTID_BATCH_SIZE))
+        .eq('kyc_status', 'verified')
+        .is('erased_at', null)
+        .is('successor_dtid', null)
+        .order('dtid', { ascending: true });
+
+      if (touristError) {
+        console.error('[ITINERARY] Error fetching expected tourists:', touristError);
+        return { success: false, error: touristError.message, data: null };
+      }
+      tourists.push(...data);
+    }
+
+    const data = tourists.slice(offset, offset + limit).map(decryptTouristRow).map(({ pii_data_key, ...tourist }) => ({
+      ...tourist,
+      stops: matches.filter(stop => stop.dtid === tourist.dtid)
+    }));
+    return { success: true, error: null, data };
+  } catch (err) {
+    console.error('[ITINERARY] Unexpected error querying expected tourists:', err);
+    return { success: false, error: err.message, data: null };
+  }
+}
+
+/**
+ * Move all stops to a successor DTID (see tripService.cjs)
+ * @param {string} fromDtid - Predecessor DTID
+ * @param {string} toDtid - Successor DTID
+ * @returns {Promise<Object>} - { success, error }
+ */
+async function transferItinerary(fromDtid, toDtid) {
+  const { error } = await supabase
+    .from('itinerary_stops')
+    .update({ dtid: toDtid, updated_at: new Date().toISOString() })
+    .eq('dtid', fromDtid);
+
+  if (error) {
+    console.error('[ITINERARY] Error moving stops to successor DTID:', error);
+    return { success: false, error: error.message };
+  }
+  return { success: true, error: null };
+}
+
+/**
+ * Cut an itinerary short after an early checkout: stops arriving after
+ * lastDate are removed and later departures are moved to lastDate.
+ * @param {string} dtid - Tourist DTID
+ * @param {string} lastDate - New last day of the trip (YYYY-MM-DD)
+ * @returns {Promise<Object>} - { success, error, data } with the remaining stops
+ */
+async function trimItinerary(dtid, lastDate) {
+  try {
+    const current = await listItinerary(dtid);
+    if (!current.success) return current;
+
+    const dropped = current.data.filter(stop => stop.arrival_date && stop.arrival_date > lastDate);
+    const shortened = current.data.filter(stop => !dropped.includes(stop) && stop.departure_date && stop.departure_date > lastDate);
+    if (dropped.length === 0 && shortened.length === 0) return current;
+
+    if (dropped.length > 0) {
+      const { error } = await supabase
+        .from('itinerary_stops')
+        .delete()
+        .eq('dtid', dtid)
+        .in('id', dropped.map(stop => stop.id));
+      if (error) {
+        console.error('[ITINERARY] Error removing stops after checkout:', error);
+        return { success: false, error: error.message, data: null };
+      }
+    }
+
+    if (shortened.length > 0) {
+      const { error } = await supabase
+        .from('itinerary_stops')
+        .update({ departure_date: lastDate, updated_at: new Date().toISOString() })
+        .eq('dtid', dtid)
+        .in('id', shortened.map(stop => stop.id));
+      if (error) {
+        console.error('[ITINERARY] Error shortening stops after checkout:', error);
+        return { success: false, error: error.message, data: null };
+      }
+    }
+
+    const remaining = current.data.filter(stop => !dropped.includes(stop));
+    await writePositions(dtid, remaining, remaining.map(stop => stop.id));
+    console.log(`[ITINERARY] Trimmed ${dtid} to ${lastDate}: ${dropped.length} removed, ${shortened.length} shortened`);
+    return listItinerary(dtid);
+  } catch (err) {
+    console.error('[ITINERARY] Unexpected error trimming itinerary:', err);
+    return { success: false, error: err.message, data: null };
+  }
+}
+
+module.exports = {
+  listItinerary,
+  storeItinerary,
+  addItineraryStop,
+  updateItineraryStop,
+  deleteItineraryStop,
+  reorderItinerary,
+  transferItinerary,
+  trimItinerary,
+  findExpectedTourists
+};
@@ -0,0 +1,114 @@
+// src/services/itineraryService.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('../testing/fakeSupabase.cjs');
+
+const { rows } = installFakeSupabase();
+const { encryptTouristRow } = require('./piiService.cjs');
+const { addItineraryStop, reorderItinerary, findExpectedTourists } = require('./itineraryService.cjs');
+
+const DAY = '2026-05-03';
+const MANALI = { latitude: 32.2432, longitude: 77.1892 };
+const dtid = n => `0x${String(n).padStart(2, '0').repeat(32)}`;
+
+function tourist(n, extra = {}) {
+  return encryptTouristRow({
+    dtid: dtid(n),
+    full_name: `Tourist ${n}`,
+    contact_number: '+919876543210',
+    kyc_status: 'verified',
+    Trip_Start: '2026-05-01',
+    Trip_End: '2099-05-10',
+    successor_dtid: null,
+    erased_at: null,
+    ...extra
+  });
+}
+
+let nextStopId = 1;
+function stop(n, extra = {}) {
+  return {
+    id: nextStopId++,
+    dtid: dtid(n),
+    position: 0,
+    place_name: 'Old Manali',
+    ...MANALI,
+    arrival_date: '2026-05-02',
+    departure_date: '2026-05-04',
+    ...extra
+  };
+}
+
+function seed(t, tourists, stops) {
+  t.mock.method(console, 'log', () => {});
+  for (const table of Object.keys(rows)) delete rows[table];
+  rows.tourists = tourists;
+  rows.itinerary_stops = stops;
+}
+
+const dtidsOf = result => result.data.map(row => row.dtid);
+
+test('tourists are found by place name or by distance on the day', async (t) => {
+  seed(t, [tourist(1), tourist(2), tourist(3)], [
+    stop(1),
+    stop(2, { place_name: 'Solang Valley', latitude: 32.3166, longitude: 77.1570 }), // ~9 km away
+    stop(3, { arrival_date: '2026-05-05', departure_date: '2026-05-06' })
+  ]);
+
+  assert.deepEqual(dtidsOf(await findExpectedTourists({ date: DAY, place: 'manali' })), [dtid(1)]);
+  assert.deepEqual(dtidsOf(await findExpectedTourists({ date: DAY, ...MANALI, radius_km: 5 })), [dtid(1)]);
+  assert.deepEqual(dtidsOf(await findExpectedTourists({ date: DAY, ...MANALI, radius_km: 15 })), [dtid(1), dtid(2)]);
+
+  const [found] = (await findExpectedTourists({ date: DAY, place: 'Old Manali' })).data;
+  assert.equal(found.full_name, 'Tourist 1');
+  assert.equal(found.contact_number, '+919876543210');
+  assert.equal(found.pii_data_key, undefined);
+  assert.deepEqual(found.stops.map(row => row.place_name), ['Old Manali']);
+});
+
+test('erased, unverified and superseded tourists are not listed', async (t) => {
+  seed(t, [
+    tourist(1),
+    tourist(2, { erased_at: '2026-04-01T00:00:00Z' }),
+    tourist(3, { kyc_status: 'under_review' }),
+    tourist(4, { successor_dtid: dtid(5) }),
+    tourist(5)
+  ], [1, 2, 3, 4, 5].map(n => stop(n)));
+
+  assert.deepEqual(dtidsOf(await findExpectedTourists({ date: DAY, place: 'Manali' })), [dtid(1), dtid(5)]);
+});
+
+test('pages count tourists after the distance filter', async (t) => {
+  // Stops in the corners of the bounding box (~6.5 km away) come first, then two stops per tourist
+  const stops = [
+    ...[1, 2, 3].map(n => stop(n, { latitude: MANALI.latitude + 0.04, longitude: MANALI.longitude + 0.05 })),
+    ...[4, 5, 6, 7].flatMap(n => [stop(n), stop(n, { position: 1 })])
+  ];
+  seed(t, [1, 2, 3, 4, 5, 6, 7].map(n => tourist(n)), stops);
+
+  const page = filters => findExpectedTourists({ date: DAY, ...MANALI, radius_km: 5, limit: 2, ...filters });
+  assert.deepEqual(dtidsOf(await page({ offset: 0 })), [dtid(4), dtid(5)]);
+  assert.deepEqual(dtidsOf(await page({ offset: 2 })), [dtid(6), dtid(7)]);
+  assert.deepEqual(dtidsOf(await page({ offset: 4 })), []);
+  assert.equal((await page({ offset: 0 })).data[0].stops.length, 2);
+});
+
+test('stops must fall inside the trip', async (t) => {
+  seed(t, [tourist(1, { Trip_End: '2099-05-10' })], []);
+
+  const outside = await addItineraryStop(dtid(1), { place_name: 'Kasol', arrival_date: '2026-04-30' });
+  assert.equal(outside.code, 'VALIDATION');
+  assert.match(outside.error, /before the trip starts/);
+
+  const added = await addItineraryStop(dtid(1), { place_name: 'Kasol', arrival_date: '2026-05-02' });
+  assert.equal(added.success, true);
+  assert.equal(added.data.departure_date, '2026-05-02');
+});
+
+test('a reorder must list every stop once', async (t) => {
+  seed(t, [tourist(1)], [stop(1, { id: 101, position: 0 }), stop(1, { id: 102, position: 1, place_name: 'Kasol' })]);
+
+  assert.equal((await reorderItinerary(dtid(1), [102])).code, 'VALIDATION');
+  const reordered = await reorderItinerary(dtid(1), [102, 101]);
+  assert.deepEqual(reordered.data.map(row => row.place_name), ['Kasol', 'Old Manali']);
+});
@@ -0,0 +1,310 @@
+// src/services/kycService.cjs
+const crypto = require('crypto');
+const supabase = require('../config/database.cjs');
+const { getTouristByDTID } = require('./databaseService.cjs');
+const { generateTouristQRCode } = require('./qrCodeService.cjs');
+const { enqueueRegistration } = require('./chainQueueService.cjs');
+const { sendTemplatedMessage } = require('./notificationService.cjs');
+const { KYC_STATUSES } = require('../config/constants.cjs');
+
+/**
+ * KYC Service - the KYC review state machine.
+ *
+ *   submitted → under_review → verified | rejected | needs_more_info
+ *   needs_more_info → submitted (tourist resubmits)
+ *
+ * The current status lives in tourists.kyc_status; every change is appended
+ * to kyc_status_history (see create_kyc_status_history_table.sql). The DTID's
+ * QR code is issued and its on-chain registration queued only on the move to
+ * `verified`.
+ */
+
+const KYC_TRANSITIONS = {
+  submitted: ['under_review'],
+  under_review: ['verified', 'rejected', 'needs_more_info'],
+  needs_more_info: ['submitted'],
+  verified: [],
+  rejected: []
+};
+
+// Transitions the tourist must be told the reason for
+const REASON_REQUIRED = ['rejected', 'needs_more_info'];
+
+// Statuses waiting for a reviewer
+const PENDING_STATUSES = ['submitted', 'under_review'];
+
+// Review outcomes the tourist is notified about, by template name
+const NOTIFY_TEMPLATES = {
+  verified: 'kyc_verified',
+  rejected: 'kyc_rejected',
+  needs_more_info: 'kyc_needs_more_info'
+};
+
+// Columns shown in the review queue (no ID numbers or emergency contacts)
+const QUEUE_COLUMNS = 'dtid, full_name, nationality, Trip_Start, Trip_End, kyc_status, kyc_status_updated_at, possible_duplicate, id_file_path';
+
+// Generate SHA-256 from actual frontend input (id, trip_start, trip_end)
+function generateDTIDFromInput({ id, trip_start, trip_end }, salt = '') {
+  const idPart = id ?? '';
+  const startPart = trip_start ?? '';
+  const endPart = trip_end ?? '';
+  const payload = `${idPart}|${startPart}|${endPart}|${salt}`;
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Append a status change to the KYC history
+ * @param {string} dtid - Tourist DTID
+ * @param {string|null} fromStatus - Previous status (null for the first submission)
+ * @param {string} toStatus - New status
+ * @param {Object} actor - { actor_type: 'tourist'|'admin'|'system', actor_id, reason }
+ * @returns {Promise<Object>} - { success, error, data }
+ */
+async function recordKYCStatusChange(dtid, fromStatus, toStatus, actor = {}) {
+  const { data, error } = await supabase
+    .from('kyc_status_history')
+    .insert([{
+      dtid,
+      from_status: fromStatus,
+      to_status: toStatus,
+      reason: actor.reason || null,
+      actor_type: actor.actor_type || 'system',
+      actor_id: actor.actor_id || null
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[KYC] Error recording status change:', error);
+    return { success: false, error: error.message, data: null };
+  }
+  return { success: true, error: null, data };
+}
+
+/**
+ * Issue the QR code of a verified DTID and queue its on-chain registration
+ * (see chainQueueService.cjs); the caller does not wait for the chain
+ * @param {Object} tourist - Tourist row
+ * @returns {Promise<Object>} - { chain_status, job_id, qrResult, qrPath, qrGenerated }
+ */
+async function issueVerifiedDTID(tourist) {
+  const dtid = tourist.dtid;
+
+  let qrResult;
+  try {
+    qrResult = await generateTouristQRCode(dtid, {
+      full_name: tourist.full_name,
+      trip_start: tourist.Trip_Start,
+      trip_end: tourist.Trip_End
+    });
+  } catch (error) {
+    console.warn('[KYC] QR generation failed:', error.message);
+    qrResult = { success: false, error: error.message };
+  }
+  const qrPath = qrResult.success ? qrResult.filePath : null;
+
+  const job = await enqueueRegistration(dtid, { qr_path: qrPath });
+  if (!job.success) {
+    console.log('[KYC] ⚠️ Failed to queue on-chain registration:', job.error);
+  }
+
+  return {
+    chain_status: job.success ? job.data.status : null,
+    job_id: job.success ? job.data.id : null,
+    qrResult,
+    qrPath,
+    qrGenerated: qrResult.success
+  };
+}
+
+/**
+ * Tell the tourist about a review outcome by SMS (email if there is no mobile).
+ * Never throws: a failed notification must not undo the review.
+ * @param {Object} tourist - Tourist row
+ * @param {string} status - New status
+ * @param {string} reason - Reviewer comment
+ * @returns {Promise<Object|null>} - { sent, channel, error } or null if nothing to send
+ */
+async function notifyKYCOutcome(tourist, status, reason) {
+  const template = NOTIFY_TEMPLATES[status];
+  if (!template) return null;
+
+  const channel = tourist.contact_number ? 'sms' : 'email';
+  const to = tourist.contact_number || tourist.email;
+  if (!to) {
+    return { sent: false, channel: null, error: 'Tourist has no contact number or email' };
+  }
+
+  try {
+    await sendTemplatedMessage(to, template, {
+      full_name: tourist.full_name,
+      reason: reason || 'no reason given'
+    }, { channel });
+    return { sent: true, channel, error: null };
+  } catch (error) {
+    console.error(`[KYC] Failed to notify ${tourist.dtid} about ${status}:`, error.message);
+    return { sent: false, channel, error: error.message };
+  }
+}
+
+/**
+ * Move a KYC record to a new status
+ * @param {string} dtid - Tourist DTID
+ * @param {string} toStatus - Target status
+ * @param {Object} actor - { actor_type, actor_id, reason }
+ * @returns {Promise<Object>} - { success, error, code, data: { dtid, from_status, kyc_status, history, onchain, notification } }
+ */
+async function transitionKYCStatus(dtid, toStatus, actor = {}) {
+  try {
+    if (!KYC_STATUSES.includes(toStatus)) {
+      return { success: false, error: `status must be one of: ${KYC_STATUSES.join(', ')}`, code: 'VALIDATION' };
+    }
+    if (REASON_REQUIRED.includes(toStatus) && !actor.reason) {
+      return { success: false, error: `A reason is required when moving to ${toStatus}`, code: 'VALIDATION' };
+    }
+
+    const tourist = await getTouristByDTID(dtid);
+    if (!tourist) {
+      return { success: false, error: 'Tourist not found for the given DTID', code: 'NOT_FOUND' };
+    }
+    if (tourist.erased_at) {
+      return { success: false, error: 'The data of this DTID has been erased', code: 'CONFLICT' };
+    }
+
+    const fromStatus = tourist.kyc_status;
+    if (!(KYC_TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+      return { success: false, error: `Cannot move KYC from ${fromStatus} to ${toStatus}`, code: 'CONFLICT' };
+    }
+
+    // Only update if nobody else changed the status in the meantime
+    const { data: updated, error } = await supabase
+      .from('tourists')
+      .update({ kyc_status: toStatus, kyc_status_updated_at: new Date().toISOString() })
+      .eq('dtid', dtid)
+      .eq('kyc_status', fromStatus)
+      .select('dtid');
+
+    if (error) {
+      console.error('[KYC] Error updating status:', error);
+      return { success: false, error: error.message };
+    }
+    if (!updated || updated.length === 0) {
+      return { success: false, error: 'KYC status was changed by someone else, reload and try again', code: 'CONFLICT' };
+    }
+
+    const history = await recordKYCStatusChange(dtid, fromStatus, toStatus, actor);
+    console.log(`[KYC] ${dtid}: ${fromStatus} → ${toStatus} by ${actor.actor_type || 'system'}:${actor.actor_id || '-'}`);
+
+    const onchain = toStatus === 'verified' ? await issueVerifiedDTID(tourist) : null;
+    const notification = actor.actor_type === 'admin' ? await notifyKYCOutcome(tourist, toStatus, actor.reason) : null;
+
+    return {
+      success: true,
+      error: null,
+      data: { dtid, from_status: fromStatus, kyc_status: toStatus, history: history.data, onchain, notification }
+    };
+  } catch (err) {
+    console.error('[KYC] Unexpected error changing status:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Get the status history of a KYC record, oldest first
+ * @param {string} dtid - Tourist DTID
+ * @returns {Promise<Object>} - { success, error, data }
+ */
+async function getKYCStatusHistory(dtid) {
+  const { data, error } = await supabase
+    .from('kyc_status_history')
+    .select('*')
+    .eq('dtid', dtid)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('[KYC] Error fetching status history:', error);
+    return { success: false, error: error.message, data: null };
+  }
+  return { success: true, error: null, data };
+}
+
+/**
+ * Approve or reject a KYC record. A record still in `submitted` is claimed
+ * (moved to `under_review`) first so the history shows who reviewed it.
+ * @param {string} dtid - Tourist DTID
+ * @param {string} decision - 'approve' | 'reject'
+ * @param {Object} actor - { actor_type, actor_id, reason }
+ * @returns {Promise<Object>} - Same shape as transitionKYCStatus
+ */
+async function reviewKYC(dtid, decision, actor) {
+  const toStatus = decision === 'approve' ? 'verified' : 'rejected';
+  if (REASON_REQUIRED.includes(toStatus) && !actor.reason) {
+    return { success: false, error: `A comment is required to ${decision} a KYC`, code: 'VALIDATION' };
+  }
+
+  const tourist = await getTouristByDTID(dtid);
+  if (tourist && tourist.kyc_status === 'submitted') {
+    const claimed = await transitionKYCStatus(dtid, 'under_review', { ...actor, reason: null });
+    if (!claimed.success) return claimed;
+  }
+
+  return transitionKYCStatus(dtid, toStatus, actor);
+}
+
+/**
+ * List KYC records waiting for review, oldest first
+ * @param {Object} filters - { status, nationality, trip_from, trip_to, min_age_hours, max_age_hours, limit, offset }
+ * @returns {Promise<Object>} - { success, error, data, count }
+ */
+async function listKYCQueue(filters = {}) {
+  const limit = Math.min(parseInt(filters.limit, 10) || 50, 200);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+  const statuses = filters.status ? [filters.status] : PENDING_STATUSES;
+  const hoursAgo = (hours) => new Date(Date.now() - parseFloat(hours) * 60 * 60 * 1000).toISOString();
+
+  try {
+    let query = supabase
+      .from('tourists')
+      .select(QUEUE_COLUMNS, { count: 'exact' })
+      .in('kyc_status', statuses)
+      .order('kyc_status_updated_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (filters.nationality) query = query.ilike('nationality', filters.nationality);
+    // Trips overlapping [trip_from, trip_to]
+    if (filters.trip_from) query = query.gte('Trip_End', filters.trip_from);
+    if (filters.trip_to) query = query.lte('Trip_Start', filters.trip_to);
+    // Age of the submission in its current status
+    if (filters.min_age_hours) query = query.lte('kyc_status_updated_at', hoursAgo(filters.min_age_hours));
+    if (filters.max_age_hours) query = query.gte('kyc_status_updated_at', hoursAgo(filters.max_age_hours));
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error('[KYC] Error listing review queue:', error);
+      return { success: false, error: error.message, data: null };
+    }
+
+    const items = data.map(({ id_file_path, ...tourist }) => ({
+      ...tourist,
+      has_document: Boolean(id_file_path)
+    }));
+    return { success: true, error: null, data: items, count };
+  } catch (err) {
+    console.error('[KYC] Unexpected error listing review queue:', err);
+    return { success: false, error: err.message, data: null };
+  }
+}
+
+module.exports = {
+  KYC_STATUSES,
+  KYC_TRANSITIONS,
+  PENDING_STATUSES,
+  generateDTIDFromInput,
+  recordKYCStatusChange,
+  issueVerifiedDTID,
+  transitionKYCStatus,
+  reviewKYC,
+  listKYCQueue,
+  getKYCStatusHistory
+};
@@ -0,0 +1,119 @@
+// src/services/kycService.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('../testing/fakeSupabase.cjs');
+
+process.env.NOTIFICATION_PROVIDER = 'dev';
+process.env.EMAIL_PROVIDER = 'dev';
+
+const { rows } = installFakeSupabase();
+
+// QR images are not written to disk here
+const qrModule = require.resolve('./qrCodeService.cjs');
+require.cache[qrModule] = {
+  id: qrModule,
+  filename: qrModule,
+  loaded: true,
+  exports: { generateTouristQRCode: async (dtid) => ({ success: true, filePath: `public/qr-codes/${dtid}.png` }) }
+};
+
+const { encryptTouristRow } = require('./piiService.cjs');
+const { KYC_TRANSITIONS, transitionKYCStatus, reviewKYC } = require('./kycService.cjs');
+
+const DTID = `0x${'ab'.repeat(32)}`;
+const ADMIN = { actor_type: 'admin', actor_id: 'reviewer-1' };
+
+function seed(t, status, extra = {}) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  for (const table of Object.keys(rows)) delete rows[table];
+  rows.tourists = [encryptTouristRow({
+    dtid: DTID,
+    full_name: 'Anil Kumar',
+    contact_number: '+919876543210',
+    Trip_Start: '2025-01-01',
+    Trip_End: '2025-01-10',
+    kyc_status: status,
+    ...extra
+  })];
+}
+
+const statusOf = () => rows.tourists[0].kyc_status;
+
+test('every allowed transition moves the status and is recorded', async (t) => {
+  for (const [from, targets] of Object.entries(KYC_TRANSITIONS)) {
+    for (const to of targets) {
+      seed(t, from);
+      const result = await transitionKYCStatus(DTID, to, { ...ADMIN, reason: 'Checked' });
+      assert.equal(result.success, true, `${from} → ${to}`);
+      assert.equal(statusOf(), to);
+      assert.deepEqual(
+        rows.kyc_status_history.map(row => [row.from_status, row.to_status, row.actor_id]),
+        [[from, to, 'reviewer-1']]
+      );
+    }
+  }
+});
+
+test('transitions outside the state machine are refused', async (t) => {
+  for (const [from, targets] of Object.entries(KYC_TRANSITIONS)) {
+    for (const to of Object.keys(KYC_TRANSITIONS).filter(status => !targets.includes(status))) {
+      seed(t, from);
+      const result = await transitionKYCStatus(DTID, to, { ...ADMIN, reason: 'Checked' });
+      assert.equal(result.code, 'CONFLICT', `${from} → ${to}`);
+      assert.equal(statusOf(), from);
+      assert.equal(rows.kyc_status_history, undefined);
+    }
+  }
+});
+
+test('rejections and requests for more information need a reason', async (t) => {
+  for (const to of ['rejected', 'needs_more_info']) {
+    seed(t, 'under_review');
+    const result = await transitionKYCStatus(DTID, to, ADMIN);
+    assert.equal(result.code, 'VALIDATION');
+    assert.equal(statusOf(), 'under_review');
+  }
+});
+
+test('unknown statuses, DTIDs and erased records are refused', async (t) => {
+  seed(t, 'under_review');
+  assert.equal((await transitionKYCStatus(DTID, 'approved', ADMIN)).code, 'VALIDATION');
+  assert.equal((await transitionKYCStatus(`0x${'cd'.repeat(32)}`, 'verified', ADMIN)).code, 'NOT_FOUND');
+
+  seed(t, 'under_review', { erased_at: new Date().toISOString() });
+  assert.equal((await transitionKYCStatus(DTID, 'verified', ADMIN)).code, 'CONFLICT');
+});
+
+test('a status changed in the meantime is not overwritten', async (t) => {
+  seed(t, 'under_review');
+  const first = transitionKYCStatus(DTID, 'verified', ADMIN);
+  const second = transitionKYCStatus(DTID, 'rejected', { ...ADMIN, reason: 'Blurry scan' });
+  const results = await Promise.all([first, second]);
+
+  assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+  assert.match(results.find(result => !result.success).error, /changed by someone else/);
+  assert.equal(rows.kyc_status_history.length, 1);
+});
+
+test('verification issues the QR code and queues the on-chain registration', async (t) => {
+  seed(t, 'under_review');
+  const result = await transitionKYCStatus(DTID, 'verified', ADMIN);
+
+  assert.equal(result.data.onchain.qrGenerated, true);
+  assert.equal(result.data.onchain.chain_status, 'pending');
+  assert.deepEqual(rows.blockchain_jobs.map(job => [job.dtid, job.status]), [[DTID, 'pending']]);
+  assert.deepEqual(result.data.notification, { sent: true, channel: 'sms', error: null });
+});
+
+test('reviewing a submitted record claims it first', async (t) => {
+  seed(t, 'submitted');
+  const result = await reviewKYC(DTID, 'reject', { ...ADMIN, reason: 'Name does not match the ID' });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(
+    rows.kyc_status_history.map(row => [row.from_status, row.to_status, row.reason]),
+    [['submitted', 'under_review', null], ['under_review', 'rejected', 'Name does not match the ID']]
+  );
+  assert.equal((await reviewKYC(DTID, 'reject', ADMIN)).code, 'VALIDATION');
+});
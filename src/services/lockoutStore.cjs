@@ -0,0 +1,287 @@
+// src/services/lockoutStore.cjs
+require('dotenv').config();
+
+/**
+ * Lockout Store - progressive brute-force lockouts per identifier
+ * (mobile number / email / admin username) and per client IP.
+ *
+ * Failures are counted independently of OTP challenges, so requesting a new
+ * OTP does not reset them. Each lockout doubles the previous duration
+ * (LOCKOUT_BASE_MINUTES, capped at LOCKOUT_MAX_MINUTES); the escalation
+ * level decays after a day without lockouts. Counters are updated with
+ * compare-and-set, so concurrent failures on any instance are all counted.
+ *
+ * Backends (LOCKOUT_STORE=memory|database, defaults to database in production):
+ *  - memory:   process-local Map (single instance / development only)
+ *  - database: Supabase `auth_lockouts` table (see create_auth_events_table.sql)
+ */
+
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const ESCALATION_RESET_MS = 24 * 60 * 60 * 1000;
+const LOCKOUT_BASE_MS = parseInt(process.env.LOCKOUT_BASE_MINUTES || '15', 10) * 60 * 1000;
+const LOCKOUT_MAX_MS = parseInt(process.env.LOCKOUT_MAX_MINUTES || '1440', 10) * 60 * 1000;
+
+// Failures within FAILURE_WINDOW_MS that trigger a lockout
+const THRESHOLDS = {
+  identifier: parseInt(process.env.LOCKOUT_IDENTIFIER_THRESHOLD || '5', 10),
+  ip: parseInt(process.env.LOCKOUT_IP_THRESHOLD || '20', 10)
+};
+
+// Attempts at a counter update before giving up under contention
+const MAX_UPDATE_TRIES = 10;
+
+function lockoutKey(scope, value) {
+  return `${scope}:${String(value).toLowerCase()}`;
+}
+
+// Every update changes at least one of these, so equal values mean an unchanged counter
+const COUNTER_FIELDS = ['failures', 'window_started_at', 'lockout_count'];
+
+function sameCounter(current, previous) {
+  if (!current || !previous) return current === previous;
+  return COUNTER_FIELDS.every(field => (current[field] ?? null) === (previous[field] ?? null));
+}
+
+/**
+ * In-memory backend
+ * @returns {Object} - Lockout store
+ */
+function createMemoryLockoutStore() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return entries.has(key) ? { ...entries.get(key) } : null;
+    },
+
+    async save(key, entry) {
+      entries.set(key, { ...entry, key });
+    },
+
+    // Save only if the entry still is `previous` (null: does not exist yet)
+    async saveIfUnchanged(key, previous, entry) {
+      if (!sameCounter(entries.get(key) || null, previous)) return false;
+      entries.set(key, { ...entry, key });
+      return true;
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * Supabase-backed store using the `auth_lockouts` table
+ * @param {Object} supabase - Supabase client
+ * @returns {Object} - Lockout store
+ */
+function createDatabaseLockoutStore(supabase) {
+  return {
+    name: 'database',
+
+    async get(key) {
+      const { data, error } = await supabase
+        .from('auth_lockouts')
+        .select('*')
+        .eq('key', key)
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    async save(key, entry) {
+      const { error } = await supabase
+        .from('auth_lockouts')
+        .upsert({ ...entry, key, updated_at: new Date().toISOString() }, { onConflict: 'key' });
+      if (error) throw error;
+    },
+
+    async saveIfUnchanged(key, previous, entry) {
+      const row = { ...entry, key, updated_at: new Date().toISOString() };
+
+      if (!previous) {
+        const { error } = await supabase.from('auth_lockouts').insert(row);
+        if (error && error.code === '23505') return false; // created in the meantime
+        if (error) throw error;
+        return true;
+      }
+
+      let query = supabase.from('auth_lockouts').update(row).eq('key', key);
+      for (const field of COUNTER_FIELDS) {
+        query = previous[field] == null ? query.is(field, null) : query.eq(field, previous[field]);
+      }
+      const { data, error } = await query.select('key');
+      if (error) throw error;
+      return data.length > 0;
+    },
+
+    async delete(key) {
+      const { error } = await supabase
+        .from('auth_lockouts')
+        .delete()
+        .eq('key', key);
+      if (error) throw error;
+    }
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Get the configured lockout store (LOCKOUT_STORE=memory|database)
+ * @returns {Object} - Lockout store
+ */
+function getLockoutStore() {
+  if (defaultStore) return defaultStore;
+
+  const backend = process.env.LOCKOUT_STORE ||
+    (process.env.NODE_ENV === 'production' ? 'database' : 'memory');
+
+  if (backend === 'database') {
+    defaultStore = createDatabaseLockoutStore(require('../config/database.cjs'));
+  } else if (backend === 'memory') {
+    defaultStore = createMemoryLockoutStore();
+  } else {
+    throw new Error(`Unknown LOCKOUT_STORE backend: ${backend}`);
+  }
+
+  console.log('[LOCKOUT] Using backend:', defaultStore.name);
+  return defaultStore;
+}
+
+/**
+ * Check whether any of the given subjects is locked out
+ * @param {Object} subjects - { identifier, ip } (either may be omitted)
+ * @returns {Promise<Object>} - { locked, scope, locked_until, retry_after_seconds }
+ */
+async function checkLockout(subjects) {
+  const store = getLockoutStore();
+  const now = Date.now();
+
+  for (const scope of ['identifier', 'ip']) {
+    if (!subjects[scope]) continue;
+
+    const entry = await store.get(lockoutKey(scope, subjects[scope]));
+    const lockedUntil = entry && entry.locked_until ? new Date(entry.locked_until).getTime() : 0;
+
+    if (lockedUntil > now) {
+      return {
+        locked: true,
+        scope,
+        locked_until: new Date(lockedUntil).toISOString(),
+        retry_after_seconds: Math.ceil((lockedUntil - now) / 1000)
+      };
+    }
+  }
+
+  return { locked: false };
+}
+
+/**
+ * Count one failure on a key, retrying while concurrent failures change it
+ * @param {Object} store - Lockout store
+ * @param {string} key - Lockout key
+ * @param {string} scope - 'identifier' | 'ip'
+ * @param {number} now - Current time (ms)
+ * @returns {Promise<Object|null>} - { locked_until, level } if this failure triggered a lockout
+ */
+async function addFailure(store, key, scope, now) {
+  for (let tries = 0; tries < MAX_UPDATE_TRIES; tries++) {
+    const previous = await store.get(key);
+    const entry = { failures: 0, window_started_at: null, lockout_count: 0, last_lockout_at: null, locked_until: null, ...previous };
+    let lockout = null;
+
+    const windowStart = entry.window_started_at ? new Date(entry.window_started_at).getTime() : 0;
+    if (now - windowStart > FAILURE_WINDOW_MS) {
+      entry.failures = 0;
+      entry.window_started_at = new Date(now).toISOString();
+    }
+
+    const lastLockout = entry.last_lockout_at ? new Date(entry.last_lockout_at).getTime() : 0;
+    if (lastLockout && now - lastLockout > ESCALATION_RESET_MS) {
+      entry.lockout_count = 0;
+    }
+
+    entry.failures += 1;
+
+    if (entry.failures >= THRESHOLDS[scope]) {
+      entry.lockout_count += 1;
+      const duration = Math.min(LOCKOUT_BASE_MS * 2 ** (entry.lockout_count - 1), LOCKOUT_MAX_MS);
+      entry.locked_until = new Date(now + duration).toISOString();
+      entry.last_lockout_at = new Date(now).toISOString();
+      entry.failures = 0;
+      entry.window_started_at = null;
+      lockout = { locked_until: entry.locked_until, level: entry.lockout_count };
+    }
+
+    const saved = await store.saveIfUnchanged(key, previous, {
+      failures: entry.failures,
+      window_started_at: entry.window_started_at,
+      lockout_count: entry.lockout_count,
+      last_lockout_at: entry.last_lockout_at,
+      locked_until: entry.locked_until
+    });
+    if (saved) return lockout;
+  }
+
+  throw new Error(`Lockout counter ${key} kept changing, failure not recorded`);
+}
+
+/**
+ * Record a failed attempt for each subject and apply lockouts
+ * @param {Object} subjects - { identifier, ip }
+ * @returns {Promise<Array>} - Lockouts triggered by this failure ([{ scope, value, locked_until, level }])
+ */
+async function recordFailure(subjects) {
+  const store = getLockoutStore();
+  const now = Date.now();
+  const triggered = [];
+
+  for (const scope of ['identifier', 'ip']) {
+    if (!subjects[scope]) continue;
+
+    const key = lockoutKey(scope, subjects[scope]);
+    const lockout = await addFailure(store, key, scope, now);
+    if (lockout) {
+      triggered.push({ scope, value: subjects[scope], ...lockout });
+      console.warn(`[LOCKOUT] 🔒 ${key} locked until ${lockout.locked_until} (level ${lockout.level})`);
+    }
+  }
+
+  return triggered;
+}
+
+/**
+ * Clear the failure counter after a successful login. The escalation level
+ * is kept so an attacker cannot reset it with one known-good login.
+ * @param {string} identifier - Mobile number, email or admin username
+ */
+async function recordSuccess(identifier) {
+  const store = getLockoutStore();
+  const key = lockoutKey('identifier', identifier);
+  const entry = await store.get(key);
+
+  if (entry && entry.failures > 0) {
+    await store.save(key, { ...entry, failures: 0, window_started_at: null });
+  }
+}
+
+/**
+ * Drop the lockout state kept for an identifier, when its owner's data is erased
+ * @param {string} identifier - Mobile number or email
+ */
+async function forgetIdentifier(identifier) {
+  await getLockoutStore().delete(lockoutKey('identifier', identifier));
+}
+
+module.exports = {
+  createMemoryLockoutStore,
+  createDatabaseLockoutStore,
+  checkLockout,
+  recordFailure,
+  recordSuccess,
+  forgetIdentifier
+};
@@ -0,0 +1,113 @@
+// src/services/lockoutStore.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('../testing/fakeSupabase.cjs');
+
+const MINUTE = 60 * 1000;
+
+// The store is chosen once per module, so each case loads it fresh
+function load(t, backend) {
+  const saved = process.env.LOCKOUT_STORE;
+  t.after(() => {
+    if (saved === undefined) delete process.env.LOCKOUT_STORE;
+    else process.env.LOCKOUT_STORE = saved;
+  });
+  process.env.LOCKOUT_STORE = backend;
+  // One counter per key, as in create_auth_events_table.sql
+  const fake = installFakeSupabase({ unique: { auth_lockouts: [['key']] } });
+
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  let now = Date.parse('2026-01-01T00:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+
+  delete require.cache[require.resolve('./lockoutStore.cjs')];
+  return { ...require('./lockoutStore.cjs'), rows: fake.rows, advance: (ms) => { now += ms; } };
+}
+
+async function fail(lockout, subjects, times) {
+  let triggered = [];
+  for (let i = 0; i < times; i++) triggered = await lockout.recordFailure(subjects);
+  return triggered;
+}
+
+for (const backend of ['memory', 'database']) {
+  test(`${backend}: five failed logins lock the identifier for 15 minutes`, async (t) => {
+    const lockout = load(t, backend);
+
+    assert.deepEqual(await fail(lockout, { identifier: '+919876543210' }, 4), []);
+    assert.equal((await lockout.checkLockout({ identifier: '+919876543210' })).locked, false);
+
+    const [triggered] = await lockout.recordFailure({ identifier: '+919876543210' });
+    assert.equal(triggered.level, 1);
+
+    const check = await lockout.checkLockout({ identifier: '+919876543210' });
+    assert.equal(check.locked, true);
+    assert.equal(check.scope, 'identifier');
+    assert.equal(check.retry_after_seconds, 15 * 60);
+
+    lockout.advance(15 * MINUTE + 1000);
+    assert.equal((await lockout.checkLockout({ identifier: '+919876543210' })).locked, false);
+  });
+
+  test(`${backend}: repeated lockouts double in length`, async (t) => {
+    const lockout = load(t, backend);
+
+    await fail(lockout, { identifier: 'admin' }, 5);
+    lockout.advance(16 * MINUTE);
+    const [second] = await fail(lockout, { identifier: 'admin' }, 5);
+
+    assert.equal(second.level, 2);
+    assert.equal((await lockout.checkLockout({ identifier: 'admin' })).retry_after_seconds, 30 * 60);
+  });
+
+  test(`${backend}: a successful login clears failures but keeps the escalation level`, async (t) => {
+    const lockout = load(t, backend);
+
+    await fail(lockout, { identifier: 'a@example.com' }, 5);
+    lockout.advance(16 * MINUTE);
+    await fail(lockout, { identifier: 'a@example.com' }, 4);
+    await lockout.recordSuccess('a@example.com');
+
+    assert.deepEqual(await fail(lockout, { identifier: 'a@example.com' }, 4), []);
+    const [next] = await lockout.recordFailure({ identifier: 'a@example.com' });
+    assert.equal(next.level, 2);
+  });
+
+  test(`${backend}: failures outside the window do not add up`, async (t) => {
+    const lockout = load(t, backend);
+
+    await fail(lockout, { identifier: 'A@Example.com' }, 4);
+    lockout.advance(16 * MINUTE);
+    assert.deepEqual(await fail(lockout, { identifier: 'a@example.com' }, 4), []);
+  });
+
+  test(`${backend}: the client IP is locked independently with its own threshold`, async (t) => {
+    const lockout = load(t, backend);
+
+    for (let i = 0; i < 20; i++) {
+      await lockout.recordFailure({ identifier: `+91987654${String(i).padStart(4, '0')}`, ip: '203.0.113.9' });
+    }
+
+    const check = await lockout.checkLockout({ identifier: '+919999999999', ip: '203.0.113.9' });
+    assert.equal(check.locked, true);
+    assert.equal(check.scope, 'ip');
+  });
+
+  test(`${backend}: concurrent failures are all counted`, async (t) => {
+    const lockout = load(t, backend);
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(() => lockout.recordFailure({ identifier: '+919876543210' })));
+    assert.deepEqual(results.flat().map(triggered => triggered.level), [1]);
+    assert.equal((await lockout.checkLockout({ identifier: '+919876543210' })).locked, true);
+  });
+}
+
+test('database: lockouts are stored in auth_lockouts by scope and value', async (t) => {
+  const lockout = load(t, 'database');
+  await fail(lockout, { identifier: '+919876543210', ip: '203.0.113.9' }, 5);
+
+  const keys = lockout.rows.auth_lockouts.map(row => row.key).sort();
+  assert.deepEqual(keys, ['identifier:+919876543210', 'ip:203.0.113.9']);
+  assert.ok(lockout.rows.auth_lockouts.find(row => row.key.startsWith('identifier:')).locked_until);
+});
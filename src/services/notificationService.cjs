@@ -0,0 +1,309 @@
+// src/services/notificationService.cjs
+const fs = require('fs').promises;
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * Notification Service - pluggable SMS/email delivery.
+ *
+ * SMS providers (NOTIFICATION_PROVIDER):
+ *  - twilio: Twilio Programmable SMS (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER)
+ *  - dev:    logs messages to the console and, if NOTIFICATION_DEV_FILE is set, appends them to that file
+ *  - http:   POSTs messages as JSON to a local stub server (NOTIFICATION_HTTP_URL)
+ * Defaults to twilio when Twilio credentials are present, otherwise dev.
+ *
+ * Email providers (EMAIL_PROVIDER):
+ *  - smtp: any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM),
+ *          e.g. a local mail catcher such as Mailpit on localhost:1025 in tests
+ *  - dev:  same console/file output as the SMS dev provider
+ * Defaults to smtp when SMTP_HOST is set, otherwise dev.
+ *
+ * The dev provider delivers nothing, so production refuses it: set a real
+ * provider for both channels or the server does not start
+ * (assertNotificationProviders).
+ */
+
+// Message templates, rendered with {{placeholder}} substitution.
+// `subject` is only used for email.
+const templates = {
+  otp: {
+    subject: 'Your Tourist Safety verification code',
+    body: 'Your Tourist Safety OTP is: {{otp}}. Valid for {{ttl_minutes}} minutes. Do not share with anyone.'
+  },
+  kyc_verified: {
+    subject: 'Your Tourist Safety KYC is verified',
+    body: 'Hi {{full_name}}, your Tourist Safety KYC has been verified and your digital tourist ID is now active.'
+  },
+  kyc_rejected: {
+    subject: 'Your Tourist Safety KYC was not approved',
+    body: 'Hi {{full_name}}, your Tourist Safety KYC was not approved: {{reason}}'
+  },
+  kyc_needs_more_info: {
+    subject: 'Your Tourist Safety KYC needs more information',
+    body: 'Hi {{full_name}}, we need more information to verify your Tourist Safety KYC: {{reason}}. Please resubmit in the app.'
+  },
+  registrar_low_balance: {
+    subject: 'Tourist Safety registrar wallet is low on funds',
+    body: 'The registrar wallet {{address}} on {{network}} has {{balance}} ETH left, below the {{threshold}} ETH minimum. Top it up so DTID registrations keep going through.'
+  }
+};
+
+function fillPlaceholders(text, name, vars) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    if (vars[key] === undefined || vars[key] === null) {
+      throw new Error(`Missing value for "${key}" in template "${name}"`);
+    }
+    return String(vars[key]);
+  });
+}
+
+/**
+ * Render a named template
+ * @param {string} name - Template name
+ * @param {Object} vars - Placeholder values
+ * @returns {Object} - { subject, body }
+ */
+function renderTemplate(name, vars = {}) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+
+  return {
+    subject: template.subject ? fillPlaceholders(template.subject, name, vars) : null,
+    body: fillPlaceholders(template.body, name, vars)
+  };
+}
+
+/**
+ * Register or override a message template
+ * @param {string} name - Template name
+ * @param {string} body - Template text with {{placeholders}}
+ * @param {string} subject - Email subject with {{placeholders}} (optional)
+ */
+function registerTemplate(name, body, subject = null) {
+  templates[name] = { subject, body };
+}
+
+function createTwilioProvider() {
+  let client = null;
+
+  return {
+    name: 'twilio',
+
+    async send({ to, body }) {
+      if (!client) {
+        const twilio = require('twilio');
+        client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+      }
+
+      const message = await client.messages.create({
+        body,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to
+      });
+
+      return { id: message.sid };
+    }
+  };
+}
+
+/**
+ * Recipient as it may appear in logs: the last four digits of a number, or
+ * the first letter and domain of an email address
+ * @param {string} to - E.164 mobile number or email address
+ * @returns {string}
+ */
+function maskRecipient(to) {
+  const text = String(to ?? '');
+  const at = text.lastIndexOf('@');
+  if (at > 0) return `${text[0]}***${text.slice(at)}`;
+  return text.length <= 4 ? '*'.repeat(text.length) : `${'*'.repeat(text.length - 4)}${text.slice(-4)}`;
+}
+
+function createDevProvider() {
+  const outFile = process.env.NOTIFICATION_DEV_FILE;
+
+  return {
+    name: 'dev',
+
+    async send({ to, body, template }) {
+      const id = `dev-${Date.now()}`;
+
+      // Bodies carry OTP codes; never write them out in production
+      if (process.env.NODE_ENV === 'production') {
+        console.log(`[NOTIFY:dev] To ${maskRecipient(to)}: "${template}" (body withheld in production)`);
+        return { id };
+      }
+
+      console.log(`[NOTIFY:dev] To ${maskRecipient(to)}: ${body}`);
+
+      if (outFile) {
+        const line = JSON.stringify({ id, to, template, body, sent_at: new Date().toISOString() });
+        await fs.mkdir(path.dirname(path.resolve(outFile)), { recursive: true });
+        await fs.appendFile(outFile, `${line}\n`);
+      }
+
+      return { id };
+    }
+  };
+}
+
+function createSmtpProvider() {
+  let transport = null;
+
+  return {
+    name: 'smtp',
+
+    async send({ to, subject, body }) {
+      if (!transport) {
+        const nodemailer = require('nodemailer');
+        const hasAuth = process.env.SMTP_USER || process.env.SMTP_PASS;
+        transport = nodemailer.createTransport({
+          host: process.env.SMTP_HOST || 'localhost',
+          port: parseInt(process.env.SMTP_PORT || '1025', 10),
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: hasAuth ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+      }
+
+      const info = await transport.sendMail({
+        from: process.env.SMTP_FROM || 'Tourist Safety <no-reply@tourist-safety.local>',
+        to,
+        subject: subject || 'Tourist Safety notification',
+        text: body
+      });
+
+      return { id: info.messageId };
+    }
+  };
+}
+
+function createHttpProvider() {
+  const url = process.env.NOTIFICATION_HTTP_URL || 'http://localhost:4010/messages';
+
+  return {
+    name: 'http',
+
+    async send({ to, body, template }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ to, body, template })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Notification stub responded with status ${response.status}`);
+      }
+
+      const payload = await response.json().catch(() => ({}));
+      return { id: payload.id || `http-${Date.now()}` };
+    }
+  };
+}
+
+const providerFactories = {
+  sms: {
+    twilio: createTwilioProvider,
+    dev: createDevProvider,
+    http: createHttpProvider
+  },
+  email: {
+    smtp: createSmtpProvider,
+    dev: createDevProvider
+  }
+};
+
+const providers = {};
+
+const PROVIDER_ENV = { sms: 'NOTIFICATION_PROVIDER', email: 'EMAIL_PROVIDER' };
+
+function defaultProviderName(channel) {
+  if (channel === 'email') {
+    return process.env.EMAIL_PROVIDER || (process.env.SMTP_HOST ? 'smtp' : 'dev');
+  }
+  const hasTwilio = process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN;
+  return process.env.NOTIFICATION_PROVIDER || (hasTwilio ? 'twilio' : 'dev');
+}
+
+/**
+ * Get the configured provider for a channel
+ * @param {string} channel - 'sms' | 'email'
+ * @returns {Object} - Provider with a send({ to, subject, body, template }) method
+ */
+function getNotificationProvider(channel = 'sms') {
+  if (providers[channel]) return providers[channel];
+
+  const factories = providerFactories[channel];
+  if (!factories) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+
+  const name = defaultProviderName(channel);
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown ${channel} provider: ${name}`);
+  }
+  if (name === 'dev' && process.env.NODE_ENV === 'production') {
+    throw new Error(`No ${channel} provider configured: set ${PROVIDER_ENV[channel]} (the dev provider delivers nothing and is not allowed in production)`);
+  }
+
+  providers[channel] = factory();
+  console.log(`[NOTIFY] Using ${channel} provider:`, providers[channel].name);
+  return providers[channel];
+}
+
+/**
+ * Validate and normalize an email address (trimmed, lowercased)
+ * @param {string} input - Raw email address
+ * @returns {string|null} - Normalized address or null if invalid
+ */
+function normalizeEmailAddress(input) {
+  if (typeof input !== 'string') return null;
+  const email = input.trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email) && email.length <= 254 ? email : null;
+}
+
+/**
+ * Resolve the SMS and email providers, so a missing configuration stops the
+ * server at startup instead of failing the first OTP
+ * @throws {Error} - When a channel has no usable provider
+ */
+function assertNotificationProviders() {
+  for (const channel of Object.keys(providerFactories)) {
+    getNotificationProvider(channel);
+  }
+}
+
+/**
+ * Render a template and deliver it through the configured provider
+ * @param {string} to - Recipient (E.164 mobile number or email address)
+ * @param {string} templateName - Template name
+ * @param {Object} vars - Template values
+ * @param {Object} options - { channel: 'sms' | 'email' }
+ * @returns {Promise<Object>} - { provider, id }
+ */
+async function sendTemplatedMessage(to, templateName, vars = {}, options = {}) {
+  const { channel = 'sms' } = options;
+  const { subject, body } = renderTemplate(templateName, vars);
+  const active = getNotificationProvider(channel);
+
+  try {
+    const result = await active.send({ to, subject, body, template: templateName });
+    console.log(`[NOTIFY] "${templateName}" sent via ${active.name} (${channel}) to ${maskRecipient(to)} (id: ${result.id})`);
+    return { provider: active.name, id: result.id };
+  } catch (error) {
+    console.error(`[NOTIFY] ${active.name} ${channel} delivery failed:`, error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  renderTemplate,
+  registerTemplate,
+  getNotificationProvider,
+  assertNotificationProviders,
+  normalizeEmailAddress,
+  maskRecipient,
+  sendTemplatedMessage
+};
@@ -0,0 +1,92 @@
+// src/services/notificationService.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ENV_KEYS = ['NODE_ENV', 'NOTIFICATION_PROVIDER', 'EMAIL_PROVIDER', 'TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'SMTP_HOST', 'NOTIFICATION_DEV_FILE'];
+
+// Providers are cached per module, so each case loads it fresh under its env
+function loadWithEnv(t, env) {
+  const saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  t.after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+  for (const key of ENV_KEYS) delete process.env[key];
+  Object.assign(process.env, env);
+
+  delete require.cache[require.resolve('./notificationService.cjs')];
+  return require('./notificationService.cjs');
+}
+
+function captureLogs(t) {
+  const lines = [];
+  t.mock.method(console, 'log', (...args) => lines.push(args.join(' ')));
+  return lines;
+}
+
+test('development falls back to the dev provider, which logs the message', async (t) => {
+  const { sendTemplatedMessage } = loadWithEnv(t, { NODE_ENV: 'development' });
+  const logs = captureLogs(t);
+
+  const result = await sendTemplatedMessage('+919876543210', 'otp', { otp: '123456', ttl_minutes: 10 });
+  assert.equal(result.provider, 'dev');
+  assert.ok(logs.some(line => line.includes('123456')));
+});
+
+test('production without a provider refuses to start and to send', async (t) => {
+  const { assertNotificationProviders, sendTemplatedMessage } = loadWithEnv(t, { NODE_ENV: 'production' });
+
+  assert.throws(() => assertNotificationProviders(), /No sms provider configured: set NOTIFICATION_PROVIDER/);
+  await assert.rejects(
+    sendTemplatedMessage('+919876543210', 'otp', { otp: '123456', ttl_minutes: 10 }),
+    /No sms provider configured/
+  );
+});
+
+test('production refuses the dev provider even when set explicitly', (t) => {
+  const { getNotificationProvider } = loadWithEnv(t, { NODE_ENV: 'production', NOTIFICATION_PROVIDER: 'dev', EMAIL_PROVIDER: 'dev' });
+
+  assert.throws(() => getNotificationProvider('sms'), /not allowed in production/);
+  assert.throws(() => getNotificationProvider('email'), /No email provider configured: set EMAIL_PROVIDER/);
+});
+
+test('production starts with real providers for both channels', (t) => {
+  const { assertNotificationProviders, getNotificationProvider } = loadWithEnv(t, {
+    NODE_ENV: 'production',
+    TWILIO_ACCOUNT_SID: 'AC123',
+    TWILIO_AUTH_TOKEN: 'token',
+    SMTP_HOST: 'smtp.example.com'
+  });
+  captureLogs(t);
+
+  assert.doesNotThrow(() => assertNotificationProviders());
+  assert.equal(getNotificationProvider('sms').name, 'twilio');
+  assert.equal(getNotificationProvider('email').name, 'smtp');
+});
+
+test('the dev provider never logs message bodies in production', async (t) => {
+  loadWithEnv(t, { NODE_ENV: 'development' });
+  const { getNotificationProvider } = require('./notificationService.cjs');
+  const provider = getNotificationProvider('sms');
+  const logs = captureLogs(t);
+
+  process.env.NODE_ENV = 'production';
+  await provider.send({ to: '+919876543210', body: 'Your OTP is 123456', template: 'otp' });
+  assert.ok(logs.length > 0);
+  assert.ok(logs.every(line => !line.includes('123456')));
+});
+
+test('recipients are masked in the logs', async (t) => {
+  const { sendTemplatedMessage, maskRecipient } = loadWithEnv(t, { NODE_ENV: 'development' });
+  const logs = captureLogs(t);
+
+  await sendTemplatedMessage('+919876543210', 'otp', { otp: '123456', ttl_minutes: 10 });
+  await sendTemplatedMessage('anil@example.com', 'otp', { otp: '654321', ttl_minutes: 10 }, { channel: 'email' });
+  assert.ok(logs.every(line => !line.includes('+919876543210') && !line.includes('anil@example.com')));
+  assert.ok(logs.some(line => line.includes(maskRecipient('+919876543210'))));
+
+  assert.equal(maskRecipient('+919876543210'), '*********3210');
+  assert.equal(maskRecipient('anil@example.com'), 'a***@example.com');
+});
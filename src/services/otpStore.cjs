@@ -0,0 +1,305 @@
+// src/services/otpStore.cjs
+const crypto = require('crypto');
+require('dotenv').config();
+
+/**
+ * OTP Store - pluggable persistence for pending OTP challenges.
+ * Codes are never stored in plaintext, only as an HMAC bound to the identifier.
+ *
+ * Backends:
+ *  - memory:   process-local Map (single instance / development only)
+ *  - database: Supabase `otp_challenges` table (see create_otp_challenges_table.sql)
+ *
+ * Select with OTP_STORE=memory|database. Defaults to database in production.
+ */
+
+const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_OTP_ATTEMPTS = 3;
+const OTP_HASH_SECRET = process.env.OTP_HASH_SECRET || process.env.JWT_SECRET || 'devsecret';
+
+/**
+ * Hash an OTP code for storage
+ * @param {string} identifier - Mobile number the OTP was issued to
+ * @param {string} otp - Plaintext OTP code
+ * @returns {string} - Hex HMAC digest
+ */
+function hashOTP(identifier, otp) {
+  return crypto
+    .createHmac('sha256', OTP_HASH_SECRET)
+    .update(`${identifier}:${otp}`)
+    .digest('hex');
+}
+
+function otpMatches(challenge, identifier, otp) {
+  const expected = Buffer.from(challenge.otp_hash, 'hex');
+  const actual = Buffer.from(hashOTP(identifier, String(otp)), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * In-memory backend
+ * @returns {Object} - OTP store
+ */
+function createMemoryOtpStore() {
+  const challenges = new Map();
+
+  return {
+    name: 'memory',
+
+    async save(identifier, challenge) {
+      challenges.set(identifier, { ...challenge, identifier });
+      return challenges.get(identifier);
+    },
+
+    async get(identifier) {
+      return challenges.get(identifier) || null;
+    },
+
+    async reserveAttempt(identifier, maxAttempts) {
+      const challenge = challenges.get(identifier);
+      if (!challenge || challenge.attempts >= maxAttempts) return null;
+      challenge.attempts += 1;
+      return { ...challenge };
+    },
+
+    async consume(identifier, otpHash) {
+      const challenge = challenges.get(identifier);
+      if (!challenge || challenge.otp_hash !== otpHash) return false;
+      challenges.delete(identifier);
+      return true;
+    },
+
+    async delete(identifier) {
+      challenges.delete(identifier);
+    }
+  };
+}
+
+/**
+ * Supabase-backed store using the `otp_challenges` table
+ * @param {Object} supabase - Supabase client
+ * @returns {Object} - OTP store
+ */
+function createDatabaseOtpStore(supabase) {
+  const table = 'otp_challenges';
+
+  const toChallenge = (row) => row && {
+    identifier: row.identifier,
+    otp_hash: row.otp_hash,
+    expires_at: new Date(row.expires_at).getTime(),
+    attempts: row.attempts,
+    dtid: row.dtid,
+    full_name: row.full_name,
+    qr_code: row.qr_code
+  };
+
+  return {
+    name: 'database',
+
+    async save(identifier, challenge) {
+      const { data, error } = await supabase
+        .from(table)
+        .upsert({
+          identifier,
+          otp_hash: challenge.otp_hash,
+          expires_at: new Date(challenge.expires_at).toISOString(),
+          attempts: challenge.attempts,
+          dtid: challenge.dtid,
+          full_name: challenge.full_name,
+          qr_code: challenge.qr_code,
+          consumed_at: null,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'identifier' })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('[OTP-STORE] Error saving OTP challenge:', error);
+        throw error;
+      }
+      return toChallenge(data);
+    },
+
+    async get(identifier) {
+      const { data, error } = await supabase
+        .from(table)
+        .select('*')
+        .eq('identifier', identifier)
+        .is('consumed_at', null)
+        .maybeSingle();
+
+      if (error) {
+        console.error('[OTP-STORE] Error fetching OTP challenge:', error);
+        throw error;
+      }
+      return toChallenge(data);
+    },
+
+    // Compare-and-set on the count just read: of parallel guesses only one
+    // takes each attempt, the others read again
+    async reserveAttempt(identifier, maxAttempts) {
+      for (let tries = 0; tries < maxAttempts; tries++) {
+        const challenge = await this.get(identifier);
+        if (!challenge || challenge.attempts >= maxAttempts) return null;
+
+        const { data, error } = await supabase
+          .from(table)
+          .update({ attempts: challenge.attempts + 1, updated_at: new Date().toISOString() })
+          .eq('identifier', identifier)
+          .eq('otp_hash', challenge.otp_hash)
+          .eq('attempts', challenge.attempts)
+          .is('consumed_at', null)
+          .select();
+
+        if (error) {
+          console.error('[OTP-STORE] Error updating OTP attempts:', error);
+          throw error;
+        }
+        if (data.length) return toChallenge(data[0]);
+      }
+      return null;
+    },
+
+    // Only the first caller gets true; the login context is cleared with it
+    async consume(identifier, otpHash) {
+      const { data, error } = await supabase
+        .from(table)
+        .update({
+          consumed_at: new Date().toISOString(),
+          dtid: null,
+          full_name: null,
+          qr_code: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('identifier', identifier)
+        .eq('otp_hash', otpHash)
+        .is('consumed_at', null)
+        .select('identifier');
+
+      if (error) {
+        console.error('[OTP-STORE] Error consuming OTP challenge:', error);
+        throw error;
+      }
+      return data.length > 0;
+    },
+
+    async delete(identifier) {
+      const { error } = await supabase
+        .from(table)
+        .delete()
+        .eq('identifier', identifier);
+
+      if (error) {
+        console.error('[OTP-STORE] Error deleting OTP challenge:', error);
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Create (or replace) the pending OTP challenge for an identifier
+ * @param {Object} store - OTP store
+ * @param {string} identifier - Mobile number
+ * @param {string} otp - Plaintext OTP code (hashed before storage)
+ * @param {Object} context - Resolved user data ({ dtid, full_name, qr_code })
+ * @returns {Promise<Object>} - Stored challenge
+ */
+async function issueChallenge(store, identifier, otp, context = {}) {
+  return store.save(identifier, {
+    otp_hash: hashOTP(identifier, otp),
+    expires_at: Date.now() + OTP_TTL_MS,
+    attempts: 0,
+    dtid: context.dtid || null,
+    full_name: context.full_name || null,
+    qr_code: context.qr_code || null
+  });
+}
+
+/**
+ * Check an OTP against the pending challenge. Every guess takes an attempt
+ * before it is compared, so parallel guesses cannot exceed MAX_OTP_ATTEMPTS,
+ * and a valid code is consumed exactly once. The challenge is removed on
+ * expiry or when the attempt limit is reached.
+ * @param {Object} store - OTP store
+ * @param {string} identifier - Mobile number
+ * @param {string} otp - Submitted OTP code
+ * @returns {Promise<Object>} - { status: 'valid'|'missing'|'expired'|'invalid'|'locked', challenge, attemptsRemaining }
+ */
+async function verifyChallenge(store, identifier, otp) {
+  const challenge = await store.get(identifier);
+
+  if (!challenge) {
+    return { status: 'missing' };
+  }
+
+  if (Date.now() > challenge.expires_at) {
+    await store.delete(identifier);
+    return { status: 'expired' };
+  }
+
+  const reserved = await store.reserveAttempt(identifier, MAX_OTP_ATTEMPTS);
+  if (!reserved) {
+    await store.delete(identifier);
+    return { status: 'locked' };
+  }
+
+  if (!otpMatches(reserved, identifier, otp)) {
+    if (reserved.attempts >= MAX_OTP_ATTEMPTS) {
+      await store.delete(identifier);
+      return { status: 'locked' };
+    }
+    return { status: 'invalid', attemptsRemaining: MAX_OTP_ATTEMPTS - reserved.attempts };
+  }
+
+  // A parallel request redeemed the same code first
+  if (!(await store.consume(identifier, reserved.otp_hash))) {
+    return { status: 'missing' };
+  }
+  return { status: 'valid', challenge: reserved };
+}
+
+/**
+ * Whether plaintext OTPs may be returned in API responses.
+ * Requires OTP_DEV_MODE=true and is always off in production.
+ * @returns {boolean}
+ */
+function isOtpDevMode() {
+  return process.env.OTP_DEV_MODE === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+let defaultStore = null;
+
+/**
+ * Get the configured OTP store (OTP_STORE=memory|database)
+ * @returns {Object} - OTP store
+ */
+function getOtpStore() {
+  if (defaultStore) return defaultStore;
+
+  const backend = process.env.OTP_STORE ||
+    (process.env.NODE_ENV === 'production' ? 'database' : 'memory');
+
+  if (backend === 'database') {
+    defaultStore = createDatabaseOtpStore(require('../config/database.cjs'));
+  } else if (backend === 'memory') {
+    defaultStore = createMemoryOtpStore();
+  } else {
+    throw new Error(`Unknown OTP_STORE backend: ${backend}`);
+  }
+
+  console.log('[OTP-STORE] Using backend:', defaultStore.name);
+  return defaultStore;
+}
+
+module.exports = {
+  OTP_TTL_MS,
+  MAX_OTP_ATTEMPTS,
+  hashOTP,
+  createMemoryOtpStore,
+  createDatabaseOtpStore,
+  issueChallenge,
+  verifyChallenge,
+  isOtpDevMode,
+  getOtpStore
+};
@@ -0,0 +1,110 @@
+// src/services/otpStore.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('../testing/fakeSupabase.cjs');
+const {
+  MAX_OTP_ATTEMPTS,
+  createMemoryOtpStore,
+  createDatabaseOtpStore,
+  issueChallenge,
+  verifyChallenge
+} = require('./otpStore.cjs');
+
+const MOBILE = '+919876543210';
+
+const backends = {
+  memory: () => ({ store: createMemoryOtpStore() }),
+  database: () => {
+    const { client, rows } = createFakeSupabase();
+    return { store: createDatabaseOtpStore(client), rows };
+  }
+};
+
+for (const [name, create] of Object.entries(backends)) {
+  test(`${name}: stores only a hash of the code`, async () => {
+    const { store } = create();
+    const challenge = await issueChallenge(store, MOBILE, '123456', { dtid: '0xd1' });
+    assert.notEqual(challenge.otp_hash, '123456');
+    assert.doesNotMatch(JSON.stringify(await store.get(MOBILE)), /123456/);
+  });
+
+  test(`${name}: a valid code logs in once`, async () => {
+    const { store } = create();
+    await issueChallenge(store, MOBILE, '123456', { dtid: '0xd1', full_name: 'Anil Kumar' });
+
+    const first = await verifyChallenge(store, MOBILE, '123456');
+    assert.equal(first.status, 'valid');
+    assert.equal(first.challenge.dtid, '0xd1');
+
+    assert.equal((await verifyChallenge(store, MOBILE, '123456')).status, 'missing');
+  });
+
+  test(`${name}: wrong codes lock the challenge after ${MAX_OTP_ATTEMPTS} attempts`, async () => {
+    const { store } = create();
+    await issueChallenge(store, MOBILE, '123456');
+
+    assert.deepEqual(await verifyChallenge(store, MOBILE, '000000'), { status: 'invalid', attemptsRemaining: 2 });
+    assert.deepEqual(await verifyChallenge(store, MOBILE, '000001'), { status: 'invalid', attemptsRemaining: 1 });
+    assert.deepEqual(await verifyChallenge(store, MOBILE, '000002'), { status: 'locked' });
+    assert.equal((await verifyChallenge(store, MOBILE, '123456')).status, 'missing');
+  });
+
+  test(`${name}: the last attempt may still be the right code`, async () => {
+    const { store } = create();
+    await issueChallenge(store, MOBILE, '123456');
+    await verifyChallenge(store, MOBILE, '000000');
+    await verifyChallenge(store, MOBILE, '000001');
+    assert.equal((await verifyChallenge(store, MOBILE, '123456')).status, 'valid');
+  });
+
+  test(`${name}: parallel guesses cannot exceed the attempt limit`, async () => {
+    const { store } = create();
+    await issueChallenge(store, MOBILE, '123456');
+
+    const guesses = ['000000', '000001', '000002', '000003', '000004', '000005', '123456'];
+    const results = await Promise.all(guesses.map(otp => verifyChallenge(store, MOBILE, otp)));
+
+    assert.equal(results.filter(result => result.status === 'valid').length, 0);
+    assert.ok(results.filter(result => result.status === 'invalid').length <= MAX_OTP_ATTEMPTS - 1);
+  });
+
+  test(`${name}: a code redeemed in parallel is valid only once`, async () => {
+    const { store } = create();
+    await issueChallenge(store, MOBILE, '123456');
+
+    const results = await Promise.all([1, 2, 3].map(() => verifyChallenge(store, MOBILE, '123456')));
+    assert.equal(results.filter(result => result.status === 'valid').length, 1);
+  });
+
+  test(`${name}: an expired code is rejected and removed`, async () => {
+    const { store } = create();
+    await issueChallenge(store, MOBILE, '123456');
+    const challenge = await store.get(MOBILE);
+    await store.save(MOBILE, { ...challenge, expires_at: Date.now() - 1000 });
+
+    assert.equal((await verifyChallenge(store, MOBILE, '123456')).status, 'expired');
+    assert.equal(await store.get(MOBILE), null);
+  });
+
+  test(`${name}: a new code replaces the previous one and resets attempts`, async () => {
+    const { store } = create();
+    await issueChallenge(store, MOBILE, '123456');
+    await verifyChallenge(store, MOBILE, '000000');
+    await issueChallenge(store, MOBILE, '654321');
+
+    assert.equal((await store.get(MOBILE)).attempts, 0);
+    assert.equal((await verifyChallenge(store, MOBILE, '123456')).status, 'invalid');
+    assert.equal((await verifyChallenge(store, MOBILE, '654321')).status, 'valid');
+  });
+}
+
+test('database: a redeemed challenge keeps no login context', async () => {
+  const { store, rows } = backends.database();
+  await issueChallenge(store, MOBILE, '123456', { dtid: '0xd1', full_name: 'Anil Kumar' });
+  await verifyChallenge(store, MOBILE, '123456');
+
+  const [row] = rows.otp_challenges;
+  assert.ok(row.consumed_at);
+  assert.equal(row.full_name, null);
+  assert.equal(row.dtid, null);
+});
@@ -0,0 +1,72 @@
+// src/services/phoneService.cjs
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+require('dotenv').config();
+
+/**
+ * Phone Service - E.164 validation and normalization for every country.
+ * Per-country numbering rules (length, prefixes, mobile ranges) come from
+ * libphonenumber metadata. Numbers without a +country code are parsed
+ * against DEFAULT_PHONE_COUNTRY (ISO 3166-1 alpha-2, default IN).
+ */
+
+const DEFAULT_PHONE_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'IN').toUpperCase();
+
+// Number types that can receive SMS
+const SMS_CAPABLE_TYPES = ['MOBILE', 'FIXED_LINE_OR_MOBILE', 'PERSONAL_NUMBER'];
+
+/**
+ * Validate and normalize a phone number to E.164
+ * @param {string} input - Raw phone number (e.g. "+44 7911 123456", "98765 43210")
+ * @param {Object} options - { defaultCountry, mobileOnly }
+ * @returns {Object} - { valid: true, e164, country, type } or { valid: false, error }
+ */
+function normalizePhoneNumber(input, options = {}) {
+  const { defaultCountry = DEFAULT_PHONE_COUNTRY, mobileOnly = false } = options;
+
+  if (typeof input !== 'string' || !input.trim()) {
+    return { valid: false, error: 'Phone number is required' };
+  }
+
+  // Accept the international 00 prefix as well as +
+  const cleaned = input.trim().replace(/^00/, '+');
+  const phone = parsePhoneNumberFromString(cleaned, defaultCountry);
+
+  if (!phone || !phone.isValid()) {
+    return {
+      valid: false,
+      error: 'Invalid phone number. Use international format with country code, e.g. +14165550123'
+    };
+  }
+
+  const type = phone.getType();
+  if (mobileOnly && type && !SMS_CAPABLE_TYPES.includes(type)) {
+    return {
+      valid: false,
+      error: 'Phone number must be a mobile number that can receive SMS'
+    };
+  }
+
+  return {
+    valid: true,
+    e164: phone.number,
+    country: phone.country || null,
+    type: type || null
+  };
+}
+
+/**
+ * Normalize a phone number if possible, otherwise return the trimmed input
+ * @param {string} input - Raw phone number
+ * @returns {string|null} - E.164 number, trimmed input, or null
+ */
+function toE164OrRaw(input) {
+  if (input === undefined || input === null || input === '') return input ?? null;
+  const result = normalizePhoneNumber(String(input));
+  return result.valid ? result.e164 : String(input).trim();
+}
+
+module.exports = {
+  DEFAULT_PHONE_COUNTRY,
+  normalizePhoneNumber,
+  toE164OrRaw
+};
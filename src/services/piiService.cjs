@@ -0,0 +1,326 @@
+// src/services/piiService.cjs
+const crypto = require('crypto');
+require('dotenv').config();
+
+/**
+ * PII Service - field-level envelope encryption of tourist PII at rest.
+ *
+ * Every tourist row gets its own random data key (AES-256-GCM). The data key
+ * encrypts the PII columns into `<field>_encrypted` and is stored wrapped by a
+ * master key as `pii_data_key`, with the master key version in
+ * `pii_key_version`. The plaintext columns are left NULL.
+ *
+ * Master keys come from PII_MASTER_KEYS ("1:<base64>,2:<base64>", 32 bytes
+ * each); new data keys are wrapped with PII_MASTER_KEY_VERSION (default: the
+ * highest). Rotating means adding a key, raising the version and running
+ * `npm run pii:rotate`, which re-wraps data keys without touching the fields.
+ *
+ * Lookup columns also get a deterministic blind index (`<field>_bidx`,
+ * HMAC-SHA256 with PII_BLIND_INDEX_KEY) so they can be matched without
+ * decrypting. Changing PII_BLIND_INDEX_KEY needs `npm run pii:rotate -- --reindex`.
+ *
+ * Rows written before encryption are read as plaintext until migrated.
+ */
+
+const PII_FIELDS = ['id_number', 'date_of_birth', 'contact_number', 'email', 'emergency_contact_1', 'emergency_contact_2'];
+const BLIND_INDEX_FIELDS = ['id_number', 'date_of_birth', 'contact_number', 'email'];
+
+// Columns that only exist to store PII and are never returned
+const CRYPTO_COLUMNS = [
+  ...PII_FIELDS.map(field => `${field}_encrypted`),
+  ...BLIND_INDEX_FIELDS.map(field => `${field}_bidx`)
+];
+
+const ENCRYPTED_PREFIX = 'enc.';
+const DATA_KEY_AAD = Buffer.from('pii-data-key');
+
+let keyring = null;
+
+function devKey(purpose) {
+  return crypto.createHash('sha256').update(`${purpose}:${process.env.JWT_SECRET || 'devsecret'}`).digest();
+}
+
+// Master keys and blind index key, parsed once
+function getKeyring() {
+  if (keyring) return keyring;
+
+  const masterKeys = new Map();
+  for (const entry of (process.env.PII_MASTER_KEYS || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [version, encoded] = entry.split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!/^\d+$/.test(version) || key.length !== 32) {
+      throw new Error('PII_MASTER_KEYS must be "<version>:<base64 32-byte key>" entries separated by commas');
+    }
+    masterKeys.set(Number(version), key);
+  }
+
+  let blindIndexKey = process.env.PII_BLIND_INDEX_KEY ? Buffer.from(process.env.PII_BLIND_INDEX_KEY, 'base64') : null;
+
+  if (masterKeys.size === 0 || !blindIndexKey) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('PII_MASTER_KEYS and PII_BLIND_INDEX_KEY must be set in production');
+    }
+    console.warn('[PII] ⚠️ PII_MASTER_KEYS / PII_BLIND_INDEX_KEY not set, using development keys');
+    if (masterKeys.size === 0) masterKeys.set(1, devKey('pii-master-key'));
+    blindIndexKey = blindIndexKey || devKey('pii-blind-index');
+  }
+  if (blindIndexKey.length < 32) {
+    throw new Error('PII_BLIND_INDEX_KEY must be at least 32 bytes (base64)');
+  }
+
+  const currentVersion = process.env.PII_MASTER_KEY_VERSION
+    ? Number(process.env.PII_MASTER_KEY_VERSION)
+    : Math.max(...masterKeys.keys());
+  if (!masterKeys.has(currentVersion)) {
+    throw new Error(`PII_MASTER_KEY_VERSION ${currentVersion} is not in PII_MASTER_KEYS`);
+  }
+
+  keyring = { masterKeys, currentVersion, blindIndexKey };
+  return keyring;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+function open(key, sealed, aad) {
+  const [iv, tag, ciphertext] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(aad);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Current master key version (new data keys are wrapped with it)
+ * @returns {number}
+ */
+function currentKeyVersion() {
+  return getKeyring().currentVersion;
+}
+
+// Wrap a data key with the current master key: "v<version>.<iv>.<tag>.<ciphertext>"
+function wrapDataKey(dataKey) {
+  const { masterKeys, currentVersion } = getKeyring();
+  return `v${currentVersion}.${seal(masterKeys.get(currentVersion), dataKey, DATA_KEY_AAD)}`;
+}
+
+function unwrapDataKey(wrapped) {
+  const match = /^v(\d+)\.(.+)$/.exec(String(wrapped || ''));
+  if (!match) throw new Error('Malformed PII data key');
+  const masterKey = getKeyring().masterKeys.get(Number(match[1]));
+  if (!masterKey) throw new Error(`PII master key version ${match[1]} is not configured`);
+  return open(masterKey, match[2], DATA_KEY_AAD);
+}
+
+/**
+ * Re-wrap a data key with the current master key (key rotation)
+ * @param {string} wrapped - pii_data_key
+ * @returns {Object} - { pii_data_key, pii_key_version }
+ */
+function rewrapDataKey(wrapped) {
+  return { pii_data_key: wrapDataKey(unwrapDataKey(wrapped)), pii_key_version: currentKeyVersion() };
+}
+
+/**
+ * Deterministic blind index of a lookup value
+ * @param {string} field - One of BLIND_INDEX_FIELDS
+ * @param {string} value - Plaintext value (normalized as stored)
+ * @returns {string|null} - Hex HMAC, or null for an empty value
+ */
+function blindIndex(field, value) {
+  if (value === null || value === undefined || value === '') return null;
+  return crypto
+    .createHmac('sha256', getKeyring().blindIndexKey)
+    .update(`${field}:${String(value).trim().toLowerCase()}`)
+    .digest('hex');
+}
+
+function encryptValue(dataKey, field, value) {
+  if (value === null || value === undefined) return null;
+  return ENCRYPTED_PREFIX + seal(dataKey, Buffer.from(String(value), 'utf8'), Buffer.from(field));
+}
+
+function decryptValue(dataKey, field, value) {
+  if (typeof value !== 'string' || !value.startsWith(ENCRYPTED_PREFIX)) return value ?? null;
+  return open(dataKey, value.slice(ENCRYPTED_PREFIX.length), Buffer.from(field)).toString('utf8');
+}
+
+// Encrypted and blind-indexed columns for the given plaintext PII values
+function encryptColumns(dataKey, values) {
+  const columns = {};
+  for (const field of PII_FIELDS) {
+    if (values[field] === undefined) continue;
+    columns[field] = null;
+    columns[`${field}_encrypted`] = encryptValue(dataKey, field, values[field]);
+    if (BLIND_INDEX_FIELDS.includes(field)) {
+      columns[`${field}_bidx`] = blindIndex(field, values[field]);
+    }
+  }
+  return columns;
+}
+
+/**
+ * Encrypt the PII of a new tourist row under a fresh data key, or under an
+ * existing one when the row continues another (successor DTIDs)
+ * @param {Object} row - Tourist row with plaintext PII columns
+ * @param {string} [wrappedKey] - pii_data_key to reuse
+ * @returns {Object} - Row to store
+ */
+function encryptTouristRow(row, wrappedKey = null) {
+  const dataKey = wrappedKey ? unwrapDataKey(wrappedKey) : crypto.randomBytes(32);
+  return {
+    ...row,
+    ...encryptColumns(dataKey, row),
+    pii_data_key: wrapDataKey(dataKey),
+    pii_key_version: currentKeyVersion()
+  };
+}
+
+/**
+ * Encrypt the PII in an update of an existing tourist row. A row written
+ * before encryption is migrated: all its PII is encrypted under a new key.
+ * @param {Object} updates - Columns to update, PII in plaintext
+ * @param {Object} stored - Current stored row (with pii_data_key)
+ * @returns {Object} - Update to store
+ */
+function encryptTouristUpdates(updates, stored) {
+  if (!PII_FIELDS.some(field => updates[field] !== undefined)) return updates;
+
+  if (!stored.pii_data_key) {
+    const legacy = Object.fromEntries(PII_FIELDS.filter(field => stored[field] != null).map(field => [field, stored[field]]));
+    return encryptTouristRow({ ...legacy, ...updates });
+  }
+  return { ...updates, ...encryptColumns(unwrapDataKey(stored.pii_data_key), updates) };
+}
+
+/**
+ * Decrypt a stored tourist row. Blind indexes and ciphertext are dropped;
+ * pii_data_key stays for services (redactTourist removes it from responses).
+ * @param {Object} row - Stored tourist row
+ * @returns {Object} - Row with plaintext PII columns
+ */
+function decryptTouristRow(row) {
+  if (!row) return row;
+  const dataKey = row.pii_data_key ? unwrapDataKey(row.pii_data_key) : null;
+  const decrypted = Object.fromEntries(Object.entries(row).filter(([column]) => !CRYPTO_COLUMNS.includes(column)));
+
+  for (const field of PII_FIELDS) {
+    const sealed = row[`${field}_encrypted`];
+    if (dataKey && sealed) decrypted[field] = decryptValue(dataKey, field, sealed);
+  }
+  return decrypted;
+}
+
+/**
+ * Encrypt PII values kept outside the tourists row (change requests, history)
+ * with the tourist's data key. Other fields are returned unchanged.
+ * @param {Object} values - Plaintext values by column name
+ * @param {string} wrappedKey - The tourist's pii_data_key (plaintext kept if missing)
+ * @returns {Object}
+ */
+function sealFields(values, wrappedKey) {
+  if (!wrappedKey) return values;
+  const dataKey = unwrapDataKey(wrappedKey);
+  return Object.fromEntries(Object.entries(values).map(([field, value]) => [
+    field,
+    PII_FIELDS.includes(field) ? encryptValue(dataKey, field, value) : value
+  ]));
+}
+
+/**
+ * Reverse of sealFields
+ * @param {Object} values - Values by column name
+ * @param {string} wrappedKey - The tourist's pii_data_key
+ * @returns {Object}
+ */
+function openFields(values, wrappedKey) {
+  if (!wrappedKey || !values) return values;
+  const dataKey = unwrapDataKey(wrappedKey);
+  return Object.fromEntries(Object.entries(values).map(([field, value]) => [
+    field,
+    PII_FIELDS.includes(field) ? decryptValue(dataKey, field, value) : value
+  ]));
+}
+
+/**
+ * Update that erases a tourist's PII: plaintext, ciphertext, blind indexes and
+ * the data key. Without the data key, values sealed with it elsewhere (change
+ * requests, change history) can no longer be decrypted.
+ * @returns {Object} - Columns set to null
+ */
+function erasedPIIColumns() {
+  return Object.fromEntries([...PII_FIELDS, ...CRYPTO_COLUMNS, 'pii_data_key', 'pii_key_version'].map(column => [column, null]));
+}
+
+// What each audience may see of a tourist profile. `allow` limits the fields,
+// `mask` keeps only the last four characters.
+const PROFILE_VIEWS = {
+  full: {},
+  police: { mask: ['id_number'] },
+  partner: {
+    allow: ['dtid', 'full_name', 'nationality', 'id_type', 'Trip_Start', 'Trip_End', 'kyc_status', 'successor_dtid'],
+    mask: []
+  }
+};
+
+// Never returned to anyone
+const INTERNAL_COLUMNS = ['pii_data_key', 'pii_key_version', 'id_file_path', ...CRYPTO_COLUMNS];
+
+function mask(value) {
+  if (value === null || value === undefined) return value;
+  const text = String(value);
+  return text.length <= 4 ? '*'.repeat(text.length) : `${'*'.repeat(text.length - 4)}${text.slice(-4)}`;
+}
+
+/**
+ * Profile view for a requester: tourists (their own) and KYC reviewers see
+ * everything, police see a masked ID number, partners only what a scanner needs.
+ * @param {Object} user - req.user
+ * @returns {string} - Key of PROFILE_VIEWS
+ */
+function profileViewFor(user) {
+  if (!user) return 'partner';
+  if (user.role === 'tourist') return 'full';
+  if (user.role === 'admin') return user.admin_role === 'police' ? 'police' : 'full';
+  return 'partner';
+}
+
+/**
+ * Redact a decrypted tourist row for the requester
+ * @param {Object} tourist - Decrypted tourist row
+ * @param {Object} user - req.user
+ * @returns {Object}
+ */
+function redactTourist(tourist, user) {
+  if (!tourist) return tourist;
+  const view = PROFILE_VIEWS[profileViewFor(user)];
+  const redacted = {};
+
+  for (const [column, value] of Object.entries(tourist)) {
+    if (INTERNAL_COLUMNS.includes(column)) continue;
+    if (view.allow && !view.allow.includes(column)) continue;
+    redacted[column] = (view.mask || []).includes(column) ? mask(value) : value;
+  }
+  return redacted;
+}
+
+module.exports = {
+  PII_FIELDS,
+  BLIND_INDEX_FIELDS,
+  currentKeyVersion,
+  rewrapDataKey,
+  blindIndex,
+  encryptTouristRow,
+  encryptTouristUpdates,
+  decryptTouristRow,
+  sealFields,
+  openFields,
+  erasedPIIColumns,
+  profileViewFor,
+  redactTourist
+};
@@ -0,0 +1,141 @@
+// src/services/piiService.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const ENV_KEYS = ['NODE_ENV', 'PII_MASTER_KEYS', 'PII_MASTER_KEY_VERSION', 'PII_BLIND_INDEX_KEY'];
+
+const KEY_1 = crypto.randomBytes(32).toString('base64');
+const KEY_2 = crypto.randomBytes(32).toString('base64');
+const BLIND_KEY = crypto.randomBytes(32).toString('base64');
+
+// The keyring is parsed once per module, so each case loads it fresh under its env
+function loadWithEnv(t, env) {
+  const saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  t.after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+  for (const key of ENV_KEYS) delete process.env[key];
+  Object.assign(process.env, env);
+  t.mock.method(console, 'warn', () => {});
+
+  delete require.cache[require.resolve('./piiService.cjs')];
+  return require('./piiService.cjs');
+}
+
+const TOURIST = {
+  dtid: `0x${'ab'.repeat(32)}`,
+  full_name: 'Anil Kumar',
+  id_type: 'aadhaar',
+  id_number: '234567890124',
+  date_of_birth: '1990-04-12',
+  contact_number: '+919876543210',
+  email: 'anil@example.com',
+  emergency_contact_1: '+919812345678',
+  emergency_contact_2: null
+};
+
+test('stored rows carry no plaintext PII and decrypt back', (t) => {
+  const pii = loadWithEnv(t, { PII_MASTER_KEYS: `1:${KEY_1}`, PII_BLIND_INDEX_KEY: BLIND_KEY });
+
+  const stored = pii.encryptTouristRow(TOURIST);
+  for (const field of pii.PII_FIELDS) assert.equal(stored[field], null, field);
+  for (const value of ['234567890124', '+919876543210', 'anil@example.com', '1990-04-12']) {
+    assert.doesNotMatch(JSON.stringify(stored), new RegExp(value.replace('+', '\\+')));
+  }
+  assert.equal(stored.pii_key_version, 1);
+
+  const decrypted = pii.decryptTouristRow(stored);
+  assert.equal(decrypted.id_number, '234567890124');
+  assert.equal(decrypted.email, 'anil@example.com');
+  assert.equal(decrypted.id_number_encrypted, undefined);
+  assert.equal(decrypted.contact_number_bidx, undefined);
+});
+
+test('ciphertext is bound to its field', (t) => {
+  const pii = loadWithEnv(t, { PII_MASTER_KEYS: `1:${KEY_1}`, PII_BLIND_INDEX_KEY: BLIND_KEY });
+
+  const stored = pii.encryptTouristRow(TOURIST);
+  const swapped = { ...stored, email_encrypted: stored.contact_number_encrypted };
+  assert.throws(() => pii.decryptTouristRow(swapped));
+});
+
+test('blind indexes match normalized values and depend on the field', (t) => {
+  const pii = loadWithEnv(t, { PII_MASTER_KEYS: `1:${KEY_1}`, PII_BLIND_INDEX_KEY: BLIND_KEY });
+
+  assert.equal(pii.blindIndex('email', ' Anil@Example.com '), pii.blindIndex('email', 'anil@example.com'));
+  assert.notEqual(pii.blindIndex('email', 'x'), pii.blindIndex('id_number', 'x'));
+  assert.equal(pii.blindIndex('email', ''), null);
+  assert.equal(pii.encryptTouristRow(TOURIST).email_bidx, pii.blindIndex('email', 'anil@example.com'));
+});
+
+test('key rotation re-wraps data keys and keeps old rows readable', (t) => {
+  const before = loadWithEnv(t, { PII_MASTER_KEYS: `1:${KEY_1}`, PII_BLIND_INDEX_KEY: BLIND_KEY });
+  const stored = before.encryptTouristRow(TOURIST);
+
+  const after = loadWithEnv(t, { PII_MASTER_KEYS: `1:${KEY_1},2:${KEY_2}`, PII_BLIND_INDEX_KEY: BLIND_KEY });
+  assert.equal(after.decryptTouristRow(stored).id_number, '234567890124');
+
+  const rewrapped = { ...stored, ...after.rewrapDataKey(stored.pii_data_key) };
+  assert.equal(rewrapped.pii_key_version, 2);
+  assert.match(rewrapped.pii_data_key, /^v2\./);
+
+  const retired = loadWithEnv(t, { PII_MASTER_KEYS: `2:${KEY_2}`, PII_BLIND_INDEX_KEY: BLIND_KEY });
+  assert.equal(retired.decryptTouristRow(rewrapped).contact_number, '+919876543210');
+  assert.throws(() => retired.decryptTouristRow(stored), /master key version 1 is not configured/);
+});
+
+test('updates re-encrypt changed fields and migrate plaintext rows', (t) => {
+  const pii = loadWithEnv(t, { PII_MASTER_KEYS: `1:${KEY_1}`, PII_BLIND_INDEX_KEY: BLIND_KEY });
+
+  const stored = pii.encryptTouristRow(TOURIST);
+  const update = pii.encryptTouristUpdates({ email: 'new@example.com' }, stored);
+  assert.equal(update.email, null);
+  assert.equal(pii.decryptTouristRow({ ...stored, ...update }).email, 'new@example.com');
+  assert.deepEqual(pii.encryptTouristUpdates({ accommodation: 'Hotel' }, stored), { accommodation: 'Hotel' });
+
+  const migrated = pii.encryptTouristUpdates({ email: 'new@example.com' }, TOURIST);
+  assert.ok(migrated.pii_data_key);
+  assert.equal(migrated.id_number, null);
+  assert.equal(pii.decryptTouristRow({ ...TOURIST, ...migrated }).id_number, '234567890124');
+});
+
+test('erasure drops the data key, so sealed copies cannot be read', (t) => {
+  const pii = loadWithEnv(t, { PII_MASTER_KEYS: `1:${KEY_1}`, PII_BLIND_INDEX_KEY: BLIND_KEY });
+
+  const stored = pii.encryptTouristRow(TOURIST);
+  const sealed = pii.sealFields({ email: 'anil@example.com', field: 'email' }, stored.pii_data_key);
+  assert.equal(sealed.field, 'email');
+  assert.equal(pii.openFields(sealed, stored.pii_data_key).email, 'anil@example.com');
+
+  const erased = { ...stored, ...pii.erasedPIIColumns() };
+  assert.equal(erased.pii_data_key, null);
+  assert.equal(erased.email_bidx, null);
+  assert.equal(erased.id_number_encrypted, null);
+  assert.equal(pii.openFields(sealed, erased.pii_data_key).email, sealed.email);
+});
+
+test('profiles are redacted per audience', (t) => {
+  const pii = loadWithEnv(t, { PII_MASTER_KEYS: `1:${KEY_1}`, PII_BLIND_INDEX_KEY: BLIND_KEY });
+  const tourist = { ...pii.decryptTouristRow(pii.encryptTouristRow(TOURIST)), kyc_status: 'verified' };
+
+  const own = pii.redactTourist(tourist, { role: 'tourist', dtid: TOURIST.dtid });
+  assert.equal(own.id_number, '234567890124');
+  assert.equal(own.pii_data_key, undefined);
+
+  assert.equal(pii.redactTourist(tourist, { role: 'admin', admin_role: 'police' }).id_number, '********0124');
+
+  const partner = pii.redactTourist(tourist, { role: 'partner' });
+  assert.deepEqual(Object.keys(partner).sort(), ['dtid', 'full_name', 'id_type', 'kyc_status']);
+});
+
+test('production refuses to run without configured keys', (t) => {
+  const pii = loadWithEnv(t, { NODE_ENV: 'production' });
+  assert.throws(() => pii.blindIndex('email', 'anil@example.com'), /must be set in production/);
+
+  const short = loadWithEnv(t, { PII_MASTER_KEYS: `1:${KEY_1}`, PII_BLIND_INDEX_KEY: Buffer.alloc(16).toString('base64') });
+  assert.throws(() => short.blindIndex('email', 'x'), /at least 32 bytes/);
+});
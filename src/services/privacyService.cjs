@@ -0,0 +1,691 @@
+// src/services/privacyService.cjs
+const path = require('path');
+const fs = require('fs').promises;
+const supabase = require('../config/database.cjs');
+const { getTouristByDTID, storeBlockchainTransaction } = require('./databaseService.cjs');
+const { getDocumentStorage } = require('./documentStorage.cjs');
+const { revokeDTIDOnChain } = require('./blockchainService.cjs');
+const { cancelRegistrations } = require('./chainQueueService.cjs');
+const { getProfileChangeHistory } = require('./profileService.cjs');
+const { erasedPIIColumns, redactTourist } = require('./piiService.cjs');
+const { documentTypeFromKey } = require('./documentService.cjs');
+const { normalizePhoneNumber } = require('./phoneService.cjs');
+const { normalizeEmailAddress } = require('./notificationService.cjs');
+const { getSessionStore, eraseSubjectSessions } = require('./sessionStore.cjs');
+const { getOtpStore } = require('./otpStore.cjs');
+const { forgetIdentifier } = require('./lockoutStore.cjs');
+const { eraseAuthEvents } = require('./authAuditLog.cjs');
+require('dotenv').config();
+const { CONSENT_PURPOSES, CONSENT_POLICY_VERSION, REQUEST_TYPES, REQUEST_STATUSES } = require('../config/constants.cjs');
+
+/**
+ * Privacy Service - consent records and data subject rights (export, erasure).
+ *
+ *  - Consent: tracking, police_sharing and marketing are captured at KYC and
+ *    may be changed later. Every decision is appended to consent_records with
+ *    the privacy notice version (CONSENT_POLICY_VERSION) it was given to.
+ *  - Export: everything stored about a tourist, across predecessor DTIDs.
+ *  - Erasure: PII is removed from the tourists rows (kept as tombstones with
+ *    erased_at), related rows are deleted or stripped, the ID scan and QR code
+ *    are deleted from storage and DTIDs registered on-chain are revoked, since
+ *    the chain itself cannot be erased. Sessions, pending OTPs, lockout
+ *    counters and auth events are found by the DTIDs and by the mobile number
+ *    and email the tourist logs in with, so the tourists rows are
+ *    anonymized last. Each step is idempotent, so a failed erasure can be
+ *    retried by an admin.
+ *
+ * Requests are logged in data_subject_requests (see create_privacy_tables.sql).
+ */
+
+const QR_BUCKET = 'qrcodes';
+const QR_DIRECTORY = path.resolve(process.cwd(), 'public', 'qr-codes'); // see qrCodeService.cjs
+
+// Tables recording the local path of a QR image
+const QR_PATH_TABLES = ['blockchain_transactions', 'blockchain_jobs'];
+
+// History tables naming who made each change in actor_id
+const ACTOR_TABLES = ['kyc_status_history', 'trip_changes', 'profile_change_history', 'data_subject_requests'];
+
+// Tombstone left in tourists after erasure
+const ERASED_TOURIST = {
+  full_name: '[erased]',
+  nationality: null,
+  id_type: null,
+  id_file_path: null,
+  accommodation: null,
+  Trip_Start: null,
+  Trip_End: null,
+  possible_duplicate: false
+};
+
+// Current decision per purpose from consent records, oldest first
+function currentConsents(records) {
+  const current = Object.fromEntries(CONSENT_PURPOSES.map(purpose => [purpose, null]));
+  for (const record of records) {
+    current[record.purpose] = {
+      granted: record.granted,
+      policy_version: record.policy_version,
+      recorded_at: record.created_at
+    };
+  }
+  return current;
+}
+
+async function getConsentRecords(dtids) {
+  const { data, error } = await supabase
+    .from('consent_records')
+    .select('*')
+    .in('dtid', dtids)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * The tourist row and its predecessors, newest first
+ * @param {Object} tourist - Tourist row
+ * @returns {Promise<Object[]>}
+ */
+async function getRegistrations(tourist) {
+  const registrations = [tourist];
+  let previous = tourist.predecessor_dtid;
+  while (previous && !registrations.some(row => row.dtid === previous)) {
+    const row = await getTouristByDTID(previous);
+    if (!row) break;
+    registrations.push(row);
+    previous = row.predecessor_dtid;
+  }
+  return registrations;
+}
+
+// Tourist who can still exercise their rights through this DTID
+async function getActiveTourist(dtid) {
+  const tourist = await getTouristByDTID(dtid);
+  if (!tourist) {
+    return { error: { success: false, error: 'Tourist not found for the given DTID', code: 'NOT_FOUND' } };
+  }
+  if (tourist.erased_at) {
+    return { error: { success: false, error: 'The data of this DTID has been erased', code: 'CONFLICT' } };
+  }
+  if (tourist.successor_dtid) {
+    return { error: { success: false, error: `This DTID was replaced by ${tourist.successor_dtid}`, code: 'CONFLICT' } };
+  }
+  return { tourist };
+}
+
+/**
+ * Record consent decisions under the current privacy notice
+ * @param {string} dtid - Tourist DTID
+ * @param {Object} choices - { tracking, police_sharing, marketing } booleans; missing purposes are skipped
+ * @param {Object} context - { source: 'kyc'|'tourist', ip, user_agent }
+ * @returns {Promise<Object>} - { success, error, data: inserted records }
+ */
+async function recordConsents(dtid, choices, context = {}) {
+  const records = CONSENT_PURPOSES
+    .filter(purpose => typeof choices[purpose] === 'boolean')
+    .map(purpose => ({
+      dtid,
+      purpose,
+      granted: choices[purpose],
+      policy_version: CONSENT_POLICY_VERSION,
+      source: context.source || 'tourist',
+      ip_address: context.ip || null,
+      user_agent: context.user_agent || null
+    }));
+
+  if (records.length === 0) return { success: true, error: null, data: [] };
+
+  const { data, error } = await supabase.from('consent_records').insert(records).select();
+  if (error) {
+    console.error('[PRIVACY] Error recording consent:', error);
+    return { success: false, error: error.message, data: null };
+  }
+
+  console.log(`[PRIVACY] Consent recorded for ${dtid} (${context.source || 'tourist'}):`, records.map(record => `${record.purpose}=${record.granted}`).join(', '));
+  return { success: true, error: null, data };
+}
+
+/**
+ * Current consent of a tourist and every decision behind it
+ * @param {string} dtid - Tourist DTID
+ * @returns {Promise<Object>} - { success, error, code, data: { dtid, policy_version, consents, history } }
+ */
+async function getConsents(dtid) {
+  try {
+    const tourist = await getTouristByDTID(dtid);
+    if (!tourist) {
+      return { success: false, error: 'Tourist not found for the given DTID', code: 'NOT_FOUND', data: null };
+    }
+
+    const history = await getConsentRecords([dtid]);
+    return {
+      success: true,
+      error: null,
+      data: { dtid, policy_version: CONSENT_POLICY_VERSION, consents: currentConsents(history), history }
+    };
+  } catch (err) {
+    console.error('[PRIVACY] Error fetching consent:', err);
+    return { success: false, error: err.message, data: null };
+  }
+}
+
+/**
+ * Change consent decisions. Only purposes whose decision (or privacy notice
+ * version) changed are recorded.
+ * @param {string} dtid - Tourist DTID
+ * @param {Object} choices - { tracking, police_sharing, marketing }, each optional
+ * @param {Object} context - { ip, user_agent }
+ * @returns {Promise<Object>} - { success, error, code, data: { dtid, policy_version, consents, recorded } }
+ */
+async function updateConsents(dtid, choices, context = {}) {
+  try {
+    const { error: notActive } = await getActiveTourist(dtid);
+    if (notActive) return notActive;
+
+    const current = currentConsents(await getConsentRecords([dtid]));
+    const changed = Object.fromEntries(CONSENT_PURPOSES
+      .filter(purpose => typeof choices[purpose] === 'boolean')
+      .filter(purpose => !current[purpose] ||
+        current[purpose].granted !== choices[purpose] ||
+        current[purpose].policy_version !== CONSENT_POLICY_VERSION)
+      .map(purpose => [purpose, choices[purpose]]));
+
+    const recorded = await recordConsents(dtid, changed, { ...context, source: 'tourist' });
+    if (!recorded.success) return recorded;
+
+    for (const record of recorded.data) {
+      current[record.purpose] = { granted: record.granted, policy_version: record.policy_version, recorded_at: record.created_at };
+    }
+    return {
+      success: true,
+      error: null,
+      data: { dtid, policy_version: CONSENT_POLICY_VERSION, consents: current, recorded: recorded.data }
+    };
+  } catch (err) {
+    console.error('[PRIVACY] Unexpected error updating consent:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Carry the current consent of a DTID over to its successor
+ * @param {string} fromDtid - Predecessor DTID
+ * @param {string} toDtid - Successor DTID
+ * @returns {Promise<Object>} - { success, error, data }
+ */
+async function transferConsents(fromDtid, toDtid) {
+  try {
+    const records = await getConsentRecords([fromDtid]);
+    const current = currentConsents(records);
+    const copies = CONSENT_PURPOSES.filter(purpose => current[purpose]).map(purpose => ({
+      dtid: toDtid,
+      purpose,
+      granted: current[purpose].granted,
+      policy_version: current[purpose].policy_version,
+      source: 'successor'
+    }));
+    if (copies.length === 0) return { success: true, error: null, data: [] };
+
+    const { data, error } = await supabase.from('consent_records').insert(copies).select();
+    if (error) throw error;
+    return { success: true, error: null, data };
+  } catch (err) {
+    console.error('[PRIVACY] Error transferring consent:', err);
+    return { success: false, error: err.message, data: null };
+  }
+}
+
+async function createRequest(requestType, tourist, dtids, actor, fields = {}) {
+  const { data, error } = await supabase
+    .from('data_subject_requests')
+    .insert([{
+      request_type: requestType,
+      dtid: tourist.dtid,
+      dtids,
+      reason: actor.reason || null,
+      actor_type: actor.actor_type || 'tourist',
+      actor_id: actor.actor_id || null,
+      ...fields
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+async function selectByDTIDs(table, dtids) {
+  const { data, error } = await supabase
+    .from(table)
+    .select('*')
+    .in('dtid', dtids)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Everything stored about a tourist, across the DTID and its predecessors
+ * @param {string} dtid - Tourist DTID
+ * @param {Object} actor - { actor_type, actor_id }
+ * @returns {Promise<Object>} - { success, error, code, data }
+ */
+async function exportTouristData(dtid, actor = {}) {
+  try {
+    const { tourist, error: notActive } = await getActiveTourist(dtid);
+    if (notActive) return notActive;
+
+    const registrations = await getRegistrations(tourist);
+    const dtids = registrations.map(row => row.dtid);
+
+    const [kycHistory, itinerary, tripChanges, consents, qrCodes, transactions, requests, profileChanges] = await Promise.all([
+      selectByDTIDs('kyc_status_history', dtids),
+      selectByDTIDs('itinerary_stops', dtids),
+      selectByDTIDs('trip_changes', dtids),
+      getConsentRecords(dtids),
+      selectByDTIDs('qr_codes', dtids),
+      selectByDTIDs('blockchain_transactions', dtids),
+      selectByDTIDs('data_subject_requests', dtids),
+      Promise.all(dtids.map(getProfileChangeHistory))
+    ]);
+
+    const failedProfile = profileChanges.find(result => !result.success);
+    if (failedProfile) throw new Error(failedProfile.error);
+
+    const request = await createRequest('export', tourist, dtids, actor, {
+      status: 'completed',
+      attempts: 1,
+      completed_at: new Date().toISOString()
+    });
+    console.log(`[PRIVACY] Data of ${dtid} exported (${dtids.length} registration(s))`);
+
+    return {
+      success: true,
+      error: null,
+      data: {
+        exported_at: request.completed_at,
+        dtid,
+        registrations: registrations.map(row => ({
+          ...redactTourist(row, { role: 'tourist' }),
+          id_document: row.id_file_path ? { document_type: documentTypeFromKey(row.id_file_path) } : null
+        })),
+        consents: { policy_version: CONSENT_POLICY_VERSION, current: currentConsents(consents.filter(record => record.dtid === dtid)), history: consents },
+        kyc_status_history: kycHistory,
+        itinerary,
+        trip_changes: tripChanges,
+        profile_changes: profileChanges.flatMap(result => result.data.history),
+        profile_change_requests: profileChanges.flatMap(result => result.data.change_requests),
+        qr_codes: qrCodes,
+        blockchain_transactions: transactions,
+        privacy_requests: [...requests, request]
+      }
+    };
+  } catch (err) {
+    console.error('[PRIVACY] Unexpected error exporting data:', err);
+    return { success: false, error: err.message, data: null };
+  }
+}
+
+/**
+ * Delete the uploaded ID scans of the given registrations
+ * @param {string[]} dtids - DTIDs
+ * @param {Object} options - { dryRun: only list what would be deleted }
+ * @returns {Promise<string[]>} - Storage keys deleted
+ */
+async function deleteIdDocuments(dtids, { dryRun = false } = {}) {
+  const { data: rows, error } = await supabase
+    .from('tourists')
+    .select('dtid, id_file_path')
+    .in('dtid', dtids);
+  if (error) throw error;
+
+  // Successor rows share their predecessor's scan
+  const keys = [...new Set(rows.map(row => row.id_file_path).filter(Boolean))];
+  if (dryRun) return keys;
+
+  const storage = getDocumentStorage();
+  for (const key of keys) {
+    await storage.delete(key);
+  }
+
+  if (keys.length > 0) {
+    const { error: updateError } = await supabase
+      .from('tourists')
+      .update({ id_file_path: null })
+      .in('dtid', dtids);
+    if (updateError) throw updateError;
+  }
+  return keys;
+}
+
+/**
+ * Delete the QR codes of the given registrations: the PNGs in the qrcodes
+ * bucket (named <dtid>.png), the local copies in public/qr-codes (referenced
+ * by qr_codes.file_url or a QR_PATH_TABLES qr_path) and the qr_codes rows
+ * @param {string[]} dtids - DTIDs
+ * @param {Object} options - { dryRun: only list what would be deleted }
+ * @returns {Promise<string[]>} - Bucket objects and local files deleted
+ */
+async function deleteQRCodes(dtids, { dryRun = false } = {}) {
+  const [qrCodes, ...qrPaths] = await Promise.all([
+    supabase.from('qr_codes').select('dtid, file_url').in('dtid', dtids),
+    ...QR_PATH_TABLES.map(table => supabase.from(table).select('dtid, qr_path').in('dtid', dtids).not('qr_path', 'is', null))
+  ]);
+  for (const result of [qrCodes, ...qrPaths]) {
+    if (result.error) throw result.error;
+  }
+
+  const deleted = [];
+  if (qrCodes.data.length > 0) {
+    const objects = qrCodes.data.map(({ dtid }) => `${dtid}.png`);
+    if (!dryRun) {
+      const { error: removeError } = await supabase.storage.from(QR_BUCKET).remove(objects);
+      if (removeError) throw removeError;
+    }
+    deleted.push(...objects.map(object => `${QR_BUCKET}/${object}`));
+  }
+
+  // Only file names are trusted, so nothing outside public/qr-codes is touched
+  const localFiles = new Set();
+  for (const { file_url } of qrCodes.data) {
+    const pathname = file_url ? new URL(file_url, 'http://localhost').pathname : '';
+    if (pathname.startsWith('/qr-codes/')) localFiles.add(path.basename(pathname));
+  }
+  for (const { qr_path } of qrPaths.flatMap(result => result.data)) {
+    localFiles.add(path.basename(qr_path));
+  }
+  for (const fileName of localFiles) {
+    const filePath = path.resolve(QR_DIRECTORY, fileName);
+    try {
+      await (dryRun ? fs.access(filePath) : fs.unlink(filePath));
+      deleted.push(filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+  if (dryRun) return deleted;
+
+  const { error: deleteError } = await supabase.from('qr_codes').delete().in('dtid', dtids);
+  if (deleteError) throw deleteError;
+  for (const [index, table] of QR_PATH_TABLES.entries()) {
+    if (qrPaths[index].data.length === 0) continue;
+    const { error: updateError } = await supabase
+      .from(table)
+      .update({ qr_path: null })
+      .in('dtid', dtids);
+    if (updateError) throw updateError;
+  }
+  return deleted;
+}
+
+// Delete rows that only exist for the tourist, strip identifying details from audit rows
+async function eraseRelatedRows(dtids, identifiers) {
+  const steps = [
+    supabase.from('itinerary_stops').delete().in('dtid', dtids),
+    // History references change requests, so it goes first
+    supabase.from('profile_change_history').delete().in('dtid', dtids),
+    supabase.from('profile_change_requests').delete().in('dtid', dtids),
+    supabase.from('kyc_duplicate_matches').delete().in('dtid', dtids),
+    supabase.from('kyc_duplicate_matches').delete().in('matched_dtid', dtids),
+    supabase.from('kyc_status_history').update({ reason: null }).in('dtid', dtids),
+    supabase.from('kyc_status_history').update({ actor_id: null }).in('dtid', dtids).eq('actor_type', 'tourist'),
+    supabase.from('trip_changes').update({ reason: null }).in('dtid', dtids),
+    supabase.from('trip_changes').update({ actor_id: null }).in('dtid', dtids).eq('actor_type', 'tourist'),
+    // Consent records stay as proof, without the client details
+    supabase.from('consent_records').update({ ip_address: null, user_agent: null }).in('dtid', dtids),
+    // Rows of other registrations can name the tourist as their actor too
+    ...ACTOR_TABLES.map(table => supabase.from(table).update({ actor_id: null }).in('actor_id', [...dtids, ...identifiers]))
+  ];
+
+  for (const step of steps) {
+    const { error } = await step;
+    if (error) throw error;
+  }
+}
+
+// Mobile numbers and email addresses the tourist logs in with, as the auth
+// stores key them (E.164, lowercased). Read before the PII is erased.
+async function getLoginIdentifiers(dtids) {
+  const identifiers = new Set();
+  for (const dtid of dtids) {
+    const tourist = await getTouristByDTID(dtid);
+    if (!tourist) continue;
+    const phone = tourist.contact_number ? normalizePhoneNumber(tourist.contact_number) : null;
+    if (phone && phone.valid) identifiers.add(phone.e164);
+    const email = normalizeEmailAddress(tourist.email);
+    if (email) identifiers.add(email);
+  }
+  return [...identifiers];
+}
+
+// Delete sessions (and the claims stored with them), pending OTPs and lockout
+// counters, and strip the identifiers from auth events
+async function eraseAuthRecords(dtids, identifiers) {
+  const sessions = getSessionStore();
+  let count = 0;
+  for (const subjectId of [...dtids, ...identifiers]) {
+    count += await eraseSubjectSessions(sessions, 'tourist', subjectId);
+  }
+
+  const otpStore = getOtpStore();
+  for (const identifier of identifiers) {
+    await otpStore.delete(identifier);
+    await forgetIdentifier(identifier);
+  }
+  await eraseAuthEvents({ identifiers, subjectIds: dtids });
+  return count;
+}
+
+// Revoke every registered DTID that is not revoked yet. Queued registrations
+// are cancelled; one already sent has to confirm before it can be revoked.
+async function revokeRegisteredDTIDs(dtids) {
+  const { in_flight: inFlight } = await cancelRegistrations(dtids);
+  if (inFlight.length > 0) {
+    throw new Error(`On-chain registration of ${inFlight.join(', ')} is still in flight; retry once it is confirmed`);
+  }
+
+  const { data, error } = await supabase
+    .from('blockchain_transactions')
+    .select('dtid, status')
+    .in('dtid', dtids);
+  if (error) throw error;
+
+  const revoked = new Set(data.filter(row => row.status === 'revoked').map(row => row.dtid));
+  const registered = [...new Set(data.filter(row => row.status === 'confirmed').map(row => row.dtid))];
+  const outcome = { revoked: [], already_revoked: [], failed: [] };
+
+  for (const dtid of registered) {
+    if (revoked.has(dtid)) {
+      outcome.already_revoked.push(dtid);
+      continue;
+    }
+    const result = await revokeDTIDOnChain(dtid);
+    if (!result.success) {
+      outcome.failed.push({ dtid, error: result.error });
+      continue;
+    }
+    await storeBlockchainTransaction(dtid, {
+      transactionHash: result.transactionHash,
+      contractAddress: result.contractAddress,
+      blockNumber: result.blockNumber,
+      gasUsed: result.gasUsed,
+      status: 'revoked'
+    });
+    outcome.revoked.push(dtid);
+  }
+  return outcome;
+}
+
+/**
+ * Remove a tourist's PII: sessions and auth records, ID scans, QR codes and
+ * related rows are deleted or stripped and the tourists rows become
+ * tombstones. Does not touch the chain.
+ * @param {string[]} dtids - The DTID and its predecessors
+ * @returns {Promise<Object>} - { sessions, files: { documents, qr_codes }, tourists }
+ */
+async function anonymizeTourists(dtids) {
+  const identifiers = await getLoginIdentifiers(dtids);
+  const sessions = await eraseAuthRecords(dtids, identifiers);
+  const documents = await deleteIdDocuments(dtids);
+  const qrCodes = await deleteQRCodes(dtids);
+  await eraseRelatedRows(dtids, identifiers);
+
+  const now = new Date().toISOString();
+  const { data: erased, error } = await supabase
+    .from('tourists')
+    .update({ ...ERASED_TOURIST, ...erasedPIIColumns(), erased_at: now, updated_at: now })
+    .in('dtid', dtids)
+    .select('dtid');
+  if (error) throw error;
+
+  return { sessions, files: { documents: documents.length, qr_codes: qrCodes.length }, tourists: erased.length };
+}
+
+/**
+ * Run (or re-run) the steps of an erasure request
+ * @param {Object} request - data_subject_requests row
+ * @returns {Promise<Object>} - { success, error, data: request }
+ */
+async function processDeletionRequest(request) {
+  const { dtids } = request;
+  let result = {};
+  let failure = null;
+
+  try {
+    result = await anonymizeTourists(dtids);
+    result.onchain = await revokeRegisteredDTIDs(dtids);
+    if (result.onchain.failed.length > 0) {
+      failure = `On-chain revocation failed for ${result.onchain.failed.map(item => item.dtid).join(', ')}`;
+    }
+  } catch (err) {
+    console.error('[PRIVACY] Erasure step failed:', err);
+    failure = err.message;
+  }
+
+  const now = new Date().toISOString();
+  const { data: updated, error: updateError } = await supabase
+    .from('data_subject_requests')
+    .update({
+      status: failure ? 'failed' : 'completed',
+      attempts: (request.attempts || 0) + 1,
+      result,
+      error: failure,
+      completed_at: failure ? null : now,
+      updated_at: now
+    })
+    .eq('id', request.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    console.error('[PRIVACY] Error updating erasure request:', updateError);
+    return { success: false, error: updateError.message, data: null };
+  }
+
+  if (failure) {
+    console.log(`[PRIVACY] ⚠️ Erasure ${request.id} of ${request.dtid} incomplete:`, failure);
+  } else {
+    console.log(`[PRIVACY] ✅ Erasure ${request.id} of ${request.dtid} completed (${dtids.length} registration(s))`);
+  }
+  return { success: true, error: null, data: updated };
+}
+
+/**
+ * Erase a tourist's data, including predecessor DTIDs
+ * @param {string} dtid - Tourist DTID
+ * @param {Object} actor - { actor_type, actor_id, reason }
+ * @returns {Promise<Object>} - { success, error, code, data: request } (request.status is 'failed' if a step must be retried)
+ */
+async function requestDeletion(dtid, actor = {}) {
+  try {
+    const { tourist, error: notActive } = await getActiveTourist(dtid);
+    if (notActive) return notActive;
+
+    const registrations = await getRegistrations(tourist);
+    const request = await createRequest('deletion', tourist, registrations.map(row => row.dtid), actor);
+    console.log(`[PRIVACY] Erasure ${request.id} requested for ${dtid} by ${actor.actor_type || 'tourist'}:${actor.actor_id || '-'}`);
+
+    return processDeletionRequest(request);
+  } catch (err) {
+    console.error('[PRIVACY] Unexpected error requesting erasure:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Retry a failed erasure
+ * @param {number} requestId - data_subject_requests id
+ * @returns {Promise<Object>} - { success, error, code, data: request }
+ */
+async function retryDeletionRequest(requestId) {
+  try {
+    const { data: request, error } = await supabase
+      .from('data_subject_requests')
+      .select('*')
+      .eq('id', requestId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[PRIVACY] Error fetching request:', error);
+      return { success: false, error: error.message };
+    }
+    if (!request || request.request_type !== 'deletion') {
+      return { success: false, error: 'Erasure request not found', code: 'NOT_FOUND' };
+    }
+    if (request.status !== 'failed') {
+      return { success: false, error: `Erasure request is ${request.status}`, code: 'CONFLICT' };
+    }
+
+    return processDeletionRequest(request);
+  } catch (err) {
+    console.error('[PRIVACY] Unexpected error retrying erasure:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * List data subject requests, newest first
+ * @param {Object} filters - { request_type, status, dtid, limit, offset }
+ * @returns {Promise<Object>} - { success, error, data, count }
+ */
+async function listPrivacyRequests(filters = {}) {
+  const limit = Math.min(filters.limit || 50, 200);
+  const offset = filters.offset || 0;
+
+  let query = supabase
+    .from('data_subject_requests')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (filters.request_type) query = query.eq('request_type', filters.request_type);
+  if (filters.status) query = query.eq('status', filters.status);
+  if (filters.dtid) query = query.eq('dtid', filters.dtid);
+
+  const { data, error, count } = await query;
+  if (error) {
+    console.error('[PRIVACY] Error listing requests:', error);
+    return { success: false, error: error.message, data: null };
+  }
+  return { success: true, error: null, data, count };
+}
+
+module.exports = {
+  CONSENT_PURPOSES,
+  CONSENT_POLICY_VERSION,
+  REQUEST_TYPES,
+  REQUEST_STATUSES,
+  QR_DIRECTORY,
+  QR_PATH_TABLES,
+  recordConsents,
+  getConsents,
+  updateConsents,
+  transferConsents,
+  getRegistrations,
+  deleteIdDocuments,
+  deleteQRCodes,
+  anonymizeTourists,
+  exportTouristData,
+  requestDeletion,
+  retryDeletionRequest,
+  listPrivacyRequests
+};
@@ -0,0 +1,120 @@
+// src/services/privacyService.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('../testing/fakeSupabase.cjs');
+
+// Auth records live in the (fake) database, so erasure can be checked row by row
+for (const store of ['SESSION_STORE', 'OTP_STORE', 'LOCKOUT_STORE', 'AUTH_AUDIT_STORE']) {
+  process.env[store] = 'database';
+}
+
+const { rows } = installFakeSupabase();
+const { encryptTouristRow } = require('./piiService.cjs');
+const { requestDeletion } = require('./privacyService.cjs');
+
+const OLD = `0x${'aa'.repeat(32)}`;
+const NEW = `0x${'bb'.repeat(32)}`;
+const OTHER = `0x${'cc'.repeat(32)}`;
+const MOBILE = '+919876543210';
+const EMAIL = 'anil@example.com';
+
+function tourist(dtid, links) {
+  return encryptTouristRow({
+    dtid,
+    full_name: 'Anil Kumar',
+    id_type: 'aadhaar',
+    id_number: '234567890124',
+    date_of_birth: '1990-04-12',
+    contact_number: '+91 98765 43210',
+    email: 'Anil@Example.com',
+    kyc_status: 'verified',
+    predecessor_dtid: null,
+    successor_dtid: null,
+    ...links
+  });
+}
+
+function seed() {
+  for (const table of Object.keys(rows)) delete rows[table];
+  rows.tourists = [
+    tourist(OLD, { successor_dtid: NEW }),
+    tourist(NEW, { predecessor_dtid: OLD })
+  ];
+  rows.refresh_tokens = [
+    { id: 't1', family_id: 'f1', subject_type: 'tourist', subject_id: OLD, claims: { mobile_number: MOBILE } },
+    { id: 't2', family_id: 'f2', subject_type: 'tourist', subject_id: NEW, claims: { email: EMAIL } },
+    { id: 't3', family_id: 'f3', subject_type: 'tourist', subject_id: MOBILE, claims: { mobile_number: MOBILE } },
+    { id: 't4', family_id: 'f4', subject_type: 'tourist', subject_id: OTHER, claims: {} }
+  ];
+  rows.otp_challenges = [{ identifier: MOBILE }, { identifier: EMAIL }, { identifier: '+919800000000' }];
+  rows.auth_lockouts = [
+    { key: `identifier:${MOBILE}`, failures: 3 },
+    { key: `identifier:${EMAIL}`, failures: 1 },
+    { key: 'ip:203.0.113.7', failures: 3 }
+  ];
+  rows.auth_events = [
+    { id: 1, event_type: 'otp_sent', identifier: MOBILE, subject_type: null, subject_id: null, ip_address: '203.0.113.7', user_agent: 'ua' },
+    { id: 2, event_type: 'refresh', identifier: null, subject_type: 'tourist', subject_id: OLD, ip_address: '203.0.113.7', user_agent: 'ua' },
+    { id: 3, event_type: 'otp_verified', identifier: MOBILE, subject_type: 'tourist', subject_id: MOBILE, ip_address: '203.0.113.7', user_agent: 'ua' },
+    { id: 4, event_type: 'otp_sent', identifier: '+919800000000', subject_type: null, subject_id: null, ip_address: '198.51.100.1', user_agent: 'ua' }
+  ];
+  rows.kyc_status_history = [
+    { id: 1, dtid: NEW, actor_type: 'tourist', actor_id: NEW, reason: 'Resubmitted' },
+    { id: 2, dtid: OTHER, actor_type: 'system', actor_id: OLD, reason: null }
+  ];
+  rows.trip_changes = [{ id: 1, dtid: OTHER, actor_type: 'tourist', actor_id: MOBILE, reason: null }];
+}
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  seed();
+}
+
+test('erasure deletes the sessions of every DTID in the chain, with their claims', async (t) => {
+  quiet(t);
+
+  const result = await requestDeletion(NEW, { actor_type: 'tourist', actor_id: NEW });
+  assert.equal(result.success, true);
+  assert.equal(result.data.status, 'completed');
+  assert.deepEqual(result.data.dtids, [NEW, OLD]);
+  assert.equal(result.data.result.sessions, 3);
+  assert.deepEqual(rows.refresh_tokens.map(row => row.id), ['t4']);
+});
+
+test('erasure deletes pending OTPs and lockout counters of the login identifiers', async (t) => {
+  quiet(t);
+
+  await requestDeletion(NEW, { actor_type: 'tourist', actor_id: NEW });
+  assert.deepEqual(rows.otp_challenges.map(row => row.identifier), ['+919800000000']);
+  assert.deepEqual(rows.auth_lockouts.map(row => row.key), ['ip:203.0.113.7']);
+});
+
+test('erasure strips identifiers, IPs and user agents from auth events', async (t) => {
+  quiet(t);
+
+  await requestDeletion(NEW, { actor_type: 'tourist', actor_id: NEW });
+  const [byIdentifier, byDTID, byIdentifierSubject, unrelated] = rows.auth_events;
+  for (const event of [byIdentifier, byDTID, byIdentifierSubject]) {
+    assert.equal(event.identifier, null);
+    assert.equal(event.ip_address, null);
+    assert.equal(event.user_agent, null);
+  }
+  assert.equal(byIdentifier.event_type, 'otp_sent');
+  assert.equal(byDTID.subject_id, OLD);
+  assert.equal(byIdentifierSubject.subject_id, null);
+  assert.equal(unrelated.identifier, '+919800000000');
+  assert.equal(unrelated.ip_address, '198.51.100.1');
+});
+
+test('erasure clears history rows naming the tourist as actor', async (t) => {
+  quiet(t);
+
+  await requestDeletion(NEW, { actor_type: 'tourist', actor_id: NEW });
+  assert.deepEqual(rows.kyc_status_history.map(row => [row.actor_id, row.reason]), [[null, null], [null, null]]);
+  assert.equal(rows.trip_changes[0].actor_id, null);
+  assert.equal(rows.data_subject_requests[0].actor_id, null);
+
+  const erased = rows.tourists.map(row => [row.dtid, row.full_name, row.contact_number_encrypted, row.pii_data_key]);
+  assert.deepEqual(erased, [[OLD, '[erased]', null, null], [NEW, '[erased]', null, null]]);
+});
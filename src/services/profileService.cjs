@@ -0,0 +1,372 @@
+// src/services/profileService.cjs
+const supabase = require('../config/database.cjs');
+const { getTouristByDTID, updateTouristData } = require('./databaseService.cjs');
+const { validateIdentity } = require('./idValidationService.cjs');
+const { sealFields, openFields } = require('./piiService.cjs');
+const { CHANGE_REQUEST_STATUSES } = require('../config/constants.cjs');
+
+/**
+ * Profile Service - tourist self-service profile updates.
+ *
+ *  - Safe fields (email, emergency contacts, accommodation) are applied at once.
+ *  - Identity fields (name, date of birth, ID type/number, nationality) open a
+ *    change request that an admin approves or rejects (profile_change_requests).
+ *
+ * Every applied change is written to profile_change_history, one row per field
+ * (see create_profile_changes_tables.sql). PII values in change requests and
+ * history are encrypted with the tourist's data key (see piiService.cjs).
+ */
+
+const SAFE_FIELDS = ['email', 'emergency_contact_1', 'emergency_contact_2', 'accommodation'];
+const IDENTITY_FIELDS = ['full_name', 'date_of_birth', 'id_type', 'id', 'nationality'];
+
+// API field → tourists column
+const COLUMNS = { id: 'id_number' };
+const columnFor = field => COLUMNS[field] || field;
+
+function pick(source, fields) {
+  return fields.reduce((picked, field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+    return picked;
+  }, {});
+}
+
+function currentValues(tourist, fields) {
+  return fields.reduce((values, field) => {
+    values[field] = tourist[columnFor(field)] ?? null;
+    return values;
+  }, {});
+}
+
+function toColumns(changes) {
+  return Object.fromEntries(Object.entries(changes).map(([field, value]) => [columnFor(field), value]));
+}
+
+const fieldFor = column => Object.keys(COLUMNS).find(field => COLUMNS[field] === column) || column;
+
+function fromColumns(values) {
+  return Object.fromEntries(Object.entries(values).map(([column, value]) => [fieldFor(column), value]));
+}
+
+// Encrypt / decrypt PII values by API field name with a tourist's pii_data_key
+const sealValues = (values, wrappedKey) => fromColumns(sealFields(toColumns(values), wrappedKey));
+const openValues = (values, wrappedKey) => (values ? fromColumns(openFields(toColumns(values), wrappedKey)) : values);
+
+function openChangeRequest(request, wrappedKey) {
+  return request && {
+    ...request,
+    changes: openValues(request.changes, wrappedKey),
+    previous: openValues(request.previous, wrappedKey)
+  };
+}
+
+// pii_data_key of each tourist, by DTID
+async function getDataKeys(dtids) {
+  if (dtids.length === 0) return new Map();
+  const { data, error } = await supabase
+    .from('tourists')
+    .select('dtid, pii_data_key')
+    .in('dtid', [...new Set(dtids)]);
+  if (error) throw error;
+  return new Map(data.map(row => [row.dtid, row.pii_data_key]));
+}
+
+// Only fields whose value actually changes
+function diff(tourist, changes) {
+  return Object.fromEntries(
+    Object.entries(changes).filter(([field, value]) => (tourist[columnFor(field)] ?? null) !== (value ?? null))
+  );
+}
+
+/**
+ * Record applied changes in the profile history
+ * @param {Object} tourist - Tourist row (dtid, pii_data_key)
+ * @param {Object} previous - Old values by field
+ * @param {Object} changes - New values by field
+ * @param {Object} actor - { actor_type, actor_id, change_request_id }
+ */
+async function recordProfileChanges(tourist, previous, changes, actor) {
+  const asText = value => (value === null || value === undefined ? null : String(value));
+  const oldValues = sealValues(Object.fromEntries(Object.keys(changes).map(field => [field, asText(previous[field])])), tourist.pii_data_key);
+  const newValues = sealValues(Object.fromEntries(Object.keys(changes).map(field => [field, asText(changes[field])])), tourist.pii_data_key);
+
+  const entries = Object.keys(changes).map(field => ({
+    dtid: tourist.dtid,
+    field,
+    old_value: oldValues[field],
+    new_value: newValues[field],
+    change_request_id: actor.change_request_id || null,
+    actor_type: actor.actor_type,
+    actor_id: actor.actor_id || null
+  }));
+
+  const { error } = await supabase.from('profile_change_history').insert(entries);
+  if (error) {
+    console.error('[PROFILE] Error recording profile history:', error);
+  }
+}
+
+// Validate an ID change against the rest of the (updated) identity
+function checkIdentity(tourist, changes, mrz) {
+  if (changes.id === undefined && changes.id_type === undefined) return { errors: [] };
+
+  const identity = validateIdentity({
+    id_type: changes.id_type || tourist.id_type,
+    id: changes.id,
+    mrz,
+    full_name: changes.full_name ?? tourist.full_name,
+    date_of_birth: changes.date_of_birth ?? tourist.date_of_birth,
+    nationality: changes.nationality ?? tourist.nationality
+  });
+  return { errors: identity.errors, id_number: identity.id_number };
+}
+
+/**
+ * Update a tourist's own profile
+ * @param {string} dtid - Tourist DTID
+ * @param {Object} updates - Validated fields (see schemas/kyc.cjs profileUpdate), plus optional mrz
+ * @param {Object} actor - { actor_type, actor_id }
+ * @returns {Promise<Object>} - { success, error, code, errors, data: { updated, change_request } }
+ */
+async function updateTouristProfile(dtid, updates, actor) {
+  try {
+    const tourist = await getTouristByDTID(dtid);
+    if (!tourist) {
+      return { success: false, error: 'Tourist not found for the given DTID', code: 'NOT_FOUND' };
+    }
+    if (tourist.successor_dtid) {
+      return { success: false, error: `This DTID was replaced by ${tourist.successor_dtid}`, code: 'CONFLICT' };
+    }
+
+    const requestedIdentity = pick(updates, IDENTITY_FIELDS);
+    const identity = checkIdentity(tourist, requestedIdentity, updates.mrz);
+    if (identity.errors.length) {
+      return { success: false, error: identity.errors[0].message, code: 'VALIDATION', errors: identity.errors };
+    }
+    if (identity.id_number) requestedIdentity.id = identity.id_number;
+
+    const safeChanges = diff(tourist, pick(updates, SAFE_FIELDS));
+    const identityChanges = diff(tourist, requestedIdentity);
+
+    let changeRequest = null;
+    if (Object.keys(identityChanges).length > 0) {
+      const { data, error } = await supabase
+        .from('profile_change_requests')
+        .insert([{
+          dtid,
+          changes: sealValues(identityChanges, tourist.pii_data_key),
+          previous: sealValues(currentValues(tourist, Object.keys(identityChanges)), tourist.pii_data_key),
+          status: 'pending',
+          requested_by: actor.actor_id || null
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          return { success: false, error: 'An identity change is already waiting for review', code: 'CONFLICT' };
+        }
+        console.error('[PROFILE] Error creating change request:', error);
+        return { success: false, error: error.message };
+      }
+      changeRequest = openChangeRequest(data, tourist.pii_data_key);
+      console.log(`[PROFILE] Change request ${data.id} opened for ${dtid}: ${Object.keys(identityChanges).join(', ')}`);
+    }
+
+    if (Object.keys(safeChanges).length > 0) {
+      const updated = await updateTouristData(dtid, toColumns(safeChanges));
+      if (!updated) {
+        return { success: false, error: 'Failed to update profile' };
+      }
+      await recordProfileChanges(tourist, currentValues(tourist, Object.keys(safeChanges)), safeChanges, actor);
+      console.log(`[PROFILE] ${dtid} updated ${Object.keys(safeChanges).join(', ')}`);
+    }
+
+    return { success: true, error: null, data: { updated: safeChanges, change_request: changeRequest } };
+  } catch (err) {
+    console.error('[PROFILE] Unexpected error updating profile:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * List identity change requests, oldest first
+ * @param {Object} filters - { status, dtid, limit, offset }
+ * @returns {Promise<Object>} - { success, error, data, count }
+ */
+async function listProfileChangeRequests(filters = {}) {
+  const limit = Math.min(filters.limit || 50, 200);
+  const offset = filters.offset || 0;
+
+  let query = supabase
+    .from('profile_change_requests')
+    .select('*', { count: 'exact' })
+    .eq('status', filters.status || 'pending')
+    .order('created_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (filters.dtid) query = query.eq('dtid', filters.dtid);
+
+  try {
+    const { data, error, count } = await query;
+    if (error) {
+      console.error('[PROFILE] Error listing change requests:', error);
+      return { success: false, error: error.message, data: null };
+    }
+
+    const keys = await getDataKeys(data.map(request => request.dtid));
+    return { success: true, error: null, data: data.map(request => openChangeRequest(request, keys.get(request.dtid))), count };
+  } catch (err) {
+    console.error('[PROFILE] Unexpected error listing change requests:', err);
+    return { success: false, error: err.message, data: null };
+  }
+}
+
+/**
+ * Approve (apply) or reject an identity change request
+ * @param {number} requestId - Change request id
+ * @param {string} decision - 'approve' | 'reject'
+ * @param {Object} actor - { actor_id, reason }
+ * @returns {Promise<Object>} - { success, error, code, data }
+ */
+async function reviewProfileChangeRequest(requestId, decision, actor) {
+  try {
+    if (decision === 'reject' && !actor.reason) {
+      return { success: false, error: 'A comment is required to reject a change request', code: 'VALIDATION' };
+    }
+
+    const { data: request, error: fetchError } = await supabase
+      .from('profile_change_requests')
+      .select('*')
+      .eq('id', requestId)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('[PROFILE] Error fetching change request:', fetchError);
+      return { success: false, error: fetchError.message };
+    }
+    if (!request) {
+      return { success: false, error: 'Change request not found', code: 'NOT_FOUND' };
+    }
+    if (request.status !== 'pending') {
+      return { success: false, error: `Change request is already ${request.status}`, code: 'CONFLICT' };
+    }
+
+    const tourist = await getTouristByDTID(request.dtid);
+    if (!tourist) {
+      return { success: false, error: 'Tourist not found for the given DTID', code: 'NOT_FOUND' };
+    }
+
+    // Claim the request first so two reviewers cannot both apply it
+    const { data: claimed, error: claimError } = await supabase
+      .from('profile_change_requests')
+      .update({
+        status: decision === 'approve' ? 'approved' : 'rejected',
+        review_comment: actor.reason || null,
+        reviewed_by: actor.actor_id,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', requestId)
+      .eq('status', 'pending')
+      .select();
+
+    if (claimError) {
+      console.error('[PROFILE] Error updating change request:', claimError);
+      return { success: false, error: claimError.message };
+    }
+    if (!claimed || claimed.length === 0) {
+      return { success: false, error: 'Change request was reviewed by someone else', code: 'CONFLICT' };
+    }
+
+    const changes = openValues(request.changes, tourist.pii_data_key);
+    if (decision === 'approve') {
+      const previous = currentValues(tourist, Object.keys(changes));
+      const updated = await updateTouristData(request.dtid, toColumns(changes));
+      if (!updated) {
+        // Reopen so the change is not lost
+        await supabase
+          .from('profile_change_requests')
+          .update({ status: 'pending', review_comment: null, reviewed_by: null, reviewed_at: null })
+          .eq('id', requestId);
+        return { success: false, error: 'Failed to apply the change request' };
+      }
+      await recordProfileChanges(tourist, previous, changes, {
+        actor_type: 'admin',
+        actor_id: actor.actor_id,
+        change_request_id: requestId
+      });
+    }
+
+    console.log(`[PROFILE] Change request ${requestId} for ${request.dtid} ${claimed[0].status} by ${actor.actor_id}`);
+    return { success: true, error: null, data: openChangeRequest(claimed[0], tourist.pii_data_key) };
+  } catch (err) {
+    console.error('[PROFILE] Unexpected error reviewing change request:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Profile change history and change requests of a tourist, oldest first
+ * @param {string} dtid - Tourist DTID
+ * @returns {Promise<Object>} - { success, error, data: { history, change_requests } }
+ */
+async function getProfileChangeHistory(dtid) {
+  try {
+    const [history, requests, keys] = await Promise.all([
+      supabase.from('profile_change_history').select('*').eq('dtid', dtid).order('created_at', { ascending: true }),
+      supabase.from('profile_change_requests').select('*').eq('dtid', dtid).order('created_at', { ascending: true }),
+      getDataKeys([dtid])
+    ]);
+
+    const error = history.error || requests.error;
+    if (error) {
+      console.error('[PROFILE] Error fetching profile history:', error);
+      return { success: false, error: error.message, data: null };
+    }
+
+    const wrappedKey = keys.get(dtid);
+    const entries = history.data.map(entry => {
+      const [oldValue, newValue] = [entry.old_value, entry.new_value].map(value => openValues({ [entry.field]: value }, wrappedKey)[entry.field]);
+      return { ...entry, old_value: oldValue, new_value: newValue };
+    });
+    return {
+      success: true,
+      error: null,
+      data: { history: entries, change_requests: requests.data.map(request => openChangeRequest(request, wrappedKey)) }
+    };
+  } catch (err) {
+    console.error('[PROFILE] Unexpected error fetching profile history:', err);
+    return { success: false, error: err.message, data: null };
+  }
+}
+
+/**
+ * Move a pending identity change request to a successor DTID (see tripService.cjs)
+ * @param {string} fromDtid - Predecessor DTID
+ * @param {string} toDtid - Successor DTID
+ * @returns {Promise<Object>} - { success, error }
+ */
+async function transferPendingChangeRequest(fromDtid, toDtid) {
+  const { error } = await supabase
+    .from('profile_change_requests')
+    .update({ dtid: toDtid })
+    .eq('dtid', fromDtid)
+    .eq('status', 'pending');
+
+  if (error) {
+    console.error('[PROFILE] Error moving change request to successor DTID:', error);
+    return { success: false, error: error.message };
+  }
+  return { success: true, error: null };
+}
+
+module.exports = {
+  SAFE_FIELDS,
+  IDENTITY_FIELDS,
+  CHANGE_REQUEST_STATUSES,
+  updateTouristProfile,
+  listProfileChangeRequests,
+  reviewProfileChangeRequest,
+  getProfileChangeHistory,
+  transferPendingChangeRequest
+};
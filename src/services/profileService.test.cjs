@@ -0,0 +1,122 @@
+// src/services/profileService.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('../testing/fakeSupabase.cjs');
+
+const { rows } = installFakeSupabase();
+const { encryptTouristRow, decryptTouristRow } = require('./piiService.cjs');
+const {
+  updateTouristProfile,
+  listProfileChangeRequests,
+  reviewProfileChangeRequest,
+  getProfileChangeHistory
+} = require('./profileService.cjs');
+
+const DTID = `0x${'ab'.repeat(32)}`;
+const TOURIST = { actor_type: 'tourist', actor_id: DTID };
+const ADMIN = { actor_id: 'reviewer-1' };
+
+function seed(t) {
+  t.mock.method(console, 'log', () => {});
+  for (const table of Object.keys(rows)) delete rows[table];
+  rows.tourists = [encryptTouristRow({
+    dtid: DTID,
+    full_name: 'Anil Kumar',
+    date_of_birth: '1990-04-12',
+    contact_number: '+919876543210',
+    email: 'anil@example.com',
+    accommodation: 'Hotel Snow View',
+    kyc_status: 'verified'
+  })];
+}
+
+const stored = () => decryptTouristRow(rows.tourists[0]);
+
+// Open an identity change request for a new name and date of birth
+async function requestIdentityChange() {
+  const result = await updateTouristProfile(DTID, { full_name: 'Anil Kumar Sharma', date_of_birth: '1990-04-21' }, TOURIST);
+  assert.equal(result.success, true);
+  return result.data.change_request;
+}
+
+test('safe fields are applied at once and recorded', async (t) => {
+  seed(t);
+
+  const result = await updateTouristProfile(DTID, { email: 'anil@example.org', accommodation: 'Hotel Snow View' }, TOURIST);
+  assert.equal(result.success, true);
+  assert.deepEqual(result.data, { updated: { email: 'anil@example.org' }, change_request: null });
+  assert.equal(stored().email, 'anil@example.org');
+
+  const [entry] = rows.profile_change_history;
+  assert.equal(entry.field, 'email');
+  assert.notEqual(entry.new_value, 'anil@example.org', 'stored encrypted');
+
+  const history = await getProfileChangeHistory(DTID);
+  assert.deepEqual(history.data.history.map(row => [row.field, row.old_value, row.new_value, row.actor_type]), [
+    ['email', 'anil@example.com', 'anil@example.org', 'tourist']
+  ]);
+});
+
+test('identity fields wait for review instead of being applied', async (t) => {
+  seed(t);
+
+  const request = await requestIdentityChange();
+  assert.equal(request.status, 'pending');
+  assert.deepEqual(request.changes, { full_name: 'Anil Kumar Sharma', date_of_birth: '1990-04-21' });
+  assert.deepEqual(request.previous, { full_name: 'Anil Kumar', date_of_birth: '1990-04-12' });
+  assert.notEqual(rows.profile_change_requests[0].changes.date_of_birth, '1990-04-21', 'stored encrypted');
+
+  assert.equal(stored().full_name, 'Anil Kumar');
+  assert.equal(stored().date_of_birth, '1990-04-12');
+  assert.equal(rows.profile_change_history, undefined);
+
+  const pending = await listProfileChangeRequests();
+  assert.deepEqual(pending.data.map(row => row.changes.date_of_birth), ['1990-04-21']);
+});
+
+test('an approved change request is applied once and recorded against the request', async (t) => {
+  seed(t);
+  const request = await requestIdentityChange();
+
+  const approved = await reviewProfileChangeRequest(request.id, 'approve', ADMIN);
+  assert.equal(approved.success, true);
+  assert.equal(approved.data.status, 'approved');
+  assert.equal(approved.data.reviewed_by, 'reviewer-1');
+  assert.equal(stored().full_name, 'Anil Kumar Sharma');
+  assert.equal(stored().date_of_birth, '1990-04-21');
+
+  const history = await getProfileChangeHistory(DTID);
+  assert.deepEqual(history.data.history.map(row => [row.field, row.old_value, row.new_value, row.actor_type, row.change_request_id]), [
+    ['full_name', 'Anil Kumar', 'Anil Kumar Sharma', 'admin', request.id],
+    ['date_of_birth', '1990-04-12', '1990-04-21', 'admin', request.id]
+  ]);
+
+  const again = await reviewProfileChangeRequest(request.id, 'reject', { ...ADMIN, reason: 'Too late' });
+  assert.equal(again.code, 'CONFLICT');
+  assert.equal(stored().full_name, 'Anil Kumar Sharma');
+  assert.equal((await listProfileChangeRequests()).data.length, 0);
+});
+
+test('a rejection needs a comment and leaves the profile unchanged', async (t) => {
+  seed(t);
+  const request = await requestIdentityChange();
+
+  assert.equal((await reviewProfileChangeRequest(request.id, 'reject', ADMIN)).code, 'VALIDATION');
+
+  const rejected = await reviewProfileChangeRequest(request.id, 'reject', { ...ADMIN, reason: 'Does not match the passport' });
+  assert.equal(rejected.data.status, 'rejected');
+  assert.equal(rejected.data.review_comment, 'Does not match the passport');
+  assert.equal(stored().full_name, 'Anil Kumar');
+  assert.equal(rows.profile_change_history, undefined);
+
+  assert.equal((await reviewProfileChangeRequest(9999, 'approve', ADMIN)).code, 'NOT_FOUND');
+});
+
+test('a replaced DTID cannot be updated', async (t) => {
+  seed(t);
+  rows.tourists[0].successor_dtid = `0x${'cd'.repeat(32)}`;
+
+  const result = await updateTouristProfile(DTID, { email: 'anil@example.org' }, TOURIST);
+  assert.equal(result.code, 'CONFLICT');
+  assert.equal(stored().email, 'anil@example.com');
+});
@@ -3,15 +3,11 @@ const QRCode = require('qrcode');
 const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
-const { createClient } = require('@supabase/supabase-js');
+const supabase = require('../config/database.cjs');
 const { storeQRCodeData } = require('./databaseService.cjs');
 
-// Initialize Supabase client
-require('dotenv').config();
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
-
 /**
- * QR Code Service - CommonJS version
+ * QR Code Service
  * Handles all QR code generation and storage operations
  */
 
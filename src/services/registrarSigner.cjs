@@ -0,0 +1,385 @@
+// src/services/registrarSigner.cjs
+const { ethers } = require('ethers');
+const { getChainConfig } = require('../config/chain.cjs');
+const { sendTemplatedMessage } = require('./notificationService.cjs');
+require('dotenv').config();
+
+/**
+ * Registrar Signer - the wallet (PRIVATE_KEY) that writes to the
+ * TouristIDRegistry contract on the configured network (src/config/chain.cjs).
+ * Every transaction is sent through here.
+ *
+ *  - Nonces: sends are serialized and nonces assigned locally, starting from
+ *    the wallet's pending transaction count. A nonce error resyncs it.
+ *  - Stuck transactions: one still unmined REGISTRAR_STUCK_AFTER_SECONDS after
+ *    it was sent is re-sent with the same nonce and a fee REGISTRAR_FEE_BUMP_PERCENT
+ *    higher (speed-up). After REGISTRAR_MAX_REPLACEMENTS, or once the fee would
+ *    pass REGISTRAR_MAX_FEE_GWEI, it is cancelled: a 0 ETH transfer to itself
+ *    takes the nonce. Nonces left pending by an earlier process are cancelled.
+ *  - Metrics: balance, nonces and pending transactions (getRegistrarStatus).
+ *    Below REGISTRAR_MIN_BALANCE_ETH a warning is logged and
+ *    REGISTRAR_ALERT_EMAIL is notified.
+ *
+ * Nonces are tracked per process, so only one instance should send (see
+ * CHAIN_WORKER in chainQueueService.cjs).
+ */
+
+const STUCK_AFTER_MS = parseInt(process.env.REGISTRAR_STUCK_AFTER_SECONDS || '180', 10) * 1000;
+// Nodes only accept a replacement that pays at least 10% more
+const FEE_BUMP_PERCENT = BigInt(Math.max(parseInt(process.env.REGISTRAR_FEE_BUMP_PERCENT || '20', 10), 10));
+const MAX_REPLACEMENTS = parseInt(process.env.REGISTRAR_MAX_REPLACEMENTS || '3', 10);
+const MAX_FEE = ethers.parseUnits(process.env.REGISTRAR_MAX_FEE_GWEI || '200', 'gwei');
+const MIN_BALANCE = ethers.parseEther(process.env.REGISTRAR_MIN_BALANCE_ETH || '0.05');
+const MONITOR_INTERVAL_MS = parseInt(process.env.REGISTRAR_MONITOR_INTERVAL_SECONDS || '30', 10) * 1000;
+
+// While the balance stays low, operators are reminded this often
+const ALERT_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const CANCEL_GAS_LIMIT = 21000n;
+
+let registrar = null;
+let lock = Promise.resolve();
+let monitor = null;
+
+const state = {
+  nextNonce: null,
+  // nonce → { nonce, hash, kind: 'send' | 'cancel' | 'unknown', request, fees, sent_at, replacements, purpose, dtid, onReplaced }
+  pending: new Map(),
+  lastAlertAt: 0,
+  lastCheck: null,
+  counters: { sent: 0, sped_up: 0, cancelled: 0, nonce_resyncs: 0 }
+};
+
+/**
+ * The registrar wallet, or null when the chain is not configured
+ * @returns {Object|null} - { provider, wallet }
+ */
+function getRegistrar() {
+  const chain = getChainConfig();
+  if (!chain.configured) return null;
+  if (!registrar) {
+    // With the chain id given, ethers refuses an RPC URL of another network
+    const provider = new ethers.JsonRpcProvider(chain.rpcUrl, chain.chainId);
+    registrar = { provider, wallet: new ethers.Wallet(chain.privateKey, provider) };
+  }
+  return registrar;
+}
+
+// Run one wallet operation at a time, so nonces are handed out in order
+function serialize(task) {
+  const run = lock.then(task, task);
+  lock = run.catch(() => {});
+  return run;
+}
+
+function isNonceError(error) {
+  return ['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'].includes(error.code) ||
+    /nonce too low|nonce has already been used|already known/i.test(error.message);
+}
+
+async function currentFees(provider) {
+  const feeData = await provider.getFeeData();
+  return feeData.maxFeePerGas
+    ? { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }
+    : { gasPrice: feeData.gasPrice };
+}
+
+// Fees for a replacement: the bump over what was paid, or the network fee if higher
+function bumpFees(paid, network) {
+  const bump = value => value * (100n + FEE_BUMP_PERCENT) / 100n;
+  const higher = (a, b) => (a > b ? a : b);
+  if (paid.maxFeePerGas) {
+    return {
+      maxFeePerGas: higher(bump(paid.maxFeePerGas), network.maxFeePerGas || 0n),
+      maxPriorityFeePerGas: higher(bump(paid.maxPriorityFeePerGas), network.maxPriorityFeePerGas || 0n)
+    };
+  }
+  return { gasPrice: higher(bump(paid.gasPrice), network.gasPrice || 0n) };
+}
+
+function feeOf(fees) {
+  return fees.maxFeePerGas || fees.gasPrice;
+}
+
+/**
+ * Send a transaction from the registrar wallet with the next nonce
+ * @param {Object} request - { to, data } (e.g. from contract.method.populateTransaction)
+ * @param {Object} meta - { purpose, dtid, onReplaced(replacement) } where
+ *   replacement is { kind: 'sped_up' | 'cancelled', hash, replaced_hash, nonce }
+ * @returns {Promise<TransactionResponse>}
+ */
+function sendRegistrarTransaction(request, meta = {}) {
+  return serialize(async () => {
+    const active = getRegistrar();
+    if (!active) throw new Error('Missing blockchain configuration');
+    const { provider, wallet } = active;
+
+    if (state.nextNonce === null) {
+      state.nextNonce = await provider.getTransactionCount(wallet.address, 'pending');
+    }
+
+    const nonce = state.nextNonce;
+    const fees = await currentFees(provider);
+    let tx;
+    try {
+      tx = await wallet.sendTransaction({ ...request, nonce, ...fees });
+    } catch (error) {
+      if (isNonceError(error)) {
+        console.warn(`[REGISTRAR] Nonce ${nonce} rejected, resyncing:`, error.message);
+        state.nextNonce = null;
+        state.counters.nonce_resyncs++;
+      }
+      throw error;
+    }
+
+    state.nextNonce = nonce + 1;
+    state.counters.sent++;
+    state.pending.set(nonce, {
+      nonce,
+      hash: tx.hash,
+      kind: 'send',
+      request: { ...request, gasLimit: tx.gasLimit },
+      fees,
+      sent_at: Date.now(),
+      replacements: 0,
+      purpose: meta.purpose || null,
+      dtid: meta.dtid || null,
+      onReplaced: meta.onReplaced || null
+    });
+    console.log(`[REGISTRAR] ${meta.purpose || 'Transaction'} sent with nonce ${nonce}:`, tx.hash);
+    return tx;
+  });
+}
+
+async function notifyReplaced(entry, kind, hash, replacedHash) {
+  if (!entry.onReplaced) return;
+  try {
+    await entry.onReplaced({ kind, hash, replaced_hash: replacedHash, nonce: entry.nonce });
+  } catch (error) {
+    console.error(`[REGISTRAR] Error handling replacement of nonce ${entry.nonce}:`, error);
+  }
+}
+
+// Re-send a stuck transaction at a higher fee, or cancel it
+async function replaceStuck(entry, network) {
+  const { wallet } = getRegistrar();
+  const fees = bumpFees(entry.fees, network);
+  const speedUp = entry.kind === 'send' && entry.replacements < MAX_REPLACEMENTS && feeOf(fees) <= MAX_FEE;
+
+  if (!speedUp && entry.kind === 'cancel' && feeOf(fees) > MAX_FEE) {
+    console.warn(`[REGISTRAR] ⚠️ Cancellation of nonce ${entry.nonce} is stuck at the fee cap (REGISTRAR_MAX_FEE_GWEI)`);
+    return;
+  }
+
+  const replacement = speedUp
+    ? { ...entry.request, nonce: entry.nonce, ...fees }
+    : { to: wallet.address, value: 0n, gasLimit: CANCEL_GAS_LIMIT, nonce: entry.nonce, ...fees };
+
+  let tx;
+  try {
+    tx = await wallet.sendTransaction(replacement);
+  } catch (error) {
+    if (/nonce too low|nonce has already been used/i.test(error.message) || error.code === 'NONCE_EXPIRED') {
+      // Mined while we were deciding
+      state.pending.delete(entry.nonce);
+      return;
+    }
+    // Underpriced: pay more on the next check
+    console.warn(`[REGISTRAR] Replacement of nonce ${entry.nonce} rejected:`, error.message);
+    entry.fees = fees;
+    return;
+  }
+
+  const replacedHash = entry.hash;
+  const wasCancel = entry.kind === 'cancel';
+  Object.assign(entry, {
+    hash: tx.hash,
+    kind: speedUp ? 'send' : 'cancel',
+    fees,
+    sent_at: Date.now(),
+    replacements: entry.replacements + 1
+  });
+
+  if (speedUp) {
+    state.counters.sped_up++;
+    console.log(`[REGISTRAR] Nonce ${entry.nonce} sped up (${ethers.formatUnits(feeOf(fees), 'gwei')} gwei):`, replacedHash, '→', tx.hash);
+    await notifyReplaced(entry, 'sped_up', tx.hash, replacedHash);
+  } else if (!wasCancel) {
+    state.counters.cancelled++;
+    if (!replacedHash) {
+      console.log(`[REGISTRAR] Nonce ${entry.nonce} left pending by an earlier process cancelled:`, tx.hash);
+      return;
+    }
+    console.log(`[REGISTRAR] Nonce ${entry.nonce} cancelled after ${entry.replacements - 1} speed-up(s):`, replacedHash, '→', tx.hash);
+    await notifyReplaced(entry, 'cancelled', tx.hash, replacedHash);
+  }
+}
+
+async function alertLowBalance(address, balance) {
+  console.warn(`[REGISTRAR] ⚠️ Registrar ${address} is low on funds: ${ethers.formatEther(balance)} ETH (minimum ${ethers.formatEther(MIN_BALANCE)})`);
+  if (Date.now() - state.lastAlertAt < ALERT_INTERVAL_MS) return;
+  state.lastAlertAt = Date.now();
+
+  const recipients = (process.env.REGISTRAR_ALERT_EMAIL || '').split(',').map(email => email.trim()).filter(Boolean);
+  for (const to of recipients) {
+    try {
+      await sendTemplatedMessage(to, 'registrar_low_balance', {
+        address,
+        network: getChainConfig().network,
+        balance: ethers.formatEther(balance),
+        threshold: ethers.formatEther(MIN_BALANCE)
+      }, { channel: 'email' });
+    } catch (error) {
+      console.error('[REGISTRAR] Failed to send low balance alert to', to);
+    }
+  }
+}
+
+/**
+ * Check the wallet once: forget mined transactions, replace stuck ones and
+ * warn about a low balance
+ * @returns {Promise<Object>} - { success, error, data: { balance_eth, low_balance, mined_nonce, pending_nonce, tracked } }
+ */
+function checkRegistrar() {
+  return serialize(async () => {
+    const active = getRegistrar();
+    if (!active) return { success: false, error: 'Missing blockchain configuration', data: null };
+    const { provider, wallet } = active;
+
+    try {
+      const [minedNonce, pendingNonce, balance, fees] = await Promise.all([
+        provider.getTransactionCount(wallet.address, 'latest'),
+        provider.getTransactionCount(wallet.address, 'pending'),
+        provider.getBalance(wallet.address),
+        currentFees(provider)
+      ]);
+
+      for (const nonce of state.pending.keys()) {
+        if (nonce < minedNonce) state.pending.delete(nonce);
+      }
+      // Pending nonces this process did not send (e.g. before a restart) can only be cancelled
+      for (let nonce = minedNonce; nonce < pendingNonce; nonce++) {
+        if (!state.pending.has(nonce)) {
+          state.pending.set(nonce, { nonce, hash: null, kind: 'unknown', request: null, fees, sent_at: Date.now(), replacements: 0 });
+        }
+      }
+      if (state.nextNonce !== null && state.nextNonce < pendingNonce) {
+        state.nextNonce = pendingNonce;
+      }
+
+      for (const entry of [...state.pending.values()].sort((a, b) => a.nonce - b.nonce)) {
+        if (Date.now() - entry.sent_at >= STUCK_AFTER_MS) {
+          await replaceStuck(entry, fees);
+        }
+      }
+
+      const lowBalance = balance < MIN_BALANCE;
+      if (lowBalance) await alertLowBalance(wallet.address, balance);
+
+      state.lastCheck = {
+        at: new Date().toISOString(),
+        balance_eth: ethers.formatEther(balance),
+        low_balance: lowBalance,
+        mined_nonce: minedNonce,
+        pending_nonce: pendingNonce,
+        tracked: state.pending.size
+      };
+      return { success: true, error: null, data: state.lastCheck };
+    } catch (error) {
+      console.error('[REGISTRAR] Wallet check failed:', error.message);
+      return { success: false, error: error.message, data: null };
+    }
+  });
+}
+
+/**
+ * Balance, nonces and pending transactions of the registrar wallet
+ * @returns {Promise<Object>} - { success, error, data }
+ */
+async function getRegistrarStatus() {
+  const active = getRegistrar();
+  if (!active) return { success: false, error: 'Missing blockchain configuration', data: null };
+  const { provider, wallet } = active;
+
+  try {
+    const [minedNonce, pendingNonce, balance, network, fees] = await Promise.all([
+      provider.getTransactionCount(wallet.address, 'latest'),
+      provider.getTransactionCount(wallet.address, 'pending'),
+      provider.getBalance(wallet.address),
+      provider.getNetwork(),
+      currentFees(provider)
+    ]);
+
+    const now = Date.now();
+    return {
+      success: true,
+      error: null,
+      data: {
+        address: wallet.address,
+        network: getChainConfig().network,
+        chain_id: network.chainId.toString(),
+        contract_address: getChainConfig().contractAddress,
+        balance_eth: ethers.formatEther(balance),
+        min_balance_eth: ethers.formatEther(MIN_BALANCE),
+        low_balance: balance < MIN_BALANCE,
+        fee_gwei: ethers.formatUnits(feeOf(fees), 'gwei'),
+        mined_nonce: minedNonce,
+        pending_nonce: pendingNonce,
+        next_nonce: state.nextNonce,
+        pending_transactions: pendingNonce - minedNonce,
+        tracked: [...state.pending.values()]
+          .sort((a, b) => a.nonce - b.nonce)
+          .map(entry => ({
+            nonce: entry.nonce,
+            hash: entry.hash,
+            kind: entry.kind,
+            purpose: entry.purpose || null,
+            dtid: entry.dtid || null,
+            fee_gwei: ethers.formatUnits(feeOf(entry.fees), 'gwei'),
+            replacements: entry.replacements,
+            waiting_seconds: Math.round((now - entry.sent_at) / 1000),
+            stuck: now - entry.sent_at >= STUCK_AFTER_MS
+          })),
+        counters: { ...state.counters },
+        last_check: state.lastCheck,
+        monitor: Boolean(monitor)
+      }
+    };
+  } catch (error) {
+    console.error('[REGISTRAR] Failed to read wallet status:', error.message);
+    return { success: false, error: error.message, data: null };
+  }
+}
+
+/**
+ * Check the wallet every REGISTRAR_MONITOR_INTERVAL_SECONDS (30) in this
+ * process (REGISTRAR_MONITOR=off to disable)
+ * @returns {Object|null} - { stop } or null when not started
+ */
+function startRegistrarMonitor() {
+  if ((process.env.REGISTRAR_MONITOR || 'on').toLowerCase() === 'off' || !getRegistrar()) return null;
+  if (monitor) return { stop: stopRegistrarMonitor };
+
+  // The timer must not keep the process alive on shutdown
+  monitor = setInterval(checkRegistrar, MONITOR_INTERVAL_MS);
+  monitor.unref();
+  setImmediate(checkRegistrar);
+
+  console.log(`[REGISTRAR] Monitor started (every ${MONITOR_INTERVAL_MS / 1000}s, stuck after ${STUCK_AFTER_MS / 1000}s)`);
+  return { stop: stopRegistrarMonitor };
+}
+
+function stopRegistrarMonitor() {
+  if (!monitor) return;
+  clearInterval(monitor);
+  monitor = null;
+}
+
+module.exports = {
+  getRegistrar,
+  sendRegistrarTransaction,
+  checkRegistrar,
+  getRegistrarStatus,
+  startRegistrarMonitor,
+  stopRegistrarMonitor
+};
@@ -0,0 +1,132 @@
+// src/services/registrarSigner.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// A locally deployed registry; every transaction counts as stuck at once
+const ARTIFACTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'registrar-artifacts-'));
+const contractDir = path.join(ARTIFACTS_DIR, 'contracts', 'TouristIDRegistry.sol');
+fs.mkdirSync(contractDir, { recursive: true });
+fs.writeFileSync(path.join(contractDir, 'TouristIDRegistry.json'), JSON.stringify({
+  abi: ['registerDTID', 'verifyDTID', 'revokeDTID', 'dtidRevoked'].map(name => ({ type: 'function', name }))
+}));
+test.after(() => fs.rmSync(ARTIFACTS_DIR, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+  CHAIN_NETWORK: 'localhost',
+  CHAIN_ARTIFACTS_DIR: ARTIFACTS_DIR,
+  CHAIN_CONTRACT_ADDRESS: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+  PRIVATE_KEY: `0x${'11'.repeat(32)}`,
+  REGISTRAR_STUCK_AFTER_SECONDS: '0',
+  REGISTRAR_MAX_REPLACEMENTS: '1',
+  REGISTRAR_MIN_BALANCE_ETH: '0'
+});
+
+const { sendRegistrarTransaction, checkRegistrar } = require('./registrarSigner.cjs');
+
+const GWEI = 1000000000n;
+const REQUEST = { to: process.env.CHAIN_CONTRACT_ADDRESS, data: '0x1234' };
+
+// The node: `mined` and `pending` nonces, and every transaction the wallet sent
+function fakeNode(t, { pending = 7 } = {}) {
+  const node = { mined: pending, pending, sent: [], failNext: null, countCalls: 0 };
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  t.mock.method(ethers.JsonRpcProvider.prototype, 'getTransactionCount', async (address, blockTag) => {
+    node.countCalls++;
+    return blockTag === 'latest' ? node.mined : node.pending;
+  });
+  t.mock.method(ethers.JsonRpcProvider.prototype, 'getFeeData', async () => (
+    { maxFeePerGas: 10n * GWEI, maxPriorityFeePerGas: GWEI, gasPrice: null }
+  ));
+  t.mock.method(ethers.JsonRpcProvider.prototype, 'getBalance', async () => ethers.parseEther('1'));
+  t.mock.method(ethers.Wallet.prototype, 'sendTransaction', async (tx) => {
+    // Let concurrent sends interleave if they are not serialized
+    await new Promise(resolve => setImmediate(resolve));
+    if (node.failNext) {
+      const error = node.failNext;
+      node.failNext = null;
+      throw error;
+    }
+    node.sent.push(tx);
+    node.pending = Math.max(node.pending, tx.nonce + 1);
+    return { hash: `0x${String(node.sent.length).padStart(64, '0')}`, gasLimit: 60000n };
+  });
+  return node;
+}
+
+// Mine everything sent so far, so the next case starts from a clean slate
+async function settle(node) {
+  node.mined = node.pending;
+  await checkRegistrar();
+}
+
+test('concurrent sends get consecutive nonces from the pending count', async (t) => {
+  const node = fakeNode(t, { pending: 7 });
+
+  const txs = await Promise.all([1, 2, 3].map(() => sendRegistrarTransaction(REQUEST)));
+  assert.deepEqual(node.sent.map(tx => tx.nonce), [7, 8, 9]);
+  assert.equal(new Set(txs.map(tx => tx.hash)).size, 3);
+  assert.equal(node.countCalls, 1);
+
+  await settle(node);
+});
+
+test('a rejected nonce is resynced from the node', async (t) => {
+  const node = fakeNode(t, { pending: 10 });
+  await settle(node);
+
+  // Another wallet user took nonce 10 behind our back
+  node.pending = 11;
+  node.failNext = Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+  await assert.rejects(sendRegistrarTransaction(REQUEST), /nonce too low/);
+
+  node.mined = 11;
+  await sendRegistrarTransaction(REQUEST);
+  assert.deepEqual(node.sent.map(tx => tx.nonce), [11]);
+
+  await settle(node);
+});
+
+test('a stuck transaction is sped up, then cancelled', async (t) => {
+  const node = fakeNode(t, { pending: 20 });
+  await settle(node);
+
+  const replaced = [];
+  await sendRegistrarTransaction(REQUEST, { purpose: 'Registration', onReplaced: replacement => replaced.push(replacement) });
+
+  await checkRegistrar();
+  const speedUp = node.sent[1];
+  assert.equal(speedUp.nonce, 20);
+  assert.equal(speedUp.data, REQUEST.data);
+  assert.equal(speedUp.maxFeePerGas, 12n * GWEI);
+  assert.equal(replaced[0].kind, 'sped_up');
+
+  await checkRegistrar();
+  const cancel = node.sent[2];
+  assert.equal(cancel.nonce, 20);
+  assert.equal(cancel.value, 0n);
+  assert.equal(cancel.data, undefined);
+  assert.equal(replaced[1].kind, 'cancelled');
+  assert.equal(replaced[1].replaced_hash, replaced[0].hash);
+
+  await settle(node);
+});
+
+test('nonces left pending by an earlier process are cancelled', async (t) => {
+  const node = fakeNode(t, { pending: 30 });
+  await settle(node);
+
+  node.pending = 32;
+  await checkRegistrar();
+  assert.deepEqual(node.sent.map(tx => [tx.nonce, tx.value]), [[30, 0n], [31, 0n]]);
+
+  await sendRegistrarTransaction(REQUEST);
+  assert.equal(node.sent[2].nonce, 32);
+
+  await settle(node);
+});
@@ -0,0 +1,492 @@
+// src/services/retentionService.cjs
+const path = require('path');
+const fs = require('fs').promises;
+const supabase = require('../config/database.cjs');
+const {
+  QR_DIRECTORY,
+  QR_PATH_TABLES,
+  getRegistrations,
+  deleteIdDocuments,
+  deleteQRCodes,
+  anonymizeTourists
+} = require('./privacyService.cjs');
+const { deleteUnattachedDocuments } = require('./documentService.cjs');
+require('dotenv').config();
+const { RUN_STATUSES } = require('../config/constants.cjs');
+
+/**
+ * Retention Service - purges tourist data once a trip is long over.
+ *
+ *  - id_document: the uploaded ID scan, RETENTION_ID_DOCUMENT_DAYS (30) after Trip_End.
+ *    Uploads no submission attached are deleted on every run once their
+ *    reference has expired, whatever the retention.
+ *  - qr_code: the QR PNGs in the qrcodes bucket and public/qr-codes,
+ *    RETENTION_QR_CODE_DAYS (30) after Trip_End. PNGs in public/qr-codes no
+ *    registration refers to are swept once they are that old.
+ *  - profile: the tourist is anonymized as in an erasure (see
+ *    privacyService.cjs), RETENTION_PROFILE_DAYS (365) after Trip_End. The DTID
+ *    is not revoked on-chain; verification reports it as erased.
+ *
+ * A retention of "off" disables the rule. Trip_End is that of the current
+ * registration; predecessor DTIDs are purged along with it. Dry runs report
+ * what would be purged without deleting anything. Every run, and every purge
+ * it made or planned, is recorded in retention_runs and retention_purges
+ * (see create_retention_tables.sql).
+ */
+
+const RETENTION_RULES = ['id_document', 'qr_code', 'profile'];
+const RUN_TRIGGERS = ['scheduler', 'admin', 'script'];
+
+const DEFAULT_RETENTION_DAYS = { id_document: 30, qr_code: 30, profile: 365 };
+const RETENTION_ENV = {
+  id_document: 'RETENTION_ID_DOCUMENT_DAYS',
+  qr_code: 'RETENTION_QR_CODE_DAYS',
+  profile: 'RETENTION_PROFILE_DAYS'
+};
+
+const BATCH_SIZE = 200;
+
+// A run still marked running after this long died with its process
+const STALE_RUN_MS = 6 * 60 * 60 * 1000;
+
+// Delay before the scheduler's first run, so it does not slow down startup
+const FIRST_RUN_DELAY_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Run in progress in this process
+let activeRun = null;
+
+/**
+ * Retention per rule, from the environment
+ * @returns {Object} - { id_document, qr_code, profile }: days after Trip_End, null when off
+ */
+function retentionPolicy() {
+  return Object.fromEntries(RETENTION_RULES.map(rule => {
+    const value = process.env[RETENTION_ENV[rule]];
+    if (value === undefined || value === '') return [rule, DEFAULT_RETENTION_DAYS[rule]];
+    if (value.toLowerCase() === 'off') return [rule, null];
+
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 0) {
+      throw new Error(`${RETENTION_ENV[rule]} must be a number of days or "off"`);
+    }
+    return [rule, days];
+  }));
+}
+
+// Date (YYYY-MM-DD) a trip must have ended before for a rule to apply
+function cutoffDate(days, now) {
+  return new Date(now.getTime() - days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Current registrations whose trip ended before the cutoff
+async function findEndedTrips(cutoff) {
+  const trips = [];
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('tourists')
+      .select('dtid, predecessor_dtid, Trip_End')
+      .is('successor_dtid', null)
+      .is('erased_at', null)
+      .lt('Trip_End', cutoff)
+      .order('dtid', { ascending: true })
+      .range(offset, offset + BATCH_SIZE - 1);
+
+    if (error) throw error;
+    trips.push(...data);
+    if (data.length < BATCH_SIZE) break;
+  }
+  return trips;
+}
+
+// Values of a column across a table, skipping nulls
+async function collectColumn(table, column) {
+  const values = [];
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(column)
+      .not(column, 'is', null)
+      .order(column, { ascending: true })
+      .range(offset, offset + BATCH_SIZE - 1);
+
+    if (error) throw error;
+    values.push(...data.map(row => row[column]));
+    if (data.length < BATCH_SIZE) break;
+  }
+  return values;
+}
+
+// PNGs in public/qr-codes no registration refers to, last written before the cutoff
+async function findOrphanQRFiles(cutoff) {
+  let files;
+  try {
+    files = await fs.readdir(QR_DIRECTORY);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const referenced = new Set();
+  for (const fileUrl of await collectColumn('qr_codes', 'file_url')) {
+    const pathname = new URL(fileUrl, 'http://localhost').pathname;
+    if (pathname.startsWith('/qr-codes/')) referenced.add(path.basename(pathname));
+  }
+  for (const table of QR_PATH_TABLES) {
+    for (const qrPath of await collectColumn(table, 'qr_path')) {
+      referenced.add(path.basename(qrPath));
+    }
+  }
+
+  const orphans = [];
+  for (const file of files.filter(name => name.endsWith('.png') && !referenced.has(name))) {
+    const filePath = path.resolve(QR_DIRECTORY, file);
+    const stats = await fs.stat(filePath);
+    if (stats.mtime < cutoff) orphans.push(filePath);
+  }
+  return orphans;
+}
+
+// What each rule deletes for a registration and its predecessors
+const PURGES = {
+  id_document: (dtids, options) => deleteIdDocuments(dtids, options),
+  qr_code: (dtids, options) => deleteQRCodes(dtids, options),
+  profile: async (dtids, { dryRun }) => {
+    if (!dryRun) await anonymizeTourists(dtids);
+    return dtids;
+  }
+};
+
+/**
+ * Apply the rules that are due to one ended trip. Anonymizing a profile also
+ * deletes its ID scan and QR codes, so those rules run first to be recorded.
+ * @returns {Promise<Array>} - Purges: { rule, dtid, targets, outcome, error }
+ */
+async function purgeTrip(trip, dueRules, dryRun) {
+  const registrations = await getRegistrations(trip);
+  const dtids = registrations.map(row => row.dtid);
+  const purges = [];
+
+  for (const rule of dueRules) {
+    const targets = await PURGES[rule](dtids, { dryRun: true });
+    if (targets.length === 0) continue;
+
+    if (dryRun) {
+      purges.push({ rule, dtid: trip.dtid, targets, outcome: 'planned', error: null });
+      continue;
+    }
+
+    try {
+      await PURGES[rule](dtids, { dryRun: false });
+      purges.push({ rule, dtid: trip.dtid, targets, outcome: 'purged', error: null });
+    } catch (err) {
+      console.error(`[RETENTION] Failed to purge ${rule} of ${trip.dtid}:`, err);
+      purges.push({ rule, dtid: trip.dtid, targets, outcome: 'failed', error: err.message });
+      break;
+    }
+  }
+  return purges;
+}
+
+// Delete unreferenced QR images, one purge per outcome
+async function purgeOrphanQRFiles(files, dryRun) {
+  if (files.length === 0) return [];
+  if (dryRun) {
+    return [{ rule: 'qr_code', dtid: null, targets: files, outcome: 'planned', error: null }];
+  }
+
+  const purged = [];
+  const purges = [];
+  for (const file of files) {
+    try {
+      await fs.unlink(file);
+      purged.push(file);
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      console.error('[RETENTION] Failed to delete QR image:', file, err);
+      purges.push({ rule: 'qr_code', dtid: null, targets: [file], outcome: 'failed', error: err.message });
+    }
+  }
+  if (purged.length > 0) {
+    purges.unshift({ rule: 'qr_code', dtid: null, targets: purged, outcome: 'purged', error: null });
+  }
+  return purges;
+}
+
+// Delete uploaded ID scans never attached to a submission
+async function purgeUnattachedDocuments(dryRun, now) {
+  const { deleted, failed } = await deleteUnattachedDocuments({ dryRun, now });
+  const purges = failed.map(({ key, error }) => (
+    { rule: 'id_document', dtid: null, targets: [key], outcome: 'failed', error }
+  ));
+  if (deleted.length > 0) {
+    purges.unshift({ rule: 'id_document', dtid: null, targets: deleted, outcome: dryRun ? 'planned' : 'purged', error: null });
+  }
+  return purges;
+}
+
+async function recordPurges(runId, purges) {
+  if (purges.length === 0) return;
+  const { error } = await supabase
+    .from('retention_purges')
+    .insert(purges.map(purge => ({ run_id: runId, ...purge })));
+  if (error) throw error;
+}
+
+// Another run started recently and has not finished
+async function findRunningRun(now) {
+  const { data, error } = await supabase
+    .from('retention_runs')
+    .select('id, started_at')
+    .eq('status', 'running')
+    .gte('started_at', new Date(now.getTime() - STALE_RUN_MS).toISOString())
+    .limit(1);
+
+  if (error) throw error;
+  return data[0] || null;
+}
+
+async function executeRun({ dryRun, trigger, actor_id }) {
+  const now = new Date();
+  const policy = retentionPolicy();
+
+  const running = await findRunningRun(now);
+  if (running) {
+    return { success: false, error: `Retention run ${running.id} is still in progress`, code: 'CONFLICT' };
+  }
+
+  const { data: created, error } = await supabase
+    .from('retention_runs')
+    .insert({
+      dry_run: dryRun,
+      trigger,
+      actor_id: actor_id || null,
+      policy,
+      status: 'running',
+      started_at: now.toISOString()
+    })
+    .select();
+
+  if (error) {
+    console.error('[RETENTION] Error creating run:', error);
+    return { success: false, error: error.message };
+  }
+
+  const run = created[0];
+  const summary = { trips: 0 };
+  for (const rule of RETENTION_RULES) {
+    summary[rule] = { planned: 0, purged: 0, failed: 0 };
+  }
+  const allPurges = [];
+  let failure = null;
+
+  console.log(`[RETENTION] Run ${run.id} started (${dryRun ? 'dry run' : 'purging'}, ${trigger}):`, policy);
+
+  try {
+    const cutoffs = Object.fromEntries(RETENTION_RULES
+      .filter(rule => policy[rule] !== null)
+      .map(rule => [rule, cutoffDate(policy[rule], now)]));
+
+    // Trips past the shortest retention; each rule then checks its own cutoff
+    const latestCutoff = Object.values(cutoffs).sort().pop();
+    const trips = latestCutoff ? await findEndedTrips(latestCutoff) : [];
+
+    for (const trip of trips) {
+      // Anonymizing the profile removes the scan and QR codes whatever their own retention
+      const dueRules = cutoffs.profile && trip.Trip_End < cutoffs.profile
+        ? RETENTION_RULES
+        : RETENTION_RULES.filter(rule => cutoffs[rule] && trip.Trip_End < cutoffs[rule]);
+
+      let purges;
+      try {
+        purges = await purgeTrip(trip, dueRules, dryRun);
+      } catch (err) {
+        console.error(`[RETENTION] Failed to plan purges of ${trip.dtid}:`, err);
+        purges = [{ rule: dueRules[0], dtid: trip.dtid, targets: [], outcome: 'failed', error: err.message }];
+      }
+
+      if (purges.length > 0) summary.trips++;
+      await recordPurges(run.id, purges);
+      allPurges.push(...purges);
+    }
+
+    if (cutoffs.qr_code) {
+      const orphans = await findOrphanQRFiles(new Date(now.getTime() - policy.qr_code * DAY_MS));
+      const purges = await purgeOrphanQRFiles(orphans, dryRun);
+      await recordPurges(run.id, purges);
+      allPurges.push(...purges);
+    }
+
+    const uploadPurges = await purgeUnattachedDocuments(dryRun, now);
+    await recordPurges(run.id, uploadPurges);
+    allPurges.push(...uploadPurges);
+
+    for (const purge of allPurges) {
+      summary[purge.rule][purge.outcome] += purge.targets.length;
+    }
+    if (allPurges.some(purge => purge.outcome === 'failed')) {
+      failure = 'Some purges failed; they are retried on the next run';
+    }
+  } catch (err) {
+    console.error(`[RETENTION] Run ${run.id} failed:`, err);
+    failure = err.message;
+  }
+
+  const { data: finished, error: updateError } = await supabase
+    .from('retention_runs')
+    .update({
+      status: failure ? 'failed' : 'completed',
+      summary,
+      error: failure,
+      finished_at: new Date().toISOString()
+    })
+    .eq('id', run.id)
+    .select();
+
+  if (updateError) {
+    console.error('[RETENTION] Error updating run:', updateError);
+    return { success: false, error: updateError.message };
+  }
+
+  console.log(`[RETENTION] Run ${run.id} ${failure ? 'failed' : 'completed'}:`, summary);
+  return { success: true, error: null, data: { ...finished[0], purges: allPurges } };
+}
+
+/**
+ * Run the retention job: purge (or, in a dry run, list) everything past its retention
+ * @param {Object} options - { dryRun, trigger: 'scheduler' | 'admin' | 'script', actor_id }
+ * @returns {Promise<Object>} - { success, error, code, data: run with its purges }
+ */
+async function runRetention({ dryRun = false, trigger, actor_id = null } = {}) {
+  if (!RUN_TRIGGERS.includes(trigger)) {
+    return { success: false, error: `trigger must be one of: ${RUN_TRIGGERS.join(', ')}`, code: 'VALIDATION' };
+  }
+  if (activeRun) {
+    return { success: false, error: 'A retention run is already in progress', code: 'CONFLICT' };
+  }
+
+  activeRun = executeRun({ dryRun, trigger, actor_id });
+  try {
+    return await activeRun;
+  } catch (err) {
+    console.error('[RETENTION] Unexpected error running retention:', err);
+    return { success: false, error: err.message };
+  } finally {
+    activeRun = null;
+  }
+}
+
+/**
+ * List retention runs, newest first
+ * @param {Object} filters - { status, dry_run, limit, offset }
+ * @returns {Promise<Object>} - { success, error, data, count }
+ */
+async function listRetentionRuns(filters = {}) {
+  const limit = Math.min(filters.limit || 50, 200);
+  const offset = filters.offset || 0;
+
+  let query = supabase
+    .from('retention_runs')
+    .select('*', { count: 'exact' })
+    .order('started_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (filters.status) query = query.eq('status', filters.status);
+  if (filters.dry_run !== undefined) query = query.eq('dry_run', filters.dry_run);
+
+  const { data, error, count } = await query;
+  if (error) {
+    console.error('[RETENTION] Error listing runs:', error);
+    return { success: false, error: error.message, data: null };
+  }
+  return { success: true, error: null, data, count };
+}
+
+/**
+ * A retention run with everything it purged
+ * @param {number} runId - Run id
+ * @returns {Promise<Object>} - { success, error, code, data }
+ */
+async function getRetentionRun(runId) {
+  const { data: run, error } = await supabase
+    .from('retention_runs')
+    .select('*')
+    .eq('id', runId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[RETENTION] Error fetching run:', error);
+    return { success: false, error: error.message, data: null };
+  }
+  if (!run) {
+    return { success: false, error: 'Retention run not found', code: 'NOT_FOUND', data: null };
+  }
+
+  const { data: purges, error: purgesError } = await supabase
+    .from('retention_purges')
+    .select('*')
+    .eq('run_id', runId)
+    .order('id', { ascending: true });
+
+  if (purgesError) {
+    console.error('[RETENTION] Error fetching purges:', purgesError);
+    return { success: false, error: purgesError.message, data: null };
+  }
+  return { success: true, error: null, data: { ...run, purges } };
+}
+
+/**
+ * Run the retention job periodically in this process. RETENTION_SCHEDULER is
+ * on, dry-run (report only) or off, on by default in production; runs are
+ * RETENTION_INTERVAL_HOURS (24) apart.
+ * @returns {Object|null} - { stop } or null when the scheduler is off
+ */
+function startRetentionScheduler() {
+  const mode = (process.env.RETENTION_SCHEDULER ||
+    (process.env.NODE_ENV === 'production' ? 'on' : 'off')).toLowerCase();
+
+  if (mode === 'off') return null;
+  if (!['on', 'dry-run'].includes(mode)) {
+    console.error(`[RETENTION] Unknown RETENTION_SCHEDULER "${mode}", scheduler not started`);
+    return null;
+  }
+
+  const hours = parseFloat(process.env.RETENTION_INTERVAL_HOURS || '24');
+  if (!(hours > 0)) {
+    console.error('[RETENTION] RETENTION_INTERVAL_HOURS must be a positive number, scheduler not started');
+    return null;
+  }
+
+  const tick = async () => {
+    const result = await runRetention({ dryRun: mode === 'dry-run', trigger: 'scheduler' });
+    if (!result.success) {
+      console.log('[RETENTION] Scheduled run skipped:', result.error);
+    }
+  };
+
+  // Timers must not keep the process alive on shutdown
+  const firstRun = setTimeout(tick, FIRST_RUN_DELAY_MS);
+  firstRun.unref();
+  const interval = setInterval(tick, hours * 60 * 60 * 1000);
+  interval.unref();
+
+  console.log(`[RETENTION] Scheduler started (${mode}, every ${hours}h)`);
+  return {
+    stop() {
+      clearTimeout(firstRun);
+      clearInterval(interval);
+    }
+  };
+}
+
+module.exports = {
+  RETENTION_RULES,
+  RUN_TRIGGERS,
+  RUN_STATUSES,
+  retentionPolicy,
+  runRetention,
+  listRetentionRuns,
+  getRetentionRun,
+  startRetentionScheduler
+};
@@ -0,0 +1,194 @@
+// src/services/retentionService.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { installFakeSupabase } = require('../testing/fakeSupabase.cjs');
+
+// QR images live in public/qr-codes under the working directory, ID scans in local storage
+const WORK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+const QR_DIR = path.join(WORK_DIR, 'public', 'qr-codes');
+const STORAGE_DIR = path.join(WORK_DIR, 'documents');
+process.chdir(WORK_DIR);
+process.env.DOCUMENT_STORAGE = 'local';
+process.env.DOCUMENT_STORAGE_DIR = STORAGE_DIR;
+test.after(() => fs.rmSync(WORK_DIR, { recursive: true, force: true }));
+
+const { rows } = installFakeSupabase();
+const { encryptTouristRow } = require('./piiService.cjs');
+const { runRetention } = require('./retentionService.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const day = days => new Date(Date.now() + days * DAY_MS).toISOString().slice(0, 10);
+const dtid = n => `0x${String(n).padStart(2, '0').repeat(32)}`;
+
+// Trips by how long ago they ended, against the default 30 / 30 / 365 days
+const ENDED_40_DAYS_AGO = dtid(1);
+const ENDED_400_DAYS_AGO = dtid(2);
+const PREDECESSOR = dtid(3);
+const ENDED_10_DAYS_AGO = dtid(4);
+const ACTIVE = dtid(5);
+const ERASED = dtid(6);
+
+function tourist(n, tripEnd, extra = {}) {
+  return encryptTouristRow({
+    dtid: dtid(n),
+    full_name: `Tourist ${n}`,
+    contact_number: '+919876543210',
+    kyc_status: 'verified',
+    id_file_path: `passport/${n}.pdf`,
+    Trip_Start: day(-500),
+    Trip_End: tripEnd,
+    predecessor_dtid: null,
+    successor_dtid: null,
+    erased_at: null,
+    ...extra
+  });
+}
+
+function writeFile(filePath, ageDays = 0) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, 'x');
+  const mtime = new Date(Date.now() - ageDays * DAY_MS);
+  fs.utimesSync(filePath, mtime, mtime);
+}
+
+function seed(t, env = {}) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  for (const name of ['RETENTION_ID_DOCUMENT_DAYS', 'RETENTION_QR_CODE_DAYS', 'RETENTION_PROFILE_DAYS']) {
+    delete process.env[name];
+  }
+  Object.assign(process.env, env);
+  for (const table of Object.keys(rows)) delete rows[table];
+  fs.rmSync(QR_DIR, { recursive: true, force: true });
+  fs.rmSync(STORAGE_DIR, { recursive: true, force: true });
+
+  rows.tourists = [
+    tourist(1, day(-40)),
+    tourist(2, day(-400), { predecessor_dtid: PREDECESSOR }),
+    tourist(3, day(-420), { successor_dtid: ENDED_400_DAYS_AGO }),
+    tourist(4, day(-10)),
+    tourist(5, day(5)),
+    tourist(6, day(-900), { erased_at: new Date(Date.now() - 100 * DAY_MS).toISOString(), id_file_path: null })
+  ];
+  rows.blockchain_jobs = [1, 2, 3, 4, 5].map(n => ({ id: n, dtid: dtid(n), status: 'confirmed', qr_path: `public/qr-codes/${dtid(n)}.png` }));
+  for (const n of [1, 2, 3, 4, 5]) {
+    writeFile(path.join(STORAGE_DIR, 'passport', `${n}.pdf`));
+    writeFile(path.join(QR_DIR, `${dtid(n)}.png`));
+  }
+  // QR images no registration refers to: one old enough to sweep, one not
+  writeFile(path.join(QR_DIR, 'old-orphan.png'), 40);
+  writeFile(path.join(QR_DIR, 'new-orphan.png'), 1);
+}
+
+const row = value => rows.tourists.find(tourist => tourist.dtid === value);
+const scanExists = n => fs.existsSync(path.join(STORAGE_DIR, 'passport', `${n}.pdf`));
+const qrExists = value => fs.existsSync(path.join(QR_DIR, `${value}.png`));
+const purgesOf = result => result.data.purges
+  .filter(purge => purge.dtid)
+  .map(purge => [purge.dtid, purge.rule, purge.outcome]);
+
+test('each rule purges only trips past its own retention', async (t) => {
+  seed(t);
+
+  const result = await runRetention({ trigger: 'script' });
+  assert.equal(result.success, true);
+  assert.equal(result.data.status, 'completed');
+  assert.deepEqual(purgesOf(result), [
+    [ENDED_40_DAYS_AGO, 'id_document', 'purged'],
+    [ENDED_40_DAYS_AGO, 'qr_code', 'purged'],
+    [ENDED_400_DAYS_AGO, 'id_document', 'purged'],
+    [ENDED_400_DAYS_AGO, 'qr_code', 'purged'],
+    [ENDED_400_DAYS_AGO, 'profile', 'purged']
+  ]);
+  assert.deepEqual(result.data.summary.profile, { planned: 0, purged: 2, failed: 0 });
+
+  // Scan and QR gone, profile kept
+  assert.equal(scanExists(1), false);
+  assert.equal(qrExists(ENDED_40_DAYS_AGO), false);
+  assert.equal(row(ENDED_40_DAYS_AGO).id_file_path, null);
+  assert.equal(row(ENDED_40_DAYS_AGO).full_name, 'Tourist 1');
+  assert.equal(row(ENDED_40_DAYS_AGO).erased_at, null);
+
+  // Anonymized along with its predecessor
+  for (const [n, value] of [[2, ENDED_400_DAYS_AGO], [3, PREDECESSOR]]) {
+    assert.equal(scanExists(n), false);
+    assert.equal(qrExists(value), false);
+    assert.equal(row(value).full_name, '[erased]');
+    assert.ok(row(value).erased_at);
+  }
+
+  assert.equal(fs.existsSync(path.join(QR_DIR, 'old-orphan.png')), false);
+  assert.equal(fs.existsSync(path.join(QR_DIR, 'new-orphan.png')), true);
+  assert.equal(rows.retention_purges.length, result.data.purges.length);
+});
+
+test('trips still within retention, active trips and erased rows are skipped', async (t) => {
+  seed(t);
+  const erasedBefore = { ...row(ERASED) };
+
+  const result = await runRetention({ trigger: 'script' });
+  const touched = new Set(result.data.purges.map(purge => purge.dtid));
+  for (const value of [ENDED_10_DAYS_AGO, ACTIVE, ERASED]) {
+    assert.equal(touched.has(value), false);
+  }
+
+  for (const [n, value] of [[4, ENDED_10_DAYS_AGO], [5, ACTIVE]]) {
+    assert.equal(scanExists(n), true);
+    assert.equal(qrExists(value), true);
+    assert.equal(row(value).id_file_path, `passport/${n}.pdf`);
+    assert.equal(row(value).erased_at, null);
+  }
+  assert.deepEqual(row(ERASED), erasedBefore);
+});
+
+test('retention windows come from the environment, and a rule can be turned off', async (t) => {
+  seed(t, { RETENTION_ID_DOCUMENT_DAYS: '5', RETENTION_QR_CODE_DAYS: 'off', RETENTION_PROFILE_DAYS: 'off' });
+
+  const result = await runRetention({ trigger: 'admin', actor_id: 'admin-1' });
+  assert.deepEqual(result.data.policy, { id_document: 5, qr_code: null, profile: null });
+  assert.deepEqual(purgesOf(result), [
+    [ENDED_40_DAYS_AGO, 'id_document', 'purged'],
+    [ENDED_400_DAYS_AGO, 'id_document', 'purged'],
+    [ENDED_10_DAYS_AGO, 'id_document', 'purged']
+  ]);
+  assert.equal(scanExists(4), false);
+  assert.equal(scanExists(5), true);
+  assert.equal(qrExists(ENDED_400_DAYS_AGO), true);
+  assert.equal(fs.existsSync(path.join(QR_DIR, 'old-orphan.png')), true);
+  assert.equal(row(ENDED_400_DAYS_AGO).erased_at, null);
+});
+
+test('a dry run plans the purges without deleting anything', async (t) => {
+  seed(t);
+  const before = JSON.stringify(rows.tourists);
+
+  const result = await runRetention({ dryRun: true, trigger: 'admin' });
+  assert.equal(result.data.dry_run, true);
+  assert.deepEqual(purgesOf(result), [
+    [ENDED_40_DAYS_AGO, 'id_document', 'planned'],
+    [ENDED_40_DAYS_AGO, 'qr_code', 'planned'],
+    [ENDED_400_DAYS_AGO, 'id_document', 'planned'],
+    [ENDED_400_DAYS_AGO, 'qr_code', 'planned'],
+    [ENDED_400_DAYS_AGO, 'profile', 'planned']
+  ]);
+  assert.deepEqual(result.data.summary.profile, { planned: 2, purged: 0, failed: 0 });
+  assert.equal(JSON.stringify(rows.tourists), before);
+  assert.equal(scanExists(1), true);
+  assert.equal(qrExists(ENDED_400_DAYS_AGO), true);
+  assert.equal(fs.existsSync(path.join(QR_DIR, 'old-orphan.png')), true);
+});
+
+test('a run does not start while another is in progress', async (t) => {
+  seed(t);
+  rows.retention_runs = [{ id: 1, status: 'running', started_at: new Date().toISOString() }];
+
+  const result = await runRetention({ trigger: 'scheduler' });
+  assert.equal(result.code, 'CONFLICT');
+  assert.equal(rows.retention_runs.length, 1);
+  assert.equal(scanExists(1), true);
+
+  assert.equal((await runRetention({ trigger: 'cron' })).code, 'VALIDATION');
+});
@@ -0,0 +1,384 @@
+// src/services/sessionStore.cjs
+const crypto = require('crypto');
+const { generateToken } = require('../config/auth.cjs');
+require('dotenv').config();
+
+/**
+ * Session Store - refresh token rotation and session revocation.
+ *
+ * A login creates a session "family". Each refresh consumes the presented
+ * refresh token and issues a new one in the same family. Presenting an
+ * already-used token is treated as theft: the whole family is revoked.
+ * Access tokens carry the family id as `sid` so revocation applies to them too.
+ *
+ * Backends (SESSION_STORE=memory|database, defaults to database in production):
+ *  - memory:   process-local Map (single instance / development only)
+ *  - database: Supabase `refresh_tokens` table (see create_refresh_tokens_table.sql)
+ */
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_MS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * In-memory backend
+ * @returns {Object} - Session store
+ */
+function createMemorySessionStore() {
+  const tokens = new Map(); // id -> record
+
+  return {
+    name: 'memory',
+
+    async insert(record) {
+      tokens.set(record.id, { ...record });
+      return record;
+    },
+
+    async findByHash(tokenHash) {
+      for (const record of tokens.values()) {
+        if (record.token_hash === tokenHash) return { ...record };
+      }
+      return null;
+    },
+
+    async consume(tokenHash, replacedBy) {
+      for (const record of tokens.values()) {
+        if (record.token_hash === tokenHash && !record.used_at && !record.revoked_at) {
+          record.used_at = new Date().toISOString();
+          record.replaced_by = replacedBy;
+          return true;
+        }
+      }
+      return false;
+    },
+
+    async revokeFamily(familyId, reason) {
+      for (const record of tokens.values()) {
+        if (record.family_id === familyId && !record.revoked_at) {
+          record.revoked_at = new Date().toISOString();
+          record.revoked_reason = reason;
+        }
+      }
+    },
+
+    async revokeSubject(subjectType, subjectId, reason) {
+      const families = new Set();
+      for (const record of tokens.values()) {
+        if (record.subject_type === subjectType && record.subject_id === subjectId && !record.revoked_at) {
+          record.revoked_at = new Date().toISOString();
+          record.revoked_reason = reason;
+          families.add(record.family_id);
+        }
+      }
+      return families.size;
+    },
+
+    async deleteSubject(subjectType, subjectId) {
+      const families = new Set();
+      for (const [id, record] of tokens) {
+        if (record.subject_type === subjectType && record.subject_id === subjectId) {
+          tokens.delete(id);
+          families.add(record.family_id);
+        }
+      }
+      return families.size;
+    },
+
+    async isFamilyActive(familyId) {
+      for (const record of tokens.values()) {
+        if (record.family_id === familyId && !record.revoked_at) return true;
+      }
+      return false;
+    }
+  };
+}
+
+/**
+ * Supabase-backed store using the `refresh_tokens` table
+ * @param {Object} supabase - Supabase client
+ * @returns {Object} - Session store
+ */
+function createDatabaseSessionStore(supabase) {
+  const table = 'refresh_tokens';
+
+  const check = (error, action) => {
+    if (error) {
+      console.error(`[SESSION] Error ${action}:`, error);
+      throw error;
+    }
+  };
+
+  return {
+    name: 'database',
+
+    async insert(record) {
+      const { error } = await supabase.from(table).insert([record]);
+      check(error, 'storing refresh token');
+      return record;
+    },
+
+    async findByHash(tokenHash) {
+      const { data, error } = await supabase
+        .from(table)
+        .select('*')
+        .eq('token_hash', tokenHash)
+        .maybeSingle();
+      check(error, 'looking up refresh token');
+      return data;
+    },
+
+    // Conditional update: of concurrent refreshes with one token only one wins
+    async consume(tokenHash, replacedBy) {
+      const { data, error } = await supabase
+        .from(table)
+        .update({ used_at: new Date().toISOString(), replaced_by: replacedBy })
+        .eq('token_hash', tokenHash)
+        .is('used_at', null)
+        .is('revoked_at', null)
+        .select('id');
+      check(error, 'consuming refresh token');
+      return (data || []).length > 0;
+    },
+
+    async revokeFamily(familyId, reason) {
+      const { error } = await supabase
+        .from(table)
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+        .eq('family_id', familyId)
+        .is('revoked_at', null);
+      check(error, 'revoking session');
+    },
+
+    async revokeSubject(subjectType, subjectId, reason) {
+      const { data, error } = await supabase
+        .from(table)
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+        .eq('subject_type', subjectType)
+        .eq('subject_id', subjectId)
+        .is('revoked_at', null)
+        .select('family_id');
+      check(error, 'revoking subject sessions');
+      return new Set((data || []).map(row => row.family_id)).size;
+    },
+
+    async deleteSubject(subjectType, subjectId) {
+      const { data, error } = await supabase
+        .from(table)
+        .delete()
+        .eq('subject_type', subjectType)
+        .eq('subject_id', subjectId)
+        .select('family_id');
+      check(error, 'deleting subject sessions');
+      return new Set((data || []).map(row => row.family_id)).size;
+    },
+
+    async isFamilyActive(familyId) {
+      const { count, error } = await supabase
+        .from(table)
+        .select('id', { count: 'exact', head: true })
+        .eq('family_id', familyId)
+        .is('revoked_at', null);
+      check(error, 'checking session');
+      return count > 0;
+    }
+  };
+}
+
+async function storeRefreshToken(store, { id = crypto.randomUUID(), familyId, subjectType, subjectId, claims, meta = {} }) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const record = {
+    id,
+    family_id: familyId,
+    subject_type: subjectType,
+    subject_id: subjectId,
+    token_hash: hashRefreshToken(refreshToken),
+    claims,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString(),
+    created_at: new Date().toISOString(),
+    used_at: null,
+    revoked_at: null,
+    revoked_reason: null,
+    replaced_by: null,
+    ip_address: meta.ip || null,
+    user_agent: meta.userAgent || null
+  };
+
+  await store.insert(record);
+  return { refreshToken, record };
+}
+
+function buildTokenPair(claims, familyId, refreshToken) {
+  return {
+    access_token: generateToken({ ...claims, sid: familyId }, { expiresIn: ACCESS_TOKEN_EXPIRES_IN }),
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_EXPIRES_IN
+  };
+}
+
+/**
+ * Start a new session and issue the first access/refresh token pair
+ * @param {Object} store - Session store
+ * @param {Object} session - { subjectType: 'tourist'|'admin', subjectId, claims }
+ * @param {Object} meta - Request metadata ({ ip, userAgent })
+ * @returns {Promise<Object>} - { access_token, refresh_token, token_type, expires_in }
+ */
+async function issueSession(store, { subjectType, subjectId, claims }, meta = {}) {
+  const familyId = crypto.randomUUID();
+  const { refreshToken } = await storeRefreshToken(store, { familyId, subjectType, subjectId, claims, meta });
+
+  console.log(`[SESSION] New ${subjectType} session ${familyId} for ${subjectId}`);
+  return buildTokenPair(claims, familyId, refreshToken);
+}
+
+async function reuseDetected(store, familyId) {
+  await store.revokeFamily(familyId, 'refresh_token_reuse');
+  console.warn(`[SESSION] ⚠️ Refresh token reuse detected, revoked session ${familyId}`);
+  return { status: 'reused' };
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * @param {Object} store - Session store
+ * @param {string} refreshToken - Presented refresh token
+ * @param {Object} meta - Request metadata ({ ip, userAgent })
+ * @returns {Promise<Object>} - { status: 'rotated'|'invalid'|'expired'|'revoked'|'reused', tokens, session }
+ */
+async function rotateSession(store, refreshToken, meta = {}) {
+  const tokenHash = hashRefreshToken(String(refreshToken));
+  const current = await store.findByHash(tokenHash);
+
+  if (!current) {
+    return { status: 'invalid' };
+  }
+
+  if (current.revoked_at) {
+    return { status: 'revoked' };
+  }
+
+  if (current.used_at) {
+    // A rotated-out token came back: assume it was stolen and kill the family
+    return reuseDetected(store, current.family_id);
+  }
+
+  if (new Date(current.expires_at).getTime() < Date.now()) {
+    return { status: 'expired' };
+  }
+
+  // Consume before issuing: if a concurrent refresh with the same token won
+  // the conditional update, this one is a reuse too
+  const nextId = crypto.randomUUID();
+  if (!(await store.consume(tokenHash, nextId))) {
+    return reuseDetected(store, current.family_id);
+  }
+
+  const { refreshToken: nextToken } = await storeRefreshToken(store, {
+    id: nextId,
+    familyId: current.family_id,
+    subjectType: current.subject_type,
+    subjectId: current.subject_id,
+    claims: current.claims,
+    meta
+  });
+
+  return {
+    status: 'rotated',
+    session: {
+      family_id: current.family_id,
+      subject_type: current.subject_type,
+      subject_id: current.subject_id
+    },
+    tokens: buildTokenPair(current.claims, current.family_id, nextToken)
+  };
+}
+
+/**
+ * Revoke the session a refresh token belongs to (logout)
+ * @param {Object} store - Session store
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<boolean>} - Whether a session was found
+ */
+async function revokeSession(store, refreshToken, reason = 'logout') {
+  const current = await store.findByHash(hashRefreshToken(String(refreshToken)));
+  if (!current) return false;
+
+  await store.revokeFamily(current.family_id, reason);
+  return true;
+}
+
+/**
+ * Revoke a session by its family id (the `sid` access token claim)
+ * @param {Object} store - Session store
+ * @param {string} familyId - Session family id
+ */
+async function revokeSessionById(store, familyId, reason = 'logout') {
+  await store.revokeFamily(familyId, reason);
+}
+
+/**
+ * Revoke every session of a tourist (by DTID) or admin (by id)
+ * @param {Object} store - Session store
+ * @param {string} subjectType - 'tourist' | 'admin'
+ * @param {string} subjectId - DTID or admin id
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+async function revokeSubjectSessions(store, subjectType, subjectId, reason = 'admin_revoked') {
+  const count = await store.revokeSubject(subjectType, subjectId, reason);
+  console.log(`[SESSION] Revoked ${count} ${subjectType} session(s) for ${subjectId} (${reason})`);
+  return count;
+}
+
+/**
+ * Delete every refresh token of a subject, with the claims stored alongside.
+ * Its sessions end as if revoked: a family without tokens is not active.
+ * @param {Object} store - Session store
+ * @param {string} subjectType - 'tourist' | 'admin'
+ * @param {string} subjectId - DTID or admin id
+ * @returns {Promise<number>} - Number of sessions deleted
+ */
+async function eraseSubjectSessions(store, subjectType, subjectId) {
+  const count = await store.deleteSubject(subjectType, subjectId);
+  console.log(`[SESSION] Deleted ${count} ${subjectType} session(s) for ${subjectId}`);
+  return count;
+}
+
+let defaultStore = null;
+
+/**
+ * Get the configured session store (SESSION_STORE=memory|database)
+ * @returns {Object} - Session store
+ */
+function getSessionStore() {
+  if (defaultStore) return defaultStore;
+
+  const backend = process.env.SESSION_STORE ||
+    (process.env.NODE_ENV === 'production' ? 'database' : 'memory');
+
+  if (backend === 'database') {
+    defaultStore = createDatabaseSessionStore(require('../config/database.cjs'));
+  } else if (backend === 'memory') {
+    defaultStore = createMemorySessionStore();
+  } else {
+    throw new Error(`Unknown SESSION_STORE backend: ${backend}`);
+  }
+
+  console.log('[SESSION] Using backend:', defaultStore.name);
+  return defaultStore;
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  createMemorySessionStore,
+  createDatabaseSessionStore,
+  issueSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionById,
+  revokeSubjectSessions,
+  eraseSubjectSessions,
+  getSessionStore
+};
@@ -0,0 +1,123 @@
+// src/services/sessionStore.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('../testing/fakeSupabase.cjs');
+const { verifyToken } = require('../config/auth.cjs');
+const {
+  createMemorySessionStore,
+  createDatabaseSessionStore,
+  issueSession,
+  rotateSession,
+  revokeSession,
+  revokeSubjectSessions
+} = require('./sessionStore.cjs');
+
+const TOURIST = { subjectType: 'tourist', subjectId: '0xd1', claims: { dtid: '0xd1', role: 'tourist' } };
+
+const backends = {
+  memory: () => ({ store: createMemorySessionStore() }),
+  database: () => {
+    const { client, rows } = createFakeSupabase({ unique: { refresh_tokens: [['token_hash']] } });
+    return { store: createDatabaseSessionStore(client), rows };
+  }
+};
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+}
+
+for (const [name, create] of Object.entries(backends)) {
+  test(`${name}: access tokens carry the session id`, async (t) => {
+    quiet(t);
+    const { store } = create();
+    const tokens = await issueSession(store, TOURIST);
+
+    const claims = verifyToken(tokens.access_token);
+    assert.equal(claims.dtid, '0xd1');
+    assert.ok(claims.sid);
+    assert.equal(await store.isFamilyActive(claims.sid), true);
+  });
+
+  test(`${name}: a refresh token rotates once`, async (t) => {
+    quiet(t);
+    const { store } = create();
+    const first = await issueSession(store, TOURIST);
+
+    const rotated = await rotateSession(store, first.refresh_token);
+    assert.equal(rotated.status, 'rotated');
+    assert.notEqual(rotated.tokens.refresh_token, first.refresh_token);
+    assert.equal(rotated.session.subject_id, '0xd1');
+
+    assert.equal((await rotateSession(store, rotated.tokens.refresh_token)).status, 'rotated');
+  });
+
+  test(`${name}: reusing a rotated-out token revokes the whole session`, async (t) => {
+    quiet(t);
+    const { store } = create();
+    const first = await issueSession(store, TOURIST);
+    const rotated = await rotateSession(store, first.refresh_token);
+
+    assert.equal((await rotateSession(store, first.refresh_token)).status, 'reused');
+    assert.equal((await rotateSession(store, rotated.tokens.refresh_token)).status, 'revoked');
+    assert.equal(await store.isFamilyActive(verifyToken(first.access_token).sid), false);
+  });
+
+  test(`${name}: concurrent refreshes with one token cannot both succeed`, async (t) => {
+    quiet(t);
+    const { store } = create();
+    const first = await issueSession(store, TOURIST);
+
+    const results = await Promise.all([1, 2, 3].map(() => rotateSession(store, first.refresh_token)));
+    const rotated = results.filter(result => result.status === 'rotated');
+    assert.ok(rotated.length <= 1);
+    assert.ok(results.some(result => result.status === 'reused'));
+
+    // The race counts as reuse, so no token of the family survives it
+    for (const result of rotated) {
+      assert.equal((await rotateSession(store, result.tokens.refresh_token)).status, 'revoked');
+    }
+    assert.equal(await store.isFamilyActive(verifyToken(first.access_token).sid), false);
+  });
+
+  test(`${name}: unknown and revoked tokens are rejected`, async (t) => {
+    quiet(t);
+    const { store } = create();
+    assert.equal((await rotateSession(store, 'not-a-token')).status, 'invalid');
+
+    const first = await issueSession(store, TOURIST);
+    const sid = verifyToken(first.access_token).sid;
+    await store.revokeFamily(sid, 'test');
+    assert.equal((await rotateSession(store, first.refresh_token)).status, 'revoked');
+  });
+
+  test(`${name}: logout and subject revocation end the session`, async (t) => {
+    quiet(t);
+    const { store } = create();
+    const one = await issueSession(store, TOURIST);
+    const two = await issueSession(store, TOURIST);
+
+    assert.equal(await revokeSession(store, one.refresh_token), true);
+    assert.equal((await rotateSession(store, one.refresh_token)).status, 'revoked');
+
+    assert.equal(await revokeSubjectSessions(store, 'tourist', '0xd1'), 1);
+    assert.equal(await store.isFamilyActive(verifyToken(two.access_token).sid), false);
+  });
+}
+
+test('database: an expired refresh token is not rotated', async (t) => {
+  quiet(t);
+  const { store, rows } = backends.database();
+  const first = await issueSession(store, TOURIST);
+  rows.refresh_tokens[0].expires_at = new Date(Date.now() - 1000).toISOString();
+
+  assert.equal((await rotateSession(store, first.refresh_token)).status, 'expired');
+  assert.equal(rows.refresh_tokens.length, 1);
+});
+
+test('database: stores only a hash of the refresh token', async (t) => {
+  quiet(t);
+  const { store, rows } = backends.database();
+  const first = await issueSession(store, TOURIST);
+  assert.doesNotMatch(JSON.stringify(rows.refresh_tokens), new RegExp(first.refresh_token));
+});
@@ -0,0 +1,324 @@
+// src/services/tripService.cjs
+const supabase = require('../config/database.cjs');
+const { getTouristByDTID, updateTouristData } = require('./databaseService.cjs');
+const { generateDTIDFromInput, recordKYCStatusChange, issueVerifiedDTID } = require('./kycService.cjs');
+const { transferItinerary, trimItinerary } = require('./itineraryService.cjs');
+const { transferPendingChangeRequest } = require('./profileService.cjs');
+const { encryptTouristRow } = require('./piiService.cjs');
+const { transferConsents } = require('./privacyService.cjs');
+
+/**
+ * Trip Service - extending a trip and checking out early.
+ *
+ * A DTID is hashed from id | trip_start | trip_end, and a verified DTID is
+ * registered on-chain with its trip dates in the QR code:
+ *
+ *  - Checkout: the trip only gets shorter, so the DTID stays valid; Trip_End
+ *    moves to the checkout date and later itinerary stops are dropped.
+ *  - Extension before verification: nothing is on-chain yet, so Trip_End is
+ *    updated in place and the DTID is registered with the new dates later.
+ *  - Extension of a verified DTID: a successor DTID is issued for the new
+ *    dates (new tourists row, on-chain registration and QR code). The
+ *    predecessor points at it through successor_dtid and is no longer valid;
+ *    itinerary stops, consent and any pending identity change move to the successor.
+ *
+ * Every change is written to trip_changes (see create_trip_changes_table.sql).
+ */
+
+// Columns not copied from a predecessor row to its successor
+const NOT_INHERITED = ['id', 'dtid', 'created_at', 'updated_at', 'kyc_status_updated_at', 'predecessor_dtid', 'successor_dtid', 'superseded_at', 'checked_out_at', 'pii_data_key', 'pii_key_version', 'erased_at'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Tourist whose trip dates may still be changed
+async function getChangeableTrip(dtid) {
+  const tourist = await getTouristByDTID(dtid);
+  if (!tourist) {
+    return { error: { success: false, error: 'Tourist not found for the given DTID', code: 'NOT_FOUND' } };
+  }
+  if (tourist.successor_dtid) {
+    return { error: { success: false, error: `This DTID was replaced by ${tourist.successor_dtid}`, code: 'CONFLICT' } };
+  }
+  if (tourist.erased_at) {
+    return { error: { success: false, error: 'The data of this DTID has been erased', code: 'CONFLICT' } };
+  }
+  if (tourist.kyc_status === 'rejected') {
+    return { error: { success: false, error: 'The trip of a rejected KYC cannot be changed', code: 'CONFLICT' } };
+  }
+  if (tourist.checked_out_at || (tourist.Trip_End && tourist.Trip_End < today())) {
+    return { error: { success: false, error: 'The trip has already ended', code: 'CONFLICT' } };
+  }
+  return { tourist };
+}
+
+/**
+ * Append a trip change to the history
+ * @param {Object} tourist - Tourist row before the change
+ * @param {Object} change - { change_type, new_trip_end, successor_dtid, reason }
+ * @param {Object} actor - { actor_type, actor_id }
+ * @returns {Promise<Object|null>} - Inserted row or null if error
+ */
+async function recordTripChange(tourist, change, actor) {
+  const { data, error } = await supabase
+    .from('trip_changes')
+    .insert([{
+      dtid: tourist.dtid,
+      change_type: change.change_type,
+      old_trip_start: tourist.Trip_Start || null,
+      old_trip_end: tourist.Trip_End || null,
+      new_trip_start: tourist.Trip_Start || null,
+      new_trip_end: change.new_trip_end,
+      successor_dtid: change.successor_dtid || null,
+      reason: change.reason || null,
+      actor_type: actor.actor_type || 'system',
+      actor_id: actor.actor_id || null
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[TRIP] Error recording trip change:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Replace a verified DTID with a successor for new trip dates
+ * @param {Object} tourist - Predecessor tourist row
+ * @param {string} tripEnd - New trip end
+ * @returns {Promise<Object>} - { success, error, code, data: { successor, onchain } }
+ */
+async function issueSuccessorDTID(tourist, tripEnd) {
+  // Salted with the predecessor so every successor hash is new
+  const successorDtid = `0x${generateDTIDFromInput({
+    id: tourist.id_number || tourist.dtid,
+    trip_start: tourist.Trip_Start,
+    trip_end: tripEnd
+  }, tourist.dtid)}`;
+  const now = new Date().toISOString();
+
+  // Claim the predecessor first so two concurrent extensions cannot both succeed
+  const { data: claimed, error: claimError } = await supabase
+    .from('tourists')
+    .update({ successor_dtid: successorDtid, superseded_at: now, updated_at: now })
+    .eq('dtid', tourist.dtid)
+    .is('successor_dtid', null)
+    .select('dtid');
+
+  if (claimError) {
+    console.error('[TRIP] Error superseding DTID:', claimError);
+    return { success: false, error: claimError.message };
+  }
+  if (!claimed || claimed.length === 0) {
+    return { success: false, error: 'The trip was changed by someone else, reload and try again', code: 'CONFLICT' };
+  }
+
+  const inherited = Object.fromEntries(Object.entries(tourist).filter(([column]) => !NOT_INHERITED.includes(column)));
+  const { data: successor, error: insertError } = await supabase
+    .from('tourists')
+    // Same person, same data key: change requests and history stay readable
+    .insert([encryptTouristRow({
+      ...inherited,
+      dtid: successorDtid,
+      Trip_End: tripEnd,
+      predecessor_dtid: tourist.dtid,
+      kyc_status_updated_at: now
+    }, tourist.pii_data_key)])
+    .select()
+    .single();
+
+  if (insertError) {
+    console.error('[TRIP] Error storing successor DTID:', insertError);
+    await supabase
+      .from('tourists')
+      .update({ successor_dtid: null, superseded_at: null })
+      .eq('dtid', tourist.dtid);
+    return { success: false, error: insertError.message };
+  }
+
+  // The successor carries the predecessor's verification; identity did not change
+  await recordKYCStatusChange(successorDtid, null, successor.kyc_status, {
+    actor_type: 'system',
+    reason: `Trip extended; successor of ${tourist.dtid}`
+  });
+
+  const itinerary = await transferItinerary(tourist.dtid, successorDtid);
+  if (!itinerary.success) console.log('[TRIP] ⚠️ Failed to move itinerary to successor:', itinerary.error);
+  const changeRequest = await transferPendingChangeRequest(tourist.dtid, successorDtid);
+  if (!changeRequest.success) console.log('[TRIP] ⚠️ Failed to move change request to successor:', changeRequest.error);
+  const consents = await transferConsents(tourist.dtid, successorDtid);
+  if (!consents.success) console.log('[TRIP] ⚠️ Failed to carry consent over to successor:', consents.error);
+
+  const onchain = await issueVerifiedDTID(successor);
+  console.log(`[TRIP] ✅ ${tourist.dtid} superseded by ${successorDtid}`);
+
+  return { success: true, error: null, data: { successor, onchain } };
+}
+
+/**
+ * Extend a trip to a later end date
+ * @param {string} dtid - Tourist DTID
+ * @param {string} tripEnd - New trip end (YYYY-MM-DD), after the current one
+ * @param {Object} actor - { actor_type, actor_id, reason }
+ * @returns {Promise<Object>} - { success, error, code, errors, data: { dtid, predecessor_dtid, trip_start, trip_end, dtid_changed, onchain, change } }
+ */
+async function extendTrip(dtid, tripEnd, actor = {}) {
+  try {
+    const { tourist, error: notChangeable } = await getChangeableTrip(dtid);
+    if (notChangeable) return notChangeable;
+
+    if (tourist.Trip_End && tripEnd <= tourist.Trip_End) {
+      const message = `trip_end must be after the current trip end (${tourist.Trip_End})`;
+      return { success: false, error: message, code: 'VALIDATION', errors: [{ field: 'trip_end', message }] };
+    }
+
+    let successorDtid = null;
+    let onchain = null;
+
+    if (tourist.kyc_status === 'verified') {
+      const issued = await issueSuccessorDTID(tourist, tripEnd);
+      if (!issued.success) return issued;
+      successorDtid = issued.data.successor.dtid;
+      onchain = issued.data.onchain;
+    } else if (!(await updateTouristData(dtid, { Trip_End: tripEnd }))) {
+      return { success: false, error: 'Failed to update trip dates' };
+    }
+
+    const change = await recordTripChange(tourist, {
+      change_type: 'extend',
+      new_trip_end: tripEnd,
+      successor_dtid: successorDtid,
+      reason: actor.reason
+    }, actor);
+    console.log(`[TRIP] ${dtid} extended ${tourist.Trip_End} → ${tripEnd} by ${actor.actor_type || 'system'}:${actor.actor_id || '-'}`);
+
+    return {
+      success: true,
+      error: null,
+      data: {
+        dtid: successorDtid || dtid,
+        predecessor_dtid: successorDtid ? dtid : null,
+        trip_start: tourist.Trip_Start,
+        trip_end: tripEnd,
+        dtid_changed: Boolean(successorDtid),
+        onchain,
+        change
+      }
+    };
+  } catch (err) {
+    console.error('[TRIP] Unexpected error extending trip:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * End a trip early. The DTID stays valid with the shorter dates.
+ * @param {string} dtid - Tourist DTID
+ * @param {string} checkoutDate - Last day of the trip (YYYY-MM-DD), defaults to today
+ * @param {Object} actor - { actor_type, actor_id, reason }
+ * @returns {Promise<Object>} - { success, error, code, errors, data: { dtid, trip_start, trip_end, itinerary, change } }
+ */
+async function checkoutTrip(dtid, checkoutDate = today(), actor = {}) {
+  try {
+    const { tourist, error: notChangeable } = await getChangeableTrip(dtid);
+    if (notChangeable) return notChangeable;
+
+    let message = null;
+    if (tourist.Trip_Start && checkoutDate < tourist.Trip_Start) {
+      message = `checkout_date must not be before the trip starts (${tourist.Trip_Start})`;
+    } else if (tourist.Trip_End && checkoutDate > tourist.Trip_End) {
+      message = `checkout_date must not be after the trip ends (${tourist.Trip_End})`;
+    }
+    if (message) {
+      return { success: false, error: message, code: 'VALIDATION', errors: [{ field: 'checkout_date', message }] };
+    }
+
+    const updated = await updateTouristData(dtid, {
+      Trip_End: checkoutDate,
+      checked_out_at: new Date().toISOString()
+    });
+    if (!updated) {
+      return { success: false, error: 'Failed to update trip dates' };
+    }
+
+    const itinerary = await trimItinerary(dtid, checkoutDate);
+    if (!itinerary.success) console.log('[TRIP] ⚠️ Failed to trim itinerary:', itinerary.error);
+
+    const change = await recordTripChange(tourist, {
+      change_type: 'checkout',
+      new_trip_end: checkoutDate,
+      reason: actor.reason
+    }, actor);
+    console.log(`[TRIP] ${dtid} checked out on ${checkoutDate} by ${actor.actor_type || 'system'}:${actor.actor_id || '-'}`);
+
+    return {
+      success: true,
+      error: null,
+      data: {
+        dtid,
+        trip_start: tourist.Trip_Start,
+        trip_end: checkoutDate,
+        itinerary: itinerary.data,
+        change
+      }
+    };
+  } catch (err) {
+    console.error('[TRIP] Unexpected error checking out:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Trip changes of a DTID and its predecessors, oldest first
+ * @param {string} dtid - Tourist DTID
+ * @returns {Promise<Object>} - { success, error, data: { dtid, predecessors, successor_dtid, changes } }
+ */
+async function getTripHistory(dtid) {
+  try {
+    const tourist = await getTouristByDTID(dtid);
+    if (!tourist) {
+      return { success: false, error: 'Tourist not found for the given DTID', code: 'NOT_FOUND', data: null };
+    }
+
+    // Walk the predecessor chain back to the first registration
+    const predecessors = [];
+    let previous = tourist.predecessor_dtid;
+    while (previous && !predecessors.includes(previous)) {
+      predecessors.push(previous);
+      const row = await getTouristByDTID(previous);
+      previous = row ? row.predecessor_dtid : null;
+    }
+
+    const { data, error } = await supabase
+      .from('trip_changes')
+      .select('*')
+      .in('dtid', [dtid, ...predecessors])
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('[TRIP] Error fetching trip history:', error);
+      return { success: false, error: error.message, data: null };
+    }
+
+    return {
+      success: true,
+      error: null,
+      data: {
+        dtid,
+        predecessors,
+        successor_dtid: tourist.successor_dtid || null,
+        changes: data
+      }
+    };
+  } catch (err) {
+    console.error('[TRIP] Unexpected error fetching trip history:', err);
+    return { success: false, error: err.message, data: null };
+  }
+}
+
+module.exports = {
+  extendTrip,
+  checkoutTrip,
+  getTripHistory
+};
@@ -0,0 +1,155 @@
+// src/services/tripService.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('../testing/fakeSupabase.cjs');
+
+const { rows } = installFakeSupabase();
+
+// QR images are not written to disk here
+const qrModule = require.resolve('./qrCodeService.cjs');
+require.cache[qrModule] = {
+  id: qrModule,
+  filename: qrModule,
+  loaded: true,
+  exports: { generateTouristQRCode: async (dtid) => ({ success: true, filePath: `public/qr-codes/${dtid}.png` }) }
+};
+
+const { encryptTouristRow, decryptTouristRow, sealFields, openFields } = require('./piiService.cjs');
+const { getConsents } = require('./privacyService.cjs');
+const { extendTrip, checkoutTrip, getTripHistory } = require('./tripService.cjs');
+
+const DTID = `0x${'ab'.repeat(32)}`;
+const TOURIST = { actor_type: 'tourist', actor_id: DTID };
+
+// YYYY-MM-DD, days from today
+const day = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+function seed(t, extra = {}) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  for (const table of Object.keys(rows)) delete rows[table];
+  rows.tourists = [encryptTouristRow({
+    dtid: DTID,
+    full_name: 'Anil Kumar',
+    id_type: 'passport',
+    id_number: 'J8369854',
+    contact_number: '+919876543210',
+    Trip_Start: day(-3),
+    Trip_End: day(4),
+    kyc_status: 'verified',
+    successor_dtid: null,
+    erased_at: null,
+    ...extra
+  })];
+  rows.itinerary_stops = [
+    { id: 1, dtid: DTID, position: 0, place_name: 'Old Manali', arrival_date: day(-3), departure_date: day(1) },
+    { id: 2, dtid: DTID, position: 1, place_name: 'Kasol', arrival_date: day(1), departure_date: day(4) },
+    { id: 3, dtid: DTID, position: 2, place_name: 'Kheerganga', arrival_date: day(3), departure_date: day(4) }
+  ];
+  rows.consent_records = [
+    { id: 1, dtid: DTID, purpose: 'tracking', granted: true, policy_version: '1', created_at: '2026-01-01T00:00:00Z' },
+    { id: 2, dtid: DTID, purpose: 'marketing', granted: true, policy_version: '1', created_at: '2026-01-01T00:00:00Z' },
+    { id: 3, dtid: DTID, purpose: 'marketing', granted: false, policy_version: '1', created_at: '2026-01-02T00:00:00Z' }
+  ];
+}
+
+const tourist = dtid => decryptTouristRow(rows.tourists.find(row => row.dtid === dtid));
+const granted = consents => Object.fromEntries(Object.entries(consents).map(([purpose, consent]) => [purpose, consent && consent.granted]));
+
+test('extending a verified trip issues a successor DTID that takes over the trip', async (t) => {
+  seed(t);
+  rows.profile_change_requests = [{ id: 7, dtid: DTID, status: 'pending', changes: { full_name: 'Anil Kumar Sharma' } }];
+
+  const result = await extendTrip(DTID, day(10), TOURIST);
+  assert.equal(result.success, true);
+  const successorDtid = result.data.dtid;
+  assert.notEqual(successorDtid, DTID);
+  assert.equal(result.data.predecessor_dtid, DTID);
+  assert.equal(result.data.dtid_changed, true);
+
+  const predecessor = tourist(DTID);
+  const successor = tourist(successorDtid);
+  assert.equal(predecessor.successor_dtid, successorDtid);
+  assert.equal(predecessor.Trip_End, day(4));
+  assert.equal(successor.predecessor_dtid, DTID);
+  assert.equal(successor.Trip_End, day(10));
+  assert.equal(successor.kyc_status, 'verified');
+  assert.equal(successor.contact_number, '+919876543210');
+  // Same data key, so PII sealed for the predecessor stays readable
+  const sealed = sealFields({ date_of_birth: '1990-04-12' }, predecessor.pii_data_key);
+  assert.deepEqual(openFields(sealed, successor.pii_data_key), { date_of_birth: '1990-04-12' });
+
+  // Registered on-chain with its own QR code
+  assert.deepEqual(rows.blockchain_jobs.map(job => job.dtid), [successorDtid]);
+  assert.equal(result.data.onchain.qrPath, `public/qr-codes/${successorDtid}.png`);
+
+  // Itinerary, pending identity change and consent move along
+  assert.deepEqual(rows.itinerary_stops.map(stop => stop.dtid), [successorDtid, successorDtid, successorDtid]);
+  assert.equal(rows.profile_change_requests[0].dtid, successorDtid);
+  const consents = await getConsents(successorDtid);
+  assert.deepEqual(granted(consents.data.consents), { tracking: true, police_sharing: null, marketing: false });
+  assert.ok(rows.consent_records.filter(record => record.dtid === successorDtid).every(record => record.source === 'successor'));
+
+  const history = await getTripHistory(successorDtid);
+  assert.deepEqual(history.data.predecessors, [DTID]);
+  assert.deepEqual(history.data.changes.map(change => [change.dtid, change.change_type, change.old_trip_end, change.new_trip_end, change.successor_dtid]), [
+    [DTID, 'extend', day(4), day(10), successorDtid]
+  ]);
+});
+
+test('a replaced DTID cannot be extended again', async (t) => {
+  seed(t);
+  await extendTrip(DTID, day(10), TOURIST);
+
+  const again = await extendTrip(DTID, day(12), TOURIST);
+  assert.equal(again.code, 'CONFLICT');
+  assert.equal(rows.tourists.length, 2);
+});
+
+test('a trip not yet verified is extended in place', async (t) => {
+  seed(t, { kyc_status: 'under_review' });
+
+  const result = await extendTrip(DTID, day(10), TOURIST);
+  assert.equal(result.data.dtid, DTID);
+  assert.equal(result.data.dtid_changed, false);
+  assert.equal(tourist(DTID).Trip_End, day(10));
+  assert.equal(rows.tourists.length, 1);
+  assert.equal(rows.blockchain_jobs, undefined);
+
+  const earlier = await extendTrip(DTID, day(5), TOURIST);
+  assert.equal(earlier.code, 'VALIDATION');
+  assert.deepEqual(earlier.errors.map(error => error.field), ['trip_end']);
+});
+
+test('an early checkout shortens the trip and the itinerary, keeping the DTID', async (t) => {
+  seed(t);
+
+  const result = await checkoutTrip(DTID, day(2), TOURIST);
+  assert.equal(result.success, true);
+  assert.equal(result.data.dtid, DTID);
+  assert.equal(result.data.trip_end, day(2));
+  assert.equal(tourist(DTID).Trip_End, day(2));
+  assert.ok(tourist(DTID).checked_out_at);
+  assert.equal(tourist(DTID).successor_dtid, null);
+
+  // Kheerganga starts after checkout, Kasol is cut short
+  assert.deepEqual(rows.itinerary_stops.map(stop => [stop.place_name, stop.departure_date]), [
+    ['Old Manali', day(1)],
+    ['Kasol', day(2)]
+  ]);
+  assert.deepEqual(rows.trip_changes.map(change => [change.change_type, change.old_trip_end, change.new_trip_end]), [
+    ['checkout', day(4), day(2)]
+  ]);
+
+  assert.equal((await checkoutTrip(DTID, day(1), TOURIST)).code, 'CONFLICT');
+  assert.equal((await extendTrip(DTID, day(10), TOURIST)).code, 'CONFLICT');
+});
+
+test('a checkout date must fall inside the trip', async (t) => {
+  seed(t);
+
+  assert.equal((await checkoutTrip(DTID, day(5), TOURIST)).code, 'VALIDATION');
+  assert.equal((await checkoutTrip(DTID, day(-4), TOURIST)).code, 'VALIDATION');
+  assert.equal(tourist(DTID).Trip_End, day(4));
+  assert.equal(tourist(DTID).checked_out_at, undefined);
+});
@@ -0,0 +1,182 @@
+// src/testing/fakeSupabase.cjs
+// In-memory stand-in for the Supabase client, for unit tests (npm test)
+
+/**
+ * Supports the query builder calls the services make: select/insert/upsert/
+ * update/delete with eq, neq, is, in, gt(e), lt(e), ilike, or (eq only),
+ * not('is'), order, range, limit, single and maybeSingle; plain select column
+ * lists are projected. Each statement runs synchronously when awaited, like a
+ * single SQL statement. Unique constraints given per table fail inserts with
+ * Postgres' 23505.
+ *
+ * @param {Object} options - { unique: { table: [['column', ...], ...] } }
+ * @returns {Object} - { client, rows }
+ */
+function createFakeSupabase({ unique = {} } = {}) {
+  const rows = {};
+  let seq = 1;
+
+  const sameKey = (a, b, columns) => columns.every(column => a[column] !== undefined && a[column] !== null && a[column] === b[column]);
+
+  function violatesUnique(table, candidate, ignore) {
+    return (unique[table] || []).some(columns =>
+      rows[table].some(row => row !== ignore && sameKey(row, candidate, columns)));
+  }
+
+  function query(table) {
+    rows[table] = rows[table] || [];
+    const filters = [];
+    let op = 'select';
+    let payload = null;
+    let options = {};
+    let columns = null;
+    let single = false;
+    let maybe = false;
+    let order = null;
+    let range = null;
+
+    const builder = {
+      select(selected, selectOptions) { columns = selected; if (selectOptions) options = selectOptions; return builder; },
+      insert(values) { op = 'insert'; payload = [].concat(values); return builder; },
+      upsert(values, upsertOptions = {}) { op = 'upsert'; payload = [].concat(values); options = upsertOptions; return builder; },
+      update(values) { op = 'update'; payload = values; return builder; },
+      delete() { op = 'delete'; return builder; },
+      eq(key, value) { filters.push(row => row[key] === value); return builder; },
+      neq(key, value) { filters.push(row => row[key] !== value); return builder; },
+      is(key, value) { filters.push(row => (row[key] ?? null) === value); return builder; },
+      in(key, values) { filters.push(row => values.includes(row[key])); return builder; },
+      gt(key, value) { filters.push(row => row[key] != null && row[key] > value); return builder; },
+      gte(key, value) { filters.push(row => row[key] != null && row[key] >= value); return builder; },
+      lt(key, value) { filters.push(row => row[key] != null && row[key] < value); return builder; },
+      lte(key, value) { filters.push(row => row[key] != null && row[key] <= value); return builder; },
+      // % and _ wildcards; a backslash escapes them
+      ilike(key, pattern) {
+        const source = pattern.replace(/\\(.)|([%_])|([^\\%_]+)/g, (match, escaped, wildcard, text) => {
+          if (wildcard) return wildcard === '%' ? '.*' : '.';
+          return (escaped || text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        });
+        const regex = new RegExp(`^${source}$`, 'is');
+        filters.push(row => row[key] != null && regex.test(String(row[key])));
+        return builder;
+      },
+      // PostgREST filter list, e.g. "a.eq.1,b.eq.2" (only eq)
+      or(list) {
+        const alternatives = list.split(',').map(condition => {
+          const [key, operator, ...value] = condition.split('.');
+          if (operator !== 'eq') throw new Error(`fakeSupabase: or(${operator}) is not supported`);
+          return row => String(row[key]) === value.join('.');
+        });
+        filters.push(row => alternatives.some(filter => filter(row)));
+        return builder;
+      },
+      not(key, operator, value) {
+        if (operator !== 'is') throw new Error(`fakeSupabase: not(${operator}) is not supported`);
+        filters.push(row => (row[key] ?? null) !== value);
+        return builder;
+      },
+      order(key, orderOptions = {}) { order = { key, ascending: orderOptions.ascending !== false }; return builder; },
+      range(from, to) { range = [from, to]; return builder; },
+      limit(count) { range = [0, count - 1]; return builder; },
+      single() { single = true; return builder; },
+      maybeSingle() { single = true; maybe = true; return builder; },
+      then(resolve, reject) {
+        try {
+          resolve(run());
+        } catch (error) {
+          reject(error);
+        }
+      }
+    };
+
+    // Plain column lists are projected; '*' and embedded resources return whole rows
+    function project(row) {
+      if (!columns || columns === '*' || columns.includes('(')) return { ...row };
+      return Object.fromEntries(columns.split(',').map(column => column.trim()).map(column => [column, row[column]]));
+    }
+
+    function run() {
+      const matched = rows[table].filter(row => filters.every(filter => filter(row)));
+      let out;
+
+      if (op === 'insert' || op === 'upsert') {
+        out = [];
+        for (const value of payload) {
+          const conflictColumns = op === 'upsert' && options.onConflict ? options.onConflict.split(',') : null;
+          const existing = conflictColumns && rows[table].find(row => sameKey(row, value, conflictColumns));
+          if (existing) {
+            Object.assign(existing, value);
+            out.push(existing);
+            continue;
+          }
+          const row = { id: seq++, created_at: new Date().toISOString(), ...value };
+          if (violatesUnique(table, row)) {
+            return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${table}` } };
+          }
+          rows[table].push(row);
+          out.push(row);
+        }
+      } else if (op === 'update') {
+        for (const row of matched) {
+          if (violatesUnique(table, { ...row, ...payload }, row)) {
+            return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${table}` } };
+          }
+        }
+        matched.forEach(row => Object.assign(row, payload));
+        out = matched;
+      } else if (op === 'delete') {
+        rows[table] = rows[table].filter(row => !matched.includes(row));
+        out = matched;
+      } else {
+        out = matched.slice();
+        if (order) {
+          const { key, ascending } = order;
+          out.sort((a, b) => (a[key] > b[key] ? 1 : a[key] < b[key] ? -1 : 0) * (ascending ? 1 : -1));
+        }
+        if (range) out = out.slice(range[0], range[1] + 1);
+      }
+
+      // Writes only return rows when .select() asked for them
+      const returned = op === 'select' || columns !== null ? out.map(project) : null;
+      const count = options.count ? matched.length : null;
+
+      if (single) {
+        if (returned && returned.length === 1) return { data: returned[0], error: null, count };
+        if (maybe && returned && returned.length === 0) return { data: null, error: null, count };
+        return { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }, count };
+      }
+      return { data: returned, error: null, count };
+    }
+
+    return builder;
+  }
+
+  const client = {
+    from: query,
+    rpc: async (name) => ({ data: null, error: { message: `fakeSupabase: rpc ${name} is not supported` } }),
+    storage: {
+      from: () => ({
+        upload: async () => ({ data: null, error: null }),
+        remove: async () => ({ data: [], error: null }),
+        download: async () => ({ data: null, error: { message: 'Object not found' } }),
+        createSignedUrl: async (key) => ({ data: { signedUrl: `https://storage.test/${key}` }, error: null })
+      })
+    }
+  };
+
+  return { client, rows };
+}
+
+/**
+ * Make src/config/database.cjs resolve to a fake client for modules required
+ * after this call
+ * @param {Object} options - See createFakeSupabase
+ * @returns {Object} - { client, rows }
+ */
+function installFakeSupabase(options) {
+  const fake = createFakeSupabase(options);
+  const modulePath = require.resolve('../config/database.cjs');
+  require.cache[modulePath] = { id: modulePath, filename: modulePath, loaded: true, exports: fake.client };
+  return fake;
+}
+
+module.exports = { createFakeSupabase, installFakeSupabase };
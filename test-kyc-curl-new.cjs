@@ -5,16 +5,18 @@ async function testKYCEndpoint() {
   console.log('🧪 Testing KYC Endpoint with realistic user data...\n');
   
   const userData = {
-    id: "P987654321", // Different passport number to test new user
+    id_type: "passport",
+    id: "AB123456", // Different passport number to test new user
     full_name: "Jane Doe",
     date_of_birth: "1985-03-22",
-    contact_number: "+1555666777",
+    contact_number: "+14165550123",
     email: "jane.doe@example.com",
-    emergency_contact_1: "+1444555666",
-    emergency_contact_2: "+1333444555",
-    nationality: "Canadian",
+    emergency_contact_1: "+14165550124",
+    emergency_contact_2: "+14165550125",
+    nationality: "Canada",
     trip_start: "2025-11-01",
-    trip_end: "2025-11-20"
+    trip_end: "2025-11-20",
+    consent: { tracking: true, police_sharing: true, marketing: false }
   };
   
   try {
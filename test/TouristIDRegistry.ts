@@ -0,0 +1,78 @@
+import { expect } from "chai";
+import type {} from "@nomicfoundation/hardhat-ethers-chai-matchers";
+import type { BaseContract, ContractRunner, ContractTransactionResponse } from "ethers";
+import { network } from "hardhat";
+
+const { ethers } = await network.connect();
+
+// The registry methods these tests call
+interface TouristIDRegistry extends BaseContract {
+  registerDTID(dtid: string): Promise<ContractTransactionResponse>;
+  revokeDTID(dtid: string): Promise<ContractTransactionResponse>;
+  verifyDTID(dtid: string): Promise<boolean>;
+  dtidRegistered(dtid: string): Promise<boolean>;
+  dtidRevoked(dtid: string): Promise<boolean>;
+  connect(runner: ContractRunner | null): TouristIDRegistry;
+}
+
+async function deployRegistry(): Promise<TouristIDRegistry> {
+  return (await ethers.deployContract("TouristIDRegistry")) as unknown as TouristIDRegistry;
+}
+
+describe("TouristIDRegistry", function () {
+  const dtid = ethers.id("234567890124|2025-01-01|2025-01-10");
+
+  it("Should revoke a registered DTID and emit DTIDRevoked", async function () {
+    const [owner] = await ethers.getSigners();
+    const registry = await deployRegistry();
+    await registry.registerDTID(dtid);
+
+    await expect(registry.revokeDTID(dtid))
+      .to.emit(registry, "DTIDRevoked")
+      .withArgs(owner.address, dtid);
+    expect(await registry.dtidRevoked(dtid)).to.equal(true);
+  });
+
+  it("verifyDTID should be false once the DTID is revoked", async function () {
+    const registry = await deployRegistry();
+    await registry.registerDTID(dtid);
+    expect(await registry.verifyDTID(dtid)).to.equal(true);
+
+    await registry.revokeDTID(dtid);
+
+    expect(await registry.verifyDTID(dtid)).to.equal(false);
+    expect(await registry.dtidRegistered(dtid)).to.equal(true);
+  });
+
+  it("Should not revoke a DTID twice", async function () {
+    const registry = await deployRegistry();
+    await registry.registerDTID(dtid);
+    await registry.revokeDTID(dtid);
+
+    await expect(registry.revokeDTID(dtid)).to.be.revertedWith("DTID already revoked");
+  });
+
+  it("Should not revoke a DTID that was never registered", async function () {
+    const registry = await deployRegistry();
+
+    await expect(registry.revokeDTID(dtid)).to.be.revertedWith("DTID not registered");
+  });
+
+  it("Should only let the owner revoke", async function () {
+    const [, other] = await ethers.getSigners();
+    const registry = await deployRegistry();
+    await registry.registerDTID(dtid);
+
+    await expect(registry.connect(other).revokeDTID(dtid)).to.be.revertedWith("Only owner can call this");
+    expect(await registry.verifyDTID(dtid)).to.equal(true);
+  });
+
+  it("A revoked DTID cannot be registered again", async function () {
+    const registry = await deployRegistry();
+    await registry.registerDTID(dtid);
+    await registry.revokeDTID(dtid);
+
+    await expect(registry.registerDTID(dtid)).to.be.revertedWith("DTID already registered");
+    expect(await registry.verifyDTID(dtid)).to.equal(false);
+  });
+});